@@ -0,0 +1,83 @@
+/**
+ * Palette Lookup Benchmark
+ * Compares the linear findClosestPaletteColor scan with a prebuilt palette index
+ *
+ * Usage: node benchmarks/palette-lookup.js [width] [height] [metrics]
+ * e.g.   node benchmarks/palette-lookup.js 1024 1024 rgb,oklab,ciede2000
+ */
+
+import {
+    createPaletteIndex,
+    findClosestPaletteColor,
+    generatePalette
+} from '../src/index.js';
+
+const width = parseInt(process.argv[2], 10) || 1024;
+const height = parseInt(process.argv[3], 10) || 1024;
+const metrics = (process.argv[4] || 'rgb,oklab').split(',');
+
+/**
+ * Build a deterministic test image: smooth gradients with a little noise
+ */
+function createTestImage(w, h) {
+    const data = new Uint8ClampedArray(w * h * 4);
+    let seed = 42;
+    const noise = () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return (seed / 4294967296 - 0.5) * 24;
+    };
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const i = (y * w + x) * 4;
+            data[i] = (x / w) * 255 + noise();
+            data[i + 1] = (y / h) * 255 + noise();
+            data[i + 2] = ((x + y) / (w + h)) * 255 + noise();
+            data[i + 3] = 255;
+        }
+    }
+    return data;
+}
+
+function time(label, fn) {
+    const start = performance.now();
+    const result = fn();
+    const elapsed = performance.now() - start;
+    console.log(`  ${label.padEnd(16)} ${elapsed.toFixed(1).padStart(9)} ms`);
+    return { elapsed, result };
+}
+
+const image = createTestImage(width, height);
+console.log(`Image: ${width}x${height} (${width * height} pixels)\n`);
+
+for (const metric of metrics) {
+    for (const numColors of [16, 64, 256]) {
+        const palette = generatePalette(image, numColors);
+        // Dithering feeds fractional values, which bypass the lookup cache
+        const jitter = (i) => ((i * 7919) % 13) / 13 - 0.5;
+
+        console.log(`${metric}, ${palette.length} colors`);
+        const linear = time('linear scan', () => {
+            let checksum = 0;
+            for (let i = 0; i < image.length; i += 4) {
+                const c = findClosestPaletteColor(image[i] + jitter(i), image[i + 1], image[i + 2], palette, metric);
+                checksum += c[0] + c[1] + c[2];
+            }
+            return checksum;
+        });
+        const indexed = time('palette index', () => {
+            const paletteIndex = createPaletteIndex(palette, metric);
+            let checksum = 0;
+            for (let i = 0; i < image.length; i += 4) {
+                const c = paletteIndex.findClosest(image[i] + jitter(i), image[i + 1], image[i + 2]);
+                checksum += c[0] + c[1] + c[2];
+            }
+            return checksum;
+        });
+
+        if (linear.result !== indexed.result) {
+            console.error('  Results differ between linear scan and palette index!');
+            process.exitCode = 1;
+        }
+        console.log(`  speedup          ${(linear.elapsed / indexed.elapsed).toFixed(1).padStart(9)}x\n`);
+    }
+}
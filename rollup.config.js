@@ -1,14 +1,29 @@
-export default {
-    input: 'src/index.js',
-    output: [
-        {
-            file: 'dist/index.cjs',
-            format: 'cjs',
-            exports: 'named'
-        },
-        {
-            file: 'dist/index.esm.js',
+// Node.js built-ins are only loaded when no Web Worker is available
+const external = ['node:worker_threads', 'node:os'];
+
+export default [
+    {
+        input: 'src/index.js',
+        external,
+        output: [
+            {
+                file: 'dist/index.cjs',
+                format: 'cjs',
+                exports: 'named'
+            },
+            {
+                file: 'dist/index.esm.js',
+                format: 'esm'
+            }
+        ]
+    },
+    {
+        // Loaded by createWorkerPool from next to the bundle
+        input: 'src/worker/worker.js',
+        external,
+        output: {
+            file: 'dist/worker.js',
             format: 'esm'
         }
-    ]
-};
+    }
+];
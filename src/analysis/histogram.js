@@ -0,0 +1,74 @@
+/**
+ * Color Histograms
+ * Color frequencies of an image and usage counts of palette entries
+ */
+
+import { createPaletteIndex } from '../utils/paletteIndex.js';
+
+/**
+ * Count how often every color occurs
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {Object} [options] - Histogram options
+ * @param {number} [options.alphaThreshold=1] - Pixels with lower alpha are not counted
+ * @param {number} [options.limit] - Return only the most frequent colors
+ * @returns {Array<{color: Array<number>, count: number, share: number}>} Colors by descending count;
+ *     share is the fraction of counted pixels
+ */
+export function computeColorHistogram(pixelDataArray, options = {}) {
+    const { alphaThreshold = 1, limit } = options;
+    if (!pixelDataArray || !pixelDataArray.length) return [];
+
+    const counts = new Map();
+    let total = 0;
+    for (let i = 0; i < pixelDataArray.length; i += 4) {
+        if (pixelDataArray[i + 3] < alphaThreshold) continue;
+        const key = (pixelDataArray[i] << 16) | (pixelDataArray[i + 1] << 8) | pixelDataArray[i + 2];
+        counts.set(key, (counts.get(key) || 0) + 1);
+        total++;
+    }
+
+    const histogram = [];
+    counts.forEach((count, key) => {
+        histogram.push({ color: [(key >> 16) & 255, (key >> 8) & 255, key & 255], count, share: count / total });
+    });
+    // Ties are ordered by color so the result does not depend on pixel order
+    histogram.sort((p, q) => q.count - p.count
+        || p.color[0] - q.color[0] || p.color[1] - q.color[1] || p.color[2] - q.color[2]);
+    return limit > 0 ? histogram.slice(0, limit) : histogram;
+}
+
+/**
+ * Count the pixels that use each palette entry.
+ * Takes an indexed image, or RGBA data plus a palette; RGBA pixels are counted for their
+ * nearest palette entry, and transparent pixels for the reserved transparent slot if there is one.
+ * @param {Object|Uint8ClampedArray} image - Indexed image { indices, palette }, or RGBA pixel data
+ * @param {Array<Array<number>>} [palette] - Palette, required for RGBA data
+ * @param {Object} [options] - Counting options
+ * @param {string} [options.metric='rgb'] - Color distance metric for RGBA data
+ * @returns {Array<number>} Pixel count per palette entry
+ */
+export function countPaletteUsage(image, palette, options = {}) {
+    const { metric = 'rgb' } = options;
+
+    if (image && image.indices) {
+        const counts = new Array(image.palette ? image.palette.length : 0).fill(0);
+        for (let p = 0; p < image.indices.length; p++) {
+            if (image.indices[p] < counts.length) counts[image.indices[p]]++;
+        }
+        return counts;
+    }
+    if (!image || !palette || palette.length === 0) {
+        console.warn("Palette usage needs an indexed image, or RGBA data and a palette.");
+        return [];
+    }
+
+    const paletteIndex = createPaletteIndex(palette, metric);
+    const counts = new Array(palette.length).fill(0);
+    for (let i = 0; i < image.length; i += 4) {
+        const index = image[i + 3] === 0
+            ? paletteIndex.transparentIndex
+            : paletteIndex.findClosestIndex(image[i], image[i + 1], image[i + 2]);
+        if (index >= 0) counts[index]++;
+    }
+    return counts;
+}
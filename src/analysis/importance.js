@@ -0,0 +1,119 @@
+/**
+ * Importance Maps
+ * Per-pixel weights that tell palette generation which parts of an image matter most
+ */
+
+import { rgbToLab } from '../utils/colorSpace.js';
+import { gaussianBlur } from '../utils/helpers.js';
+
+/**
+ * Supported importance measures
+ */
+const IMPORTANCE_METHODS = ['saliency', 'edges'];
+
+/**
+ * Radius of the box blur that spreads importance from single pixels to their surroundings
+ */
+const SPREAD_RADIUS = 2;
+
+/**
+ * Estimate how important every pixel is, from 0 (background) to 1 (most important).
+ * - 'saliency': frequency-tuned saliency (Achanta et al. 2009), the CIELAB distance of the
+ *   slightly blurred image from the image's mean color; subjects that stand out from a
+ *   plain background score high
+ * - 'edges': Sobel gradient of the color channels; detailed and textured areas score high
+ * Both are spread over a few pixels and scaled so the maximum is 1. Transparent pixels score 0.
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Map options
+ * @param {string} [options.method='saliency'] - 'saliency' or 'edges'
+ * @returns {Float32Array} One importance value per pixel
+ */
+export function computeImportanceMap(pixelDataArray, width, height, options = {}) {
+    let { method = 'saliency' } = options;
+
+    const importance = new Float32Array(Math.max(0, width * height));
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Importance map called with empty image data or invalid dimensions.");
+        return importance;
+    }
+    if (!IMPORTANCE_METHODS.includes(method)) {
+        console.warn(`Unknown importance method "${method}". Falling back to "saliency".`);
+        method = 'saliency';
+    }
+
+    if (method === 'saliency') {
+        const mean = [0, 0, 0];
+        let opaque = 0;
+        for (let i = 0; i < pixelDataArray.length; i += 4) {
+            if (pixelDataArray[i + 3] === 0) continue;
+            const color = rgbToLab(pixelDataArray[i], pixelDataArray[i + 1], pixelDataArray[i + 2]);
+            mean[0] += color[0];
+            mean[1] += color[1];
+            mean[2] += color[2];
+            opaque++;
+        }
+        if (opaque === 0) return importance;
+        mean.forEach((sum, c) => { mean[c] = sum / opaque; });
+
+        const blurred = gaussianBlur(pixelDataArray, width, height, 1).data;
+        for (let p = 0, i = 0; p < importance.length; p++, i += 4) {
+            if (pixelDataArray[i + 3] === 0) continue;
+            const color = rgbToLab(blurred[i], blurred[i + 1], blurred[i + 2]);
+            importance[p] = Math.hypot(color[0] - mean[0], color[1] - mean[1], color[2] - mean[2]);
+        }
+    } else {
+        const at = (x, y, c) => {
+            const i = (Math.max(0, Math.min(height - 1, y)) * width + Math.max(0, Math.min(width - 1, x))) * 4;
+            return pixelDataArray[i + c] * pixelDataArray[i + 3] / 255;
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let strongest = 0;
+                for (let c = 0; c < 3; c++) {
+                    const gx = at(x + 1, y - 1, c) + 2 * at(x + 1, y, c) + at(x + 1, y + 1, c)
+                        - at(x - 1, y - 1, c) - 2 * at(x - 1, y, c) - at(x - 1, y + 1, c);
+                    const gy = at(x - 1, y + 1, c) + 2 * at(x, y + 1, c) + at(x + 1, y + 1, c)
+                        - at(x - 1, y - 1, c) - 2 * at(x, y - 1, c) - at(x + 1, y - 1, c);
+                    strongest = Math.max(strongest, gx * gx + gy * gy);
+                }
+                importance[y * width + x] = Math.sqrt(strongest);
+            }
+        }
+    }
+
+    const spread = boxBlur(importance, width, height, SPREAD_RADIUS);
+    let max = 0;
+    for (let p = 0; p < spread.length; p++) {
+        if (pixelDataArray[p * 4 + 3] === 0) spread[p] = 0;
+        else if (spread[p] > max) max = spread[p];
+    }
+    if (max > 0) for (let p = 0; p < spread.length; p++) spread[p] /= max;
+    return spread;
+}
+
+/**
+ * Separable box blur of a single-channel map
+ */
+function boxBlur(values, width, height, radius) {
+    const temp = new Float32Array(values.length);
+    const output = new Float32Array(values.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let count = 0;
+            for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++, count++) sum += values[y * width + k];
+            temp[y * width + x] = sum / count;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let count = 0;
+            for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++, count++) sum += temp[k * width + x];
+            output[y * width + x] = sum / count;
+        }
+    }
+    return output;
+}
@@ -0,0 +1,300 @@
+/**
+ * Image Quality Metrics
+ * PSNR, SSIM and ΔE between a source image and its converted version, error heatmaps,
+ * and a search for the smallest palette that meets a quality target
+ */
+
+import { generatePalette, applyPalette } from '../core/palette.js';
+import { applyOrderedDithering } from '../dithering/ordered.js';
+import { applyErrorDiffusionDithering } from '../dithering/errorDiffusion.js';
+import { rgbToLab } from '../utils/colorSpace.js';
+import { deltaE76, deltaE2000 } from '../utils/helpers.js';
+import { computeColorHistogram } from './histogram.js';
+
+/**
+ * ΔE formulas, on CIELAB colors
+ */
+const DELTA_E = {
+    'ciede2000': deltaE2000,
+    'cie76': deltaE76
+};
+
+/**
+ * SSIM window size and step, and the stabilizing constants for 8-bit data
+ */
+const SSIM_WINDOW = 8;
+const SSIM_STEP = 4;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+/**
+ * Heatmap color stops from no error to maximum error: black, purple, red, yellow, white
+ */
+const HEATMAP_STOPS = [[0, 0, 0], [120, 0, 160], [230, 30, 30], [255, 220, 0], [255, 255, 255]];
+
+/**
+ * Renderers tried by findOptimalColorCount
+ */
+const RENDERERS = {
+    'none': (data, width, height, palette, options) => applyPalette(data, palette, { ...options, width, indexed: false }),
+    'ordered': (data, width, height, palette, options) =>
+        applyOrderedDithering(data, width, height, palette, { ...options, indexed: false }),
+    'floyd-steinberg': (data, width, height, palette, options) =>
+        applyErrorDiffusionDithering(data, width, height, palette, { ...options, kernel: 'floyd-steinberg', indexed: false })
+};
+
+/**
+ * Peak signal-to-noise ratio between two images.
+ * Colors are compared premultiplied by alpha (as if drawn over black); pixels that are
+ * transparent in both images are skipped.
+ * @param {Uint8ClampedArray} source - Reference RGBA pixel data
+ * @param {Uint8ClampedArray} output - Compared RGBA pixel data of the same size
+ * @returns {number} PSNR in dB (Infinity for identical images, NaN if the sizes differ)
+ */
+export function computePsnr(source, output) {
+    if (!sameSize(source, output, 'PSNR')) return NaN;
+
+    let sum = 0, count = 0;
+    for (let i = 0; i < source.length; i += 4) {
+        if (source[i + 3] === 0 && output[i + 3] === 0) continue;
+        for (let c = 0; c < 3; c++) {
+            const d = source[i + c] * source[i + 3] / 255 - output[i + c] * output[i + 3] / 255;
+            sum += d * d;
+        }
+        count += 3;
+    }
+    if (count === 0 || sum === 0) return Infinity;
+    return 10 * Math.log10(255 * 255 / (sum / count));
+}
+
+/**
+ * Structural similarity between two images, on alpha-weighted luminance.
+ * Averages SSIM over 8×8 windows placed every 4 pixels; small images use one window.
+ * @param {Uint8ClampedArray} source - Reference RGBA pixel data
+ * @param {Uint8ClampedArray} output - Compared RGBA pixel data of the same size
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} Mean SSIM, 1 for identical images (NaN if the sizes differ)
+ */
+export function computeSsim(source, output, width, height) {
+    if (!sameSize(source, output, 'SSIM') || width <= 0 || height <= 0) return NaN;
+
+    const x = luminance(source);
+    const y = luminance(output);
+    const windowWidth = Math.min(SSIM_WINDOW, width);
+    const windowHeight = Math.min(SSIM_WINDOW, height);
+    const n = windowWidth * windowHeight;
+
+    let total = 0, windows = 0;
+    for (let top = 0; top + windowHeight <= height; top += SSIM_STEP) {
+        for (let left = 0; left + windowWidth <= width; left += SSIM_STEP) {
+            let sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+            for (let wy = top; wy < top + windowHeight; wy++) {
+                for (let p = wy * width + left, end = p + windowWidth; p < end; p++) {
+                    sumX += x[p];
+                    sumY += y[p];
+                    sumXX += x[p] * x[p];
+                    sumYY += y[p] * y[p];
+                    sumXY += x[p] * y[p];
+                }
+            }
+            const meanX = sumX / n, meanY = sumY / n;
+            const varX = sumXX / n - meanX * meanX;
+            const varY = sumYY / n - meanY * meanY;
+            const covariance = sumXY / n - meanX * meanY;
+            total += ((2 * meanX * meanY + SSIM_C1) * (2 * covariance + SSIM_C2))
+                / ((meanX * meanX + meanY * meanY + SSIM_C1) * (varX + varY + SSIM_C2));
+            windows++;
+        }
+    }
+    return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * Mean and maximum color difference between two images.
+ * Colors are compared premultiplied by alpha; pixels transparent in both images are skipped.
+ * @param {Uint8ClampedArray} source - Reference RGBA pixel data
+ * @param {Uint8ClampedArray} output - Compared RGBA pixel data of the same size
+ * @param {Object} [options] - Comparison options
+ * @param {string} [options.metric='ciede2000'] - 'ciede2000' or 'cie76'
+ * @returns {{mean: number, max: number}} ΔE statistics (NaN if the sizes differ)
+ */
+export function computeDeltaE(source, output, options = {}) {
+    if (!sameSize(source, output, 'ΔE')) return { mean: NaN, max: NaN };
+
+    const deltaE = resolveDeltaE(options.metric);
+    const toLab = createLabCache();
+    let sum = 0, max = 0, count = 0;
+    for (let i = 0; i < source.length; i += 4) {
+        if (source[i + 3] === 0 && output[i + 3] === 0) continue;
+        const difference = deltaE(toLab(source, i), toLab(output, i));
+        sum += difference;
+        if (difference > max) max = difference;
+        count++;
+    }
+    return { mean: count > 0 ? sum / count : 0, max };
+}
+
+/**
+ * Visualize where two images differ: one pixel per source pixel, from black (no difference)
+ * through purple, red and yellow to white (maxDeltaE or more). Pixels transparent in both
+ * images stay transparent.
+ * @param {Uint8ClampedArray} source - Reference RGBA pixel data
+ * @param {Uint8ClampedArray} output - Compared RGBA pixel data of the same size
+ * @param {Object} [options] - Heatmap options
+ * @param {string} [options.metric='ciede2000'] - 'ciede2000' or 'cie76'
+ * @param {number} [options.maxDeltaE=20] - ΔE shown as white
+ * @returns {Uint8ClampedArray} RGBA heatmap
+ */
+export function createErrorHeatmap(source, output, options = {}) {
+    const { maxDeltaE = 20 } = options;
+    if (!sameSize(source, output, 'Heatmap')) return new Uint8ClampedArray(source ? source.length : 0);
+
+    const deltaE = resolveDeltaE(options.metric);
+    const toLab = createLabCache();
+    const heatmap = new Uint8ClampedArray(source.length);
+    const segments = HEATMAP_STOPS.length - 1;
+    for (let i = 0; i < source.length; i += 4) {
+        if (source[i + 3] === 0 && output[i + 3] === 0) continue;
+        const t = Math.min(1, deltaE(toLab(source, i), toLab(output, i)) / Math.max(1e-6, maxDeltaE)) * segments;
+        const k = Math.min(segments - 1, Math.floor(t));
+        const f = t - k;
+        for (let c = 0; c < 3; c++) heatmap[i + c] = HEATMAP_STOPS[k][c] + (HEATMAP_STOPS[k + 1][c] - HEATMAP_STOPS[k][c]) * f;
+        heatmap[i + 3] = 255;
+    }
+    return heatmap;
+}
+
+/**
+ * Compute all quality metrics at once
+ * @param {Uint8ClampedArray} source - Reference RGBA pixel data
+ * @param {Uint8ClampedArray} output - Compared RGBA pixel data of the same size
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Comparison options
+ * @param {string} [options.metric='ciede2000'] - ΔE formula, 'ciede2000' or 'cie76'
+ * @returns {{psnr: number, ssim: number, deltaE: {mean: number, max: number}}} Metrics
+ */
+export function compareImages(source, output, width, height, options = {}) {
+    return {
+        psnr: computePsnr(source, output),
+        ssim: computeSsim(source, output, width, height),
+        deltaE: computeDeltaE(source, output, options)
+    };
+}
+
+/**
+ * Find the smallest palette size whose result meets a quality target.
+ * Binary-searches the color count, generating a palette and rendering the image for every
+ * size tried, and assumes quality grows with the number of colors.
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Search options, plus any generatePalette and dithering option
+ * @param {Object} [options.target={ deltaE: 3 }] - Requirements that must all hold:
+ *     deltaE (maximum mean ΔE), maxDeltaE (maximum ΔE of any pixel), psnr (minimum dB), ssim (minimum)
+ * @param {number} [options.minColors=2] - Smallest palette size tried
+ * @param {number} [options.maxColors=256] - Largest palette size tried
+ * @param {string} [options.dither='none'] - How the image is rendered: 'none', 'ordered' or 'floyd-steinberg'
+ * @returns {{numColors: number, palette: Array<Array<number>>, metrics: Object, met: boolean}} Smallest
+ *     passing size, its palette and metrics; met is false when even maxColors misses the target
+ */
+export function findOptimalColorCount(pixelDataArray, width, height, options = {}) {
+    let { dither = 'none' } = options;
+    const { target = { deltaE: 3 }, minColors = 2, maxColors = 256 } = options;
+
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Color count search called with empty image data or invalid dimensions.");
+        return null;
+    }
+    if (!RENDERERS[dither]) {
+        console.warn(`Unknown dither method "${dither}". Using "none".`);
+        dither = 'none';
+    }
+
+    // More colors than the image has cannot improve the result
+    const distinct = computeColorHistogram(pixelDataArray, { alphaThreshold: options.alphaThreshold || 128 }).length;
+    let low = Math.max(1, Math.min(256, Math.floor(minColors)));
+    let high = Math.max(low, Math.min(256, Math.floor(maxColors), distinct || 1));
+
+    const tried = new Map();
+    const evaluate = numColors => {
+        if (!tried.has(numColors)) {
+            const palette = generatePalette(pixelDataArray, numColors, options);
+            const output = RENDERERS[dither](pixelDataArray, width, height, palette, options);
+            const metrics = compareImages(pixelDataArray, output, width, height, options);
+            tried.set(numColors, { numColors, palette, metrics, met: meetsTarget(metrics, target) });
+        }
+        return tried.get(numColors);
+    };
+
+    if (!evaluate(high).met) return evaluate(high);
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (evaluate(middle).met) high = middle;
+        else low = middle + 1;
+    }
+    return evaluate(high);
+}
+
+/**
+ * Check metrics against a target
+ */
+function meetsTarget(metrics, target) {
+    if (target.deltaE !== undefined && !(metrics.deltaE.mean <= target.deltaE)) return false;
+    if (target.maxDeltaE !== undefined && !(metrics.deltaE.max <= target.maxDeltaE)) return false;
+    if (target.psnr !== undefined && !(metrics.psnr >= target.psnr)) return false;
+    if (target.ssim !== undefined && !(metrics.ssim >= target.ssim)) return false;
+    return true;
+}
+
+/**
+ * Warn and return false unless both buffers exist and have the same length
+ */
+function sameSize(source, output, name) {
+    if (!source || !output || source.length !== output.length || source.length % 4 !== 0) {
+        console.warn(`${name} needs two RGBA buffers of the same size.`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Look up a ΔE formula, warning about unknown names
+ */
+function resolveDeltaE(metric = 'ciede2000') {
+    if (!DELTA_E[metric]) {
+        console.warn(`Unknown ΔE metric "${metric}". Using "ciede2000".`);
+        return DELTA_E['ciede2000'];
+    }
+    return DELTA_E[metric];
+}
+
+/**
+ * CIELAB of the premultiplied pixel at byte offset i, cached by color since converted images
+ * repeat the same few colors
+ */
+function createLabCache() {
+    const cache = new Map();
+    return (data, i) => {
+        const a = data[i + 3];
+        const key = data[i] * 0x1000000 + (data[i + 1] << 16) + (data[i + 2] << 8) + a;
+        let lab = cache.get(key);
+        if (!lab) {
+            lab = rgbToLab(data[i] * a / 255, data[i + 1] * a / 255, data[i + 2] * a / 255);
+            if (cache.size < 65536) cache.set(key, lab);
+        }
+        return lab;
+    };
+}
+
+/**
+ * Alpha-weighted luminance per pixel
+ */
+function luminance(data) {
+    const values = new Float32Array(data.length / 4);
+    for (let p = 0, i = 0; p < values.length; p++, i += 4) {
+        values[p] = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * data[i + 3] / 255;
+    }
+    return values;
+}
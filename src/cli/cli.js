@@ -0,0 +1,394 @@
+/**
+ * Command-Line Interface
+ * Batch conversion of PNG images into palette-limited pixel art, for asset pipelines and CI
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, extname, join, relative, resolve } from 'node:path';
+import { generatePalette, applyPalette } from '../core/palette.js';
+import { pixelate } from '../core/pixelate.js';
+import { applyBayerDithering } from '../dithering/bayer.js';
+import { applyFloydSteinbergDithering } from '../dithering/floydSteinberg.js';
+import { getPalette, listPalettes } from '../palettes/library.js';
+import { parsePaletteFile } from '../io/paletteFiles.js';
+import { isPng, decodePng, encodeIndexedPng } from '../io/png.js';
+import { encodeGif } from '../io/gif.js';
+import { encodeBmp } from '../io/bmp.js';
+import { encodeSvg } from '../io/vector.js';
+import { expandInputs } from './glob.js';
+
+/**
+ * Exit codes
+ */
+export const EXIT_OK = 0;
+export const EXIT_FAILED = 1;
+export const EXIT_USAGE = 2;
+
+/**
+ * Command-line options: flag name → config key, value type and short alias
+ */
+const CLI_OPTIONS = {
+    'output': { key: 'output', type: 'string', alias: 'o' },
+    'pixel-size': { key: 'pixelSize', type: 'number', alias: 'p' },
+    'scale': { key: 'scale', type: 'number', alias: 's' },
+    'colors': { key: 'colors', type: 'number', alias: 'c' },
+    'palette': { key: 'palette', type: 'string' },
+    'method': { key: 'method', type: 'string', alias: 'm' },
+    'dither': { key: 'dither', type: 'string', alias: 'd' },
+    'strength': { key: 'strength', type: 'number' },
+    'metric': { key: 'metric', type: 'string' },
+    'format': { key: 'format', type: 'string', alias: 'f' },
+    'config': { key: 'config', type: 'string' },
+    'quiet': { key: 'quiet', type: 'boolean', alias: 'q' },
+    'help': { key: 'help', type: 'boolean', alias: 'h' },
+    'version': { key: 'version', type: 'boolean', alias: 'v' }
+};
+
+/**
+ * Settings used when neither the config file nor the command line sets them
+ */
+const DEFAULT_SETTINGS = {
+    pixelSize: 1,
+    scale: 1,
+    colors: 16,
+    method: 'median-cut',
+    dither: 'none',
+    strength: 100,
+    metric: 'rgb',
+    format: 'png',
+    quiet: false
+};
+
+/**
+ * Output encoders by format. They take the indexed image and the scale;
+ * SVG scales through its size attributes instead of repeating pixels.
+ */
+const ENCODERS = {
+    'png': (image, scale) => encodeIndexedPng(scaleIndexed(image, scale)),
+    'gif': (image, scale) => encodeGif(scaleIndexed(image, scale)),
+    'bmp': (image, scale) => encodeBmp(scaleIndexed(image, scale)),
+    'svg': (image, scale) => encodeSvg(image, { pixelSize: scale })
+};
+
+const DITHER_MODES = ['none', 'bayer', 'floyd-steinberg'];
+const PALETTE_METHODS = ['median-cut', 'octree', 'wu', 'neuquant', 'kmeans'];
+const METRICS = ['rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb'];
+
+const HELP = `Usage: pixel-art [options] <inputs...>
+
+Convert PNG images to pixel art. Inputs may be files, directories (every PNG below
+them) or glob patterns such as "assets/**/*.png" (quote them so the shell does not expand them).
+
+Options:
+  -o, --output <path>      Output directory, or a file name for a single input
+                           (default: next to each input as <name>.pixel.<format>)
+  -p, --pixel-size <n>     Size of one output pixel in source pixels (default 1)
+  -s, --scale <n>          Enlarge the result n times with nearest neighbour (default 1)
+  -c, --colors <n>         Number of colors to generate, 1-256 (default 16)
+      --palette <name>     Built-in palette id or palette file (.gpl, .act, .ase, .pal, .hex, .png)
+  -m, --method <name>      Palette generation: ${PALETTE_METHODS.join(', ')} (default median-cut)
+  -d, --dither <mode>      ${DITHER_MODES.join(', ')} (default none)
+      --strength <0-100>   Dither strength in percent (default 100)
+      --metric <name>      Color matching: ${METRICS.join(', ')} (default rgb)
+  -f, --format <format>    Output format: ${Object.keys(ENCODERS).join(', ')} (default png)
+      --config <file>      JSON file with any of these settings in camelCase, plus "inputs";
+                           command-line options override it
+  -q, --quiet              Only print errors
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Exit codes: 0 success, 1 some images failed, 2 invalid usage.`;
+
+/**
+ * Error for invalid command lines and configs, reported with exit code 2
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args - Command-line arguments without the node and script paths
+ * @param {Object} [io] - Where to write messages and resolve paths
+ * @param {Function} [io.log=console.log] - Receives normal output
+ * @param {Function} [io.error=console.error] - Receives error messages
+ * @param {string} [io.cwd=process.cwd()] - Working directory
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(args, io = {}) {
+    const { log = console.log, error = console.error, cwd = process.cwd() } = io;
+
+    let settings;
+    let inputs;
+    try {
+        const parsed = parseArguments(args);
+        if (parsed.options.help) {
+            log(HELP);
+            return EXIT_OK;
+        }
+        if (parsed.options.version) {
+            log(await readVersion());
+            return EXIT_OK;
+        }
+        const config = parsed.options.config ? await readConfig(resolve(cwd, parsed.options.config)) : {};
+        settings = validateSettings({ ...DEFAULT_SETTINGS, ...config, ...parsed.options });
+        inputs = parsed.inputs.length > 0 ? parsed.inputs : (config.inputs || []);
+        if (inputs.length === 0) throw usageError('No input images given. Run "pixel-art --help" for usage.');
+    } catch (e) {
+        error(`pixel-art: ${e.message}`);
+        return e.usage ? EXIT_USAGE : EXIT_FAILED;
+    }
+
+    const outputPath = settings.output ? resolve(cwd, settings.output) : null;
+    const outputIsFile = outputPath !== null && Object.keys(ENCODERS).includes(extname(outputPath).slice(1).toLowerCase());
+    const { files, unmatched } = await expandInputs(inputs, { cwd, exclude: outputPath && !outputIsFile ? [outputPath] : [] });
+    for (const input of unmatched) error(`pixel-art: no images match "${input}"`);
+    if (files.length === 0) return EXIT_USAGE;
+    if (outputIsFile && files.length > 1) {
+        error(`pixel-art: --output is a file name, but ${files.length} images match; give a directory instead`);
+        return EXIT_USAGE;
+    }
+
+    let palette = null;
+    if (settings.palette) {
+        try {
+            palette = await loadPalette(settings.palette, cwd);
+        } catch (e) {
+            error(`pixel-art: ${e.message}`);
+            return EXIT_USAGE;
+        }
+    }
+
+    let failed = 0;
+    for (const file of files) {
+        const format = outputIsFile && !settings.formatGiven
+            ? extname(outputPath).slice(1).toLowerCase()
+            : settings.format;
+        const target = outputIsFile ? outputPath : outputFileFor(file, outputPath, format);
+        try {
+            const bytes = await readFile(file.path);
+            const encoded = convertImage(bytes, palette, { ...settings, format });
+            await mkdir(dirname(target), { recursive: true });
+            await writeFile(target, encoded);
+            if (!settings.quiet) log(`${relative(cwd, file.path)} -> ${relative(cwd, target)}`);
+        } catch (e) {
+            failed++;
+            error(`pixel-art: ${relative(cwd, file.path)}: ${e.message}`);
+        }
+    }
+    if (!settings.quiet && files.length > 1) log(`Converted ${files.length - failed} of ${files.length} images.`);
+    return failed > 0 || unmatched.length > 0 ? EXIT_FAILED : EXIT_OK;
+}
+
+/**
+ * Convert one PNG file with the given settings
+ * @param {Uint8Array} bytes - PNG file contents
+ * @param {Array<Array<number>>|null} palette - Fixed palette, or null to generate one per image
+ * @param {Object} settings - Validated settings
+ * @returns {Uint8Array|string} Encoded output file (SVG as text)
+ * @throws {Error} If the file is not a readable PNG or cannot be encoded
+ */
+export function convertImage(bytes, palette, settings) {
+    if (!isPng(bytes)) throw new Error('not a PNG file');
+    let image = decodePng(bytes);
+
+    if (settings.pixelSize > 1) {
+        image = pixelate(image.data, image.width, image.height, { pixelSize: settings.pixelSize });
+    }
+    const colors = palette || generatePalette(image.data, settings.colors, { method: settings.method });
+
+    const options = { metric: settings.metric, strengthPercent: settings.strength, indexed: true };
+    let indexed;
+    if (settings.dither === 'bayer') {
+        indexed = applyBayerDithering(image.data, image.width, image.height, colors, settings.strength, options);
+    } else if (settings.dither === 'floyd-steinberg') {
+        indexed = applyFloydSteinbergDithering(image.data, image.width, image.height, colors, options);
+    } else {
+        indexed = applyPalette(image.data, colors, { ...options, width: image.width });
+    }
+    if (!indexed) throw new Error('palette has more than 256 colors');
+
+    return ENCODERS[settings.format](indexed, settings.scale);
+}
+
+/**
+ * Split arguments into options and inputs
+ */
+function parseArguments(args) {
+    const options = {};
+    const inputs = [];
+    const byAlias = {};
+    Object.entries(CLI_OPTIONS).forEach(([name, option]) => {
+        if (option.alias) byAlias[option.alias] = name;
+    });
+
+    for (let k = 0; k < args.length; k++) {
+        const arg = args[k];
+        if (arg === '--') {
+            inputs.push(...args.slice(k + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            inputs.push(arg);
+            continue;
+        }
+
+        let name, value;
+        if (arg.startsWith('--')) {
+            const equals = arg.indexOf('=');
+            name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+            if (equals !== -1) value = arg.slice(equals + 1);
+        } else {
+            name = byAlias[arg.slice(1)];
+            if (!name) throw usageError(`Unknown option "${arg}". Run "pixel-art --help" for usage.`);
+        }
+        const option = CLI_OPTIONS[name];
+        if (!option) throw usageError(`Unknown option "${arg}". Run "pixel-art --help" for usage.`);
+
+        if (option.type === 'boolean') {
+            if (value !== undefined) throw usageError(`Option --${name} does not take a value.`);
+            options[option.key] = true;
+            continue;
+        }
+        if (value === undefined) {
+            if (k + 1 >= args.length) throw usageError(`Option --${name} needs a value.`);
+            value = args[++k];
+        }
+        if (option.type === 'number') {
+            const number = Number(value);
+            if (value === '' || !Number.isFinite(number)) throw usageError(`Option --${name} needs a number, got "${value}".`);
+            value = number;
+        }
+        options[option.key] = value;
+        if (option.key === 'format') options.formatGiven = true;
+    }
+    return { options, inputs };
+}
+
+/**
+ * Read and check a JSON config file
+ */
+async function readConfig(path) {
+    let text;
+    try {
+        text = await readFile(path, 'utf8');
+    } catch (e) {
+        throw usageError(`Cannot read config file ${path}: ${e.code || e.message}`);
+    }
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (e) {
+        throw usageError(`Config file ${path} is not valid JSON: ${e.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw usageError(`Config file ${path} must contain a JSON object.`);
+    }
+
+    const known = new Set([...Object.values(CLI_OPTIONS).map(option => option.key), 'inputs']);
+    for (const key of Object.keys(config)) {
+        if (!known.has(key) || key === 'config') throw usageError(`Unknown setting "${key}" in config file ${path}.`);
+    }
+    if (config.inputs !== undefined && (!Array.isArray(config.inputs) || !config.inputs.every(input => typeof input === 'string'))) {
+        throw usageError(`"inputs" in config file ${path} must be an array of strings.`);
+    }
+    if (config.format !== undefined) config.formatGiven = true;
+    return config;
+}
+
+/**
+ * Check value ranges and names, so bad settings fail before any file is touched
+ */
+function validateSettings(settings) {
+    const integerIn = (key, min, max) => {
+        const value = settings[key];
+        if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+            throw usageError(`${key} must be a whole number from ${min} to ${max}, got ${JSON.stringify(value)}.`);
+        }
+    };
+    const oneOf = (key, values) => {
+        if (!values.includes(settings[key])) {
+            throw usageError(`${key} must be one of ${values.join(', ')}, got ${JSON.stringify(settings[key])}.`);
+        }
+    };
+
+    integerIn('pixelSize', 1, 1024);
+    integerIn('scale', 1, 64);
+    integerIn('colors', 1, 256);
+    if (typeof settings.strength !== 'number' || !(settings.strength >= 0 && settings.strength <= 100)) {
+        throw usageError(`strength must be a number from 0 to 100, got ${JSON.stringify(settings.strength)}.`);
+    }
+    oneOf('method', PALETTE_METHODS);
+    oneOf('dither', DITHER_MODES);
+    oneOf('metric', METRICS);
+    settings.format = String(settings.format).toLowerCase();
+    oneOf('format', Object.keys(ENCODERS));
+    if (settings.palette !== undefined && (typeof settings.palette !== 'string' || settings.palette === '')) {
+        throw usageError('palette must be a built-in palette id or a file name.');
+    }
+    if (settings.output !== undefined && (typeof settings.output !== 'string' || settings.output === '')) {
+        throw usageError('output must be a path.');
+    }
+    return settings;
+}
+
+/**
+ * Resolve a built-in palette id or load a palette file
+ */
+async function loadPalette(name, cwd) {
+    let bytes = null;
+    try {
+        bytes = new Uint8Array(await readFile(resolve(cwd, name)));
+    } catch (e) {
+        // Not a readable file: try the built-in library instead
+    }
+    if (bytes) {
+        try {
+            return parsePaletteFile(bytes);
+        } catch (e) {
+            throw usageError(`Cannot read palette file ${name}: ${e.message}`);
+        }
+    }
+
+    // Check the id first: getPalette would warn about unknown ids, and the CLI reports its own error
+    const id = name.toLowerCase();
+    if (!listPalettes().some(palette => palette.id === id)) {
+        throw usageError(`"${name}" is neither a palette file nor a built-in palette id.`);
+    }
+    return getPalette(id);
+}
+
+/**
+ * Where an input's result goes: mirrored below the output directory, or next to the input
+ */
+function outputFileFor(file, outputDir, format) {
+    const extension = extname(file.path);
+    if (!outputDir) return `${file.path.slice(0, file.path.length - extension.length)}.pixel.${format}`;
+    const path = join(outputDir, relative(file.base, file.path));
+    return `${path.slice(0, path.length - extension.length)}.${format}`;
+}
+
+/**
+ * Enlarge an indexed image with nearest neighbour
+ */
+function scaleIndexed(image, scale) {
+    if (scale <= 1) return image;
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const indices = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const sourceRow = Math.floor(y / scale) * image.width;
+        for (let x = 0; x < width; x++) indices[y * width + x] = image.indices[sourceRow + Math.floor(x / scale)];
+    }
+    return { ...image, indices, width, height };
+}
+
+/**
+ * Version from package.json
+ */
+async function readVersion() {
+    const pkg = JSON.parse(await readFile(new URL('../../package.json', import.meta.url), 'utf8'));
+    return pkg.version;
+}
@@ -0,0 +1,132 @@
+/**
+ * Input Expansion
+ * Turns CLI arguments (files, directories and glob patterns) into a sorted list of image files
+ */
+
+import { readdir, stat } from 'node:fs/promises';
+import { join, relative, resolve, sep } from 'node:path';
+
+/**
+ * Characters that make a path segment a pattern
+ */
+const GLOB_MAGIC = /[*?[{]/;
+
+/**
+ * File extensions picked up when a whole directory is given
+ */
+const IMAGE_EXTENSIONS = ['.png'];
+
+/**
+ * Expand CLI inputs into image files.
+ * - files are taken as they are
+ * - directories contribute every PNG below them
+ * - patterns support *, ?, ** (any number of directories), [abc] and {a,b}
+ * Each file carries the base directory its pattern started from, so outputs can mirror
+ * the input tree. The result is sorted and free of duplicates, so runs are reproducible.
+ * @param {Array<string>} inputs - Paths and patterns
+ * @param {Object} [options] - Expansion options
+ * @param {string} [options.cwd=process.cwd()] - Directory relative paths start from
+ * @param {Array<string>} [options.exclude=[]] - Directories whose files are skipped (e.g. the output directory)
+ * @returns {Promise<{files: Array<{path: string, base: string}>, unmatched: Array<string>}>} Files, and
+ *     the inputs that matched nothing
+ */
+export async function expandInputs(inputs, options = {}) {
+    const { cwd = process.cwd(), exclude = [] } = options;
+    const excluded = exclude.map(dir => resolve(cwd, dir) + sep);
+    const found = new Map();
+    const unmatched = [];
+
+    for (const input of inputs) {
+        const matches = [];
+        if (!GLOB_MAGIC.test(input)) {
+            const path = resolve(cwd, input);
+            const info = await stat(path).catch(() => null);
+            if (info && info.isDirectory()) {
+                for (const file of await walk(path, Infinity)) {
+                    if (IMAGE_EXTENSIONS.some(ext => file.toLowerCase().endsWith(ext))) matches.push({ path: file, base: path });
+                }
+            } else if (info && info.isFile()) {
+                matches.push({ path, base: resolve(path, '..') });
+            }
+        } else {
+            // Walk from the longest directory prefix without pattern characters
+            const segments = input.split(/[\\/]/);
+            const fixed = [];
+            while (segments.length > 1 && !GLOB_MAGIC.test(segments[0])) fixed.push(segments.shift());
+            const base = resolve(cwd, fixed.join('/') || '.');
+            const depth = segments.includes('**') ? Infinity : segments.length;
+            const pattern = globToRegExp(segments.join('/'));
+            for (const file of await walk(base, depth)) {
+                if (pattern.test(relative(base, file).split(sep).join('/'))) matches.push({ path: file, base });
+            }
+        }
+
+        const kept = matches.filter(match => !excluded.some(dir => match.path.startsWith(dir)));
+        if (kept.length === 0) unmatched.push(input);
+        for (const match of kept) if (!found.has(match.path)) found.set(match.path, match);
+    }
+
+    const files = [...found.values()].sort((p, q) => (p.path < q.path ? -1 : p.path > q.path ? 1 : 0));
+    return { files, unmatched };
+}
+
+/**
+ * Translate a glob pattern (with / separators) into an anchored regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Matcher for relative paths with / separators
+ */
+export function globToRegExp(pattern) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // '**/' matches zero or more directories, a trailing '**' anything
+                const slash = pattern[i + 2] === '/';
+                source += slash ? '(?:[^/]*/)*' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                const set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+                source += set.startsWith('!') ? `[^/${set.slice(1)}]` : `[${set}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            source += '(?:';
+            braces++;
+        } else if (char === '}' && braces > 0) {
+            source += ')';
+            braces--;
+        } else if (char === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * List the files below a directory, at most depth levels deep, skipping hidden entries
+ */
+async function walk(dir, depth) {
+    if (depth <= 0) return [];
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = [];
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await walk(path, depth - 1));
+        else if (entry.isFile()) files.push(path);
+    }
+    return files;
+}
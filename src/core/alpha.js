@@ -0,0 +1,116 @@
+/**
+ * Alpha Handling
+ * Reduces soft alpha to clean 1-bit transparency or flattens it onto a matte
+ */
+
+import { createThresholdMatrix, normalizeThresholdMatrix } from '../dithering/thresholdMaps.js';
+import { srgbToLinear, linearToSrgb } from '../utils/colorSpace.js';
+
+/**
+ * Supported alpha modes
+ */
+const ALPHA_MODES = ['preserve', 'threshold', 'ordered', 'diffusion', 'matte'];
+
+/**
+ * Bring the alpha channel into shape before palette mapping.
+ * - 'preserve': leave alpha untouched (the input array is returned as is)
+ * - 'threshold': alpha >= alphaThreshold becomes opaque, everything else transparent
+ * - 'ordered': binary alpha from an 8×8 Bayer threshold map
+ * - 'diffusion': binary alpha from Floyd-Steinberg error diffusion
+ * - 'matte': premultiply colors onto the matte color and make every pixel opaque
+ * In the binary modes, pixels that become transparent are cleared to 0,0,0,0.
+ * @param {Uint8ClampedArray} pixelDataArray - Source image data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Alpha options
+ * @param {string} [options.alphaMode='preserve'] - 'preserve', 'threshold', 'ordered', 'diffusion' or 'matte'
+ * @param {number} [options.alphaThreshold=128] - Minimum alpha kept as opaque in 'threshold' mode
+ * @param {Array<number>} [options.matte=[0, 0, 0]] - Background color for 'matte' mode
+ * @param {boolean} [options.linear=false] - Blend onto the matte in linear light instead of sRGB
+ * @returns {Uint8ClampedArray} Image data with the alpha mode applied
+ */
+export function applyAlphaMode(pixelDataArray, width, height, options = {}) {
+    let { alphaMode = 'preserve' } = options;
+    const { alphaThreshold = 128, matte = [0, 0, 0], linear = false } = options;
+
+    if (!ALPHA_MODES.includes(alphaMode)) {
+        console.warn(`Unknown alpha mode "${alphaMode}". Alpha is left unchanged.`);
+        alphaMode = 'preserve';
+    }
+    if (alphaMode === 'preserve' || !pixelDataArray || !pixelDataArray.length) return pixelDataArray;
+
+    const output = new Uint8ClampedArray(pixelDataArray);
+    const pixelCount = pixelDataArray.length / 4;
+
+    if (alphaMode === 'matte') {
+        const [mr, mg, mb] = matte;
+        if (linear) {
+            const matteLinear = [srgbToLinear(mr), srgbToLinear(mg), srgbToLinear(mb)];
+            for (let i = 0; i < output.length; i += 4) {
+                const alpha = output[i + 3] / 255;
+                for (let c = 0; c < 3; c++) {
+                    output[i + c] = linearToSrgb(srgbToLinear(output[i + c]) * alpha + matteLinear[c] * (1 - alpha));
+                }
+                output[i + 3] = 255;
+            }
+            return output;
+        }
+        for (let i = 0; i < output.length; i += 4) {
+            const alpha = output[i + 3] / 255;
+            output[i] = output[i] * alpha + mr * (1 - alpha);
+            output[i + 1] = output[i + 1] * alpha + mg * (1 - alpha);
+            output[i + 2] = output[i + 2] * alpha + mb * (1 - alpha);
+            output[i + 3] = 255;
+        }
+        return output;
+    }
+
+    const opaque = new Uint8Array(pixelCount);
+    if (alphaMode === 'threshold') {
+        for (let p = 0; p < pixelCount; p++) opaque[p] = pixelDataArray[p * 4 + 3] >= alphaThreshold ? 1 : 0;
+    } else if (alphaMode === 'ordered') {
+        const { thresholds } = normalizeThresholdMatrix(createThresholdMatrix('bayer', 8));
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                opaque[p] = pixelDataArray[p * 4 + 3] / 255 > thresholds[(y % 8) * 8 + x % 8] ? 1 : 0;
+            }
+        }
+    } else {
+        const alpha = new Float32Array(pixelCount);
+        for (let p = 0; p < pixelCount; p++) alpha[p] = pixelDataArray[p * 4 + 3];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const original = pixelDataArray[p * 4 + 3];
+                // Fully transparent and fully opaque pixels keep their state and absorb no error
+                if (original === 0 || original === 255) {
+                    opaque[p] = original === 255 ? 1 : 0;
+                    continue;
+                }
+                const value = alpha[p];
+                opaque[p] = value >= 128 ? 1 : 0;
+                const error = value - opaque[p] * 255;
+                if (x + 1 < width) alpha[p + 1] += error * 7 / 16;
+                if (y + 1 < height) {
+                    if (x > 0) alpha[p + width - 1] += error * 3 / 16;
+                    alpha[p + width] += error * 5 / 16;
+                    if (x + 1 < width) alpha[p + width + 1] += error / 16;
+                }
+            }
+        }
+    }
+
+    for (let p = 0; p < pixelCount; p++) {
+        const i = p * 4;
+        if (opaque[p]) {
+            output[i + 3] = 255;
+        } else {
+            output[i] = 0;
+            output[i + 1] = 0;
+            output[i + 2] = 0;
+            output[i + 3] = 0;
+        }
+    }
+    return output;
+}
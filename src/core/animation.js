@@ -0,0 +1,140 @@
+/**
+ * Animation Processing
+ * Shared palettes and temporally stable dithering for multi-frame images
+ */
+
+import { generatePalette, applyPalette } from './palette.js';
+import { indexedToRgba } from './indexed.js';
+import { createSpriteSheet } from './spriteSheet.js';
+import { findTransparentIndex } from '../utils/paletteIndex.js';
+import { applyOrderedDithering } from '../dithering/ordered.js';
+import { applyErrorDiffusionDithering } from '../dithering/errorDiffusion.js';
+import { encodeAnimatedGif } from '../io/gif.js';
+
+/**
+ * Default number of pixels sampled across all frames for the shared palette
+ */
+const MAX_ANIMATION_SAMPLES = 65536;
+
+/**
+ * Supported dithering modes for animations
+ */
+const ANIMATION_DITHER_MODES = ['none', 'ordered', 'error-diffusion'];
+
+/**
+ * Generate one palette for all frames of an animation.
+ * Every frame contributes an equal share of evenly spaced sample pixels.
+ * @param {Array<{data: Uint8ClampedArray}>} frames - Animation frames
+ * @param {number} numColors - Maximum number of colors (1-256)
+ * @param {Object} [options] - Any generatePalette option
+ * @param {number} [options.maxSamples=65536] - Pixels sampled across all frames
+ * @returns {Array<Array<number>>} Shared palette
+ */
+export function generateAnimationPalette(frames, numColors, options = {}) {
+    const { maxSamples = MAX_ANIMATION_SAMPLES } = options;
+    if (!Array.isArray(frames) || frames.length === 0) {
+        console.warn("Animation palette called with no frames.");
+        return generatePalette(new Uint8ClampedArray(0), numColors, options);
+    }
+
+    const perFrame = Math.max(1, Math.floor(maxSamples / frames.length));
+    const samples = [];
+    for (const { data } of frames) {
+        const pixelCount = data.length / 4;
+        const step = Math.max(1, pixelCount / perFrame);
+        for (let p = 0; p < pixelCount; p += step) {
+            const i = Math.floor(p) * 4;
+            samples.push(data[i], data[i + 1], data[i + 2], data[i + 3]);
+        }
+    }
+    return generatePalette(new Uint8ClampedArray(samples), numColors, { ...options, maxSamples });
+}
+
+/**
+ * Map every frame of an animation to one palette without flicker.
+ * Ordered dithering keeps its threshold map anchored to the frame, so unchanged pixels
+ * always get the same color. Error diffusion is seeded from the previous frame: pixels
+ * that did not change keep their previous color and only the error flows on.
+ * @param {Array<{data: Uint8ClampedArray, width: number, height: number}>} frames - Animation frames
+ * @param {Array<Array<number>>} palette - Shared palette
+ * @param {Object} [options] - Dithering options (also passed on to the dithering function)
+ * @param {string} [options.dither='error-diffusion'] - 'none', 'ordered' or 'error-diffusion'
+ * @param {number} [options.temporalTolerance=0] - Largest channel change still treated as unchanged
+ * @returns {Array<Object>} Indexed frames { indices, palette, width, height, transparentIndex }, keeping name and delay
+ */
+export function ditherAnimation(frames, palette, options = {}) {
+    let { dither = 'error-diffusion' } = options;
+    const { temporalTolerance = 0, alphaMode } = options;
+
+    if (!palette || palette.length === 0) {
+        console.warn("Animation dithering called with empty or invalid palette.");
+        return [];
+    }
+    if (!ANIMATION_DITHER_MODES.includes(dither)) {
+        console.warn(`Unknown animation dither mode "${dither}". Falling back to "error-diffusion".`);
+        dither = 'error-diffusion';
+    }
+
+    // Every frame must end up with the same palette, so reserve the transparent slot up front
+    let sharedPalette = palette;
+    const mayBeTransparent = alphaMode !== 'matte' && frames.some(({ data }) => {
+        for (let i = 3; i < data.length; i += 4) if (data[i] < 255) return true;
+        return false;
+    });
+    if (mayBeTransparent && findTransparentIndex(palette) === -1 && palette.length < 256) {
+        sharedPalette = [...palette, [0, 0, 0, 0]];
+    }
+
+    const results = [];
+    let previous = null;
+    for (const frame of frames) {
+        const { data, width, height } = frame;
+        const frameOptions = { ...options, indexed: true };
+        let result;
+        if (dither === 'ordered') {
+            result = applyOrderedDithering(data, width, height, sharedPalette, frameOptions);
+        } else if (dither === 'error-diffusion') {
+            if (previous && previous.source.length === data.length) {
+                frameOptions.previous = { ...previous, tolerance: temporalTolerance };
+            }
+            result = applyErrorDiffusionDithering(data, width, height, sharedPalette, frameOptions);
+            previous = { source: data, output: indexedToRgba(result) };
+        } else {
+            result = applyPalette(data, sharedPalette, { ...frameOptions, width });
+        }
+
+        if (frame.name !== undefined) result.name = frame.name;
+        if (frame.delay !== undefined) result.delay = frame.delay;
+        results.push(result);
+    }
+    return results;
+}
+
+/**
+ * Convert an animation in one call: shared palette, stable dithering and output
+ * @param {Array<{data: Uint8ClampedArray, width: number, height: number}>} frames - Animation frames;
+ *     a frame may carry a `name` and a `delay` in milliseconds
+ * @param {Object} [options] - Conversion options, also passed on to the steps below
+ * @param {number} [options.colors=16] - Number of colors when no palette is given
+ * @param {Array<Array<number>>} [options.palette] - Fixed palette instead of a generated one
+ * @param {string} [options.output='frames'] - 'frames', 'gif' or 'sprite-sheet'
+ * @returns {Object} { palette, frames }, plus `gif` (Uint8Array) or `image` and `atlas` depending on output
+ */
+export function convertAnimation(frames, options = {}) {
+    const { colors = 16, output = 'frames' } = options;
+    const palette = options.palette || generateAnimationPalette(frames, colors, options);
+    const indexedFrames = ditherAnimation(frames, palette, options);
+    const result = {
+        palette: indexedFrames.length > 0 ? indexedFrames[0].palette : palette,
+        frames: indexedFrames
+    };
+
+    if (output === 'gif') {
+        result.gif = encodeAnimatedGif(indexedFrames, options);
+    } else if (output === 'sprite-sheet') {
+        Object.assign(result, createSpriteSheet(indexedFrames, options));
+    } else if (output !== 'frames') {
+        console.warn(`Unknown animation output "${output}". Returning frames only.`);
+    }
+    return result;
+}
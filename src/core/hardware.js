@@ -0,0 +1,685 @@
+/**
+ * Hardware-Constrained Quantization
+ * Per-cell color limits of retro consoles and computers: sub-palette selection, constrained dithering and validation
+ */
+
+import { generatePalette } from './palette.js';
+import { applyAlphaMode } from './alpha.js';
+import { createIndexedTarget, finishIndexedImage } from './indexed.js';
+import { getPalette } from '../palettes/library.js';
+import { getColorMetric, isTransparent } from '../utils/helpers.js';
+import { createThresholdMatrix, normalizeThresholdMatrix } from '../dithering/thresholdMaps.js';
+import { estimatePaletteSpread } from '../dithering/ordered.js';
+import { ERROR_DIFFUSION_KERNELS } from '../dithering/errorDiffusion.js';
+
+/**
+ * Supported dithering modes for constrained quantization
+ */
+const HARDWARE_DITHER_MODES = ['none', 'ordered', 'error-diffusion'];
+
+/**
+ * Most sub-palette assignments the exact packing search in the validator tries
+ */
+const MAX_PACKING_STEPS = 100000;
+
+/**
+ * Built-in targets.
+ * A cell may show colorsPerCell colors: the sharedColors common to the whole screen plus its own.
+ * With subPalettes, a cell's own colors are one of that many screen-wide sub-palettes.
+ * With colorGroups, all colors of a cell come from one group of master palette indices.
+ * Targets without a master palette pick free colors with colorBits bits per channel.
+ */
+const HARDWARE_TARGETS = [
+    {
+        id: 'nes',
+        name: 'NES background',
+        description: '16×16 attribute areas use one of 4 sub-palettes: 3 colors each plus the shared backdrop color',
+        palette: 'nes',
+        cellWidth: 16,
+        cellHeight: 16,
+        colorsPerCell: 4,
+        subPalettes: 4,
+        sharedColors: 1
+    },
+    {
+        id: 'gameboy-color',
+        name: 'Game Boy Color background',
+        description: '8×8 tiles use one of 8 sub-palettes of 4 colors from 15-bit RGB',
+        palette: null,
+        colorBits: 5,
+        cellWidth: 8,
+        cellHeight: 8,
+        colorsPerCell: 4,
+        subPalettes: 8,
+        sharedColors: 0
+    },
+    {
+        id: 'c64-hires',
+        name: 'Commodore 64 hires bitmap',
+        description: '320×200, 8×8 cells with 2 of the 16 colors each',
+        palette: 'c64',
+        cellWidth: 8,
+        cellHeight: 8,
+        colorsPerCell: 2,
+        subPalettes: 0,
+        sharedColors: 0
+    },
+    {
+        id: 'c64-multicolor',
+        name: 'Commodore 64 multicolor bitmap',
+        description: '160×200 double-wide pixels, 4×8 cells with 3 colors each plus the shared background color',
+        palette: 'c64',
+        cellWidth: 4,
+        cellHeight: 8,
+        colorsPerCell: 4,
+        subPalettes: 0,
+        sharedColors: 1
+    },
+    {
+        id: 'zx-spectrum',
+        name: 'ZX Spectrum',
+        description: '8×8 attribute cells with an ink and a paper color, both normal or both bright',
+        palette: 'zx-spectrum',
+        cellWidth: 8,
+        cellHeight: 8,
+        colorsPerCell: 2,
+        subPalettes: 0,
+        sharedColors: 0,
+        // Black is the same in both halves of the library palette, so it belongs to both groups
+        colorGroups: [[0, 1, 2, 3, 4, 5, 6, 7], [0, 8, 9, 10, 11, 12, 13, 14]]
+    }
+];
+
+const TARGETS_BY_ID = new Map(HARDWARE_TARGETS.map(target => [target.id, target]));
+
+/**
+ * Copy of a target description
+ */
+function describe(target) {
+    const copy = { ...target };
+    if (Array.isArray(target.palette)) copy.palette = target.palette.map(color => [...color]);
+    if (target.colorGroups) copy.colorGroups = target.colorGroups.map(group => [...group]);
+    return copy;
+}
+
+/**
+ * List the built-in hardware targets
+ * @returns {Array<Object>} Target descriptions: { id, name, description, palette, cellWidth, cellHeight,
+ *     colorsPerCell, subPalettes, sharedColors, colorBits?, colorGroups? }
+ */
+export function listHardwareTargets() {
+    return HARDWARE_TARGETS.map(describe);
+}
+
+/**
+ * Get a built-in hardware target
+ * @param {string} id - Target id (e.g. 'nes', 'zx-spectrum')
+ * @returns {Object|null} Target description, or null if the id is unknown
+ */
+export function getHardwareTarget(id) {
+    const target = TARGETS_BY_ID.get(String(id).toLowerCase());
+    if (!target) {
+        console.warn(`Unknown hardware target "${id}".`);
+        return null;
+    }
+    return describe(target);
+}
+
+/**
+ * Quantize an image under a target's per-cell color limits.
+ * Every pixel is first matched to the master palette. Shared colors are the most used ones,
+ * each cell then picks the colors that lower its error most, and with sub-palettes the cells
+ * are clustered into that many shared sets (k-means style: assign cells, re-pick each set's colors).
+ * Dithering only ever chooses among the colors of the pixel's own cell.
+ * @param {Uint8ClampedArray} pixelDataArray - Source image data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string|Object} target - Built-in target id, or a target object with the fields of listHardwareTargets()
+ * @param {Object} [options] - Quantization options
+ * @param {string} [options.dither='none'] - 'none', 'ordered' or 'error-diffusion'
+ * @param {number} [options.strengthPercent=100] - Dither strength (0-100)
+ * @param {string} [options.pattern='bayer'] - Threshold pattern for 'ordered', see applyOrderedDithering
+ * @param {number} [options.matrixSize] - Threshold pattern size for 'ordered'
+ * @param {string} [options.kernel='floyd-steinberg'] - Kernel name for 'error-diffusion'
+ * @param {boolean} [options.serpentine=false] - Alternate the scan direction for 'error-diffusion'
+ * @param {string} [options.metric='rgb'] - Color distance metric ('rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb')
+ * @param {Array<Array<number>>} [options.palette] - Master palette instead of the target's
+ * @param {number} [options.masterColors=64] - Size of the generated master palette for targets without one
+ * @param {number} [options.iterations=8] - Sub-palette clustering passes
+ * @param {string} [options.alphaMode='preserve'] - Alpha handling, see applyAlphaMode; transparent pixels get their own slot
+ * @returns {Object|null} Indexed image { indices, palette, width, height, transparentIndex } into the master palette, plus
+ *     cellWidth, cellHeight, sharedColors (palette indices), subPalettes (arrays of palette indices) and
+ *     cells ({ x, y, colors, subPalette } in row-major order, subPalette -1 without sub-palettes); null for an invalid target
+ */
+export function quantizeForHardware(pixelDataArray, width, height, target, options = {}) {
+    const { metric = 'rgb', masterColors = 64, iterations = 8 } = options;
+    let { dither = 'none' } = options;
+
+    const spec = resolveTarget(target);
+    if (!spec) return null;
+    if (!HARDWARE_DITHER_MODES.includes(dither)) {
+        console.warn(`Unknown hardware dither mode "${dither}". Using "none".`);
+        dither = 'none';
+    }
+
+    const source = applyAlphaMode(pixelDataArray, width, height, options);
+    const palette = resolveMasterPalette(spec, source, options.palette, masterColors);
+    if (!palette) return null;
+    const space = createColorSpace(palette, metric);
+    const cells = collectCells(source, width, height, spec, space);
+
+    // Shared colors: the master colors that most pixels are closest to
+    const usage = new Float64Array(palette.length);
+    cells.forEach(cell => cell.colors.forEach(entry => { usage[entry.nearest] += entry.count; }));
+    const shared = palette.map((_, index) => index)
+        .sort((a, b) => usage[b] - usage[a] || a - b)
+        .slice(0, spec.sharedColors);
+    const budget = spec.colorsPerCell - shared.length;
+
+    let subPalettes = [];
+    if (spec.subPalettes > 0) {
+        subPalettes = clusterSubPalettes(cells, shared, budget, spec, space, iterations);
+    } else {
+        cells.forEach(cell => { cell.own = chooseCellColors([cell], shared, budget, spec, space); });
+    }
+
+    const indexedTarget = createIndexedTarget(palette, width * height);
+    if (!indexedTarget) return null;
+    const hasTransparency = renderCells(source, width, height, spec, cells, shared, space, indexedTarget, { ...options, dither });
+
+    return {
+        ...finishIndexedImage(indexedTarget, palette, width, height, hasTransparency),
+        cellWidth: spec.cellWidth,
+        cellHeight: spec.cellHeight,
+        sharedColors: shared,
+        subPalettes: subPalettes.map(colors => [...colors]),
+        cells: cells.map(cell => ({
+            x: cell.x,
+            y: cell.y,
+            colors: uniqueColors(shared, cell.own),
+            subPalette: cell.subPalette
+        }))
+    };
+}
+
+/**
+ * Check an image against a target's rules.
+ * Colors must match the master palette exactly (or be representable with colorBits), cells must
+ * not exceed their color count or mix color groups, and with sub-palettes all cells must fit into
+ * that many shared sets. The shared colors are guessed from the colors found in the most cells.
+ * @param {Uint8ClampedArray} pixelDataArray - Image data; pixels with alpha 0 are ignored
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string|Object} target - Built-in target id or target object
+ * @param {Object} [options] - Validation options
+ * @param {Array<Array<number>>} [options.palette] - Master palette instead of the target's
+ * @returns {Object|null} { valid, violations, offPalettePixels, sharedColors, subPalettes }: violations lists
+ *     { x, y, column, row, reason, colors } per failing cell with reason 'off-palette', 'too-many-colors' or
+ *     'mixed-groups'; subPalettes is { allowed, used } (used is the smallest packing found) or null; null for an invalid target
+ */
+export function validateHardwareConstraints(pixelDataArray, width, height, target, options = {}) {
+    const spec = resolveTarget(target);
+    if (!spec) return null;
+
+    const palette = options.palette || (typeof spec.palette === 'string' ? getPalette(spec.palette) : spec.palette);
+    const allowedKeys = palette ? new Map(palette.map((color, index) => [colorKey(color), index])) : null;
+    const levels = (1 << (spec.colorBits || 8)) - 1;
+    const representable = value => Math.round(Math.round(value * levels / 255) * 255 / levels) === value;
+
+    const columns = Math.ceil(width / spec.cellWidth);
+    const rows = Math.ceil(height / spec.cellHeight);
+    const cellColors = [];
+    const offPaletteCells = new Set();
+    let offPalettePixels = 0;
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const colors = new Set();
+            const x0 = column * spec.cellWidth;
+            const y0 = row * spec.cellHeight;
+            for (let y = y0; y < Math.min(height, y0 + spec.cellHeight); y++) {
+                for (let x = x0; x < Math.min(width, x0 + spec.cellWidth); x++) {
+                    const i = (y * width + x) * 4;
+                    if (pixelDataArray[i + 3] === 0) continue;
+                    const key = colorKey([pixelDataArray[i], pixelDataArray[i + 1], pixelDataArray[i + 2]]);
+                    const allowed = allowedKeys
+                        ? allowedKeys.has(key)
+                        : representable(pixelDataArray[i]) && representable(pixelDataArray[i + 1]) && representable(pixelDataArray[i + 2]);
+                    if (!allowed) {
+                        offPalettePixels++;
+                        offPaletteCells.add(cellColors.length);
+                    }
+                    colors.add(key);
+                }
+            }
+            cellColors.push({ x: x0, y: y0, column, row, colors });
+        }
+    }
+
+    // Try the most widespread colors as the shared ones and keep the reading with the fewest problems
+    const spread = new Map();
+    cellColors.forEach(cell => cell.colors.forEach(key => spread.set(key, (spread.get(key) || 0) + 1)));
+    const widespread = [...spread.keys()].sort((a, b) => spread.get(b) - spread.get(a) || a - b);
+    const sharedCandidates = combinations(widespread.slice(0, spec.sharedColors + 4), Math.min(spec.sharedColors, widespread.length));
+
+    let best = null;
+    for (const shared of sharedCandidates) {
+        const result = checkCells(cellColors, shared, spec, palette, offPaletteCells);
+        if (!best || result.violations.length < best.violations.length
+            || (result.violations.length === best.violations.length && result.overflow < best.overflow)) {
+            best = result;
+        }
+    }
+
+    const subPaletteReport = best.subPalettes ? { allowed: spec.subPalettes, used: best.subPalettes.used } : null;
+    return {
+        valid: best.violations.length === 0 && offPalettePixels === 0 && best.overflow === 0,
+        violations: best.violations,
+        offPalettePixels,
+        sharedColors: best.shared.map(keyColor),
+        subPalettes: subPaletteReport
+    };
+}
+
+/**
+ * Check every cell for one choice of shared colors
+ */
+function checkCells(cellColors, shared, spec, palette, offPaletteCells) {
+    const budget = spec.colorsPerCell - shared.length;
+    const groups = spec.colorGroups && palette
+        ? spec.colorGroups.map(group => new Set(group.filter(index => index < palette.length).map(index => colorKey(palette[index]))))
+        : null;
+    const violations = [];
+    const ownSets = [];
+
+    cellColors.forEach((cell, index) => {
+        const own = [...cell.colors].filter(key => !shared.includes(key));
+        const report = reason => violations.push({ x: cell.x, y: cell.y, column: cell.column, row: cell.row, reason, colors: cell.colors.size });
+        if (offPaletteCells.has(index)) report('off-palette');
+        else if (own.length > budget) report('too-many-colors');
+        else if (groups && !groups.some(group => [...cell.colors].every(key => group.has(key)))) report('mixed-groups');
+        if (own.length > 0 && own.length <= budget) ownSets.push(own);
+    });
+
+    if (!(spec.subPalettes > 0)) return { violations, overflow: 0, shared, subPalettes: null };
+    const used = packSubPalettes(ownSets, budget, spec.subPalettes);
+    return { violations, overflow: Math.max(0, used - spec.subPalettes), shared, subPalettes: { used } };
+}
+
+/**
+ * Smallest number of sub-palettes with at most `budget` colors found to hold all sets.
+ * First-fit gives an upper bound; if that exceeds the limit, a bounded exact search tries to fit the limit.
+ */
+function packSubPalettes(sets, budget, limit) {
+    // Sets contained in a larger set never need a sub-palette of their own
+    const keys = new Map(sets.map(set => [[...set].sort((a, b) => a - b).join(','), set]));
+    const distinct = [...keys.values()].sort((p, q) => q.length - p.length);
+    const maximal = distinct.filter((set, index) => !distinct.some((other, j) => j !== index
+        && other.length > set.length && set.every(key => other.includes(key))));
+
+    const greedy = [];
+    for (const set of maximal) {
+        let bestBin = null;
+        let bestOverlap = -1;
+        for (const bin of greedy) {
+            const missing = set.filter(key => !bin.has(key));
+            if (bin.size + missing.length <= budget && set.length - missing.length > bestOverlap) {
+                bestBin = bin;
+                bestOverlap = set.length - missing.length;
+            }
+        }
+        if (bestBin) set.forEach(key => bestBin.add(key));
+        else greedy.push(new Set(set));
+    }
+    if (greedy.length <= limit) return greedy.length;
+
+    let steps = 0;
+    const bins = [];
+    const place = index => {
+        if (index === maximal.length) return true;
+        if (++steps > MAX_PACKING_STEPS) return false;
+        const set = maximal[index];
+        for (const bin of bins) {
+            const missing = set.filter(key => !bin.has(key));
+            if (bin.size + missing.length > budget) continue;
+            missing.forEach(key => bin.add(key));
+            if (place(index + 1)) return true;
+            missing.forEach(key => bin.delete(key));
+        }
+        if (bins.length < limit) {
+            bins.push(new Set(set));
+            if (place(index + 1)) return true;
+            bins.pop();
+        }
+        return false;
+    };
+    return place(0) ? bins.length : greedy.length;
+}
+
+/**
+ * Look up and check a target
+ */
+function resolveTarget(target) {
+    const spec = typeof target === 'string' ? getHardwareTarget(target) : target;
+    if (!spec) return null;
+
+    const positive = value => Number.isInteger(value) && value > 0;
+    const sharedColors = spec.sharedColors || 0;
+    if (!positive(spec.cellWidth) || !positive(spec.cellHeight) || !positive(spec.colorsPerCell)
+        || !(sharedColors >= 0 && sharedColors < spec.colorsPerCell)) {
+        console.warn("Hardware target needs whole cellWidth, cellHeight and colorsPerCell, and fewer sharedColors than colorsPerCell.");
+        return null;
+    }
+    return { ...spec, sharedColors, subPalettes: spec.subPalettes || 0 };
+}
+
+/**
+ * The target's master palette, or a generated one snapped to its color depth
+ */
+function resolveMasterPalette(spec, source, override, masterColors) {
+    let palette = override || spec.palette;
+    if (typeof palette === 'string') palette = getPalette(palette);
+    if (Array.isArray(palette)) {
+        palette = palette.filter(color => !isTransparent(color)).map(([r, g, b]) => [r, g, b]);
+        if (palette.length === 0 || palette.length > 255) {
+            console.warn("Hardware master palette must have 1 to 255 colors.");
+            return null;
+        }
+        return palette;
+    }
+
+    const levels = (1 << (spec.colorBits || 8)) - 1;
+    const snap = value => Math.round(Math.round(value * levels / 255) * 255 / levels);
+    const generated = generatePalette(source, Math.max(spec.colorsPerCell, Math.min(255, masterColors)), { alphaThreshold: 1 });
+    const snapped = new Map();
+    generated.forEach(([r, g, b]) => {
+        const color = [snap(r), snap(g), snap(b)];
+        snapped.set(colorKey(color), color);
+    });
+    return snapped.size > 0 ? [...snapped.values()] : [[0, 0, 0]];
+}
+
+/**
+ * Metric helpers bound to the master palette
+ */
+function createColorSpace(palette, metric) {
+    const { convert, distance } = getColorMetric(metric);
+    const vectors = palette.map(([r, g, b]) => convert(r, g, b));
+    return {
+        palette,
+        convert,
+        distanceTo: (vector, index) => distance(vector, vectors[index]),
+        nearest(vector, indices) {
+            let bestIndex = indices[0];
+            let bestDistance = Infinity;
+            for (const index of indices) {
+                const d = distance(vector, vectors[index]);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    bestIndex = index;
+                }
+            }
+            return bestIndex;
+        }
+    };
+}
+
+/**
+ * Split the image into cells with their distinct opaque colors, pixel counts and nearest master colors
+ */
+function collectCells(source, width, height, spec, space) {
+    const all = space.palette.map((_, index) => index);
+    const cells = [];
+    for (let y0 = 0; y0 < height; y0 += spec.cellHeight) {
+        for (let x0 = 0; x0 < width; x0 += spec.cellWidth) {
+            const counts = new Map();
+            for (let y = y0; y < Math.min(height, y0 + spec.cellHeight); y++) {
+                for (let x = x0; x < Math.min(width, x0 + spec.cellWidth); x++) {
+                    const i = (y * width + x) * 4;
+                    if (source[i + 3] === 0) continue;
+                    const key = colorKey([source[i], source[i + 1], source[i + 2]]);
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                }
+            }
+            const colors = [...counts.entries()].map(([key, count]) => {
+                const [r, g, b] = keyColor(key);
+                const vector = space.convert(r, g, b);
+                return { vector, count, nearest: space.nearest(vector, all) };
+            });
+            cells.push({ x: x0, y: y0, colors, own: [], subPalette: -1 });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Total error of a set of cells drawn with the given master colors
+ */
+function cellsError(cells, indices, space) {
+    if (indices.length === 0) return Infinity;
+    let total = 0;
+    for (const cell of cells) {
+        for (const entry of cell.colors) {
+            let best = Infinity;
+            for (const index of indices) best = Math.min(best, space.distanceTo(entry.vector, index));
+            total += best * entry.count;
+        }
+    }
+    return total;
+}
+
+/**
+ * Pick up to `budget` colors for a set of cells on top of the fixed ones, greedily by error reduction.
+ * Candidates are the colors the pixels are closest to, or a whole color group.
+ */
+function pickColors(cells, fixed, budget, allowed, space) {
+    const entries = [];
+    cells.forEach(cell => cell.colors.forEach(entry => entries.push(entry)));
+    const current = entries.map(entry => {
+        let best = Infinity;
+        for (const index of fixed) best = Math.min(best, space.distanceTo(entry.vector, index));
+        return best;
+    });
+
+    const candidates = allowed || [...new Set(entries.map(entry => entry.nearest))].sort((a, b) => a - b);
+    let error = entries.reduce((sum, entry, e) => sum + current[e] * entry.count, 0);
+    const chosen = [];
+    while (chosen.length < budget && error > 0) {
+        let bestIndex = -1;
+        let bestError = error;
+        for (const index of candidates) {
+            if (fixed.includes(index) || chosen.includes(index)) continue;
+            let total = 0;
+            for (let e = 0; e < entries.length && total < bestError; e++) {
+                total += Math.min(current[e], space.distanceTo(entries[e].vector, index)) * entries[e].count;
+            }
+            if (total < bestError) {
+                bestError = total;
+                bestIndex = index;
+            }
+        }
+        if (bestIndex === -1) break;
+        chosen.push(bestIndex);
+        entries.forEach((entry, e) => { current[e] = Math.min(current[e], space.distanceTo(entry.vector, bestIndex)); });
+        error = bestError;
+    }
+    return chosen;
+}
+
+/**
+ * Own colors for a set of cells, respecting color groups
+ */
+function chooseCellColors(cells, shared, budget, spec, space) {
+    if (cells.every(cell => cell.colors.length === 0)) return [];
+    if (!spec.colorGroups) return pickColors(cells, shared, budget, null, space);
+
+    let best = [];
+    let bestError = Infinity;
+    for (const group of spec.colorGroups) {
+        const allowed = group.filter(index => index < space.palette.length);
+        if (!shared.every(index => allowed.includes(index))) continue;
+        const colors = pickColors(cells, shared, budget, allowed, space);
+        const error = cellsError(cells, [...shared, ...colors], space);
+        if (error < bestError) {
+            bestError = error;
+            best = colors;
+        }
+    }
+    return best;
+}
+
+/**
+ * Cluster the cells into sub-palettes and assign each cell its best one
+ */
+function clusterSubPalettes(cells, shared, budget, spec, space, iterations) {
+    const palettes = [chooseCellColors(cells, shared, budget, spec, space)];
+    const errorWith = (cell, colors) => cellsError([cell], [...shared, ...colors], space);
+
+    // Seed further sub-palettes with the colors of the cells that are served worst so far
+    while (palettes.length < spec.subPalettes) {
+        let worst = -1;
+        let worstError = 0;
+        cells.forEach((cell, index) => {
+            if (cell.colors.length === 0) return;
+            const error = Math.min(...palettes.map(colors => errorWith(cell, colors)));
+            if (error > worstError) {
+                worstError = error;
+                worst = index;
+            }
+        });
+        if (worst === -1) break;
+        palettes.push(chooseCellColors([cells[worst]], shared, budget, spec, space));
+    }
+
+    const assign = () => {
+        let changed = false;
+        cells.forEach(cell => {
+            let bestPalette = 0;
+            let bestError = Infinity;
+            palettes.forEach((colors, k) => {
+                const error = errorWith(cell, colors);
+                if (error < bestError) {
+                    bestError = error;
+                    bestPalette = k;
+                }
+            });
+            if (bestPalette !== cell.subPalette) changed = true;
+            cell.subPalette = bestPalette;
+        });
+        return changed;
+    };
+
+    for (let pass = 0; pass < iterations; pass++) {
+        if (!assign() && pass > 0) break;
+        palettes.forEach((colors, k) => {
+            const members = cells.filter(cell => cell.subPalette === k);
+            if (members.length > 0) palettes[k] = chooseCellColors(members, shared, budget, spec, space);
+        });
+    }
+    assign();
+    cells.forEach(cell => { cell.own = palettes[cell.subPalette]; });
+    return palettes;
+}
+
+/**
+ * Map every pixel to a color of its cell, with optional dithering
+ * @returns {boolean} Whether any pixel was written as transparent
+ */
+function renderCells(source, width, height, spec, cells, shared, space, target, options) {
+    const { dither, strengthPercent = 100, pattern = 'bayer', matrixSize, kernel = 'floyd-steinberg', serpentine = false } = options;
+    const strengthFactor = Math.max(0, Math.min(100, strengthPercent)) / 100;
+    const columns = Math.ceil(width / spec.cellWidth);
+    const cellAt = (x, y) => Math.floor(y / spec.cellHeight) * columns + Math.floor(x / spec.cellWidth);
+    const cellColors = cells.map(cell => uniqueColors(shared, cell.own));
+    let hasTransparency = false;
+
+    let thresholds = null;
+    let amplitudes = null;
+    if (dither === 'ordered') {
+        thresholds = normalizeThresholdMatrix(createThresholdMatrix(pattern, matrixSize) || createThresholdMatrix('bayer', matrixSize));
+        amplitudes = cellColors.map(colors => estimatePaletteSpread(colors.map(index => space.palette[index])) * strengthFactor);
+    }
+    let diffusion = null;
+    if (dither === 'error-diffusion') {
+        diffusion = ERROR_DIFFUSION_KERNELS[kernel];
+        if (!diffusion) {
+            console.warn(`Unknown error diffusion kernel "${kernel}". Using Floyd-Steinberg.`);
+            diffusion = ERROR_DIFFUSION_KERNELS['floyd-steinberg'];
+        }
+    }
+    const d = diffusion ? new Float32Array(source) : null;
+
+    for (let y = 0; y < height; y++) {
+        const reverse = diffusion && serpentine && y % 2 === 1;
+        const direction = reverse ? -1 : 1;
+        for (let step = 0; step < width; step++) {
+            const x = reverse ? width - 1 - step : step;
+            const p = y * width + x;
+            const i = p * 4;
+            if (source[i + 3] === 0) {
+                target.indices[p] = target.transparentIndex;
+                hasTransparency = true;
+                continue;
+            }
+
+            const cell = cellAt(x, y);
+            let r = source[i];
+            let g = source[i + 1];
+            let b = source[i + 2];
+            if (thresholds) {
+                const adjustment = (thresholds.thresholds[(y % thresholds.height) * thresholds.width + x % thresholds.width] - 0.5) * amplitudes[cell];
+                r = Math.max(0, Math.min(255, r + adjustment));
+                g = Math.max(0, Math.min(255, g + adjustment));
+                b = Math.max(0, Math.min(255, b + adjustment));
+            } else if (d) {
+                r = Math.max(0, Math.min(255, d[i]));
+                g = Math.max(0, Math.min(255, d[i + 1]));
+                b = Math.max(0, Math.min(255, d[i + 2]));
+            }
+
+            const index = space.nearest(space.convert(r, g, b), cellColors[cell]);
+            target.indices[p] = index;
+            if (!d) continue;
+
+            const chosen = space.palette[index];
+            const errorScale = strengthFactor * source[i + 3] / 255;
+            const errR = (r - chosen[0]) * errorScale;
+            const errG = (g - chosen[1]) * errorScale;
+            const errB = (b - chosen[2]) * errorScale;
+            for (const [dx, dy, weight] of diffusion.offsets) {
+                const nx = x + dx * direction;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                const ni = (ny * width + nx) * 4;
+                if (d[ni + 3] === 0) continue;
+                d[ni] += errR * weight / diffusion.divisor;
+                d[ni + 1] += errG * weight / diffusion.divisor;
+                d[ni + 2] += errB * weight / diffusion.divisor;
+            }
+        }
+    }
+    return hasTransparency;
+}
+
+/**
+ * Shared and own colors of a cell without repeats; a cell without pixels still gets one color
+ */
+function uniqueColors(shared, own) {
+    const colors = [...new Set([...shared, ...own])];
+    return colors.length > 0 ? colors : [0];
+}
+
+/**
+ * All subsets of `size` items, in order
+ */
+function combinations(items, size) {
+    if (size === 0) return [[]];
+    const result = [];
+    items.forEach((item, index) => {
+        combinations(items.slice(index + 1), size - 1).forEach(rest => result.push([item, ...rest]));
+    });
+    return result;
+}
+
+const colorKey = ([r, g, b]) => (r << 16) | (g << 8) | b;
+const keyColor = key => [(key >> 16) & 255, (key >> 8) & 255, key & 255];
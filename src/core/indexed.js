@@ -0,0 +1,122 @@
+/**
+ * Indexed Images
+ * Palette index maps shared by the mapping and dithering functions
+ */
+
+import { findTransparentIndex } from '../utils/paletteIndex.js';
+
+/**
+ * Largest palette an indexed image can reference with Uint8Array indices
+ */
+const MAX_INDEXED_COLORS = 256;
+
+/**
+ * Allocate the index buffer for an indexed result.
+ * Transparent pixels use the palette's reserved slot; without one, a slot is
+ * appended after the last entry when the image turns out to need it.
+ * @param {Array<Array<number>>} palette - Target palette
+ * @param {number} pixelCount - Number of pixels
+ * @returns {{indices: Uint8Array, transparentIndex: number}|null} Target, or null if the palette is too large
+ */
+export function createIndexedTarget(palette, pixelCount) {
+    if (palette.length > MAX_INDEXED_COLORS) {
+        console.warn(`Indexed output supports at most ${MAX_INDEXED_COLORS} palette entries, got ${palette.length}.`);
+        return null;
+    }
+    let transparentIndex = findTransparentIndex(palette);
+    if (transparentIndex === -1) {
+        transparentIndex = palette.length < MAX_INDEXED_COLORS ? palette.length : 0;
+    }
+    return { indices: new Uint8Array(pixelCount), transparentIndex };
+}
+
+/**
+ * Wrap a filled index buffer as an indexed image
+ * @param {{indices: Uint8Array, transparentIndex: number}} target - Target from createIndexedTarget
+ * @param {Array<Array<number>>} palette - Target palette
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {boolean} hasTransparency - Whether any pixel was written as transparent
+ * @returns {{indices: Uint8Array, palette: Array<Array<number>>, width: number, height: number, transparentIndex: number}} Indexed image
+ */
+export function finishIndexedImage(target, palette, width, height, hasTransparency) {
+    const { indices } = target;
+    let { transparentIndex } = target;
+    const outputPalette = palette.map(color => (Array.isArray(color) ? color.slice() : color));
+
+    if (transparentIndex === palette.length) {
+        if (hasTransparency) {
+            outputPalette.push([0, 0, 0, 0]);
+        } else {
+            transparentIndex = -1;
+        }
+    } else if (findTransparentIndex(palette) === -1) {
+        if (hasTransparency) console.warn("Palette is full; transparent pixels were mapped to index 0.");
+        transparentIndex = -1;
+    }
+    return { indices, palette: outputPalette, width, height, transparentIndex };
+}
+
+/**
+ * Render an indexed image back to RGBA.
+ * Entries with a fourth component use it as alpha, all others are opaque.
+ * @param {Object} indexedImage - Indexed image
+ * @param {Uint8Array} indexedImage.indices - One palette index per pixel
+ * @param {Array<Array<number>>} indexedImage.palette - Palette colors
+ * @returns {Uint8ClampedArray} RGBA image data
+ */
+export function indexedToRgba({ indices, palette }) {
+    const output = new Uint8ClampedArray(indices.length * 4);
+    for (let p = 0; p < indices.length; p++) {
+        const color = palette[indices[p]];
+        if (!color) continue;
+        const i = p * 4;
+        const alpha = color.length > 3 ? color[3] : 255;
+        if (alpha === 0) continue;
+        output[i] = color[0];
+        output[i + 1] = color[1];
+        output[i + 2] = color[2];
+        output[i + 3] = alpha;
+    }
+    return output;
+}
+
+/**
+ * Convert RGBA data that already uses few colors into an indexed image, without matching.
+ * Colors are numbered in order of first appearance; all fully transparent pixels share one entry.
+ * @param {Uint8ClampedArray} pixelDataArray - Flat RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{indices: Uint8Array, palette: Array<Array<number>>, width: number, height: number, transparentIndex: number}|null}
+ *     Indexed image, or null if the image has more than 256 distinct colors
+ */
+export function rgbaToIndexed(pixelDataArray, width, height) {
+    const pixelCount = pixelDataArray.length / 4;
+    const indices = new Uint8Array(pixelCount);
+    const palette = [];
+    const lookup = new Map();
+    let transparentIndex = -1;
+
+    for (let p = 0; p < pixelCount; p++) {
+        const i = p * 4;
+        const a = pixelDataArray[i + 3];
+        // Alpha 0 means "no color", whatever the RGB channels hold
+        const key = a === 0 ? -1 : (pixelDataArray[i] * 0x1000000) + (pixelDataArray[i + 1] << 16) + (pixelDataArray[i + 2] << 8) + a;
+        let index = lookup.get(key);
+        if (index === undefined) {
+            if (palette.length === MAX_INDEXED_COLORS) return null;
+            index = palette.length;
+            if (a === 0) {
+                palette.push([0, 0, 0, 0]);
+                transparentIndex = index;
+            } else {
+                palette.push(a === 255
+                    ? [pixelDataArray[i], pixelDataArray[i + 1], pixelDataArray[i + 2]]
+                    : [pixelDataArray[i], pixelDataArray[i + 1], pixelDataArray[i + 2], a]);
+            }
+            lookup.set(key, index);
+        }
+        indices[p] = index;
+    }
+    return { indices, palette, width, height, transparentIndex };
+}
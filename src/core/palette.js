@@ -1,23 +1,115 @@
 /**
- * Color Palette Generation using Median Cut Algorithm
+ * Color Palette Generation
+ * Median cut, octree, Wu and NeuQuant quantizers with optional k-means refinement
  */
 
-import { findClosestPaletteColor } from '../utils/helpers.js';
+import { createPaletteIndex } from '../utils/paletteIndex.js';
+import { applyAlphaMode } from './alpha.js';
+import { createIndexedTarget, finishIndexedImage } from './indexed.js';
+import { quantizeMedianCut } from '../quantization/medianCut.js';
+import { quantizeOctree } from '../quantization/octree.js';
+import { quantizeWu } from '../quantization/wu.js';
+import { quantizeNeuQuant } from '../quantization/neuQuant.js';
+import { refineKMeans } from '../quantization/kMeans.js';
+import { computeImportanceMap } from '../analysis/importance.js';
 
 /**
- * Generate a color palette from image data using median cut algorithm
+ * Default number of pixels sampled for palette generation
+ */
+const MAX_PIXELS_FOR_PALETTE_GENERATION = 65536;
+
+/**
+ * Default minimum alpha of pixels used for palettes and population counts.
+ * Palette generation has always used alpha above 128, so exactly 128 is still left out.
+ */
+const DEFAULT_PALETTE_ALPHA_THRESHOLD = 129;
+
+/**
+ * With per-pixel weights, up to this many samples are drawn per pixel (within maxSamples),
+ * so that weight differences survive sampling on small images
+ */
+const WEIGHTED_OVERSAMPLING = 4;
+
+/**
+ * RGB distance within which a pixel counts as covered by a locked color.
+ * Covered pixels are left out when the free colors are chosen, so they go to the rest of the image.
+ */
+const LOCKED_COLOR_RADIUS = 20;
+
+/**
+ * Available quantizers. 'kmeans' seeds from median cut and refines.
+ */
+const QUANTIZERS = {
+    'median-cut': (pixels, numColors) => quantizeMedianCut(pixels, numColors),
+    'octree': (pixels, numColors) => quantizeOctree(pixels, numColors),
+    'wu': (pixels, numColors) => quantizeWu(pixels, numColors),
+    'neuquant': (pixels, numColors, options) => quantizeNeuQuant(pixels, numColors, options.sampleFactor),
+    'kmeans': (pixels, numColors) => quantizeMedianCut(pixels, numColors)
+};
+
+/**
+ * Generate a color palette from image data
  * @param {Uint8ClampedArray} pixelDataArray - Flat RGBA pixel data
- * @param {number} numColors - Number of colors to generate (1-256)
- * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @param {number} numColors - Maximum number of colors to generate (1-256)
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.method='median-cut'] - 'median-cut', 'octree', 'wu', 'neuquant' or 'kmeans'
+ * @param {number} [options.refineIterations] - k-means refinement passes after quantization
+ *     (default 10 for 'kmeans' or when colors are locked, otherwise 0; at least 1 with options.linear)
+ * @param {number} [options.maxSamples=65536] - Maximum number of pixels sampled from large images
+ * @param {number} [options.sampleFactor=10] - NeuQuant learning sample factor (1 = best, 30 = fastest)
+ * @param {number} [options.alphaThreshold=129] - Pixels with lower alpha are ignored (by default, alpha 128 and below)
+ * @param {string} [options.alphaMode] - 'matte' blends semi-transparent pixels onto options.matte and samples every pixel
+ * @param {Array<number>} [options.matte=[0, 0, 0]] - Background color for 'matte' mode
+ * @param {boolean} [options.reserveTransparent=false] - Put a transparent slot [0, 0, 0, 0] at index 0 (counts towards numColors)
+ * @param {boolean} [options.linear=false] - Average colors in linear light: the quantizer's colors are
+ *     re-averaged over their pixels in linear light, and matte blending happens in linear light
+ * @param {Array<Array<number>>} [options.lockedColors] - Colors that are kept as they are (count towards numColors);
+ *     the remaining colors are generated for the pixels the locked colors do not already cover, and placed after them
+ * @param {ArrayLike<number>} [options.weights] - Importance of every pixel (one value per pixel, 0 or more);
+ *     pixels are sampled in proportion to their weight
+ * @param {string} [options.importance] - Automatic weighting, 'saliency' or 'edges' (see computeImportanceMap); needs options.width
+ * @param {number} [options.importanceStrength=4] - The most important pixels weigh 1 + importanceStrength times as much
+ * @param {ArrayLike<number>} [options.exclude] - Mask with one value per pixel; pixels with a non-zero value are ignored
+ * @param {number} [options.width] - Image width, required by options.importance
+ * @param {boolean} [options.withCounts=false] - Return { color, count, share } entries: count is the number of pixels
+ *     closest to the color (excluded pixels are not counted) and share their fraction of all counted pixels
+ * @returns {Array<Array<number>>|Array<Object>} Array of unique [r, g, b] colors (may be shorter than numColors), after the
+ *     transparent slot if reserved; { color, count, share } entries when options.withCounts is set
  */
-export function generatePalette(pixelDataArray, numColors) {
+export function generatePalette(pixelDataArray, numColors, options = {}) {
+    const lockedColors = (options.lockedColors || []).map(([r, g, b]) => [r, g, b]);
+    const {
+        method = 'median-cut',
+        refineIterations = method === 'kmeans' || lockedColors.length > 0 ? 10 : 0,
+        maxSamples = MAX_PIXELS_FOR_PALETTE_GENERATION,
+        alphaThreshold = DEFAULT_PALETTE_ALPHA_THRESHOLD,
+        alphaMode,
+        reserveTransparent = false,
+        linear = false,
+        withCounts = false
+    } = options;
     numColors = Math.max(1, Math.min(256, Math.floor(numColors)));
 
+    if (reserveTransparent) {
+        const colors = numColors > 1
+            ? generatePalette(pixelDataArray, numColors - 1, { ...options, reserveTransparent: false, withCounts: false })
+            : [];
+        const palette = [[0, 0, 0, 0], ...colors];
+        return withCounts ? countPopulation(pixelDataArray, palette, options) : palette;
+    }
+
+    const source = alphaMode === 'matte'
+        ? applyAlphaMode(pixelDataArray, pixelDataArray.length / 4, 1, options)
+        : pixelDataArray;
+
+    const weights = resolvePixelWeights(pixelDataArray, options);
     const allPixels = [];
-    for (let i = 0; i < pixelDataArray.length; i += 4) {
+    const allWeights = [];
+    for (let i = 0, p = 0; i < source.length; i += 4, p++) {
         // Consider only opaque pixels for palette generation
-        if (pixelDataArray[i + 3] > 128) {
-            allPixels.push([pixelDataArray[i], pixelDataArray[i + 1], pixelDataArray[i + 2]]);
+        if (source[i + 3] >= alphaThreshold && (!weights || weights[p] > 0)) {
+            allPixels.push([source[i], source[i + 1], source[i + 2]]);
+            if (weights) allWeights.push(weights[p]);
         }
     }
 
@@ -29,123 +121,188 @@ export function generatePalette(pixelDataArray, numColors) {
             const shade = Math.floor(i * (255 / (numColors - 1 || 1)));
             fallbackPalette.push([shade, shade, shade]);
         }
-        return fallbackPalette;
+        const palette = [...lockedColors, ...fallbackPalette].slice(0, numColors);
+        return withCounts ? countPopulation(pixelDataArray, palette, options) : palette;
+    }
+    if (lockedColors.length >= numColors) {
+        const palette = lockedColors.slice(0, numColors);
+        return withCounts ? countPopulation(pixelDataArray, palette, options) : palette;
     }
 
     // Optimization: Use a subset of pixels if the image is very large
-    const MAX_PIXELS_FOR_PALETTE_GENERATION = 65536;
+    const sampleLimit = Math.max(1, Math.floor(maxSamples));
     let pixelsToProcess;
 
-    if (allPixels.length > MAX_PIXELS_FOR_PALETTE_GENERATION) {
+    if (allWeights.some(weight => weight !== allWeights[0])) {
+        pixelsToProcess = sampleWeighted(allPixels, allWeights, Math.min(sampleLimit, allPixels.length * WEIGHTED_OVERSAMPLING));
+    } else if (allPixels.length > sampleLimit) {
         pixelsToProcess = [];
-        const step = Math.max(1, Math.floor(allPixels.length / MAX_PIXELS_FOR_PALETTE_GENERATION));
+        const step = Math.max(1, Math.floor(allPixels.length / sampleLimit));
         for (let i = 0; i < allPixels.length; i += step) {
             pixelsToProcess.push(allPixels[i]);
-            if (pixelsToProcess.length >= MAX_PIXELS_FOR_PALETTE_GENERATION) break;
+            if (pixelsToProcess.length >= sampleLimit) break;
         }
     } else {
         pixelsToProcess = allPixels;
     }
 
-    if (pixelsToProcess.length === 0) {
-        console.warn("Pixel sampling resulted in empty set. Using first pixel.");
-        pixelsToProcess = [allPixels[0]];
+    let quantize = QUANTIZERS[method];
+    if (!quantize) {
+        console.warn(`Unknown palette method "${method}". Falling back to "median-cut".`);
+        quantize = QUANTIZERS['median-cut'];
     }
 
-    // --- Median Cut Algorithm ---
-    let initialBucket = [...pixelsToProcess];
-    let buckets = [initialBucket];
-
-    // Split buckets until we have numColors or no more useful splits
-    while (buckets.length < numColors && buckets.some(b => b && b.length > 1)) {
-        let bestBucketIndex = -1;
-        let maxRange = -1;
-        let splitDimension = -1; // 0=R, 1=G, 2=B
+    // Free colors are quantized from the pixels the locked colors do not cover yet. Locked colors
+    // also seed the refinement but never move, so the free colors settle around them.
+    let uncovered = pixelsToProcess;
+    if (lockedColors.length > 0) {
+        const lockedIndex = createPaletteIndex(lockedColors);
+        uncovered = pixelsToProcess.filter(([r, g, b]) => {
+            const [lr, lg, lb] = lockedIndex.findClosest(r, g, b);
+            return (r - lr) ** 2 + (g - lg) ** 2 + (b - lb) ** 2 > LOCKED_COLOR_RADIUS ** 2;
+        });
+    }
+    const freeColors = uncovered.length > 0 ? quantize([...uncovered], numColors - lockedColors.length, options) : [];
+    let generatedPalette = [...lockedColors, ...freeColors];
+    // Quantizers average in sRGB, which darkens mixed colors; one linear k-means pass re-averages them
+    const iterations = linear ? Math.max(1, refineIterations) : refineIterations;
+    if (iterations > 0) {
+        generatedPalette = refineKMeans(pixelsToProcess, generatedPalette, iterations, { fixedCount: lockedColors.length, linear });
+    }
 
-        // Find the bucket with the largest range in one color dimension
-        for (let i = 0; i < buckets.length; i++) {
-            if (!buckets[i] || buckets[i].length <= 1) continue;
+    // Drop duplicate colors instead of padding the palette
+    const seen = new Set();
+    const palette = generatedPalette.filter(([r, g, b]) => {
+        const key = (r << 16) | (g << 8) | b;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).slice(0, numColors);
+    return withCounts ? countPopulation(pixelDataArray, palette, options) : palette;
+}
 
-            let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
-            buckets[i].forEach(p => {
-                minR = Math.min(minR, p[0]); maxR = Math.max(maxR, p[0]);
-                minG = Math.min(minG, p[1]); maxG = Math.max(maxG, p[1]);
-                minB = Math.min(minB, p[2]); maxB = Math.max(maxB, p[2]);
-            });
-            const dR = maxR - minR;
-            const dG = maxG - minG;
-            const dB = maxB - minB;
+/**
+ * Combine explicit weights, automatic importance and the exclusion mask into one weight per pixel
+ * @returns {Float32Array|null} Weights (0 = ignored), or null when no weighting option is set
+ */
+function resolvePixelWeights(pixelDataArray, options) {
+    const { weights, importance, importanceStrength = 4, exclude, width } = options;
+    if (!weights && !importance && !exclude) return null;
 
-            if (dR > maxRange) { maxRange = dR; bestBucketIndex = i; splitDimension = 0; }
-            if (dG > maxRange) { maxRange = dG; bestBucketIndex = i; splitDimension = 1; }
-            if (dB > maxRange) { maxRange = dB; bestBucketIndex = i; splitDimension = 2; }
+    const pixelCount = pixelDataArray.length / 4;
+    const result = new Float32Array(pixelCount).fill(1);
+    if (weights) {
+        if (weights.length !== pixelCount) {
+            console.warn(`Palette weights need one value per pixel (${pixelCount}), got ${weights.length}. Ignoring them.`);
+        } else {
+            for (let p = 0; p < pixelCount; p++) result[p] = Math.max(0, Number(weights[p]) || 0);
         }
-
-        // If no bucket can be split further
-        if (bestBucketIndex === -1 || maxRange === 0) {
-            break;
+    }
+    if (importance) {
+        if (!(width > 0)) {
+            console.warn("Importance weighting needs options.width. Ignoring it.");
+        } else {
+            const map = computeImportanceMap(pixelDataArray, width, Math.ceil(pixelCount / width), { method: importance });
+            for (let p = 0; p < pixelCount; p++) result[p] *= 1 + Math.max(0, importanceStrength) * map[p];
         }
-
-        // Sort the chosen bucket along the widest dimension
-        const bucketToSplit = buckets[bestBucketIndex];
-        bucketToSplit.sort((a, b) => a[splitDimension] - b[splitDimension]);
-
-        // Find the median index and split the bucket
-        const medianIndex = Math.floor(bucketToSplit.length / 2);
-        const newBucket1 = bucketToSplit.slice(0, medianIndex);
-        const newBucket2 = bucketToSplit.slice(medianIndex);
-
-        // Replace the original bucket with the two new buckets
-        buckets.splice(bestBucketIndex, 1, newBucket1, newBucket2);
-        buckets = buckets.filter(bucket => bucket && bucket.length > 0);
-    }
-    // --- End Median Cut ---
-
-    // Create the palette by averaging colors in each final bucket
-    const generatedPalette = buckets.map(bucket => {
-        if (!bucket || bucket.length === 0) return [0, 0, 0];
-        let r = 0, g = 0, b = 0;
-        bucket.forEach(pixel => {
-            r += pixel[0];
-            g += pixel[1];
-            b += pixel[2];
-        });
-        return [
-            Math.round(r / bucket.length),
-            Math.round(g / bucket.length),
-            Math.round(b / bucket.length)
-        ];
-    });
-
-    // Ensure the palette has exactly numColors
-    while (generatedPalette.length < numColors && generatedPalette.length > 0) {
-        generatedPalette.push([...generatedPalette[generatedPalette.length - 1]]);
     }
-    if (generatedPalette.length > numColors) {
-        generatedPalette.splice(numColors);
+    if (exclude) {
+        if (exclude.length !== pixelCount) {
+            console.warn(`Exclusion mask needs one value per pixel (${pixelCount}), got ${exclude.length}. Ignoring it.`);
+        } else {
+            for (let p = 0; p < pixelCount; p++) if (exclude[p]) result[p] = 0;
+        }
     }
-    while (generatedPalette.length < numColors) {
-        generatedPalette.push([0, 0, 0]);
+    return result;
+}
+
+/**
+ * Draw evenly spaced samples along the cumulative weight, so each pixel appears in proportion to its weight
+ */
+function sampleWeighted(pixels, weights, sampleCount) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const step = total / sampleCount;
+    const samples = [];
+    let next = step / 2;
+    let cumulative = 0;
+    for (let k = 0; k < pixels.length && samples.length < sampleCount; k++) {
+        cumulative += weights[k];
+        while (next < cumulative && samples.length < sampleCount) {
+            samples.push(pixels[k]);
+            next += step;
+        }
     }
+    return samples;
+}
 
-    return generatedPalette;
+/**
+ * Pair every palette color with the number of pixels closest to it
+ */
+function countPopulation(pixelDataArray, palette, options) {
+    const { alphaThreshold = DEFAULT_PALETTE_ALPHA_THRESHOLD, alphaMode, exclude } = options;
+    const source = alphaMode === 'matte'
+        ? applyAlphaMode(pixelDataArray, pixelDataArray.length / 4, 1, options)
+        : pixelDataArray;
+    const useMask = exclude && exclude.length === source.length / 4;
+
+    const paletteIndex = createPaletteIndex(palette);
+    const counts = new Array(palette.length).fill(0);
+    let total = 0;
+    for (let i = 0, p = 0; i < source.length; i += 4, p++) {
+        if (useMask && exclude[p]) continue;
+        const index = source[i + 3] >= alphaThreshold
+            ? paletteIndex.findClosestIndex(source[i], source[i + 1], source[i + 2])
+            : paletteIndex.transparentIndex;
+        if (index < 0) continue;
+        counts[index]++;
+        total++;
+    }
+    return palette.map((color, index) => ({ color, count: counts[index], share: total > 0 ? counts[index] / total : 0 }));
 }
 
 /**
  * Apply a color palette to image data
  * @param {Uint8ClampedArray} pixelDataArray - Source image data
  * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
- * @returns {Uint8ClampedArray} Image data with palette applied
+ * @param {Object} [options] - Mapping options
+ * @param {string} [options.metric='rgb'] - Color distance metric ('rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb')
+ * @param {string} [options.alphaMode='preserve'] - 'preserve', 'threshold', 'ordered', 'diffusion' or 'matte'
+ * @param {number} [options.alphaThreshold=128] - Minimum alpha kept as opaque in 'threshold' mode
+ * @param {Array<number>} [options.matte=[0, 0, 0]] - Background color for 'matte' mode
+ * @param {boolean} [options.linear=false] - Match in linear light (the 'rgb' metric becomes 'linear-rgb') and blend onto the matte there
+ * @param {number} [options.width] - Image width, required by the 'ordered' and 'diffusion' alpha modes and by indexed output
+ * @param {boolean} [options.indexed=false] - Return palette indices instead of RGBA data
+ * @returns {Uint8ClampedArray|Object} Image data with palette applied, or
+ *     { indices, palette, width, height, transparentIndex } when options.indexed is set
  */
-export function applyPalette(pixelDataArray, palette) {
+export function applyPalette(pixelDataArray, palette, options = {}) {
+    const { metric = 'rgb', width, indexed = false, linear = false } = options;
+
     if (!palette || palette.length === 0) {
         console.warn("Attempted to apply an empty or invalid palette.");
         return pixelDataArray;
     }
 
-    const newData = new Uint8ClampedArray(pixelDataArray.length);
-    for (let i = 0; i < pixelDataArray.length; i += 4) {
-        const aOrig = pixelDataArray[i + 3];
+    let alphaOptions = options;
+    if ((options.alphaMode === 'ordered' || options.alphaMode === 'diffusion') && !(width > 0)) {
+        console.warn(`Alpha mode "${options.alphaMode}" needs options.width. Using "threshold".`);
+        alphaOptions = { ...options, alphaMode: 'threshold' };
+    }
+    if (indexed && !(width > 0)) {
+        console.warn("Indexed output needs options.width. Returning the image as a single row.");
+    }
+    const pixelCount = pixelDataArray.length / 4;
+    const source = applyAlphaMode(pixelDataArray, width || pixelCount, width ? Math.ceil(pixelCount / width) : 1, alphaOptions);
+
+    // In linear light the plain RGB metric compares linear values too
+    const paletteIndex = createPaletteIndex(palette, linear && metric === 'rgb' ? 'linear-rgb' : metric);
+    if (indexed) {
+        return mapToIndices(source, palette, paletteIndex, width || pixelCount, width ? Math.ceil(pixelCount / width) : 1);
+    }
+
+    const newData = new Uint8ClampedArray(source.length);
+    for (let i = 0; i < source.length; i += 4) {
+        const aOrig = source[i + 3];
 
         if (aOrig === 0) {
             newData[i] = 0;
@@ -155,11 +312,11 @@ export function applyPalette(pixelDataArray, palette) {
             continue;
         }
 
-        const rOrig = pixelDataArray[i];
-        const gOrig = pixelDataArray[i + 1];
-        const bOrig = pixelDataArray[i + 2];
+        const rOrig = source[i];
+        const gOrig = source[i + 1];
+        const bOrig = source[i + 2];
 
-        const closestColor = findClosestPaletteColor(rOrig, gOrig, bOrig, palette);
+        const closestColor = paletteIndex.findClosest(rOrig, gOrig, bOrig);
         newData[i] = closestColor[0];
         newData[i + 1] = closestColor[1];
         newData[i + 2] = closestColor[2];
@@ -167,3 +324,24 @@ export function applyPalette(pixelDataArray, palette) {
     }
     return newData;
 }
+
+/**
+ * Map every pixel to a palette index
+ */
+function mapToIndices(source, palette, paletteIndex, width, height) {
+    const target = createIndexedTarget(palette, source.length / 4);
+    if (!target) return null;
+    const { indices, transparentIndex } = target;
+
+    let hasTransparency = false;
+    for (let p = 0, i = 0; i < source.length; p++, i += 4) {
+        const index = source[i + 3] === 0 ? -1 : paletteIndex.findClosestIndex(source[i], source[i + 1], source[i + 2]);
+        if (index === -1) {
+            indices[p] = transparentIndex;
+            hasTransparency = true;
+        } else {
+            indices[p] = index;
+        }
+    }
+    return finishIndexedImage(target, palette, width, height, hasTransparency);
+}
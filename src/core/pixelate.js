@@ -0,0 +1,277 @@
+/**
+ * Pixelation (downscale) and Nearest-Neighbor Upscale
+ * Turns a full-resolution image into a low-resolution pixel grid
+ */
+
+/**
+ * Supported block sampling methods
+ */
+const PIXELATE_METHODS = ['average', 'median', 'mode', 'edge'];
+
+/**
+ * Minimum luminance difference between the dark and light halves of a block
+ * before the edge-aware method stops averaging and picks a side
+ */
+const EDGE_CONTRAST_THRESHOLD = 48;
+
+/**
+ * Downscale image data into a low-resolution pixel grid
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Source image width
+ * @param {number} height - Source image height
+ * @param {Object} [options] - Pixelation options
+ * @param {number} [options.pixelSize] - Size of one output pixel in source pixels
+ * @param {number} [options.targetWidth] - Output width (used instead of pixelSize)
+ * @param {number} [options.targetHeight] - Output height (used instead of pixelSize; with only one
+ *     of targetWidth and targetHeight, the other keeps the aspect ratio)
+ * @param {string} [options.method='average'] - 'average', 'median', 'mode' or 'edge'
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Downscaled image
+ */
+export function pixelate(pixelDataArray, width, height, options = {}) {
+    const { pixelSize, targetWidth, targetHeight, method = 'average' } = options;
+
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Pixelate called with empty image data or invalid dimensions.");
+        return { data: pixelDataArray, width, height };
+    }
+    if (!PIXELATE_METHODS.includes(method)) {
+        console.warn(`Unknown pixelate method "${method}". Falling back to "average".`);
+    }
+
+    let outWidth, outHeight, scaleX, scaleY;
+    if (targetWidth || targetHeight) {
+        if (targetWidth) {
+            outWidth = Math.max(1, Math.min(width, Math.floor(targetWidth)));
+            outHeight = targetHeight
+                ? Math.max(1, Math.min(height, Math.floor(targetHeight)))
+                : Math.max(1, Math.round(height * outWidth / width));
+        } else {
+            outHeight = Math.max(1, Math.min(height, Math.floor(targetHeight)));
+            outWidth = Math.max(1, Math.round(width * outHeight / height));
+        }
+        scaleX = width / outWidth;
+        scaleY = height / outHeight;
+    } else {
+        const size = Math.max(1, Math.floor(pixelSize || 1));
+        outWidth = Math.ceil(width / size);
+        outHeight = Math.ceil(height / size);
+        scaleX = size;
+        scaleY = size;
+    }
+
+    const sampleBlock = method === 'median' ? sampleMedian
+        : method === 'mode' ? sampleMode
+        : method === 'edge' ? sampleEdgeAware
+        : sampleAverage;
+
+    const outputData = new Uint8ClampedArray(outWidth * outHeight * 4);
+    const color = [0, 0, 0, 0];
+
+    for (let oy = 0; oy < outHeight; oy++) {
+        const y0 = Math.floor(oy * scaleY);
+        const y1 = Math.max(y0 + 1, Math.min(height, Math.floor((oy + 1) * scaleY)));
+        for (let ox = 0; ox < outWidth; ox++) {
+            const x0 = Math.floor(ox * scaleX);
+            const x1 = Math.max(x0 + 1, Math.min(width, Math.floor((ox + 1) * scaleX)));
+
+            sampleBlock(pixelDataArray, width, x0, y0, x1, y1, color);
+
+            const i = (oy * outWidth + ox) * 4;
+            outputData[i] = color[0];
+            outputData[i + 1] = color[1];
+            outputData[i + 2] = color[2];
+            outputData[i + 3] = color[3];
+        }
+    }
+
+    return { data: outputData, width: outWidth, height: outHeight };
+}
+
+/**
+ * Scale image data up by an integer factor using nearest-neighbor sampling
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Source image width
+ * @param {number} height - Source image height
+ * @param {number} scale - Integer scale factor (>= 1)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Upscaled image
+ */
+export function upscaleNearest(pixelDataArray, width, height, scale) {
+    scale = Math.max(1, Math.floor(scale || 1));
+    if (!pixelDataArray || !pixelDataArray.length) {
+        return { data: pixelDataArray, width, height };
+    }
+
+    const outWidth = width * scale;
+    const outHeight = height * scale;
+    const outputData = new Uint8ClampedArray(outWidth * outHeight * 4);
+
+    for (let y = 0; y < outHeight; y++) {
+        const srcRow = Math.floor(y / scale) * width;
+        for (let x = 0; x < outWidth; x++) {
+            const i = (srcRow + Math.floor(x / scale)) * 4;
+            const o = (y * outWidth + x) * 4;
+            outputData[o] = pixelDataArray[i];
+            outputData[o + 1] = pixelDataArray[i + 1];
+            outputData[o + 2] = pixelDataArray[i + 2];
+            outputData[o + 3] = pixelDataArray[i + 3];
+        }
+    }
+
+    return { data: outputData, width: outWidth, height: outHeight };
+}
+
+/**
+ * Alpha-weighted mean of a block; fully transparent pixels do not bleed color
+ */
+function sampleAverage(data, width, x0, y0, x1, y1, out) {
+    let r = 0, g = 0, b = 0, aSum = 0, count = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const i = (y * width + x) * 4;
+            const a = data[i + 3];
+            r += data[i] * a;
+            g += data[i + 1] * a;
+            b += data[i + 2] * a;
+            aSum += a;
+            count++;
+        }
+    }
+    if (aSum === 0) {
+        out[0] = out[1] = out[2] = out[3] = 0;
+        return;
+    }
+    out[0] = Math.round(r / aSum);
+    out[1] = Math.round(g / aSum);
+    out[2] = Math.round(b / aSum);
+    out[3] = Math.round(aSum / count);
+}
+
+/**
+ * Per-channel median of the visible pixels in a block
+ */
+function sampleMedian(data, width, x0, y0, x1, y1, out) {
+    const rs = [], gs = [], bs = [], as = [];
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const i = (y * width + x) * 4;
+            as.push(data[i + 3]);
+            if (data[i + 3] === 0) continue;
+            rs.push(data[i]);
+            gs.push(data[i + 1]);
+            bs.push(data[i + 2]);
+        }
+    }
+    const alpha = median(as);
+    if (rs.length === 0 || alpha === 0) {
+        out[0] = out[1] = out[2] = out[3] = 0;
+        return;
+    }
+    out[0] = median(rs);
+    out[1] = median(gs);
+    out[2] = median(bs);
+    out[3] = alpha;
+}
+
+/**
+ * Dominant color of a block: pixels are grouped by 5-bit RGB buckets and the
+ * most populated bucket is averaged, so photo noise does not split the vote
+ */
+function sampleMode(data, width, x0, y0, x1, y1, out) {
+    const buckets = new Map();
+    let transparentCount = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] === 0) {
+                transparentCount++;
+                continue;
+            }
+            const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = [0, 0, 0, 0, 0];
+                buckets.set(key, bucket);
+            }
+            bucket[0] += data[i];
+            bucket[1] += data[i + 1];
+            bucket[2] += data[i + 2];
+            bucket[3] += data[i + 3];
+            bucket[4]++;
+        }
+    }
+
+    let best = null;
+    buckets.forEach(bucket => {
+        if (!best || bucket[4] > best[4]) best = bucket;
+    });
+
+    if (!best || transparentCount > best[4]) {
+        out[0] = out[1] = out[2] = out[3] = 0;
+        return;
+    }
+    out[0] = Math.round(best[0] / best[4]);
+    out[1] = Math.round(best[1] / best[4]);
+    out[2] = Math.round(best[2] / best[4]);
+    out[3] = Math.round(best[3] / best[4]);
+}
+
+/**
+ * Edge-aware sampling: blocks straddling a strong edge are split into a dark
+ * and a light half by luminance, and the larger half wins (ties keep the dark
+ * side so outlines survive). Flat blocks fall back to the plain average.
+ */
+function sampleEdgeAware(data, width, x0, y0, x1, y1, out) {
+    let lumSum = 0, visible = 0, total = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const i = (y * width + x) * 4;
+            total++;
+            if (data[i + 3] === 0) continue;
+            lumSum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            visible++;
+        }
+    }
+    if (visible === 0 || visible * 2 < total) {
+        out[0] = out[1] = out[2] = out[3] = 0;
+        return;
+    }
+
+    const meanLum = lumSum / visible;
+    const dark = [0, 0, 0, 0, 0, 0];
+    const light = [0, 0, 0, 0, 0, 0];
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] === 0) continue;
+            const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            const side = lum < meanLum ? dark : light;
+            side[0] += data[i];
+            side[1] += data[i + 1];
+            side[2] += data[i + 2];
+            side[3] += data[i + 3];
+            side[4] += lum;
+            side[5]++;
+        }
+    }
+
+    const contrast = dark[5] && light[5] ? light[4] / light[5] - dark[4] / dark[5] : 0;
+    if (contrast < EDGE_CONTRAST_THRESHOLD) {
+        sampleAverage(data, width, x0, y0, x1, y1, out);
+        return;
+    }
+
+    const winner = light[5] > dark[5] ? light : dark;
+    out[0] = Math.round(winner[0] / winner[5]);
+    out[1] = Math.round(winner[1] / winner[5]);
+    out[2] = Math.round(winner[2] / winner[5]);
+    out[3] = Math.round(winner[3] / winner[5]);
+}
+
+/**
+ * Median of a numeric array (sorts in place)
+ */
+function median(values) {
+    values.sort((a, b) => a - b);
+    const mid = values.length >> 1;
+    return values.length % 2 ? values[mid] : Math.round((values[mid - 1] + values[mid]) / 2);
+}
@@ -0,0 +1,103 @@
+/**
+ * Sprite Sheets
+ * Packs animation frames into one image with a JSON atlas
+ */
+
+import { findTransparentIndex } from '../utils/paletteIndex.js';
+import { indexedToRgba } from './indexed.js';
+
+/**
+ * Pack frames into a grid-based sprite sheet.
+ * The atlas uses the JSON "hash" layout read by Aseprite, TexturePacker, Phaser and PixiJS.
+ * If every frame is indexed with the same palette the sheet is indexed too, otherwise RGBA.
+ * @param {Array<Object>} frames - Indexed images { indices, palette, width, height } or RGBA images { data, width, height };
+ *     a frame may carry a `name` and a `delay` in milliseconds
+ * @param {Object} [options] - Packing options
+ * @param {number} [options.columns] - Frames per row (default: as square as possible)
+ * @param {number} [options.padding=0] - Empty pixels between cells
+ * @param {number} [options.delay=100] - Default frame duration in milliseconds
+ * @param {string} [options.imageName='spritesheet.png'] - File name recorded in the atlas
+ * @returns {{image: Object, atlas: Object}|null} Sheet image and atlas, or null when there are no frames
+ */
+export function createSpriteSheet(frames, options = {}) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+        console.warn("Sprite sheet called with no frames.");
+        return null;
+    }
+    const {
+        columns = Math.ceil(Math.sqrt(frames.length)),
+        padding = 0,
+        delay = 100,
+        imageName = 'spritesheet.png'
+    } = options;
+
+    const cellWidth = Math.max(...frames.map(frame => frame.width));
+    const cellHeight = Math.max(...frames.map(frame => frame.height));
+    const columnCount = Math.max(1, Math.min(frames.length, Math.floor(columns)));
+    const rowCount = Math.ceil(frames.length / columnCount);
+    const sheetWidth = columnCount * cellWidth + (columnCount - 1) * padding;
+    const sheetHeight = rowCount * cellHeight + (rowCount - 1) * padding;
+
+    const palette = frames[0].palette;
+    const paletteKey = palette ? JSON.stringify(palette) : null;
+    const indexed = frames.every(frame => frame.indices && frame.palette
+        && (frame.palette === palette || JSON.stringify(frame.palette) === paletteKey));
+
+    let image;
+    let sheetIndices = null;
+    let sheetData = null;
+    if (indexed) {
+        const sheetPalette = palette.map(color => color.slice());
+        let transparentIndex = findTransparentIndex(sheetPalette);
+        const hasGaps = frames.some(frame => frame.width !== cellWidth || frame.height !== cellHeight)
+            || padding > 0 || frames.length !== columnCount * rowCount;
+        if (transparentIndex === -1 && hasGaps && sheetPalette.length < 256) {
+            sheetPalette.push([0, 0, 0, 0]);
+            transparentIndex = sheetPalette.length - 1;
+        }
+        sheetIndices = new Uint8Array(sheetWidth * sheetHeight).fill(Math.max(0, transparentIndex));
+        image = { indices: sheetIndices, palette: sheetPalette, width: sheetWidth, height: sheetHeight, transparentIndex };
+    } else {
+        sheetData = new Uint8ClampedArray(sheetWidth * sheetHeight * 4);
+        image = { data: sheetData, width: sheetWidth, height: sheetHeight };
+    }
+
+    const atlasFrames = {};
+    frames.forEach((frame, k) => {
+        const x = (k % columnCount) * (cellWidth + padding);
+        const y = Math.floor(k / columnCount) * (cellHeight + padding);
+        const source = indexed ? frame.indices : (frame.data || indexedToRgba(frame));
+
+        for (let row = 0; row < frame.height; row++) {
+            if (indexed) {
+                const start = row * frame.width;
+                sheetIndices.set(source.subarray(start, start + frame.width), (y + row) * sheetWidth + x);
+            } else {
+                const start = row * frame.width * 4;
+                sheetData.set(source.subarray(start, start + frame.width * 4), ((y + row) * sheetWidth + x) * 4);
+            }
+        }
+
+        const name = frame.name !== undefined ? String(frame.name) : `frame_${k}`;
+        atlasFrames[name] = {
+            frame: { x, y, w: frame.width, h: frame.height },
+            rotated: false,
+            trimmed: false,
+            spriteSourceSize: { x: 0, y: 0, w: frame.width, h: frame.height },
+            sourceSize: { w: frame.width, h: frame.height },
+            duration: frame.delay !== undefined ? frame.delay : delay
+        };
+    });
+
+    const atlas = {
+        frames: atlasFrames,
+        meta: {
+            app: 'pixel-art-algorithms',
+            image: imageName,
+            format: indexed ? 'I8' : 'RGBA8888',
+            size: { w: sheetWidth, h: sheetHeight },
+            scale: '1'
+        }
+    };
+    return { image, atlas };
+}
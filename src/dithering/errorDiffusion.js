@@ -0,0 +1,265 @@
+/**
+ * Error Diffusion Dithering
+ * General engine that spreads quantization error with a configurable kernel
+ */
+
+import { createPaletteIndex } from '../utils/paletteIndex.js';
+import { applyAlphaMode } from '../core/alpha.js';
+import { createIndexedTarget, finishIndexedImage } from '../core/indexed.js';
+import { srgbToLinear, linearToSrgb } from '../utils/colorSpace.js';
+
+/**
+ * Number of rows between two progress reports
+ */
+const PROGRESS_ROWS = 16;
+
+/**
+ * Built-in diffusion kernels.
+ * Each offset is [dx, dy, weight]; weights are divided by the divisor.
+ */
+export const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    'atkinson': {
+        // Only 6/8 of the error is passed on, which gives the high-contrast Mac look
+        divisor: 8,
+        offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    'jarvis-judice-ninke': {
+        divisor: 48,
+        offsets: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    'stucki': {
+        divisor: 42,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    'burkes': {
+        divisor: 32,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+        ]
+    },
+    'sierra': {
+        divisor: 32,
+        offsets: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    },
+    'two-row-sierra': {
+        divisor: 16,
+        offsets: [
+            [1, 0, 4], [2, 0, 3],
+            [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+        ]
+    },
+    'sierra-lite': {
+        divisor: 4,
+        offsets: [[1, 0, 2], [-1, 1, 1], [0, 1, 1]]
+    }
+};
+
+/**
+ * Apply error diffusion dithering with any kernel
+ * @param {Uint8ClampedArray} pixelDataArray - Source image data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<Array<number>>} targetPalette - Target color palette
+ * @param {Object} [options] - Dithering options
+ * @param {string|Object} [options.kernel='floyd-steinberg'] - Built-in kernel name or { divisor, offsets: [[dx, dy, weight], ...] }
+ * @param {boolean} [options.serpentine=false] - Alternate scan direction on every row
+ * @param {number} [options.strengthPercent=100] - Share of the quantization error to diffuse (0-100)
+ * @param {string} [options.metric='rgb'] - Color distance metric ('rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb')
+ * @param {string} [options.alphaMode='preserve'] - 'preserve', 'threshold', 'ordered', 'diffusion' or 'matte' (see applyAlphaMode)
+ * @param {number} [options.alphaThreshold=128] - Minimum alpha kept as opaque in 'threshold' mode
+ * @param {Array<number>} [options.matte=[0, 0, 0]] - Background color for 'matte' mode
+ * @param {boolean} [options.linear=false] - Diffuse error in linear light, so dithered gradients keep their brightness
+ * @param {boolean} [options.indexed=false] - Return palette indices instead of RGBA data
+ * @param {Object} [options.previous] - Previous animation frame, for temporal stability
+ * @param {Uint8ClampedArray} options.previous.source - Source pixels of the previous frame
+ * @param {Uint8ClampedArray} options.previous.output - RGBA result of the previous frame
+ * @param {number} [options.previous.tolerance=0] - Largest channel difference that still counts as unchanged
+ * @param {Function} [options.onProgress] - Called with the finished share of rows (0-1) every few rows
+ * @returns {Uint8ClampedArray|Object} Dithered image data, or
+ *     { indices, palette, width, height, transparentIndex } when options.indexed is set
+ */
+export function applyErrorDiffusionDithering(pixelDataArray, width, height, targetPalette, options = {}) {
+    const {
+        kernel = 'floyd-steinberg',
+        serpentine = false,
+        strengthPercent = 100,
+        metric = 'rgb',
+        indexed = false,
+        linear = false,
+        previous = null,
+        onProgress = null
+    } = options;
+
+    if (!targetPalette || targetPalette.length === 0) {
+        console.warn("Error diffusion dithering called with empty or invalid palette.");
+        return pixelDataArray;
+    }
+    if (!pixelDataArray || !pixelDataArray.length) return pixelDataArray;
+
+    const diffusion = resolveKernel(kernel);
+    if (!diffusion) {
+        const kernelName = typeof kernel === 'string' ? `"${kernel}"` : '(custom)';
+        console.warn(`Unknown or invalid error diffusion kernel ${kernelName}. Using Floyd-Steinberg.`);
+    }
+    const { divisor, offsets } = diffusion || ERROR_DIFFUSION_KERNELS['floyd-steinberg'];
+    const strengthFactor = Math.max(0, Math.min(100, strengthPercent)) / 100;
+
+    // In linear light the plain RGB metric compares linear values too
+    const paletteIndex = createPaletteIndex(targetPalette, linear && metric === 'rgb' ? 'linear-rgb' : metric);
+
+    const source = applyAlphaMode(pixelDataArray, width, height, options);
+    const target = indexed ? createIndexedTarget(targetPalette, width * height) : null;
+    if (indexed && !target) return null;
+    let hasTransparency = false;
+
+    // Pixels that did not change since the previous frame keep its color, so static areas do not flicker
+    const isUnchanged = previous ? createUnchangedTest(pixelDataArray, previous) : null;
+
+    // Create a mutable copy using Float32Array for error accumulation.
+    // In linear mode it holds linear light scaled to 0-255, and palette colors are compared after re-encoding.
+    const d = new Float32Array(source);
+    if (linear) {
+        for (let i = 0; i < d.length; i += 4) {
+            d[i] = srgbToLinear(source[i]) * 255;
+            d[i + 1] = srgbToLinear(source[i + 1]) * 255;
+            d[i + 2] = srgbToLinear(source[i + 2]) * 255;
+        }
+    }
+    const encode = v => linearToSrgb(v / 255);
+    const decode = v => srgbToLinear(v) * 255;
+
+    const outputData = target ? null : new Uint8ClampedArray(source.length);
+
+    for (let y = 0; y < height; y++) {
+        const reverse = serpentine && y % 2 === 1;
+        const direction = reverse ? -1 : 1;
+
+        for (let step = 0; step < width; step++) {
+            const x = reverse ? width - 1 - step : step;
+            const p = y * width + x;
+            const i = p * 4;
+
+            if (d[i + 3] === 0) {
+                if (target) {
+                    target.indices[p] = target.transparentIndex;
+                    hasTransparency = true;
+                    continue;
+                }
+                outputData[i] = 0;
+                outputData[i + 1] = 0;
+                outputData[i + 2] = 0;
+                outputData[i + 3] = 0;
+                continue;
+            }
+
+            // Clamp current pixel values
+            const oldR = Math.max(0, Math.min(255, d[i]));
+            const oldG = Math.max(0, Math.min(255, d[i + 1]));
+            const oldB = Math.max(0, Math.min(255, d[i + 2]));
+            const oldA = d[i + 3];
+
+            let newColor;
+            let matchR = linear ? encode(oldR) : oldR;
+            let matchG = linear ? encode(oldG) : oldG;
+            let matchB = linear ? encode(oldB) : oldB;
+            if (isUnchanged && isUnchanged(i)) {
+                // Matching the previous color exactly always returns that palette entry
+                matchR = previous.output[i];
+                matchG = previous.output[i + 1];
+                matchB = previous.output[i + 2];
+            }
+            if (target) {
+                const index = paletteIndex.findClosestIndex(matchR, matchG, matchB);
+                if (index === -1) {
+                    target.indices[p] = target.transparentIndex;
+                    hasTransparency = true;
+                    continue;
+                }
+                target.indices[p] = index;
+                newColor = paletteIndex.colorAt(index);
+            } else {
+                newColor = paletteIndex.findClosest(matchR, matchG, matchB);
+                outputData[i] = newColor[0];
+                outputData[i + 1] = newColor[1];
+                outputData[i + 2] = newColor[2];
+                outputData[i + 3] = Math.round(oldA);
+            }
+
+            // Semi-transparent pixels pass on proportionally less error
+            const errorScale = oldA === 255 ? strengthFactor : strengthFactor * oldA / 255;
+            if (errorScale === 0) continue;
+            const errR = (oldR - (linear ? decode(newColor[0]) : newColor[0])) * errorScale;
+            const errG = (oldG - (linear ? decode(newColor[1]) : newColor[1])) * errorScale;
+            const errB = (oldB - (linear ? decode(newColor[2]) : newColor[2])) * errorScale;
+
+            // Propagate error to neighbors, mirrored on reversed rows
+            for (let k = 0; k < offsets.length; k++) {
+                const [dx, dy, weight] = offsets[k];
+                const nx = x + dx * direction;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+
+                const ni = (ny * width + nx) * 4;
+                // Transparent pixels are never drawn, so they must not soak up error
+                if (d[ni + 3] === 0) continue;
+                d[ni]     += errR * weight / divisor;
+                d[ni + 1] += errG * weight / divisor;
+                d[ni + 2] += errB * weight / divisor;
+            }
+        }
+        if (onProgress && ((y + 1) % PROGRESS_ROWS === 0 || y + 1 === height)) onProgress((y + 1) / height);
+    }
+    return target ? finishIndexedImage(target, targetPalette, width, height, hasTransparency) : outputData;
+}
+
+/**
+ * Build a test for "this pixel looks the same as in the previous frame"
+ * @returns {Function} Takes a byte offset, returns true when the previous result can be reused
+ */
+function createUnchangedTest(pixelDataArray, previous) {
+    const { source, output, tolerance = 0 } = previous;
+    if (!source || !output || source.length !== pixelDataArray.length || output.length !== pixelDataArray.length) {
+        console.warn("Previous frame does not match the current frame size and is ignored.");
+        return null;
+    }
+    return i => output[i + 3] !== 0
+        && Math.abs(pixelDataArray[i] - source[i]) <= tolerance
+        && Math.abs(pixelDataArray[i + 1] - source[i + 1]) <= tolerance
+        && Math.abs(pixelDataArray[i + 2] - source[i + 2]) <= tolerance
+        && Math.abs(pixelDataArray[i + 3] - source[i + 3]) <= tolerance;
+}
+
+/**
+ * Look up a built-in kernel or validate a custom one
+ * @returns {{divisor: number, offsets: Array<Array<number>>}|null} Kernel, or null if invalid
+ */
+function resolveKernel(kernel) {
+    if (typeof kernel === 'string') return ERROR_DIFFUSION_KERNELS[kernel] || null;
+    if (!kernel || !Array.isArray(kernel.offsets) || kernel.offsets.length === 0) return null;
+
+    // Error may only flow to pixels that have not been visited yet
+    const valid = kernel.offsets.every(offset => Array.isArray(offset) && offset.length === 3
+        && Number.isInteger(offset[0]) && Number.isInteger(offset[1])
+        && (offset[1] > 0 || (offset[1] === 0 && offset[0] > 0)));
+    if (!valid) return null;
+
+    const divisor = kernel.divisor || kernel.offsets.reduce((sum, offset) => sum + offset[2], 0);
+    return divisor > 0 ? { divisor, offsets: kernel.offsets } : null;
+}
@@ -0,0 +1,159 @@
+/**
+ * Ordered Dithering
+ * Threshold-map dithering with Bayer, blue-noise, halftone, line or custom matrices
+ */
+
+import { createPaletteIndex } from '../utils/paletteIndex.js';
+import { applyAlphaMode } from '../core/alpha.js';
+import { createIndexedTarget, finishIndexedImage } from '../core/indexed.js';
+import { createThresholdMatrix, normalizeThresholdMatrix } from './thresholdMaps.js';
+import { srgbToLinear, linearToSrgb } from '../utils/colorSpace.js';
+import { isTransparent } from '../utils/helpers.js';
+
+/**
+ * Apply ordered dithering to image data.
+ * Each pixel is offset by (threshold - 0.5) × spread before palette matching. The spread
+ * defaults to the palette's typical per-channel step, so the pattern always spans one step
+ * between neighbouring palette colors regardless of how dense the palette is.
+ * @param {Uint8ClampedArray} pixelDataArray - Source image data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<Array<number>>} targetPalette - Target color palette
+ * @param {Object} [options] - Dithering options
+ * @param {string} [options.pattern='bayer'] - 'bayer', 'blue-noise', 'clustered-dot', 'halftone',
+ *     'lines-horizontal', 'lines-vertical' or 'lines-diagonal'
+ * @param {number} [options.matrixSize] - Pattern size (powers of two for Bayer; defaults depend on the pattern)
+ * @param {Array<Array<number>>} [options.matrix] - Custom threshold matrix, used instead of pattern
+ * @param {number} [options.strengthPercent=100] - Dither strength (0-100), scales the spread
+ * @param {number} [options.spread] - Threshold spread in RGB units (default: derived from the palette)
+ * @param {string} [options.metric='rgb'] - Color distance metric ('rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb')
+ * @param {string} [options.alphaMode='preserve'] - 'preserve', 'threshold', 'ordered', 'diffusion' or 'matte' (see applyAlphaMode)
+ * @param {number} [options.alphaThreshold=128] - Minimum alpha kept as opaque in 'threshold' mode
+ * @param {Array<number>} [options.matte=[0, 0, 0]] - Background color for 'matte' mode
+ * @param {boolean} [options.linear=false] - Offset pixels in linear light (the spread is then measured in linear units
+ *     scaled to 0-255), so the dither pattern averages to the source brightness
+ * @param {boolean} [options.indexed=false] - Return palette indices instead of RGBA data
+ * @returns {Uint8ClampedArray|Object} Dithered image data, or
+ *     { indices, palette, width, height, transparentIndex } when options.indexed is set
+ */
+export function applyOrderedDithering(pixelDataArray, width, height, targetPalette, options = {}) {
+    const {
+        pattern = 'bayer',
+        matrixSize,
+        matrix,
+        strengthPercent = 100,
+        spread,
+        metric = 'rgb',
+        indexed = false,
+        linear = false
+    } = options;
+
+    if (!targetPalette || targetPalette.length === 0) {
+        console.warn("Ordered dithering called with empty or invalid palette.");
+        return pixelDataArray;
+    }
+    if (!pixelDataArray || !pixelDataArray.length) return pixelDataArray;
+
+    let thresholdMap = null;
+    if (matrix !== undefined) {
+        thresholdMap = normalizeThresholdMatrix(matrix);
+        if (!thresholdMap) console.warn("Invalid custom threshold matrix. Using the default Bayer pattern.");
+    }
+    if (!thresholdMap) {
+        const ranks = createThresholdMatrix(pattern, matrixSize) || createThresholdMatrix('bayer', matrixSize);
+        thresholdMap = normalizeThresholdMatrix(ranks);
+    }
+    const { thresholds, width: mapWidth, height: mapHeight } = thresholdMap;
+
+    // In linear light the plain RGB metric compares linear values too
+    const paletteIndex = createPaletteIndex(targetPalette, linear && metric === 'rgb' ? 'linear-rgb' : metric);
+    const strengthFactor = Math.max(0, Math.min(100, strengthPercent)) / 100;
+    const spreadPalette = linear
+        ? targetPalette.map(color => [...color.slice(0, 3).map(c => srgbToLinear(c) * 255), ...color.slice(3)])
+        : targetPalette;
+    const amplitude = (spread !== undefined ? Math.max(0, spread) : estimatePaletteSpread(spreadPalette)) * strengthFactor;
+    const offset = linear
+        ? (value, adjustment) => linearToSrgb(srgbToLinear(value) + adjustment / 255)
+        : (value, adjustment) => Math.max(0, Math.min(255, value + adjustment));
+
+    const source = applyAlphaMode(pixelDataArray, width, height, options);
+    const target = indexed ? createIndexedTarget(targetPalette, width * height) : null;
+    if (indexed && !target) return null;
+    let hasTransparency = false;
+
+    const newData = target ? null : new Uint8ClampedArray(source.length);
+    for (let y = 0; y < height; y++) {
+        const mapRow = (y % mapHeight) * mapWidth;
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const i = p * 4;
+            const aOrig = source[i + 3];
+
+            if (aOrig === 0) {
+                if (target) {
+                    target.indices[p] = target.transparentIndex;
+                    hasTransparency = true;
+                    continue;
+                }
+                newData[i] = 0;
+                newData[i + 1] = 0;
+                newData[i + 2] = 0;
+                newData[i + 3] = 0;
+                continue;
+            }
+
+            const thresholdAdjustment = (thresholds[mapRow + x % mapWidth] - 0.5) * amplitude;
+            const rDithered = offset(source[i], thresholdAdjustment);
+            const gDithered = offset(source[i + 1], thresholdAdjustment);
+            const bDithered = offset(source[i + 2], thresholdAdjustment);
+
+            if (target) {
+                const index = paletteIndex.findClosestIndex(rDithered, gDithered, bDithered);
+                target.indices[p] = index === -1 ? target.transparentIndex : index;
+                if (index === -1) hasTransparency = true;
+                continue;
+            }
+
+            const closestColor = paletteIndex.findClosest(rDithered, gDithered, bDithered);
+            newData[i] = closestColor[0];
+            newData[i + 1] = closestColor[1];
+            newData[i + 2] = closestColor[2];
+            newData[i + 3] = aOrig;
+        }
+    }
+    return target ? finishIndexedImage(target, targetPalette, width, height, hasTransparency) : newData;
+}
+
+/**
+ * Estimate the per-channel step between neighbouring palette colors.
+ * For every color, take the largest channel difference to its nearest neighbour
+ * (Chebyshev distance), then use the median over the palette. A regular grid with
+ * step s gives s; black and white gives 255.
+ * @param {Array<Array<number>>} palette - Palette colors
+ * @returns {number} Spread in RGB units (0 for a single color)
+ */
+export function estimatePaletteSpread(palette) {
+    if (!palette || palette.length < 2) return 0;
+
+    // Reserved transparent slots take no part in color matching
+    palette = palette.filter(color => !isTransparent(color));
+    const steps = [];
+    for (let i = 0; i < palette.length; i++) {
+        let nearest = Infinity;
+        for (let j = 0; j < palette.length; j++) {
+            if (i === j) continue;
+            const step = Math.max(
+                Math.abs(palette[i][0] - palette[j][0]),
+                Math.abs(palette[i][1] - palette[j][1]),
+                Math.abs(palette[i][2] - palette[j][2])
+            );
+            if (step > 0 && step < nearest) nearest = step;
+        }
+        if (nearest !== Infinity) steps.push(nearest);
+    }
+    if (steps.length === 0) return 0;
+
+    steps.sort((a, b) => a - b);
+    const middle = steps.length >> 1;
+    return steps.length % 2 ? steps[middle] : (steps[middle - 1] + steps[middle]) / 2;
+}
@@ -0,0 +1,347 @@
+/**
+ * Threshold Maps
+ * Generators for the rank matrices used by ordered dithering
+ */
+
+/**
+ * Patterns understood by createThresholdMatrix, with their default sizes
+ */
+const DEFAULT_PATTERN_SIZES = {
+    'bayer': 8,
+    'blue-noise': 32,
+    'clustered-dot': 8,
+    'halftone': 8,
+    'lines-horizontal': 4,
+    'lines-vertical': 4,
+    'lines-diagonal': 4
+};
+
+// Generated matrices are cached by pattern and size; blue noise is costly to build
+const matrixCache = new Map();
+
+/**
+ * Create a Bayer matrix of any power-of-two size.
+ * Built recursively: M(2n) = [[4M, 4M + 2], [4M + 3, 4M + 1]].
+ * @param {number} [size=8] - Matrix size (power of two)
+ * @returns {Array<Array<number>>} size×size matrix holding ranks 0..size²-1
+ */
+export function createBayerMatrix(size = 8) {
+    if (!Number.isInteger(size) || size < 1 || (size & (size - 1)) !== 0) {
+        const rounded = Number.isFinite(size) && size > 1 ? Math.pow(2, Math.ceil(Math.log2(size))) : 8;
+        console.warn(`Bayer matrix size must be a power of two, got ${size}. Using ${rounded}.`);
+        size = rounded;
+    }
+    return copyMatrix(cached(`bayer:${size}`, () => buildBayer(size)));
+}
+
+/**
+ * Create a blue-noise threshold matrix with the void-and-cluster method (Ulichney, 1993).
+ * The result tiles seamlessly and is deterministic for a given size.
+ * @param {number} [size=32] - Matrix size
+ * @returns {Array<Array<number>>} size×size matrix holding ranks 0..size²-1
+ */
+export function createBlueNoiseMatrix(size = 32) {
+    size = checkSize(size, 'blue-noise');
+    return copyMatrix(cached(`blue-noise:${size}`, () => buildBlueNoise(size)));
+}
+
+/**
+ * Create a threshold matrix for a named pattern
+ * @param {string} [pattern='bayer'] - 'bayer', 'blue-noise', 'clustered-dot', 'halftone',
+ *     'lines-horizontal', 'lines-vertical' or 'lines-diagonal'
+ * @param {number} [size] - Matrix size (defaults depend on the pattern)
+ * @returns {Array<Array<number>>|null} Rank matrix, or null for an unknown pattern
+ */
+export function createThresholdMatrix(pattern = 'bayer', size) {
+    if (!(pattern in DEFAULT_PATTERN_SIZES)) {
+        console.warn(`Unknown threshold pattern "${pattern}".`);
+        return null;
+    }
+    if (size === undefined) size = DEFAULT_PATTERN_SIZES[pattern];
+    if (pattern === 'bayer') return createBayerMatrix(size);
+    if (pattern === 'blue-noise') return createBlueNoiseMatrix(size);
+
+    size = checkSize(size, pattern);
+    return copyMatrix(cached(`${pattern}:${size}`, () => {
+        switch (pattern) {
+            case 'clustered-dot': return buildClusteredDot(size);
+            case 'halftone': return buildHalftone(size);
+            default: return buildLines(size, pattern.slice('lines-'.length));
+        }
+    }));
+}
+
+/**
+ * Convert a matrix of arbitrary numbers into thresholds in (0, 1).
+ * Values are used by rank, so any monotonic numbering works.
+ * @param {Array<Array<number>>} matrix - Rectangular matrix of finite numbers
+ * @returns {{thresholds: Float32Array, width: number, height: number}|null} Row-major thresholds, or null if invalid
+ */
+export function normalizeThresholdMatrix(matrix) {
+    if (!Array.isArray(matrix) || matrix.length === 0 || !Array.isArray(matrix[0]) || matrix[0].length === 0) {
+        return null;
+    }
+    const height = matrix.length;
+    const width = matrix[0].length;
+    const values = [];
+    for (const row of matrix) {
+        if (!Array.isArray(row) || row.length !== width) return null;
+        for (const value of row) {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+            values.push(value);
+        }
+    }
+
+    const levels = [...new Set(values)].sort((a, b) => a - b);
+    const rankOf = new Map(levels.map((value, rank) => [value, rank]));
+    const thresholds = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        thresholds[i] = (rankOf.get(values[i]) + 0.5) / levels.length;
+    }
+    return { thresholds, width, height };
+}
+
+/**
+ * Return a cached matrix, building it on first use
+ */
+function cached(key, build) {
+    let matrix = matrixCache.get(key);
+    if (!matrix) {
+        matrix = build();
+        matrixCache.set(key, matrix);
+    }
+    return matrix;
+}
+
+function copyMatrix(matrix) {
+    return matrix.map(row => row.slice());
+}
+
+function checkSize(size, pattern) {
+    if (Number.isInteger(size) && size >= 2 && size <= 256) return size;
+    const fallback = DEFAULT_PATTERN_SIZES[pattern];
+    console.warn(`Invalid ${pattern} matrix size ${size}. Using ${fallback}.`);
+    return fallback;
+}
+
+function buildBayer(size) {
+    let matrix = [[0]];
+    for (let n = 1; n < size; n *= 2) {
+        const next = [];
+        for (let y = 0; y < n * 2; y++) next.push(new Array(n * 2));
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const v = matrix[y][x] * 4;
+                next[y][x] = v;
+                next[y][x + n] = v + 2;
+                next[y + n][x] = v + 3;
+                next[y + n][x + n] = v + 1;
+            }
+        }
+        matrix = next;
+    }
+    return matrix;
+}
+
+/**
+ * Rank cells by a score, lowest score first; ties keep scan order
+ */
+function rankCells(size, score) {
+    const cells = [];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) cells.push({ x, y, score: score(x, y) });
+    }
+    cells.sort((a, b) => a.score - b.score);
+
+    const matrix = [];
+    for (let y = 0; y < size; y++) matrix.push(new Array(size));
+    cells.forEach((cell, rank) => { matrix[cell.y][cell.x] = rank; });
+    return matrix;
+}
+
+/**
+ * Single round dot growing from the cell centre
+ */
+function buildClusteredDot(size) {
+    const centre = (size - 1) / 2;
+    return rankCells(size, (x, y) => {
+        const dx = x - centre;
+        const dy = y - centre;
+        // The angle breaks distance ties so the dot grows in a spiral rather than in scan order
+        return Math.hypot(dx, dy) + (Math.atan2(dy, dx) + Math.PI) * 1e-4;
+    });
+}
+
+/**
+ * Euclidean dot screen at 45°: dark dots at the corners and centre meet as a checkerboard at 50%
+ */
+function buildHalftone(size) {
+    return rankCells(size, (x, y) => {
+        const u = (x + 0.5) / size;
+        const v = (y + 0.5) / size;
+        return -Math.cos(2 * Math.PI * u) * Math.cos(2 * Math.PI * v) + (y * size + x) * 1e-9;
+    });
+}
+
+/**
+ * Lines that thicken from the middle row outwards; within a row, cells fill in 1D Bayer order
+ */
+function buildLines(size, direction) {
+    const centre = (size - 1) / 2;
+    const rows = Array.from({ length: size }, (_, row) => row)
+        .sort((a, b) => Math.abs(a - centre) - Math.abs(b - centre) || a - b);
+    const rowRank = new Array(size);
+    rows.forEach((row, rank) => { rowRank[row] = rank; });
+
+    const columnRank = bayer1D(size);
+    const matrix = [];
+    for (let y = 0; y < size; y++) {
+        const line = new Array(size);
+        for (let x = 0; x < size; x++) {
+            let row, column;
+            if (direction === 'vertical') {
+                row = x;
+                column = y;
+            } else if (direction === 'diagonal') {
+                row = (x + y) % size;
+                column = y;
+            } else {
+                row = y;
+                column = x;
+            }
+            line[x] = rowRank[row] * size + columnRank[column];
+        }
+        matrix.push(line);
+    }
+    return matrix;
+}
+
+/**
+ * Spread ranks 0..size-1 evenly along a line (bit-reversal order, generalised to any size)
+ */
+function bayer1D(size) {
+    const order = [];
+    const visit = (start, count) => {
+        if (count <= 0) return;
+        const middle = start + Math.floor(count / 2);
+        order.push(middle);
+        visit(start, middle - start);
+        visit(middle + 1, start + count - middle - 1);
+    };
+    visit(0, size);
+    const ranks = new Array(size);
+    order.forEach((position, rank) => { ranks[position] = rank; });
+    return ranks;
+}
+
+/**
+ * Void-and-cluster blue noise: rank pixels so every prefix is as evenly spread as possible
+ */
+function buildBlueNoise(size) {
+    const total = size * size;
+    const sigma = 1.5;
+
+    // Toroidal Gaussian filter, indexed by wrapped offset
+    const gaussian = new Float64Array(total);
+    for (let dy = 0; dy < size; dy++) {
+        const wy = Math.min(dy, size - dy);
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            gaussian[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+        }
+    }
+
+    const pattern = new Uint8Array(total);
+    const energy = new Float64Array(total);
+    const toggle = (index, on) => {
+        pattern[index] = on ? 1 : 0;
+        const sign = on ? 1 : -1;
+        const px = index % size;
+        const py = (index - px) / size;
+        for (let y = 0; y < size; y++) {
+            const row = ((y - py + size) % size) * size;
+            for (let x = 0; x < size; x++) {
+                energy[y * size + x] += sign * gaussian[row + (x - px + size) % size];
+            }
+        }
+    };
+    const tightestCluster = () => {
+        let best = -1, bestEnergy = -Infinity;
+        for (let i = 0; i < total; i++) {
+            if (pattern[i] && energy[i] > bestEnergy) {
+                bestEnergy = energy[i];
+                best = i;
+            }
+        }
+        return best;
+    };
+    const largestVoid = () => {
+        let best = -1, bestEnergy = Infinity;
+        for (let i = 0; i < total; i++) {
+            if (!pattern[i] && energy[i] < bestEnergy) {
+                bestEnergy = energy[i];
+                best = i;
+            }
+        }
+        return best;
+    };
+
+    // Initial pattern: about a tenth of the pixels, seeded so results are reproducible
+    const random = mulberry32(0x9E3779B9 ^ size);
+    const initialCount = Math.max(1, Math.floor(total / 10));
+    for (let placed = 0; placed < initialCount;) {
+        const index = Math.floor(random() * total);
+        if (!pattern[index]) {
+            toggle(index, true);
+            placed++;
+        }
+    }
+
+    // Move points from the tightest cluster into the largest void until the pattern settles
+    for (let iteration = 0; iteration < total; iteration++) {
+        const cluster = tightestCluster();
+        toggle(cluster, false);
+        const gap = largestVoid();
+        toggle(gap, true);
+        if (gap === cluster) break;
+    }
+
+    const ranks = new Int32Array(total);
+    const prototype = pattern.slice();
+    const prototypeEnergy = energy.slice();
+
+    // Phase 1: remove the initial points, tightest clusters get the highest ranks below initialCount
+    for (let rank = initialCount - 1; rank >= 0; rank--) {
+        const cluster = tightestCluster();
+        toggle(cluster, false);
+        ranks[cluster] = rank;
+    }
+
+    // Phases 2 and 3: from the prototype, keep filling the largest void.
+    // Past half-full this is the same as removing the tightest cluster of empty pixels.
+    pattern.set(prototype);
+    energy.set(prototypeEnergy);
+    for (let rank = initialCount; rank < total; rank++) {
+        const gap = largestVoid();
+        toggle(gap, true);
+        ranks[gap] = rank;
+    }
+
+    const matrix = [];
+    for (let y = 0; y < size; y++) matrix.push(Array.from(ranks.subarray(y * size, (y + 1) * size)));
+    return matrix;
+}
+
+/**
+ * Small deterministic PRNG
+ */
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,383 @@
+/**
+ * Color Adjustments
+ * Tonal and color controls for pre-quantization tweaks: brightness, contrast, gamma, saturation,
+ * vibrance, levels, tone curves, posterize, sharpening and color temperature
+ *
+ * Every function returns a new buffer and leaves its input alone, unless options.inPlace is set,
+ * in which case the input buffer is modified and returned. Alpha is never changed.
+ */
+
+import { gaussianBlur } from '../utils/helpers.js';
+
+/**
+ * Luma weights, as used by convertToGrayscale
+ */
+const LUMA_R = 0.299;
+const LUMA_G = 0.587;
+const LUMA_B = 0.114;
+
+/**
+ * Strongest channel gain of adjustTemperature and the tint control, at ±100
+ */
+const TEMPERATURE_GAIN = 0.2;
+
+/**
+ * Order in which adjustImage applies its settings
+ */
+const ADJUSTMENT_ORDER = [
+    'temperature', 'levels', 'curves', 'brightness', 'contrast', 'gamma',
+    'saturation', 'vibrance', 'sharpen', 'posterize'
+];
+
+/**
+ * Shift brightness
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number} amount - -100 (black) to 100 (white)
+ * @param {Object} [options] - Adjustment options
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function adjustBrightness(pixelDataArray, amount, options = {}) {
+    const offset = clampAmount(amount) * 2.55;
+    return applyChannelLuts(pixelDataArray, channelLuts({ rgb: buildLut(v => v + offset) }), options);
+}
+
+/**
+ * Stretch or flatten contrast around mid-gray
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number} amount - -100 (flat gray) to 100 (maximum contrast)
+ * @param {Object} [options] - Adjustment options
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function adjustContrast(pixelDataArray, amount, options = {}) {
+    // Classic contrast factor; 254.9 instead of 255 keeps the factor finite at +100
+    const c = Math.min(254.9, clampAmount(amount) * 2.55);
+    const factor = 259 * (c + 255) / (255 * (259 - c));
+    return applyChannelLuts(pixelDataArray, channelLuts({ rgb: buildLut(v => factor * (v - 128) + 128) }), options);
+}
+
+/**
+ * Apply gamma correction
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number} gamma - Values above 1 brighten mid-tones, values below 1 darken them
+ * @param {Object} [options] - Adjustment options
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function adjustGamma(pixelDataArray, gamma, options = {}) {
+    if (!(gamma > 0)) {
+        console.warn(`Gamma must be positive, got ${gamma}. Leaving the image unchanged.`);
+        gamma = 1;
+    }
+    return applyChannelLuts(pixelDataArray, channelLuts({ rgb: buildLut(v => 255 * Math.pow(v / 255, 1 / gamma)) }), options);
+}
+
+/**
+ * Change saturation by moving every pixel towards or away from its gray value
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number} amount - -100 (grayscale) to 100 (double saturation)
+ * @param {Object} [options] - Adjustment options
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function adjustSaturation(pixelDataArray, amount, options = {}) {
+    const factor = 1 + clampAmount(amount) / 100;
+    return mapPixels(pixelDataArray, () => factor, options);
+}
+
+/**
+ * Change saturation mostly in muted colors, leaving already saturated ones (and skin tones
+ * close to them) nearly untouched
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number} amount - -100 to 100
+ * @param {Object} [options] - Adjustment options
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function adjustVibrance(pixelDataArray, amount, options = {}) {
+    const strength = clampAmount(amount) / 100;
+    return mapPixels(pixelDataArray, (r, g, b) => {
+        const saturation = (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+        return 1 + strength * (1 - saturation);
+    }, options);
+}
+
+/**
+ * Remap the tonal range, like a levels dialog
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {Object} [options] - Levels options
+ * @param {number} [options.inputBlack=0] - Input value mapped to outputBlack
+ * @param {number} [options.inputWhite=255] - Input value mapped to outputWhite
+ * @param {number} [options.gamma=1] - Mid-tone gamma between the input points (above 1 brightens)
+ * @param {number} [options.outputBlack=0] - Darkest output value
+ * @param {number} [options.outputWhite=255] - Lightest output value
+ * @param {string} [options.channel='rgb'] - 'rgb', 'r', 'g' or 'b'
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function adjustLevels(pixelDataArray, options = {}) {
+    const {
+        inputBlack = 0,
+        inputWhite = 255,
+        gamma = 1,
+        outputBlack = 0,
+        outputWhite = 255,
+        channel = 'rgb'
+    } = options;
+
+    const range = Math.max(1, inputWhite - inputBlack);
+    const exponent = gamma > 0 ? 1 / gamma : 1;
+    const lut = buildLut(v => {
+        const t = Math.max(0, Math.min(1, (v - inputBlack) / range));
+        return outputBlack + Math.pow(t, exponent) * (outputWhite - outputBlack);
+    });
+    return applyChannelLuts(pixelDataArray, channelLuts({ [channel]: lut }), options);
+}
+
+/**
+ * Apply tone curves through control points, interpolated with monotone cubic splines
+ * (the curve never overshoots between points). Outside the first and last point the curve is flat.
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {Array<Array<number>>|Object} curves - [[x, y], ...] control points (0-255) for all channels,
+ *     or { rgb, r, g, b } with points per channel; 'rgb' is applied after the single channels
+ * @param {Object} [options] - Adjustment options
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function applyCurves(pixelDataArray, curves, options = {}) {
+    const perChannel = Array.isArray(curves) ? { rgb: curves } : (curves || {});
+    const luts = {};
+    for (const channel of ['rgb', 'r', 'g', 'b']) {
+        if (perChannel[channel]) luts[channel] = buildCurveLut(perChannel[channel]);
+    }
+    return applyChannelLuts(pixelDataArray, channelLuts(luts), options);
+}
+
+/**
+ * Reduce every channel to a few evenly spaced levels
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number|Array<number>} levels - Levels per channel (2-256), or [r, g, b] levels
+ * @param {Object} [options] - Adjustment options
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function posterize(pixelDataArray, levels, options = {}) {
+    const perChannel = Array.isArray(levels) ? levels : [levels, levels, levels];
+    const luts = perChannel.map(count => {
+        const steps = Math.max(2, Math.min(256, Math.floor(count) || 2)) - 1;
+        return buildLut(v => Math.round(Math.round(v / 255 * steps) * 255 / steps));
+    });
+    return applyChannelLuts(pixelDataArray, luts, options);
+}
+
+/**
+ * Sharpen with an unsharp mask: the difference between the image and a blurred copy is
+ * added back, boosting detail of about the blur radius
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Sharpening options
+ * @param {number} [options.amount=50] - Strength in percent of the difference added back (0-500)
+ * @param {number} [options.radius=1] - Blur radius in pixels
+ * @param {number} [options.threshold=0] - Differences below this (0-255) are left alone, to spare noise and flat areas
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Sharpened image data
+ */
+export function sharpen(pixelDataArray, width, height, options = {}) {
+    const { amount = 50, radius = 1, threshold = 0, inPlace = false } = options;
+
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Sharpen called with empty image data or invalid dimensions.");
+        return pixelDataArray;
+    }
+
+    const strength = Math.max(0, Math.min(500, amount)) / 100;
+    const blurred = gaussianBlur(pixelDataArray, width, height, radius).data;
+    const output = inPlace ? pixelDataArray : new Uint8ClampedArray(pixelDataArray);
+    for (let i = 0; i < output.length; i += 4) {
+        // The blur ignores transparent pixels, so there is nothing to compare them with
+        if (pixelDataArray[i + 3] === 0) continue;
+        for (let c = 0; c < 3; c++) {
+            const difference = pixelDataArray[i + c] - blurred[i + c];
+            if (Math.abs(difference) >= threshold) output[i + c] = pixelDataArray[i + c] + difference * strength;
+        }
+    }
+    return output;
+}
+
+/**
+ * Warm up or cool down an image, with an optional green-magenta tint
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number} amount - -100 (cool, bluer) to 100 (warm, more orange)
+ * @param {Object} [options] - Adjustment options
+ * @param {number} [options.tint=0] - -100 (greener) to 100 (more magenta)
+ * @param {boolean} [options.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function adjustTemperature(pixelDataArray, amount, options = {}) {
+    const { tint = 0 } = options;
+    const warmth = clampAmount(amount) / 100 * TEMPERATURE_GAIN;
+    const magenta = clampAmount(tint) / 100 * TEMPERATURE_GAIN;
+    const gains = [1 + warmth, 1 - magenta, 1 - warmth];
+    return applyChannelLuts(pixelDataArray, gains.map(gain => buildLut(v => v * gain)), options);
+}
+
+/**
+ * Apply several adjustments in one call, in a fixed order: temperature, levels, curves,
+ * brightness, contrast, gamma, saturation, vibrance, sharpen, posterize.
+ * Settings that are missing or neutral are skipped.
+ * @param {Uint8ClampedArray} pixelDataArray - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [settings] - Adjustments to apply
+ * @param {number} [settings.temperature] - See adjustTemperature; settings.tint is passed along
+ * @param {Object} [settings.levels] - adjustLevels options
+ * @param {Array|Object} [settings.curves] - applyCurves curves
+ * @param {number} [settings.brightness] - See adjustBrightness
+ * @param {number} [settings.contrast] - See adjustContrast
+ * @param {number} [settings.gamma] - See adjustGamma
+ * @param {number} [settings.saturation] - See adjustSaturation
+ * @param {number} [settings.vibrance] - See adjustVibrance
+ * @param {Object} [settings.sharpen] - sharpen options
+ * @param {number|Array<number>} [settings.posterize] - posterize levels
+ * @param {boolean} [settings.inPlace=false] - Modify pixelDataArray instead of returning a copy
+ * @returns {Uint8ClampedArray} Adjusted image data
+ */
+export function adjustImage(pixelDataArray, width, height, settings = {}) {
+    const output = settings.inPlace ? pixelDataArray : new Uint8ClampedArray(pixelDataArray);
+    const inPlace = { inPlace: true };
+
+    for (const key of ADJUSTMENT_ORDER) {
+        const value = settings[key];
+        if (value === undefined || value === null) continue;
+        switch (key) {
+            case 'temperature':
+                if (value !== 0 || settings.tint) adjustTemperature(output, value, { tint: settings.tint, inPlace: true });
+                break;
+            case 'levels': adjustLevels(output, { ...value, inPlace: true }); break;
+            case 'curves': applyCurves(output, value, inPlace); break;
+            case 'brightness': if (value !== 0) adjustBrightness(output, value, inPlace); break;
+            case 'contrast': if (value !== 0) adjustContrast(output, value, inPlace); break;
+            case 'gamma': if (value !== 1) adjustGamma(output, value, inPlace); break;
+            case 'saturation': if (value !== 0) adjustSaturation(output, value, inPlace); break;
+            case 'vibrance': if (value !== 0) adjustVibrance(output, value, inPlace); break;
+            case 'sharpen': sharpen(output, width, height, { ...value, inPlace: true }); break;
+            case 'posterize': posterize(output, value, inPlace); break;
+        }
+    }
+    return output;
+}
+
+/**
+ * Build a 256-entry lookup table from a value mapping
+ */
+function buildLut(map) {
+    const lut = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) lut[v] = Math.round(map(v));
+    return lut;
+}
+
+/**
+ * Turn { rgb, r, g, b } tables into one table per channel; 'rgb' runs after the single channels
+ */
+function channelLuts({ rgb, r, g, b }) {
+    return [r, g, b].map(lut => {
+        if (!rgb) return lut || null;
+        if (!lut) return rgb;
+        return lut.map(v => rgb[v]);
+    });
+}
+
+/**
+ * Run channel lookup tables ([r, g, b], null entries are skipped) over RGBA data
+ */
+function applyChannelLuts(pixelDataArray, luts, options) {
+    if (!pixelDataArray || !pixelDataArray.length) {
+        console.warn("Color adjustment called with empty image data.");
+        return pixelDataArray;
+    }
+    const output = options.inPlace ? pixelDataArray : new Uint8ClampedArray(pixelDataArray);
+    for (let c = 0; c < 3; c++) {
+        const lut = luts[c];
+        if (!lut) continue;
+        for (let i = c; i < output.length; i += 4) output[i] = lut[output[i]];
+    }
+    return output;
+}
+
+/**
+ * Scale every pixel's distance from its gray value by factor(r, g, b)
+ */
+function mapPixels(pixelDataArray, factor, options) {
+    if (!pixelDataArray || !pixelDataArray.length) {
+        console.warn("Color adjustment called with empty image data.");
+        return pixelDataArray;
+    }
+    const output = options.inPlace ? pixelDataArray : new Uint8ClampedArray(pixelDataArray);
+    for (let i = 0; i < output.length; i += 4) {
+        const r = output[i], g = output[i + 1], b = output[i + 2];
+        const gray = LUMA_R * r + LUMA_G * g + LUMA_B * b;
+        const f = factor(r, g, b);
+        output[i] = gray + (r - gray) * f;
+        output[i + 1] = gray + (g - gray) * f;
+        output[i + 2] = gray + (b - gray) * f;
+    }
+    return output;
+}
+
+/**
+ * Lookup table through control points, using Fritsch-Carlson monotone cubic interpolation
+ */
+function buildCurveLut(points) {
+    const sorted = points
+        .filter(point => Array.isArray(point) && point.length >= 2)
+        .map(([x, y]) => [Math.max(0, Math.min(255, x)), Math.max(0, Math.min(255, y))])
+        .sort((p, q) => p[0] - q[0])
+        .filter((point, k, list) => k === 0 || point[0] !== list[k - 1][0]);
+    if (sorted.length === 0) return buildLut(v => v);
+    if (sorted.length === 1) return buildLut(() => sorted[0][1]);
+
+    const n = sorted.length;
+    const slopes = [];
+    for (let k = 0; k < n - 1; k++) {
+        slopes.push((sorted[k + 1][1] - sorted[k][1]) / (sorted[k + 1][0] - sorted[k][0]));
+    }
+    const tangents = sorted.map((_, k) => {
+        if (k === 0) return slopes[0];
+        if (k === n - 1) return slopes[n - 2];
+        return slopes[k - 1] * slopes[k] <= 0 ? 0 : (slopes[k - 1] + slopes[k]) / 2;
+    });
+    // Limit the tangents so each segment stays monotone
+    for (let k = 0; k < n - 1; k++) {
+        if (slopes[k] === 0) {
+            tangents[k] = tangents[k + 1] = 0;
+            continue;
+        }
+        const a = tangents[k] / slopes[k], b = tangents[k + 1] / slopes[k];
+        const length = Math.hypot(a, b);
+        if (length > 3) {
+            tangents[k] = 3 * a / length * slopes[k];
+            tangents[k + 1] = 3 * b / length * slopes[k];
+        }
+    }
+
+    return buildLut(v => {
+        if (v <= sorted[0][0]) return sorted[0][1];
+        if (v >= sorted[n - 1][0]) return sorted[n - 1][1];
+        let k = 0;
+        while (v > sorted[k + 1][0]) k++;
+        const [x0, y0] = sorted[k], [x1, y1] = sorted[k + 1];
+        const h = x1 - x0, t = (v - x0) / h;
+        const t2 = t * t, t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * h * tangents[k]
+            + (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * h * tangents[k + 1];
+    });
+}
+
+/**
+ * Clamp a -100..100 control value; non-numbers count as 0
+ */
+function clampAmount(amount) {
+    return Math.max(-100, Math.min(100, Number(amount) || 0));
+}
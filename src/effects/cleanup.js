@@ -0,0 +1,142 @@
+/**
+ * Pixel Cleanup
+ * Removes orphan pixels and staircase corners that palette mapping leaves behind
+ */
+
+/**
+ * Neighbour offsets, orthogonal first
+ */
+const NEIGHBOURS_8 = [[0, -1], [-1, 0], [1, 0], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+/**
+ * Replace isolated specks with the color around them.
+ * Pixels are grouped into regions of one exact color (all fully transparent pixels count as
+ * one color). Every region of at most maxSize pixels takes the most common color among
+ * the pixels bordering it.
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Cleanup options
+ * @param {number} [options.maxSize=1] - Largest region size treated as an orphan
+ * @param {number} [options.connectivity=8] - 4 or 8; with 8, diagonal pixels belong to the same region
+ * @returns {Uint8ClampedArray} Cleaned image data
+ */
+export function removeOrphanPixels(pixelDataArray, width, height, options = {}) {
+    const { maxSize = 1, connectivity = 8 } = options;
+
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Orphan pixel removal called with empty image data or invalid dimensions.");
+        return pixelDataArray;
+    }
+
+    const keys = colorKeys(pixelDataArray);
+    const neighbours = connectivity === 4 ? NEIGHBOURS_8.slice(0, 4) : NEIGHBOURS_8;
+    const output = new Uint8ClampedArray(pixelDataArray);
+    const visited = new Uint8Array(width * height);
+    const region = [];
+
+    for (let start = 0; start < keys.length; start++) {
+        if (visited[start]) continue;
+
+        // Flood-fill one region, giving up on it once it is larger than maxSize
+        const key = keys[start];
+        region.length = 0;
+        region.push(start);
+        visited[start] = 1;
+        let large = false;
+        for (let r = 0; r < region.length; r++) {
+            const x = region[r] % width, y = Math.floor(region[r] / width);
+            for (const [dx, dy] of neighbours) {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (visited[n] || keys[n] !== key) continue;
+                visited[n] = 1;
+                region.push(n);
+            }
+            if (region.length > maxSize) large = true;
+        }
+        if (large) continue;
+
+        // Most common color on the region's border, counting orthogonal neighbours twice
+        const votes = new Map();
+        let best = -1, bestVotes = 0;
+        for (const p of region) {
+            const x = p % width, y = Math.floor(p / width);
+            NEIGHBOURS_8.forEach(([dx, dy], k) => {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+                const n = ny * width + nx;
+                if (keys[n] === key) return;
+                const count = (votes.get(keys[n]) || 0) + (k < 4 ? 2 : 1);
+                votes.set(keys[n], count);
+                if (count > bestVotes) {
+                    bestVotes = count;
+                    best = n;
+                }
+            });
+        }
+        if (best === -1) continue;
+        for (const p of region) output.set(pixelDataArray.subarray(best * 4, best * 4 + 4), p * 4);
+    }
+    return output;
+}
+
+/**
+ * Smooth staircase jaggies in one-pixel lines ("pixel-perfect" cleanup).
+ * A pixel that forms the corner of an L in a thin line - one same-colored neighbour
+ * horizontally, one vertically, and the diagonal between them free - doubles the line's
+ * width at that step. Such corners take the color of the free diagonal between the two arms.
+ * Right angles, where the line runs straight on past both arms, are kept.
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8ClampedArray} Smoothed image data
+ */
+export function smoothJaggies(pixelDataArray, width, height) {
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Jaggy smoothing called with empty image data or invalid dimensions.");
+        return pixelDataArray;
+    }
+
+    const keys = colorKeys(pixelDataArray);
+    const output = new Uint8ClampedArray(pixelDataArray);
+    const removed = new Uint8Array(width * height);
+    const same = (x, y, key) => x >= 0 && y >= 0 && x < width && y < height
+        && !removed[y * width + x] && keys[y * width + x] === key;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const key = keys[p];
+            const left = same(x - 1, y, key), right = same(x + 1, y, key);
+            const up = same(x, y - 1, key), down = same(x, y + 1, key);
+            // Exactly one horizontal and one vertical neighbour of the same color
+            if (left === right || up === down) continue;
+            const dx = left ? -1 : 1, dy = up ? -1 : 1;
+            // The inner diagonal must be free, or the pixel fills a solid corner
+            if (same(x + dx, y + dy, key)) continue;
+            // The line must go on past both arms, and not straight on both (a real right angle)
+            const straightH = same(x + 2 * dx, y, key), stepH = same(x + dx, y - dy, key);
+            const straightV = same(x, y + 2 * dy, key), stepV = same(x - dx, y + dy, key);
+            if (!(straightH || stepH) || !(straightV || stepV) || (straightH && straightV)) continue;
+
+            const inner = ((y + dy) * width + x + dx) * 4;
+            output.set(pixelDataArray.subarray(inner, inner + 4), p * 4);
+            removed[p] = 1;
+        }
+    }
+    return output;
+}
+
+/**
+ * One numeric key per pixel; all fully transparent pixels share key -1
+ */
+function colorKeys(pixelDataArray) {
+    const keys = new Float64Array(pixelDataArray.length / 4);
+    for (let p = 0, i = 0; p < keys.length; p++, i += 4) {
+        const a = pixelDataArray[i + 3];
+        keys[p] = a === 0 ? -1 : pixelDataArray[i] * 0x1000000 + (pixelDataArray[i + 1] << 16) + (pixelDataArray[i + 2] << 8) + a;
+    }
+    return keys;
+}
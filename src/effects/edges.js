@@ -0,0 +1,182 @@
+/**
+ * Edge Detection and Emphasis
+ * Sobel and Canny edge maps, used to draw dark lines at object borders before quantization
+ */
+
+/**
+ * Supported edge detectors
+ */
+const EDGE_METHODS = ['sobel', 'canny'];
+
+/**
+ * Sobel magnitudes are divided by this to land roughly in 0-255
+ */
+const SOBEL_NORMALIZATION = 4;
+
+/**
+ * Find edges in an image.
+ * Edges are measured on alpha-weighted luminance, so sprite borders against transparency count.
+ * - 'sobel': every pixel whose gradient magnitude reaches threshold
+ * - 'canny': Gaussian smoothing, Sobel gradients, thinning to one-pixel lines (non-maximum
+ *   suppression) and hysteresis: strong edges above highThreshold, plus weak edges above
+ *   lowThreshold that connect to a strong one
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.method='sobel'] - 'sobel' or 'canny'
+ * @param {number} [options.threshold=48] - Sobel: minimum gradient magnitude (0-255)
+ * @param {number} [options.lowThreshold=15] - Canny: minimum magnitude of weak edges (0-255)
+ * @param {number} [options.highThreshold=40] - Canny: minimum magnitude of strong edges (0-255)
+ * @returns {Uint8Array} One value per pixel: 255 on edges, 0 elsewhere
+ */
+export function detectEdges(pixelDataArray, width, height, options = {}) {
+    let { method = 'sobel' } = options;
+    const { threshold = 48, lowThreshold = 15, highThreshold = 40 } = options;
+
+    const edges = new Uint8Array(Math.max(0, width * height));
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Edge detection called with empty image data or invalid dimensions.");
+        return edges;
+    }
+    if (!EDGE_METHODS.includes(method)) {
+        console.warn(`Unknown edge detection method "${method}". Falling back to "sobel".`);
+        method = 'sobel';
+    }
+
+    let luminance = new Float32Array(width * height);
+    for (let p = 0, i = 0; p < luminance.length; p++, i += 4) {
+        luminance[p] = (0.299 * pixelDataArray[i] + 0.587 * pixelDataArray[i + 1] + 0.114 * pixelDataArray[i + 2])
+            * pixelDataArray[i + 3] / 255;
+    }
+    if (method === 'canny') luminance = smoothLuminance(luminance, width, height);
+
+    const { magnitude, gx, gy } = sobelGradients(luminance, width, height);
+    if (method === 'sobel') {
+        for (let p = 0; p < edges.length; p++) if (magnitude[p] >= threshold) edges[p] = 255;
+        return edges;
+    }
+
+    // Non-maximum suppression: keep pixels that are the peak across the edge
+    const thin = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const m = magnitude[p];
+            if (m === 0) continue;
+            const angle = ((Math.atan2(gy[p], gx[p]) * 180 / Math.PI) + 180) % 180;
+            const [dx, dy] = angle < 22.5 || angle >= 157.5 ? [1, 0]
+                : angle < 67.5 ? [1, 1]
+                : angle < 112.5 ? [0, 1]
+                : [-1, 1];
+            const before = sampleClamped(magnitude, width, height, x - dx, y - dy);
+            const after = sampleClamped(magnitude, width, height, x + dx, y + dy);
+            if (m >= before && m > after) thin[p] = m;
+        }
+    }
+
+    // Hysteresis: grow strong edges through connected weak ones
+    const stack = [];
+    for (let p = 0; p < thin.length; p++) {
+        if (thin[p] >= highThreshold && !edges[p]) {
+            edges[p] = 255;
+            stack.push(p);
+        }
+        while (stack.length > 0) {
+            const q = stack.pop();
+            const x = q % width, y = Math.floor(q / width);
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                    const n = ny * width + nx;
+                    if (!edges[n] && thin[n] >= lowThreshold) {
+                        edges[n] = 255;
+                        stack.push(n);
+                    }
+                }
+            }
+        }
+    }
+    return edges;
+}
+
+/**
+ * Darken object borders so they survive palette reduction as outlines
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Emphasis options, plus any detectEdges option
+ * @param {Array<number>} [options.color=[0, 0, 0]] - Line color
+ * @param {number} [options.strengthPercent=100] - How far edge pixels move towards the line color (0-100)
+ * @returns {Uint8ClampedArray} Image data with emphasized edges
+ */
+export function applyEdgeEmphasis(pixelDataArray, width, height, options = {}) {
+    const { color = [0, 0, 0], strengthPercent = 100 } = options;
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Edge emphasis called with empty image data or invalid dimensions.");
+        return pixelDataArray;
+    }
+
+    const edges = detectEdges(pixelDataArray, width, height, options);
+    const strength = Math.max(0, Math.min(100, strengthPercent)) / 100;
+    const output = new Uint8ClampedArray(pixelDataArray);
+    for (let p = 0, i = 0; p < edges.length; p++, i += 4) {
+        // Lines are drawn on the sprite, never into transparent pixels
+        if (!edges[p] || output[i + 3] === 0) continue;
+        output[i] += (color[0] - output[i]) * strength;
+        output[i + 1] += (color[1] - output[i + 1]) * strength;
+        output[i + 2] += (color[2] - output[i + 2]) * strength;
+    }
+    return output;
+}
+
+/**
+ * Sobel gradients with clamped borders
+ */
+function sobelGradients(luminance, width, height) {
+    const gx = new Float32Array(width * height);
+    const gy = new Float32Array(width * height);
+    const magnitude = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const at = (dx, dy) => sampleClamped(luminance, width, height, x + dx, y + dy);
+            const p = y * width + x;
+            gx[p] = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+            gy[p] = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+            magnitude[p] = Math.sqrt(gx[p] * gx[p] + gy[p] * gy[p]) / SOBEL_NORMALIZATION;
+        }
+    }
+    return { magnitude, gx, gy };
+}
+
+/**
+ * 5×5 binomial smoothing (an approximation of a Gaussian with sigma ≈ 1), done in two passes
+ */
+function smoothLuminance(luminance, width, height) {
+    const weights = [1, 4, 6, 4, 1];
+    const temp = new Float32Array(width * height);
+    const output = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -2; k <= 2; k++) sum += weights[k + 2] * sampleClamped(luminance, width, height, x + k, y);
+            temp[y * width + x] = sum / 16;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -2; k <= 2; k++) sum += weights[k + 2] * sampleClamped(temp, width, height, x, y + k);
+            output[y * width + x] = sum / 16;
+        }
+    }
+    return output;
+}
+
+/**
+ * Read a value, repeating the border outside the image
+ */
+function sampleClamped(values, width, height, x, y) {
+    const cx = x < 0 ? 0 : x >= width ? width - 1 : x;
+    const cy = y < 0 ? 0 : y >= height ? height - 1 : y;
+    return values[cy * width + cx];
+}
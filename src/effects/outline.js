@@ -0,0 +1,117 @@
+/**
+ * Sprite Outlines
+ * Outer and inner outlines, with optional selective outlining (sel-out) by light direction
+ */
+
+import { createPaletteIndex } from '../utils/paletteIndex.js';
+
+/**
+ * Neighbour offsets for 4- and 8-connected outlines
+ */
+const NEIGHBOURS_4 = [[0, -1], [-1, 0], [1, 0], [0, 1]];
+const NEIGHBOURS_8 = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * Light directions by name, pointing from the sprite towards the light (y grows downwards)
+ */
+const LIGHT_DIRECTIONS = {
+    'top-left': [-1, -1],
+    'top': [0, -1],
+    'top-right': [1, -1],
+    'left': [-1, 0],
+    'right': [1, 0],
+    'bottom-left': [-1, 1],
+    'bottom': [0, 1],
+    'bottom-right': [1, 1]
+};
+
+/**
+ * Draw an outline around the opaque parts of a sprite.
+ * - 'outer': transparent pixels next to the sprite become outline pixels (the sprite grows by one pixel)
+ * - 'inner': the sprite's own border pixels become outline pixels (the size stays the same)
+ * With selOut, border pixels facing the light are not drawn in the outline color but in a mix
+ * of the outline color and the sprite color next to them, as pixel artists do by hand.
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Outline options
+ * @param {string} [options.mode='outer'] - 'outer' or 'inner'
+ * @param {Array<number>} [options.color=[0, 0, 0]] - Outline color
+ * @param {number} [options.connectivity=4] - 4 for orthogonal neighbours only, 8 to include diagonals
+ * @param {boolean} [options.selOut=false] - Lighten the outline on the side facing the light
+ * @param {string|Array<number>} [options.lightDirection='top-left'] - Named direction or [dx, dy] towards the light
+ * @param {number} [options.litMix=0.5] - Share of the sprite color in lit outline pixels (0-1)
+ * @param {Array<Array<number>>} [options.palette] - Snap lit outline colors to this palette
+ * @param {number} [options.alphaThreshold=1] - Minimum alpha counted as part of the sprite
+ * @returns {Uint8ClampedArray} Outlined image data
+ */
+export function applyOutline(pixelDataArray, width, height, options = {}) {
+    let { mode = 'outer', connectivity = 4, lightDirection = 'top-left' } = options;
+    const { color = [0, 0, 0], selOut = false, litMix = 0.5, palette, alphaThreshold = 1 } = options;
+
+    if (!pixelDataArray || !pixelDataArray.length || width <= 0 || height <= 0) {
+        console.warn("Outline called with empty image data or invalid dimensions.");
+        return pixelDataArray;
+    }
+    if (mode !== 'outer' && mode !== 'inner') {
+        console.warn(`Unknown outline mode "${mode}". Using "outer".`);
+        mode = 'outer';
+    }
+    if (connectivity !== 4 && connectivity !== 8) {
+        console.warn(`Outline connectivity must be 4 or 8, got ${connectivity}. Using 4.`);
+        connectivity = 4;
+    }
+    if (typeof lightDirection === 'string') {
+        if (!LIGHT_DIRECTIONS[lightDirection]) {
+            console.warn(`Unknown light direction "${lightDirection}". Using "top-left".`);
+        }
+        lightDirection = LIGHT_DIRECTIONS[lightDirection] || LIGHT_DIRECTIONS['top-left'];
+    }
+
+    const neighbours = connectivity === 8 ? NEIGHBOURS_8 : NEIGHBOURS_4;
+    const paletteIndex = selOut && palette && palette.length > 0 ? createPaletteIndex(palette) : null;
+    const solid = new Uint8Array(width * height);
+    for (let p = 0; p < solid.length; p++) solid[p] = pixelDataArray[p * 4 + 3] >= alphaThreshold ? 1 : 0;
+    // Outside the image counts as transparent
+    const isSolid = (x, y) => x >= 0 && y >= 0 && x < width && y < height && solid[y * width + x] === 1;
+
+    const output = new Uint8ClampedArray(pixelDataArray);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            // Outer outlines grow into transparent pixels, inner outlines recolor solid ones
+            if ((mode === 'outer') === (solid[p] === 1)) continue;
+
+            // Sum of the directions towards the neighbours on the other side of the border
+            let nx = 0, ny = 0, count = 0;
+            let fill = -1;
+            for (const [dx, dy] of neighbours) {
+                if (isSolid(x + dx, y + dy) === (mode === 'outer')) {
+                    nx += dx;
+                    ny += dy;
+                    count++;
+                    if (mode === 'outer' && fill === -1) fill = ((y + dy) * width + x + dx) * 4;
+                }
+            }
+            if (count === 0) continue;
+
+            const i = p * 4;
+            let outline = color;
+            if (selOut) {
+                // For outer outlines the sprite lies towards (nx, ny), so the outward normal is the opposite
+                const facing = mode === 'outer' ? -(nx * lightDirection[0] + ny * lightDirection[1])
+                    : nx * lightDirection[0] + ny * lightDirection[1];
+                if (facing > 0) {
+                    const source = mode === 'outer' ? fill : i;
+                    outline = [0, 1, 2].map(c => Math.round(pixelDataArray[source + c] * litMix + color[c] * (1 - litMix)));
+                    if (paletteIndex) outline = paletteIndex.findClosest(outline[0], outline[1], outline[2]) || outline;
+                }
+            }
+            output[i] = outline[0];
+            output[i + 1] = outline[1];
+            output[i + 2] = outline[2];
+            output[i + 3] = 255;
+        }
+    }
+    return output;
+}
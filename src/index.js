@@ -5,21 +5,144 @@
 
 // Core algorithms
 export { generatePalette, applyPalette } from './core/palette.js';
+export { pixelate, upscaleNearest } from './core/pixelate.js';
+export { applyAlphaMode } from './core/alpha.js';
+export { indexedToRgba, rgbaToIndexed } from './core/indexed.js';
+export { generateAnimationPalette, ditherAnimation, convertAnimation } from './core/animation.js';
+export { createSpriteSheet } from './core/spriteSheet.js';
+export { quantizeForHardware, validateHardwareConstraints, listHardwareTargets, getHardwareTarget } from './core/hardware.js';
+
+// Pixel-art upscaling
+export { upscalePixelArt, listUpscaleAlgorithms } from './scaling/upscale.js';
+export { upscaleEpx, upscaleEagle } from './scaling/epx.js';
+export { upscaleXbr } from './scaling/xbr.js';
+
+// Sprite cleanup and edge effects
+export { applyOutline } from './effects/outline.js';
+export { removeOrphanPixels, smoothJaggies } from './effects/cleanup.js';
+export { detectEdges, applyEdgeEmphasis } from './effects/edges.js';
+
+// Color adjustments
+export {
+    adjustBrightness,
+    adjustContrast,
+    adjustGamma,
+    adjustSaturation,
+    adjustVibrance,
+    adjustLevels,
+    applyCurves,
+    posterize,
+    sharpen,
+    adjustTemperature,
+    adjustImage
+} from './effects/adjustments.js';
+
+// Quality metrics and analysis
+export {
+    computePsnr,
+    computeSsim,
+    computeDeltaE,
+    createErrorHeatmap,
+    compareImages,
+    findOptimalColorCount
+} from './analysis/quality.js';
+export { computeColorHistogram, countPaletteUsage } from './analysis/histogram.js';
+export { computeImportanceMap } from './analysis/importance.js';
+
+// Processing pipeline
+export { createPipeline, listPipelineSteps } from './pipeline/pipeline.js';
+export { listPipelinePresets, getPipelinePreset } from './pipeline/presets.js';
+
+// Worker offloading
+export { createWorkerPool, runInWorker, listWorkerTasks } from './worker/pool.js';
+
+// Built-in palettes
+export { listPalettes, getPalette, searchPalettes } from './palettes/library.js';
+
+// Palette editing
+export {
+    sortPalette,
+    groupPaletteRamps,
+    createHueShiftedRamp,
+    mergeSimilarColors,
+    regeneratePalette,
+    capPalette
+} from './palettes/paletteTools.js';
+
+// Palette swapping and color cycling
+export {
+    swapPalette,
+    recolorPalette,
+    cyclePalette,
+    renderColorCycle
+} from './palettes/paletteSwap.js';
+
+// Palette file import/export
+export {
+    parsePaletteFile,
+    serializePaletteFile,
+    detectPaletteFormat,
+    parseGpl,
+    serializeGpl,
+    parseAct,
+    serializeAct,
+    parseAse,
+    serializeAse,
+    parseJascPal,
+    serializeJascPal,
+    parseRiffPal,
+    serializeRiffPal,
+    parseHex,
+    serializeHex,
+    parsePngSwatches,
+    serializePngSwatches
+} from './io/paletteFiles.js';
+
+// Image encoding and decoding
+export { encodePng, encodeIndexedPng, decodePng } from './io/png.js';
+export { encodeGif, encodeAnimatedGif } from './io/gif.js';
+export { encodeBmp } from './io/bmp.js';
+export { encodeSvg, encodeBoxShadow, createCanvasCommands, drawCanvasCommands, encodeCanvasScript } from './io/vector.js';
 
 // Dithering algorithms
 export { applyBayerDithering } from './dithering/bayer.js';
+export { applyOrderedDithering } from './dithering/ordered.js';
+export {
+    createBayerMatrix,
+    createBlueNoiseMatrix,
+    createThresholdMatrix
+} from './dithering/thresholdMaps.js';
 export { applyFloydSteinbergDithering } from './dithering/floydSteinberg.js';
+export { applyErrorDiffusionDithering, ERROR_DIFFUSION_KERNELS } from './dithering/errorDiffusion.js';
 
 // Color space utilities
-export { rgbToHsl, hslToRgb, applyHueShift } from './utils/colorSpace.js';
+export {
+    rgbToHsl,
+    hslToRgb,
+    applyHueShift,
+    rgbToLab,
+    labToRgb,
+    rgbToOklab,
+    oklabToRgb,
+    rgbToOklch,
+    oklchToRgb,
+    srgbToLinear,
+    linearToSrgb,
+    SRGB_TO_LINEAR
+} from './utils/colorSpace.js';
 
 // Helper utilities
 export {
     colorDistanceSquared,
+    colorDistanceRedmean,
+    deltaE76,
+    deltaE2000,
+    getColorMetric,
     findClosestPaletteColor,
     convertToGrayscale,
     gaussianBlur
 } from './utils/helpers.js';
+export { createPaletteIndex } from './utils/paletteIndex.js';
 
 // Version
 export const VERSION = '1.0.0';
@@ -0,0 +1,68 @@
+/**
+ * BMP Encoding
+ * Pure JavaScript writer for palette-based Windows bitmaps
+ */
+
+import { toIndexedImage } from './indexedInput.js';
+
+const FILE_HEADER_SIZE = 14;
+const INFO_HEADER_SIZE = 40;
+
+/**
+ * Encode an image as a palette-based BMP.
+ * Uses 1, 4 or 8 bits per pixel, whichever is smallest for the palette.
+ * BMP has no transparency, so transparent entries are written with their RGB values.
+ * @param {Object} image - Indexed image { indices, palette, width, height } or RGBA image { data, width, height }
+ * @returns {Uint8Array} BMP file contents
+ * @throws {Error} If an RGBA image has more than 256 colors or the palette is invalid
+ */
+export function encodeBmp(image) {
+    const { indices, palette, width, height } = toIndexedImage(image, 'BMP');
+
+    const bitsPerPixel = palette.length <= 2 ? 1 : palette.length <= 16 ? 4 : 8;
+    const perByte = 8 / bitsPerPixel;
+    // Rows are padded to a multiple of 4 bytes
+    const stride = Math.ceil(Math.ceil(width / perByte) / 4) * 4;
+    const colorCount = 1 << bitsPerPixel;
+    const dataOffset = FILE_HEADER_SIZE + INFO_HEADER_SIZE + colorCount * 4;
+    const fileSize = dataOffset + stride * height;
+
+    const out = new Uint8Array(fileSize);
+    const view = new DataView(out.buffer);
+
+    // BITMAPFILEHEADER
+    out[0] = 0x42; // 'B'
+    out[1] = 0x4D; // 'M'
+    view.setUint32(2, fileSize, true);
+    view.setUint32(10, dataOffset, true);
+
+    // BITMAPINFOHEADER
+    view.setUint32(14, INFO_HEADER_SIZE, true);
+    view.setInt32(18, width, true);
+    view.setInt32(22, height, true); // positive height: rows stored bottom-up
+    view.setUint16(26, 1, true);     // planes
+    view.setUint16(28, bitsPerPixel, true);
+    view.setUint32(30, 0, true);     // BI_RGB, uncompressed
+    view.setUint32(34, stride * height, true);
+    view.setInt32(38, 2835, true);   // 72 DPI
+    view.setInt32(42, 2835, true);
+    view.setUint32(46, palette.length, true);
+    view.setUint32(50, 0, true);     // all colors important
+
+    // Color table as B, G, R, reserved
+    palette.forEach((color, index) => {
+        const o = FILE_HEADER_SIZE + INFO_HEADER_SIZE + index * 4;
+        out[o] = color[2];
+        out[o + 1] = color[1];
+        out[o + 2] = color[0];
+    });
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = dataOffset + (height - 1 - y) * stride;
+        for (let x = 0; x < width; x++) {
+            const shift = 8 - bitsPerPixel * (x % perByte + 1);
+            out[rowStart + Math.floor(x / perByte)] |= indices[y * width + x] << shift;
+        }
+    }
+    return out;
+}
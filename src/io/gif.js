@@ -0,0 +1,289 @@
+/**
+ * GIF Encoding
+ * Pure JavaScript GIF89a writer for still and animated indexed images
+ */
+
+import { toIndexedImage } from './indexedInput.js';
+import { findTransparentIndex } from '../utils/paletteIndex.js';
+
+/**
+ * Largest LZW code allowed by the GIF format
+ */
+const MAX_LZW_CODE = 4095;
+
+/**
+ * Encode an image as a GIF.
+ * The color table uses the smallest power of two that holds the palette. The first
+ * palette entry with alpha 0 becomes the transparent color; partial alpha is ignored.
+ * @param {Object} image - Indexed image { indices, palette, width, height } or RGBA image { data, width, height }
+ * @returns {Uint8Array} GIF file contents
+ * @throws {Error} If an RGBA image has more than 256 colors or the palette is invalid
+ */
+export function encodeGif(image) {
+    const { indices, palette, width, height } = toIndexedImage(image, 'GIF');
+    const writer = createByteWriter(width * height);
+
+    writeGifHeader(writer, width, height, palette);
+    writeGifFrame(writer, indices, width, height, {
+        transparentIndex: findTransparentIndex(palette),
+        tableBits: colorTableBits(palette.length)
+    });
+    writer.byte(0x3B); // trailer
+    return writer.finish();
+}
+
+/**
+ * Encode frames as an animated GIF.
+ * The first frame's palette becomes the global color table. Indexed frames with a
+ * different palette (e.g. color-cycling frames) carry it as a local color table.
+ * @param {Array<Object>} frames - Indexed images or RGBA images; a frame may carry its own `delay` in milliseconds
+ * @param {Object} [options] - Animation options
+ * @param {number} [options.delay=100] - Default frame delay in milliseconds (stored in 10 ms steps)
+ * @param {number} [options.loop=0] - Number of repeats, 0 for forever, -1 to play once without a loop extension
+ * @returns {Uint8Array} GIF file contents
+ * @throws {Error} If a frame cannot be encoded
+ */
+export function encodeAnimatedGif(frames, options = {}) {
+    const { delay = 100, loop = 0 } = options;
+    if (!Array.isArray(frames) || frames.length === 0) {
+        throw new Error("Cannot encode GIF: no frames given.");
+    }
+
+    const indexedFrames = frames.every(frame => !frame.indices)
+        ? indexRgbaFrames(frames)
+        : frames.map(frame => toIndexedImage(frame, 'GIF'));
+    const { palette } = indexedFrames[0];
+    const paletteKey = JSON.stringify(palette);
+
+    const width = Math.max(...indexedFrames.map(frame => frame.width));
+    const height = Math.max(...indexedFrames.map(frame => frame.height));
+    const tableBits = Math.max(...indexedFrames.map(frame => colorTableBits(frame.palette.length)));
+    const writer = createByteWriter(width * height * frames.length);
+
+    writeGifHeader(writer, width, height, palette, tableBits);
+    if (loop >= 0) {
+        // NETSCAPE2.0 application extension
+        writer.byte(0x21);
+        writer.byte(0xFF);
+        writer.byte(11);
+        for (const char of 'NETSCAPE2.0') writer.byte(char.charCodeAt(0));
+        writer.byte(3);
+        writer.byte(1);
+        writer.uint16(loop);
+        writer.byte(0);
+    }
+
+    indexedFrames.forEach((frame, k) => {
+        const frameDelay = frames[k].delay !== undefined ? frames[k].delay : delay;
+        const shared = frame.palette === palette || JSON.stringify(frame.palette) === paletteKey;
+        const transparentIndex = findTransparentIndex(frame.palette);
+        writeGifFrame(writer, frame.indices, frame.width, frame.height, {
+            transparentIndex,
+            tableBits,
+            localPalette: shared ? null : frame.palette,
+            delay: Math.max(0, Math.round(frameDelay / 10)),
+            // Transparent frames must clear what the previous frame drew
+            disposal: transparentIndex >= 0 ? 2 : 1
+        });
+    });
+    writer.byte(0x3B); // trailer
+    return writer.finish();
+}
+
+/**
+ * Index RGBA frames against one shared palette by stacking them into a single image
+ */
+function indexRgbaFrames(frames) {
+    const totalLength = frames.reduce((sum, frame) => sum + (frame.data ? frame.data.length : 0), 0);
+    const stacked = new Uint8ClampedArray(totalLength);
+    let offset = 0;
+    for (const frame of frames) {
+        if (!frame.data || frame.data.length !== frame.width * frame.height * 4) {
+            throw new Error("Cannot encode GIF: every frame needs RGBA data matching its size.");
+        }
+        stacked.set(frame.data, offset);
+        offset += frame.data.length;
+    }
+
+    const { indices, palette } = toIndexedImage({ data: stacked, width: 1, height: totalLength / 4 }, 'GIF');
+    let start = 0;
+    return frames.map(({ width, height }) => {
+        const frameIndices = indices.subarray(start, start + width * height);
+        start += width * height;
+        return { indices: frameIndices, palette, width, height };
+    });
+}
+
+/**
+ * Write the signature, logical screen descriptor and global color table
+ */
+function writeGifHeader(writer, width, height, palette, tableBits = colorTableBits(palette.length)) {
+    for (const char of 'GIF89a') writer.byte(char.charCodeAt(0));
+    writer.uint16(width);
+    writer.uint16(height);
+    // Global color table present, 8 bits per primary, table size 2^tableBits
+    writer.byte(0x80 | (7 << 4) | (tableBits - 1));
+    writer.byte(0); // background color index
+    writer.byte(0); // no aspect ratio
+    writeColorTable(writer, palette, tableBits);
+}
+
+/**
+ * Write a color table of 2^tableBits entries, padded with black
+ */
+function writeColorTable(writer, palette, tableBits) {
+    for (let i = 0; i < 1 << tableBits; i++) {
+        const color = palette[i] || [0, 0, 0];
+        writer.byte(color[0]);
+        writer.byte(color[1]);
+        writer.byte(color[2]);
+    }
+}
+
+/**
+ * Write one image: optional graphic control extension, descriptor and LZW data
+ * @param {Object} writer - Byte writer
+ * @param {Uint8Array} indices - Palette indices
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Object} options - Frame options
+ * @param {number} options.transparentIndex - Transparent palette index, or -1
+ * @param {number} options.tableBits - Color table size in bits, which sets the LZW code size
+ * @param {Array<Array<number>>} [options.localPalette=null] - Palette written as a local color table
+ * @param {number} [options.delay=0] - Frame delay in hundredths of a second
+ * @param {number} [options.disposal=0] - Disposal method
+ * @param {number} [options.left=0] - Frame x offset
+ * @param {number} [options.top=0] - Frame y offset
+ */
+function writeGifFrame(writer, indices, width, height, options) {
+    const { transparentIndex, tableBits, localPalette = null, delay = 0, disposal = 0, left = 0, top = 0 } = options;
+    const hasTransparency = transparentIndex >= 0;
+
+    if (hasTransparency || delay > 0 || disposal > 0) {
+        writer.byte(0x21);
+        writer.byte(0xF9);
+        writer.byte(4);
+        writer.byte((disposal << 2) | (hasTransparency ? 1 : 0));
+        writer.uint16(delay);
+        writer.byte(hasTransparency ? transparentIndex : 0);
+        writer.byte(0);
+    }
+
+    writer.byte(0x2C);
+    writer.uint16(left);
+    writer.uint16(top);
+    writer.uint16(width);
+    writer.uint16(height);
+    if (localPalette) {
+        // Local color table present, not interlaced
+        writer.byte(0x80 | (tableBits - 1));
+        writeColorTable(writer, localPalette, tableBits);
+    } else {
+        writer.byte(0); // no local color table, not interlaced
+    }
+
+    const minCodeSize = Math.max(2, tableBits);
+    writer.byte(minCodeSize);
+    writeSubBlocks(writer, lzwEncode(indices, minCodeSize));
+}
+
+/**
+ * Number of bits for a color table holding count entries (1-8)
+ */
+function colorTableBits(count) {
+    let bits = 1;
+    while (1 << bits < count) bits++;
+    return bits;
+}
+
+/**
+ * Variable-width LZW compression as used by GIF
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    const table = new Map();
+
+    const emit = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    if (indices.length > 0) {
+        let prefix = indices[0];
+        for (let p = 1; p < indices.length; p++) {
+            const symbol = indices[p];
+            const key = (prefix << 8) | symbol;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode > MAX_LZW_CODE) {
+                // Table full: start over so the codes stay within 12 bits
+                emit(clearCode);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = symbol;
+        }
+        emit(prefix);
+    }
+    emit(endCode);
+    if (bitCount > 0) out.push(bitBuffer & 0xFF);
+    return out;
+}
+
+/**
+ * Split data into GIF sub-blocks of at most 255 bytes, followed by a terminator
+ */
+function writeSubBlocks(writer, bytes) {
+    for (let start = 0; start < bytes.length; start += 255) {
+        const end = Math.min(bytes.length, start + 255);
+        writer.byte(end - start);
+        for (let i = start; i < end; i++) writer.byte(bytes[i]);
+    }
+    writer.byte(0);
+}
+
+/**
+ * Growable byte writer with little-endian 16-bit values
+ */
+function createByteWriter(sizeHint) {
+    let out = new Uint8Array(Math.max(1024, sizeHint >> 1));
+    let length = 0;
+
+    return {
+        byte(value) {
+            if (length === out.length) {
+                const grown = new Uint8Array(out.length * 2);
+                grown.set(out);
+                out = grown;
+            }
+            out[length++] = value;
+        },
+        uint16(value) {
+            this.byte(value & 0xFF);
+            this.byte((value >> 8) & 0xFF);
+        },
+        finish() {
+            return out.slice(0, length);
+        }
+    };
+}
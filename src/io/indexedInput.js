@@ -0,0 +1,35 @@
+/**
+ * Encoder Input
+ * Normalizes the images accepted by the palette-based encoders
+ */
+
+import { rgbaToIndexed } from '../core/indexed.js';
+
+/**
+ * Accept either an indexed image or RGBA data with at most 256 colors
+ * @param {Object} image - { indices, palette, width, height } or { data, width, height }
+ * @param {string} format - Format name used in error messages
+ * @returns {{indices: Uint8Array, palette: Array<Array<number>>, width: number, height: number}} Indexed image
+ * @throws {Error} If the image cannot be represented with a palette
+ */
+export function toIndexedImage(image, format) {
+    if (!image || !(image.width > 0) || !(image.height > 0)) {
+        throw new Error(`Cannot encode ${format}: image needs a positive width and height.`);
+    }
+    const indexed = image.indices ? image : rgbaToIndexed(image.data, image.width, image.height);
+    if (!indexed) throw new Error(`Cannot encode ${format}: image has more than 256 colors.`);
+
+    const { indices, palette, width, height } = indexed;
+    if (!palette || palette.length === 0 || palette.length > 256) {
+        throw new Error(`Cannot encode ${format}: palette must have 1-256 colors.`);
+    }
+    if (indices.length !== width * height) {
+        throw new Error(`Cannot encode ${format}: expected ${width * height} indices, got ${indices.length}.`);
+    }
+    for (let p = 0; p < indices.length; p++) {
+        if (indices[p] >= palette.length) {
+            throw new Error(`Cannot encode ${format}: index ${indices[p]} is outside the palette.`);
+        }
+    }
+    return indexed;
+}
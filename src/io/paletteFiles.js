@@ -0,0 +1,481 @@
+/**
+ * Palette File Import/Export
+ * GIMP .gpl, Adobe .act and .ase, JASC and RIFF .pal, Lospec .hex and PNG swatch strips
+ */
+
+import { labToRgb } from '../utils/colorSpace.js';
+import { decodePng, encodePng, isPng } from './png.js';
+
+const PALETTE_FORMATS = ['gpl', 'act', 'ase', 'jasc-pal', 'riff-pal', 'hex', 'png'];
+
+// --- GIMP .gpl ---
+
+/**
+ * Parse a GIMP palette (.gpl)
+ * @param {string|Uint8Array|ArrayBuffer} source - File contents
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @throws {Error} If the file is malformed
+ */
+export function parseGpl(source) {
+    const lines = toText(source).split(/\r?\n/);
+    if (!lines[0] || lines[0].trim() !== 'GIMP Palette') {
+        throw new Error('Invalid GPL palette: missing "GIMP Palette" header.');
+    }
+
+    const colors = [];
+    for (let n = 1; n < lines.length; n++) {
+        const line = lines[n].trim();
+        if (!line || line.startsWith('#') || /^(Name|Columns)\s*:/i.test(line)) continue;
+
+        const match = line.match(/^(\d+)\s+(\d+)\s+(\d+)(\s|$)/);
+        if (!match) throw new Error(`Invalid GPL palette: cannot read color on line ${n + 1}.`);
+        colors.push(checkColor([+match[1], +match[2], +match[3]], 'GPL', n + 1));
+    }
+    return colors;
+}
+
+/**
+ * Serialize a palette as a GIMP palette (.gpl)
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.name='Pixel Art Palette'] - Palette name
+ * @param {number} [options.columns=8] - Number of columns shown in GIMP
+ * @returns {string} File contents
+ */
+export function serializeGpl(palette, options = {}) {
+    const { name = 'Pixel Art Palette', columns = 8 } = options;
+    const lines = ['GIMP Palette', `Name: ${name}`, `Columns: ${columns}`, '#'];
+    palette.forEach(([r, g, b]) => {
+        const pad = v => String(v).padStart(3, ' ');
+        lines.push(`${pad(r)} ${pad(g)} ${pad(b)}\t${toHex([r, g, b])}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// --- Adobe .act ---
+
+/**
+ * Parse an Adobe Color Table (.act)
+ * @param {Uint8Array|ArrayBuffer} source - File contents (768 or 772 bytes)
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @throws {Error} If the file is malformed
+ */
+export function parseAct(source) {
+    const bytes = toBytes(source);
+    if (bytes.length !== 768 && bytes.length !== 772) {
+        throw new Error(`Invalid ACT palette: expected 768 or 772 bytes, got ${bytes.length}.`);
+    }
+
+    let count = 256;
+    if (bytes.length === 772) {
+        count = (bytes[768] << 8) | bytes[769];
+        if (count < 1 || count > 256) throw new Error(`Invalid ACT palette: color count ${count} is out of range.`);
+    }
+
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        colors.push([bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]]);
+    }
+    return colors;
+}
+
+/**
+ * Serialize a palette as an Adobe Color Table (.act)
+ * @param {Array<Array<number>>} palette - Array of up to 256 [r, g, b] colors
+ * @param {Object} [options] - Serialization options
+ * @param {number} [options.transparentIndex=-1] - Palette index marked as transparent, -1 for none
+ * @returns {Uint8Array} File contents (772 bytes)
+ */
+export function serializeAct(palette, options = {}) {
+    const { transparentIndex = -1 } = options;
+    checkSize(palette, 256, 'ACT');
+
+    const bytes = new Uint8Array(772);
+    palette.forEach(([r, g, b], i) => {
+        bytes[i * 3] = r;
+        bytes[i * 3 + 1] = g;
+        bytes[i * 3 + 2] = b;
+    });
+    bytes[768] = palette.length >> 8;
+    bytes[769] = palette.length & 0xFF;
+    const transparent = transparentIndex >= 0 ? transparentIndex : 0xFFFF;
+    bytes[770] = transparent >> 8;
+    bytes[771] = transparent & 0xFF;
+    return bytes;
+}
+
+// --- Adobe Swatch Exchange .ase ---
+
+/**
+ * Parse an Adobe Swatch Exchange file (.ase)
+ * RGB, grayscale, CMYK (naive conversion) and LAB swatches are read; groups are flattened.
+ * @param {Uint8Array|ArrayBuffer} source - File contents
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @throws {Error} If the file is malformed
+ */
+export function parseAse(source) {
+    const bytes = toBytes(source);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== 'ASEF') {
+        throw new Error('Invalid ASE palette: missing "ASEF" signature.');
+    }
+
+    const blockCount = view.getUint32(8);
+    const colors = [];
+    let pos = 12;
+    for (let block = 0; block < blockCount; block++) {
+        if (pos + 6 > bytes.length) throw new Error(`Invalid ASE palette: block ${block + 1} is truncated.`);
+        const type = view.getUint16(pos);
+        const length = view.getUint32(pos + 2);
+        const start = pos + 6;
+        pos = start + length;
+        if (pos > bytes.length) throw new Error(`Invalid ASE palette: block ${block + 1} is truncated.`);
+        if (type !== 0x0001) continue; // group start/end blocks
+
+        const nameLength = view.getUint16(start);
+        let p = start + 2 + nameLength * 2;
+        const model = String.fromCharCode(...bytes.subarray(p, p + 4));
+        p += 4;
+        const values = [];
+        const valueCount = { 'RGB ': 3, 'LAB ': 3, 'CMYK': 4, 'Gray': 1 }[model];
+        if (!valueCount) throw new Error(`Invalid ASE palette: unknown color model "${model}".`);
+        if (p + valueCount * 4 > pos) throw new Error(`Invalid ASE palette: block ${block + 1} is truncated.`);
+        for (let v = 0; v < valueCount; v++, p += 4) values.push(view.getFloat32(p));
+
+        const to255 = v => Math.max(0, Math.min(255, Math.round(v * 255)));
+        if (model === 'RGB ') {
+            colors.push(values.map(to255));
+        } else if (model === 'Gray') {
+            const gray = to255(values[0]);
+            colors.push([gray, gray, gray]);
+        } else if (model === 'CMYK') {
+            const [c, m, y, k] = values;
+            colors.push([to255((1 - c) * (1 - k)), to255((1 - m) * (1 - k)), to255((1 - y) * (1 - k))]);
+        } else {
+            colors.push(labToRgb(values[0] * 100, values[1], values[2]));
+        }
+    }
+    return colors;
+}
+
+/**
+ * Serialize a palette as an Adobe Swatch Exchange file (.ase) with RGB swatches
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Object} [options] - Serialization options
+ * @param {Array<string>} [options.names] - Swatch names (defaults to hex codes)
+ * @returns {Uint8Array} File contents
+ */
+export function serializeAse(palette, options = {}) {
+    const { names = [] } = options;
+    const swatchNames = palette.map((color, i) => names[i] || toHex(color));
+    const size = 12 + swatchNames.reduce((sum, name) => sum + 6 + 2 + (name.length + 1) * 2 + 4 + 12 + 2, 0);
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x41, 0x53, 0x45, 0x46], 0); // "ASEF"
+    view.setUint16(4, 1);                    // version 1.0
+    view.setUint16(6, 0);
+    view.setUint32(8, palette.length);
+
+    let pos = 12;
+    palette.forEach(([r, g, b], i) => {
+        const name = swatchNames[i];
+        const length = 2 + (name.length + 1) * 2 + 4 + 12 + 2;
+        view.setUint16(pos, 0x0001);
+        view.setUint32(pos + 2, length);
+        pos += 6;
+        view.setUint16(pos, name.length + 1);
+        pos += 2;
+        for (let c = 0; c < name.length; c++, pos += 2) view.setUint16(pos, name.charCodeAt(c));
+        pos += 2; // null terminator
+        bytes.set([0x52, 0x47, 0x42, 0x20], pos); // "RGB "
+        pos += 4;
+        view.setFloat32(pos, r / 255);
+        view.setFloat32(pos + 4, g / 255);
+        view.setFloat32(pos + 8, b / 255);
+        pos += 12;
+        view.setUint16(pos, 2); // normal (non-global, non-spot) color
+        pos += 2;
+    });
+    return bytes;
+}
+
+// --- JASC .pal ---
+
+/**
+ * Parse a JASC (Paint Shop Pro) palette (.pal)
+ * @param {string|Uint8Array|ArrayBuffer} source - File contents
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @throws {Error} If the file is malformed
+ */
+export function parseJascPal(source) {
+    const lines = toText(source).split(/\r?\n/).map(line => line.trim());
+    if (lines[0] !== 'JASC-PAL') throw new Error('Invalid JASC palette: missing "JASC-PAL" header.');
+    if (lines[1] !== '0100') throw new Error(`Invalid JASC palette: unsupported version "${lines[1]}".`);
+
+    const count = parseInt(lines[2], 10);
+    if (!(count >= 1)) throw new Error('Invalid JASC palette: missing color count.');
+
+    const colors = [];
+    for (let n = 3; n < 3 + count; n++) {
+        const match = (lines[n] || '').match(/^(\d+)\s+(\d+)\s+(\d+)$/);
+        if (!match) throw new Error(`Invalid JASC palette: cannot read color on line ${n + 1}.`);
+        colors.push(checkColor([+match[1], +match[2], +match[3]], 'JASC', n + 1));
+    }
+    return colors;
+}
+
+/**
+ * Serialize a palette as a JASC (Paint Shop Pro) palette (.pal)
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @returns {string} File contents
+ */
+export function serializeJascPal(palette) {
+    const lines = ['JASC-PAL', '0100', String(palette.length)];
+    palette.forEach(([r, g, b]) => lines.push(`${r} ${g} ${b}`));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// --- Microsoft RIFF .pal ---
+
+/**
+ * Parse a Microsoft RIFF palette (.pal)
+ * @param {Uint8Array|ArrayBuffer} source - File contents
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @throws {Error} If the file is malformed
+ */
+export function parseRiffPal(source) {
+    const bytes = toBytes(source);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const fourCC = pos => String.fromCharCode(...bytes.subarray(pos, pos + 4));
+    if (bytes.length < 12 || fourCC(0) !== 'RIFF' || fourCC(8) !== 'PAL ') {
+        throw new Error('Invalid RIFF palette: missing "RIFF"/"PAL " header.');
+    }
+
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const id = fourCC(pos);
+        const size = view.getUint32(pos + 4, true);
+        if (id === 'data') {
+            if (pos + 12 > bytes.length) throw new Error('Invalid RIFF palette: truncated data chunk.');
+            const count = view.getUint16(pos + 10, true);
+            if (pos + 12 + count * 4 > bytes.length) throw new Error('Invalid RIFF palette: truncated data chunk.');
+            const colors = [];
+            for (let i = 0, p = pos + 12; i < count; i++, p += 4) {
+                colors.push([bytes[p], bytes[p + 1], bytes[p + 2]]);
+            }
+            return colors;
+        }
+        pos += 8 + size + (size & 1);
+    }
+    throw new Error('Invalid RIFF palette: missing "data" chunk.');
+}
+
+/**
+ * Serialize a palette as a Microsoft RIFF palette (.pal)
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @returns {Uint8Array} File contents
+ */
+export function serializeRiffPal(palette) {
+    checkSize(palette, 65535, 'RIFF');
+    const dataSize = 4 + palette.length * 4;
+    const bytes = new Uint8Array(20 + dataSize);
+    const view = new DataView(bytes.buffer);
+    const writeFourCC = (pos, text) => {
+        for (let i = 0; i < 4; i++) bytes[pos + i] = text.charCodeAt(i);
+    };
+
+    writeFourCC(0, 'RIFF');
+    view.setUint32(4, 12 + dataSize, true);
+    writeFourCC(8, 'PAL ');
+    writeFourCC(12, 'data');
+    view.setUint32(16, dataSize, true);
+    view.setUint16(20, 0x0300, true); // palette version
+    view.setUint16(22, palette.length, true);
+    palette.forEach(([r, g, b], i) => {
+        bytes.set([r, g, b, 0], 24 + i * 4);
+    });
+    return bytes;
+}
+
+// --- Lospec .hex ---
+
+/**
+ * Parse a hex palette (.hex): one RRGGBB color per line, '#' optional
+ * @param {string|Uint8Array|ArrayBuffer} source - File contents
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @throws {Error} If the file is malformed
+ */
+export function parseHex(source) {
+    const colors = [];
+    toText(source).split(/\r?\n/).forEach((rawLine, n) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith(';') || line.startsWith('//')) return;
+        const match = line.match(/^#?([0-9a-f]{6})$/i);
+        if (!match) throw new Error(`Invalid HEX palette: cannot read color "${line}" on line ${n + 1}.`);
+        const value = parseInt(match[1], 16);
+        colors.push([value >> 16, (value >> 8) & 0xFF, value & 0xFF]);
+    });
+    if (colors.length === 0) throw new Error('Invalid HEX palette: no colors found.');
+    return colors;
+}
+
+/**
+ * Serialize a palette as a hex palette (.hex)
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @returns {string} File contents
+ */
+export function serializeHex(palette) {
+    return palette.map(toHex).join('\n') + '\n';
+}
+
+// --- PNG swatch strip ---
+
+/**
+ * Read the colors of a PNG swatch image, e.g. a 1×N Lospec strip.
+ * Unique opaque colors are collected in reading order, so scaled strips and grids also work.
+ * @param {Uint8Array|ArrayBuffer} source - PNG file contents
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @throws {Error} If the file is not a valid PNG
+ */
+export function parsePngSwatches(source) {
+    const { data } = decodePng(toBytes(source));
+    const seen = new Set();
+    const colors = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        if (seen.has(key)) continue;
+        seen.add(key);
+        colors.push([data[i], data[i + 1], data[i + 2]]);
+    }
+    if (colors.length === 0) throw new Error('Invalid PNG swatches: image has no opaque pixels.');
+    return colors;
+}
+
+/**
+ * Serialize a palette as a PNG swatch strip, one swatch per color
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Object} [options] - Serialization options
+ * @param {number} [options.swatchSize=1] - Width and height of each swatch in pixels
+ * @returns {Uint8Array} PNG file contents (N×1 swatches)
+ */
+export function serializePngSwatches(palette, options = {}) {
+    const swatchSize = Math.max(1, Math.floor(options.swatchSize || 1));
+    checkSize(palette, Infinity, 'PNG');
+    const width = palette.length * swatchSize;
+    const height = swatchSize;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = palette[Math.floor(x / swatchSize)];
+            const i = (y * width + x) * 4;
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] = 255;
+        }
+    }
+    return encodePng({ data, width, height });
+}
+
+// --- Format detection ---
+
+/**
+ * Parse a palette file, detecting the format from its contents when not given
+ * @param {string|Uint8Array|ArrayBuffer} source - File contents
+ * @param {string} [format] - 'gpl', 'act', 'ase', 'jasc-pal', 'riff-pal', 'hex' or 'png'
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @throws {Error} If the format is unknown or the file is malformed
+ */
+export function parsePaletteFile(source, format) {
+    format = format || detectPaletteFormat(source);
+    switch (format) {
+        case 'gpl': return parseGpl(source);
+        case 'act': return parseAct(source);
+        case 'ase': return parseAse(source);
+        case 'jasc-pal': return parseJascPal(source);
+        case 'riff-pal': return parseRiffPal(source);
+        case 'hex': return parseHex(source);
+        case 'png': return parsePngSwatches(source);
+        default:
+            throw new Error(`Unknown palette format "${format}". Expected one of: ${PALETTE_FORMATS.join(', ')}.`);
+    }
+}
+
+/**
+ * Serialize a palette in the given file format
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {string} format - 'gpl', 'act', 'ase', 'jasc-pal', 'riff-pal', 'hex' or 'png'
+ * @param {Object} [options] - Format-specific options
+ * @returns {string|Uint8Array} Text for text formats, bytes for binary formats
+ * @throws {Error} If the format is unknown
+ */
+export function serializePaletteFile(palette, format, options = {}) {
+    switch (format) {
+        case 'gpl': return serializeGpl(palette, options);
+        case 'act': return serializeAct(palette, options);
+        case 'ase': return serializeAse(palette, options);
+        case 'jasc-pal': return serializeJascPal(palette);
+        case 'riff-pal': return serializeRiffPal(palette);
+        case 'hex': return serializeHex(palette);
+        case 'png': return serializePngSwatches(palette, options);
+        default:
+            throw new Error(`Unknown palette format "${format}". Expected one of: ${PALETTE_FORMATS.join(', ')}.`);
+    }
+}
+
+/**
+ * Guess a palette file format from its contents
+ * @param {string|Uint8Array|ArrayBuffer} source - File contents
+ * @returns {string|null} Detected format, or null if unrecognized
+ */
+export function detectPaletteFormat(source) {
+    if (typeof source !== 'string') {
+        const bytes = toBytes(source);
+        const magic = String.fromCharCode(...bytes.subarray(0, 4));
+        if (isPng(bytes)) return 'png';
+        if (magic === 'ASEF') return 'ase';
+        if (magic === 'RIFF') return 'riff-pal';
+        if (bytes.length === 768 || bytes.length === 772) return 'act';
+    }
+    const text = toText(source).trimStart();
+    if (text.startsWith('GIMP Palette')) return 'gpl';
+    if (text.startsWith('JASC-PAL')) return 'jasc-pal';
+    if (/^#?[0-9a-f]{6}\s*(\r?\n|$)/i.test(text)) return 'hex';
+    return null;
+}
+
+// --- Helpers ---
+
+function toBytes(source) {
+    if (source instanceof Uint8Array) return source;
+    if (source instanceof ArrayBuffer) return new Uint8Array(source);
+    if (ArrayBuffer.isView(source)) return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    throw new Error("Palette data must be a Uint8Array or ArrayBuffer.");
+}
+
+function toText(source) {
+    if (typeof source === 'string') return source.replace(/^\uFEFF/, '');
+    return new TextDecoder().decode(toBytes(source)).replace(/^\uFEFF/, '');
+}
+
+function toHex([r, g, b]) {
+    return ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+}
+
+function checkColor(color, format, line) {
+    if (color.some(v => v > 255)) {
+        throw new Error(`Invalid ${format} palette: color value above 255 on line ${line}.`);
+    }
+    return color;
+}
+
+function checkSize(palette, max, format) {
+    if (!palette || palette.length === 0) {
+        throw new Error(`Cannot write ${format} palette: palette is empty.`);
+    }
+    if (palette.length > max) {
+        throw new Error(`Cannot write ${format} palette: ${palette.length} colors exceed the format limit of ${max}.`);
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * PNG Encoding and Decoding
+ * Pure JavaScript PNG support for RGBA buffers and indexed images, without canvas
+ */
+
+import { zlibDeflate, zlibInflate } from './zlib.js';
+import { toIndexedImage } from './indexedInput.js';
+import { indexedToRgba } from '../core/indexed.js';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Adam7 passes: x start, y start, x step, y step
+const ADAM7 = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum used by PNG chunks
+ * @param {Uint8Array} bytes - Data to checksum
+ * @param {number} [start=0] - First byte to include
+ * @param {number} [end=bytes.length] - Byte after the last one to include
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes, start = 0, end = bytes.length) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = start; i < end; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Check whether bytes start with the PNG signature
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True for PNG data
+ */
+export function isPng(bytes) {
+    return bytes.length >= 8 && PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * Encode an image as a truecolor PNG
+ * @param {Object} image - RGBA image { data, width, height } or indexed image { indices, palette, width, height }
+ * @returns {Uint8Array} PNG file contents
+ * @throws {Error} If the size is missing or does not match the pixel data
+ */
+export function encodePng(image) {
+    if (!image || !(image.width > 0) || !(image.height > 0)) {
+        throw new Error("Cannot encode PNG: image needs a positive width and height.");
+    }
+    const { width, height } = image;
+    const pixelDataArray = image.indices ? indexedToRgba(toIndexedImage(image, 'PNG')) : image.data;
+    if (!pixelDataArray || pixelDataArray.length !== width * height * 4) {
+        throw new Error(`Cannot encode PNG: expected ${width * height * 4} bytes of RGBA data.`);
+    }
+
+    // Drop the alpha channel when every pixel is opaque
+    let hasAlpha = false;
+    for (let i = 3; i < pixelDataArray.length; i += 4) {
+        if (pixelDataArray[i] !== 255) {
+            hasAlpha = true;
+            break;
+        }
+    }
+    const channels = hasAlpha ? 4 : 3;
+    const stride = width * channels + 1;
+    const raw = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        let o = y * stride + 1; // filter type 0 (none)
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            raw[o++] = pixelDataArray[i];
+            raw[o++] = pixelDataArray[i + 1];
+            raw[o++] = pixelDataArray[i + 2];
+            if (hasAlpha) raw[o++] = pixelDataArray[i + 3];
+        }
+    }
+
+    const header = new Uint8Array(13);
+    writeUint32(header, 0, width);
+    writeUint32(header, 4, height);
+    header[8] = 8;                    // bit depth
+    header[9] = hasAlpha ? 6 : 2;     // RGBA or RGB
+    return buildPng([
+        ['IHDR', header],
+        ['IDAT', zlibDeflate(raw)],
+        ['IEND', new Uint8Array(0)]
+    ]);
+}
+
+/**
+ * Encode an image as a palette-based PNG (PLTE + tRNS).
+ * The bit depth is the smallest of 1, 2, 4 or 8 that fits the palette, and the
+ * tRNS chunk is only written up to the last entry that is not fully opaque.
+ * @param {Object} image - Indexed image { indices, palette, width, height } or RGBA image { data, width, height }
+ * @returns {Uint8Array} PNG file contents
+ * @throws {Error} If an RGBA image has more than 256 colors or the palette is invalid
+ */
+export function encodeIndexedPng(image) {
+    const { indices, palette, width, height } = toIndexedImage(image, 'PNG');
+
+    const bitDepth = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : palette.length <= 16 ? 4 : 8;
+    const perByte = 8 / bitDepth;
+    const stride = Math.ceil(width / perByte) + 1;
+    const raw = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * stride + 1; // filter type 0 (none)
+        for (let x = 0; x < width; x++) {
+            const shift = 8 - bitDepth * (x % perByte + 1);
+            raw[rowStart + Math.floor(x / perByte)] |= indices[y * width + x] << shift;
+        }
+    }
+
+    const plte = new Uint8Array(palette.length * 3);
+    let transparentCount = 0;
+    palette.forEach((color, index) => {
+        plte.set(color.slice(0, 3), index * 3);
+        if (color.length > 3 && color[3] < 255) transparentCount = index + 1;
+    });
+
+    const header = new Uint8Array(13);
+    writeUint32(header, 0, width);
+    writeUint32(header, 4, height);
+    header[8] = bitDepth;
+    header[9] = 3;                    // indexed color
+    const chunks = [['IHDR', header], ['PLTE', plte]];
+    if (transparentCount > 0) {
+        chunks.push(['tRNS', Uint8Array.from(palette.slice(0, transparentCount), color => (color.length > 3 ? color[3] : 255))]);
+    }
+    chunks.push(['IDAT', zlibDeflate(raw)], ['IEND', new Uint8Array(0)]);
+    return buildPng(chunks);
+}
+
+/**
+ * Decode a PNG file into RGBA pixel data
+ * Supports all standard color types, bit depths and Adam7 interlacing.
+ * @param {Uint8Array|ArrayBuffer} bytes - PNG file contents
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Decoded image
+ * @throws {Error} If the file is not a valid PNG
+ */
+export function decodePng(bytes) {
+    bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    if (!isPng(bytes)) throw new Error("Invalid PNG: missing PNG signature.");
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    let pos = 8;
+    while (pos + 8 <= bytes.length) {
+        const length = readUint32(bytes, pos);
+        const type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+        const dataStart = pos + 8;
+        const dataEnd = dataStart + length;
+        if (dataEnd + 4 > bytes.length) throw new Error(`Invalid PNG: truncated ${type} chunk.`);
+        if (crc32(bytes, pos + 4, dataEnd) !== readUint32(bytes, dataEnd)) {
+            throw new Error(`Invalid PNG: CRC mismatch in ${type} chunk.`);
+        }
+        const chunk = bytes.subarray(dataStart, dataEnd);
+
+        if (type === 'IHDR') {
+            header = {
+                width: readUint32(chunk, 0),
+                height: readUint32(chunk, 4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+        pos = dataEnd + 4;
+    }
+
+    if (!header) throw new Error("Invalid PNG: missing IHDR chunk.");
+    if (idat.length === 0) throw new Error("Invalid PNG: missing IDAT chunk.");
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels) throw new Error(`Invalid PNG: unknown color type ${colorType}.`);
+    if (![1, 2, 4, 8, 16].includes(bitDepth)) throw new Error(`Invalid PNG: unsupported bit depth ${bitDepth}.`);
+    if (colorType === 3 && !palette) throw new Error("Invalid PNG: indexed image without PLTE chunk.");
+
+    const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of idat) {
+        compressed.set(chunk, offset);
+        offset += chunk.length;
+    }
+    const raw = zlibInflate(compressed);
+
+    const output = new Uint8ClampedArray(width * height * 4);
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const readSample = createSampleReader(colorType, bitDepth, palette, transparency);
+
+    let rawPos = 0;
+    const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+    for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+
+        const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+        let previous = new Uint8Array(stride);
+        for (let row = 0; row < passHeight; row++) {
+            if (rawPos + 1 + stride > raw.length) throw new Error("Invalid PNG: image data is truncated.");
+            const filter = raw[rawPos];
+            const line = raw.slice(rawPos + 1, rawPos + 1 + stride);
+            rawPos += 1 + stride;
+            unfilter(filter, line, previous, bytesPerPixel);
+
+            const y = y0 + row * dy;
+            for (let col = 0; col < passWidth; col++) {
+                const o = (y * width + x0 + col * dx) * 4;
+                readSample(line, col, output, o);
+            }
+            previous = line;
+        }
+    }
+
+    return { data: output, width, height };
+}
+
+/**
+ * Reverse a PNG scanline filter in place
+ */
+function unfilter(filter, line, previous, bpp) {
+    switch (filter) {
+        case 0:
+            return;
+        case 1:
+            for (let i = bpp; i < line.length; i++) line[i] = (line[i] + line[i - bpp]) & 0xFF;
+            return;
+        case 2:
+            for (let i = 0; i < line.length; i++) line[i] = (line[i] + previous[i]) & 0xFF;
+            return;
+        case 3:
+            for (let i = 0; i < line.length; i++) {
+                const left = i >= bpp ? line[i - bpp] : 0;
+                line[i] = (line[i] + ((left + previous[i]) >> 1)) & 0xFF;
+            }
+            return;
+        case 4:
+            for (let i = 0; i < line.length; i++) {
+                const a = i >= bpp ? line[i - bpp] : 0;
+                const b = previous[i];
+                const c = i >= bpp ? previous[i - bpp] : 0;
+                const p = a + b - c;
+                const pa = Math.abs(p - a);
+                const pb = Math.abs(p - b);
+                const pc = Math.abs(p - c);
+                const predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+                line[i] = (line[i] + predictor) & 0xFF;
+            }
+            return;
+        default:
+            throw new Error(`Invalid PNG: unknown filter type ${filter}.`);
+    }
+}
+
+/**
+ * Create a function that converts one pixel of an unfiltered scanline to RGBA
+ */
+function createSampleReader(colorType, bitDepth, palette, transparency) {
+    const maxValue = (1 << Math.min(bitDepth, 8)) - 1;
+    const scale = v => Math.round(v * 255 / maxValue);
+
+    // Packed sample n of a scanline (for bit depths below 8)
+    const packed = (line, n) => {
+        const bitPos = n * bitDepth;
+        return (line[bitPos >> 3] >> (8 - bitDepth - (bitPos & 7))) & maxValue;
+    };
+    // Sample n of a scanline, reduced to 8 bits (raw value for transparency checks)
+    const sample = (line, n) => (bitDepth === 16 ? line[n * 2] : bitDepth === 8 ? line[n] : packed(line, n));
+    const rawSample = (line, n) => (bitDepth === 16 ? (line[n * 2] << 8) | line[n * 2 + 1] : sample(line, n));
+
+    const transparentGray = transparency && colorType === 0 ? (transparency[0] << 8) | transparency[1] : -1;
+    const transparentRgb = transparency && colorType === 2
+        ? [(transparency[0] << 8) | transparency[1], (transparency[2] << 8) | transparency[3], (transparency[4] << 8) | transparency[5]]
+        : null;
+
+    switch (colorType) {
+        case 0:
+            return (line, x, out, o) => {
+                const v = bitDepth >= 8 ? sample(line, x) : scale(sample(line, x));
+                out[o] = out[o + 1] = out[o + 2] = v;
+                out[o + 3] = rawSample(line, x) === transparentGray ? 0 : 255;
+            };
+        case 2:
+            return (line, x, out, o) => {
+                out[o] = sample(line, x * 3);
+                out[o + 1] = sample(line, x * 3 + 1);
+                out[o + 2] = sample(line, x * 3 + 2);
+                out[o + 3] = transparentRgb
+                    && rawSample(line, x * 3) === transparentRgb[0]
+                    && rawSample(line, x * 3 + 1) === transparentRgb[1]
+                    && rawSample(line, x * 3 + 2) === transparentRgb[2] ? 0 : 255;
+            };
+        case 3:
+            return (line, x, out, o) => {
+                const index = sample(line, x);
+                if (index * 3 + 2 >= palette.length) throw new Error("Invalid PNG: palette index out of range.");
+                out[o] = palette[index * 3];
+                out[o + 1] = palette[index * 3 + 1];
+                out[o + 2] = palette[index * 3 + 2];
+                out[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            };
+        case 4:
+            return (line, x, out, o) => {
+                out[o] = out[o + 1] = out[o + 2] = sample(line, x * 2);
+                out[o + 3] = sample(line, x * 2 + 1);
+            };
+        default:
+            return (line, x, out, o) => {
+                out[o] = sample(line, x * 4);
+                out[o + 1] = sample(line, x * 4 + 1);
+                out[o + 2] = sample(line, x * 4 + 2);
+                out[o + 3] = sample(line, x * 4 + 3);
+            };
+    }
+}
+
+/**
+ * Assemble a PNG file from [type, data] chunks
+ */
+function buildPng(chunks) {
+    const size = 8 + chunks.reduce((sum, [, data]) => sum + 12 + data.length, 0);
+    const out = new Uint8Array(size);
+    out.set(PNG_SIGNATURE, 0);
+    let pos = 8;
+    for (const [type, data] of chunks) {
+        writeUint32(out, pos, data.length);
+        for (let i = 0; i < 4; i++) out[pos + 4 + i] = type.charCodeAt(i);
+        out.set(data, pos + 8);
+        writeUint32(out, pos + 8 + data.length, crc32(out, pos + 4, pos + 8 + data.length));
+        pos += 12 + data.length;
+    }
+    return out;
+}
+
+function readUint32(bytes, pos) {
+    return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+}
+
+function writeUint32(bytes, pos, value) {
+    bytes[pos] = value >>> 24;
+    bytes[pos + 1] = (value >>> 16) & 0xFF;
+    bytes[pos + 2] = (value >>> 8) & 0xFF;
+    bytes[pos + 3] = value & 0xFF;
+}
@@ -0,0 +1,342 @@
+/**
+ * Vector Export
+ * SVG, CSS box-shadow and canvas drawing commands for crisp pixel art at any size
+ */
+
+/**
+ * Ways to merge same-colored pixels into shapes
+ */
+const MERGE_MODES = ['runs', 'rects', 'paths'];
+
+/**
+ * Split an image into one layer per visible color.
+ * Indexed images keep their palette order; RGBA colors are ordered by first appearance.
+ * Fully transparent pixels belong to no layer.
+ * @returns {{width: number, height: number, colors: Array<Array<number>>, layerOf: Int32Array}} Colors as
+ *     [r, g, b, a] and the layer of every pixel (-1 for transparent)
+ * @throws {Error} If the image is malformed
+ */
+function toColorLayers(image, format) {
+    if (!image || !(image.width > 0) || !(image.height > 0)) {
+        throw new Error(`Cannot encode ${format}: image needs a positive width and height.`);
+    }
+    const { width, height } = image;
+    const layerOf = new Int32Array(width * height).fill(-1);
+    const colors = [];
+
+    if (image.indices) {
+        const { indices, palette } = image;
+        if (!palette || indices.length !== width * height) {
+            throw new Error(`Cannot encode ${format}: expected ${width * height} indices and a palette.`);
+        }
+        const layerOfEntry = new Map();
+        for (let p = 0; p < indices.length; p++) {
+            const entry = palette[indices[p]];
+            if (!entry) throw new Error(`Cannot encode ${format}: index ${indices[p]} is outside the palette.`);
+            const alpha = entry.length > 3 ? entry[3] : 255;
+            if (alpha === 0) continue;
+            if (!layerOfEntry.has(indices[p])) layerOfEntry.set(indices[p], -1);
+            layerOf[p] = indices[p];
+        }
+        // Number the used entries in palette order
+        [...layerOfEntry.keys()].sort((a, b) => a - b).forEach(index => {
+            const [r, g, b, a = 255] = palette[index];
+            layerOfEntry.set(index, colors.length);
+            colors.push([r, g, b, a]);
+        });
+        for (let p = 0; p < layerOf.length; p++) if (layerOf[p] !== -1) layerOf[p] = layerOfEntry.get(layerOf[p]);
+        return { width, height, colors, layerOf };
+    }
+
+    const { data } = image;
+    if (!data || data.length !== width * height * 4) {
+        throw new Error(`Cannot encode ${format}: expected ${width * height * 4} bytes of RGBA data.`);
+    }
+    const layerOfColor = new Map();
+    for (let p = 0, i = 0; p < layerOf.length; p++, i += 4) {
+        if (data[i + 3] === 0) continue;
+        // Alpha is part of the key, so each layer has a single opacity
+        const key = ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+        let layer = layerOfColor.get(key);
+        if (layer === undefined) {
+            layer = colors.length;
+            layerOfColor.set(key, layer);
+            colors.push([data[i], data[i + 1], data[i + 2], data[i + 3]]);
+        }
+        layerOf[p] = layer;
+    }
+    return { width, height, colors, layerOf };
+}
+
+/**
+ * Horizontal runs of same-layer pixels, or runs merged downwards into rectangles where they line up
+ * @returns {Array<Array<Array<number>>>} Rectangles [x, y, width, height] per layer, sorted by position
+ */
+function mergeRectangles({ width, height, colors, layerOf }, mergeRows) {
+    const rects = colors.map(() => []);
+    let open = new Map();
+    for (let y = 0; y < height; y++) {
+        const next = new Map();
+        let x = 0;
+        while (x < width) {
+            const layer = layerOf[y * width + x];
+            let end = x + 1;
+            while (end < width && layerOf[y * width + end] === layer) end++;
+            if (layer !== -1) {
+                const key = `${layer},${x},${end}`;
+                let rect = mergeRows ? open.get(key) : undefined;
+                if (rect) {
+                    rect[3]++;
+                } else {
+                    rect = [x, y, end - x, 1];
+                    rects[layer].push(rect);
+                }
+                next.set(key, rect);
+            }
+            x = end;
+        }
+        open = next;
+    }
+    return rects;
+}
+
+/**
+ * Outline every layer as closed polygons along the pixel edges.
+ * Each pixel contributes its clockwise border edges that face another layer; shared edges never
+ * appear, so the remaining edges chain into outer outlines (clockwise) and holes (counter-clockwise),
+ * which fill correctly with the nonzero rule.
+ * @returns {Array<Array<Array<number>>>} Polygons per layer, each a flat list of corner coordinates [x0, y0, x1, y1, ...]
+ */
+function traceOutlines({ width, height, colors, layerOf }) {
+    const stride = width + 1;
+    const outlines = colors.map(() => []);
+    const edgesByLayer = colors.map(() => new Map());
+    const layerAt = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? -1 : layerOf[y * width + x]);
+    const addEdge = (edges, x0, y0, x1, y1) => {
+        const from = y0 * stride + x0;
+        const list = edges.get(from);
+        if (list) list.push(y1 * stride + x1);
+        else edges.set(from, [y1 * stride + x1]);
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const layer = layerOf[y * width + x];
+            if (layer === -1) continue;
+            const edges = edgesByLayer[layer];
+            if (layerAt(x, y - 1) !== layer) addEdge(edges, x, y, x + 1, y);
+            if (layerAt(x + 1, y) !== layer) addEdge(edges, x + 1, y, x + 1, y + 1);
+            if (layerAt(x, y + 1) !== layer) addEdge(edges, x + 1, y + 1, x, y + 1);
+            if (layerAt(x - 1, y) !== layer) addEdge(edges, x, y + 1, x, y);
+        }
+    }
+
+    edgesByLayer.forEach((edges, layer) => {
+        // Map iteration follows insertion order, so outlines start at their top-left edge
+        for (const start of edges.keys()) {
+            while (edges.get(start).length > 0) {
+                const points = [];
+                let vertex = start;
+                do {
+                    const list = edges.get(vertex);
+                    const next = list.shift();
+                    points.push(vertex % stride, Math.floor(vertex / stride));
+                    vertex = next;
+                } while (vertex !== start);
+                outlines[layer].push(dropStraightCorners(points));
+            }
+        }
+    });
+    return outlines;
+}
+
+/**
+ * Remove corners where the outline goes straight on
+ */
+function dropStraightCorners(points) {
+    const count = points.length / 2;
+    const kept = [];
+    for (let k = 0; k < count; k++) {
+        const previous = (k + count - 1) % count;
+        const next = (k + 1) % count;
+        const straight = (points[previous * 2] === points[k * 2] && points[k * 2] === points[next * 2])
+            || (points[previous * 2 + 1] === points[k * 2 + 1] && points[k * 2 + 1] === points[next * 2 + 1]);
+        if (!straight) kept.push(points[k * 2], points[k * 2 + 1]);
+    }
+    return kept;
+}
+
+/**
+ * SVG path data for rectangles
+ */
+function rectanglePath(rects) {
+    return rects.map(([x, y, w, h]) => `M${x} ${y}h${w}v${h}h-${w}z`).join('');
+}
+
+/**
+ * SVG path data for outlines, using only horizontal and vertical lines
+ */
+function outlinePath(polygons) {
+    return polygons.map(points => {
+        let d = `M${points[0]} ${points[1]}`;
+        for (let k = 2; k < points.length; k += 2) {
+            d += points[k] === points[k - 2] ? `V${points[k + 1]}` : `H${points[k]}`;
+        }
+        return `${d}z`;
+    }).join('');
+}
+
+/**
+ * Color as #rrggbb
+ */
+function hexColor([r, g, b]) {
+    return `#${((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1)}`;
+}
+
+/**
+ * Color for CSS and canvas: #rrggbb when opaque, otherwise rgba()
+ */
+function cssColor([r, g, b, a = 255]) {
+    return a === 255 ? hexColor([r, g, b]) : `rgba(${r}, ${g}, ${b}, ${Math.round(a / 255 * 1000) / 1000})`;
+}
+
+/**
+ * Check a merge mode and fall back to the default
+ */
+function resolveMerge(merge, allowed, fallback) {
+    if (allowed.includes(merge)) return merge;
+    console.warn(`Unknown merge mode "${merge}". Using "${fallback}".`);
+    return fallback;
+}
+
+/**
+ * Encode an image as SVG with one path per color.
+ * Pixels are merged into horizontal runs, rectangles (runs stacked where they line up) or traced
+ * outlines. Outlines give the smallest files and no hairline seams between shapes.
+ * @param {Object} image - Indexed image { indices, palette, width, height } or RGBA image { data, width, height }
+ * @param {Object} [options] - SVG options
+ * @param {string} [options.merge='paths'] - 'runs', 'rects' or 'paths'
+ * @param {number} [options.pixelSize=1] - Size of one pixel in the width and height attributes (the viewBox stays in pixels)
+ * @param {Array<number>} [options.background] - Color [r, g, b] drawn behind the image; transparent when not set
+ * @returns {string} SVG document
+ * @throws {Error} If the image is malformed
+ */
+export function encodeSvg(image, options = {}) {
+    const { pixelSize = 1, background } = options;
+    const merge = resolveMerge(options.merge || 'paths', MERGE_MODES, 'paths');
+    const layers = toColorLayers(image, 'SVG');
+    const { width, height, colors } = layers;
+
+    const shapes = merge === 'paths' ? traceOutlines(layers) : mergeRectangles(layers, merge === 'rects');
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width * pixelSize}" height="${height * pixelSize}" `
+            + `viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`
+    ];
+    if (background) lines.push(`<rect width="${width}" height="${height}" fill="${hexColor(background)}"/>`);
+    colors.forEach((color, layer) => {
+        const d = merge === 'paths' ? outlinePath(shapes[layer]) : rectanglePath(shapes[layer]);
+        const opacity = color[3] === 255 ? '' : ` fill-opacity="${Math.round(color[3] / 255 * 1000) / 1000}"`;
+        lines.push(`<path fill="${hexColor(color)}"${opacity} d="${d}"/>`);
+    });
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Encode an image as a CSS box-shadow: one shadow per visible pixel on a pixel-sized element.
+ * The rule shifts the element by one pixel, because a box-shadow is never drawn under its own element.
+ * @param {Object} image - Indexed image or RGBA image
+ * @param {Object} [options] - CSS options
+ * @param {number} [options.pixelSize=1] - Size of one pixel in CSS pixels
+ * @param {string|null} [options.selector='.pixel-art'] - Selector of the generated rule; null returns only the box-shadow value
+ * @returns {string} CSS rule, or the box-shadow value
+ * @throws {Error} If the image is malformed
+ */
+export function encodeBoxShadow(image, options = {}) {
+    const { pixelSize = 1, selector = '.pixel-art' } = options;
+    const { width, height, colors, layerOf } = toColorLayers(image, 'CSS');
+
+    const shadows = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const layer = layerOf[y * width + x];
+            if (layer === -1) continue;
+            shadows.push(`${(x + 1) * pixelSize}px ${(y + 1) * pixelSize}px ${cssColor(colors[layer])}`);
+        }
+    }
+    const value = shadows.length > 0 ? shadows.join(',\n        ') : 'none';
+    if (selector === null) return value;
+
+    return `${selector} {\n`
+        + `    width: ${pixelSize}px;\n`
+        + `    height: ${pixelSize}px;\n`
+        + `    margin: -${pixelSize}px ${width * pixelSize}px ${height * pixelSize}px -${pixelSize}px;\n`
+        + `    box-shadow: ${value};\n`
+        + '}\n';
+}
+
+/**
+ * Build canvas drawing commands: per color, the rectangles to fill
+ * @param {Object} image - Indexed image or RGBA image
+ * @param {Object} [options] - Command options
+ * @param {string} [options.merge='rects'] - 'runs' or 'rects'
+ * @returns {{width: number, height: number, fills: Array<{color: string, rects: Array<Array<number>>}>}} Commands;
+ *     colors are CSS colors, rects are [x, y, width, height] in pixels
+ * @throws {Error} If the image is malformed
+ */
+export function createCanvasCommands(image, options = {}) {
+    const merge = resolveMerge(options.merge || 'rects', ['runs', 'rects'], 'rects');
+    const layers = toColorLayers(image, 'canvas commands');
+    const rects = mergeRectangles(layers, merge === 'rects');
+    return {
+        width: layers.width,
+        height: layers.height,
+        fills: layers.colors.map((color, layer) => ({ color: cssColor(color), rects: rects[layer] }))
+    };
+}
+
+/**
+ * Draw canvas commands onto a 2D context
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} commands - Result of createCanvasCommands
+ * @param {Object} [options] - Drawing options
+ * @param {number} [options.pixelSize=1] - Size of one pixel on the canvas
+ * @param {number} [options.x=0] - Left edge on the canvas
+ * @param {number} [options.y=0] - Top edge on the canvas
+ */
+export function drawCanvasCommands(context, commands, options = {}) {
+    const { pixelSize = 1, x = 0, y = 0 } = options;
+    for (const { color, rects } of commands.fills) {
+        context.fillStyle = color;
+        for (const [rx, ry, rw, rh] of rects) {
+            context.fillRect(x + rx * pixelSize, y + ry * pixelSize, rw * pixelSize, rh * pixelSize);
+        }
+    }
+}
+
+/**
+ * Encode an image as a standalone JavaScript function that draws it onto a canvas context
+ * @param {Object} image - Indexed image or RGBA image
+ * @param {Object} [options] - Script options
+ * @param {string} [options.functionName='drawPixelArt'] - Name of the generated function
+ * @param {string} [options.merge='rects'] - 'runs' or 'rects'
+ * @returns {string} Source of `function name(ctx, x = 0, y = 0, pixelSize = 1)`
+ * @throws {Error} If the image is malformed
+ */
+export function encodeCanvasScript(image, options = {}) {
+    const { functionName = 'drawPixelArt' } = options;
+    const { width, height, fills } = createCanvasCommands(image, options);
+    const data = fills.map(({ color, rects }) => `        ['${color}', [${rects.map(rect => rect.join(',')).join(', ')}]]`);
+    return `// ${width}×${height} pixel art\n`
+        + `function ${functionName}(ctx, x = 0, y = 0, pixelSize = 1) {\n`
+        + '    const fills = [\n'
+        + `${data.join(',\n')}\n`
+        + '    ];\n'
+        + '    for (const [color, rects] of fills) {\n'
+        + '        ctx.fillStyle = color;\n'
+        + '        for (let i = 0; i < rects.length; i += 4) {\n'
+        + '            ctx.fillRect(x + rects[i] * pixelSize, y + rects[i + 1] * pixelSize, rects[i + 2] * pixelSize, rects[i + 3] * pixelSize);\n'
+        + '        }\n'
+        + '    }\n'
+        + '}\n';
+}
@@ -0,0 +1,411 @@
+/**
+ * Minimal zlib (RFC 1950) / DEFLATE (RFC 1951) support
+ * Pure JavaScript, no platform dependencies
+ */
+
+// Base lengths and extra bits for length codes 257-285
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+// Base distances and extra bits for distance codes 0-29
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// LZ77 parameters used by the compressor
+const WINDOW_SIZE = 32768;
+const HASH_SIZE = 1 << 15;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+
+// Order in which code length code lengths are stored in dynamic blocks
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Compute the Adler-32 checksum used by zlib streams
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function adler32(bytes) {
+    let a = 1, b = 0;
+    for (let i = 0; i < bytes.length;) {
+        const end = Math.min(bytes.length, i + 5552);
+        for (; i < end; i++) {
+            a += bytes[i];
+            b += a;
+        }
+        a %= 65521;
+        b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wrap data in a zlib stream made of stored (uncompressed) DEFLATE blocks
+ * @param {Uint8Array} bytes - Data to wrap
+ * @returns {Uint8Array} zlib stream
+ */
+export function zlibStore(bytes) {
+    const blockCount = Math.max(1, Math.ceil(bytes.length / 65535));
+    const out = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+    out[0] = 0x78; // deflate, 32K window
+    out[1] = 0x01; // no preset dictionary, fastest
+    let pos = 2;
+    for (let block = 0; block < blockCount; block++) {
+        const start = block * 65535;
+        const length = Math.min(65535, bytes.length - start);
+        out[pos++] = block === blockCount - 1 ? 1 : 0;
+        out[pos++] = length & 0xFF;
+        out[pos++] = length >> 8;
+        out[pos++] = ~length & 0xFF;
+        out[pos++] = (~length >> 8) & 0xFF;
+        out.set(bytes.subarray(start, start + length), pos);
+        pos += length;
+    }
+    const checksum = adler32(bytes);
+    out[pos++] = checksum >>> 24;
+    out[pos++] = (checksum >>> 16) & 0xFF;
+    out[pos++] = (checksum >>> 8) & 0xFF;
+    out[pos] = checksum & 0xFF;
+    return out;
+}
+
+/**
+ * Compress data into a zlib stream.
+ * Uses LZ77 with hash chains and the fixed Huffman code, which suits the long
+ * runs and repeated rows of pixel art without the cost of dynamic tables.
+ * @param {Uint8Array} bytes - Data to compress
+ * @returns {Uint8Array} zlib stream
+ */
+export function zlibDeflate(bytes) {
+    const writer = createBitWriter(bytes.length);
+    writer.writeBits(0x78, 8); // deflate, 32K window
+    writer.writeBits(0x9C, 8); // no preset dictionary, default compression
+
+    writer.writeBits(1, 1); // final block
+    writer.writeBits(1, 2); // fixed Huffman codes
+
+    const head = new Int32Array(HASH_SIZE).fill(-1);
+    const previous = new Int32Array(Math.min(bytes.length, WINDOW_SIZE));
+    const hashAt = i => ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & (HASH_SIZE - 1);
+    const insert = i => {
+        if (i + 2 >= bytes.length) return;
+        const hash = hashAt(i);
+        previous[i % WINDOW_SIZE] = head[hash];
+        head[hash] = i;
+    };
+
+    let i = 0;
+    while (i < bytes.length) {
+        let bestLength = 0;
+        let bestDistance = 0;
+        if (i + 2 < bytes.length) {
+            const maxLength = Math.min(MAX_MATCH, bytes.length - i);
+            let candidate = head[hashAt(i)];
+            for (let chain = 0; candidate !== -1 && chain < MAX_CHAIN; chain++) {
+                const distance = i - candidate;
+                if (distance > WINDOW_SIZE) break;
+                let length = 0;
+                while (length < maxLength && bytes[candidate + length] === bytes[i + length]) length++;
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestDistance = distance;
+                    if (length === maxLength) break;
+                }
+                const next = previous[candidate % WINDOW_SIZE];
+                if (next >= candidate) break;
+                candidate = next;
+            }
+        }
+
+        if (bestLength >= MIN_MATCH) {
+            writeLength(writer, bestLength);
+            writeDistance(writer, bestDistance);
+            for (let k = 0; k < bestLength; k++) insert(i + k);
+            i += bestLength;
+        } else {
+            writeFixedSymbol(writer, bytes[i]);
+            insert(i);
+            i++;
+        }
+    }
+    writeFixedSymbol(writer, 256); // end of block
+
+    const checksum = adler32(bytes);
+    writer.alignToByte();
+    writer.writeBits(checksum >>> 24, 8);
+    writer.writeBits((checksum >>> 16) & 0xFF, 8);
+    writer.writeBits((checksum >>> 8) & 0xFF, 8);
+    writer.writeBits(checksum & 0xFF, 8);
+    const compressed = writer.finish();
+
+    // Incompressible data is smaller as stored blocks
+    const storedSize = 6 + bytes.length + Math.max(1, Math.ceil(bytes.length / 65535)) * 5;
+    return compressed.length > storedSize ? zlibStore(bytes) : compressed;
+}
+
+/**
+ * Decompress a zlib stream
+ * @param {Uint8Array} bytes - zlib stream
+ * @returns {Uint8Array} Decompressed data
+ * @throws {Error} If the stream is malformed
+ */
+export function zlibInflate(bytes) {
+    if (bytes.length < 6 || (bytes[0] & 0x0F) !== 8 || ((bytes[0] << 8) | bytes[1]) % 31 !== 0) {
+        throw new Error("Invalid zlib stream: bad header.");
+    }
+    if (bytes[1] & 0x20) {
+        throw new Error("Invalid zlib stream: preset dictionaries are not supported.");
+    }
+    return inflate(bytes.subarray(2));
+}
+
+/**
+ * Growable little-endian bit writer
+ */
+function createBitWriter(sizeHint) {
+    let out = new Uint8Array(Math.max(64, (sizeHint >> 1) + 64));
+    let length = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const pushByte = value => {
+        if (length === out.length) {
+            const grown = new Uint8Array(out.length * 2);
+            grown.set(out);
+            out = grown;
+        }
+        out[length++] = value;
+    };
+
+    return {
+        writeBits(value, count) {
+            bitBuffer |= value << bitCount;
+            bitCount += count;
+            while (bitCount >= 8) {
+                pushByte(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        },
+        alignToByte() {
+            if (bitCount > 0) pushByte(bitBuffer & 0xFF);
+            bitBuffer = 0;
+            bitCount = 0;
+        },
+        finish() {
+            return out.slice(0, length);
+        }
+    };
+}
+
+/**
+ * Write a literal/length symbol with the fixed Huffman code.
+ * Huffman codes are sent most significant bit first, so they are bit-reversed.
+ */
+function writeFixedSymbol(writer, symbol) {
+    let code, length;
+    if (symbol < 144) {
+        code = 0x30 + symbol;
+        length = 8;
+    } else if (symbol < 256) {
+        code = 0x190 + symbol - 144;
+        length = 9;
+    } else if (symbol < 280) {
+        code = symbol - 256;
+        length = 7;
+    } else {
+        code = 0xC0 + symbol - 280;
+        length = 8;
+    }
+    writer.writeBits(reverseBits(code, length), length);
+}
+
+function writeLength(writer, length) {
+    let code = LENGTH_BASE.length - 1;
+    while (LENGTH_BASE[code] > length) code--;
+    writeFixedSymbol(writer, 257 + code);
+    if (LENGTH_EXTRA[code]) writer.writeBits(length - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+}
+
+function writeDistance(writer, distance) {
+    let code = DIST_BASE.length - 1;
+    while (DIST_BASE[code] > distance) code--;
+    writer.writeBits(reverseBits(code, 5), 5);
+    if (DIST_EXTRA[code]) writer.writeBits(distance - DIST_BASE[code], DIST_EXTRA[code]);
+}
+
+function reverseBits(code, length) {
+    let reversed = 0;
+    for (let k = 0; k < length; k++) {
+        reversed = (reversed << 1) | (code & 1);
+        code >>= 1;
+    }
+    return reversed;
+}
+
+/**
+ * Build a canonical Huffman decoding table from code lengths
+ */
+function buildHuffman(lengths) {
+    const counts = new Uint16Array(16);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        if (lengths[symbol]) symbols[offsets[lengths[symbol]]++] = symbol;
+    }
+    return { counts, symbols };
+}
+
+/**
+ * Inflate raw DEFLATE data
+ */
+function inflate(data) {
+    let pos = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let out = new Uint8Array(Math.max(1024, data.length * 4));
+    let outLength = 0;
+
+    const ensure = extra => {
+        if (outLength + extra <= out.length) return;
+        let size = out.length * 2;
+        while (size < outLength + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(out.subarray(0, outLength));
+        out = grown;
+    };
+
+    const bits = count => {
+        while (bitCount < count) {
+            if (pos >= data.length) throw new Error("Invalid deflate data: unexpected end of stream.");
+            bitBuffer |= data[pos++] << bitCount;
+            bitCount += 8;
+        }
+        const value = bitBuffer & ((1 << count) - 1);
+        bitBuffer >>>= count;
+        bitCount -= count;
+        return value;
+    };
+
+    const decodeSymbol = ({ counts, symbols }) => {
+        let code = 0, first = 0, index = 0;
+        for (let length = 1; length < 16; length++) {
+            code |= bits(1);
+            const count = counts[length];
+            if (code - first < count) return symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error("Invalid deflate data: bad Huffman code.");
+    };
+
+    let fixedLiteral = null;
+    let fixedDistance = null;
+
+    let finalBlock = 0;
+    while (!finalBlock) {
+        finalBlock = bits(1);
+        const type = bits(2);
+
+        if (type === 0) {
+            // Stored block: skip to a byte boundary
+            bitBuffer = 0;
+            bitCount = 0;
+            if (pos + 4 > data.length) throw new Error("Invalid deflate data: truncated stored block.");
+            const length = data[pos] | (data[pos + 1] << 8);
+            const check = data[pos + 2] | (data[pos + 3] << 8);
+            if ((length ^ 0xFFFF) !== check) throw new Error("Invalid deflate data: stored block length mismatch.");
+            pos += 4;
+            if (pos + length > data.length) throw new Error("Invalid deflate data: truncated stored block.");
+            ensure(length);
+            out.set(data.subarray(pos, pos + length), outLength);
+            outLength += length;
+            pos += length;
+            continue;
+        }
+
+        let literalTable, distanceTable;
+        if (type === 1) {
+            if (!fixedLiteral) {
+                const lengths = new Uint8Array(288);
+                lengths.fill(8, 0, 144);
+                lengths.fill(9, 144, 256);
+                lengths.fill(7, 256, 280);
+                lengths.fill(8, 280, 288);
+                fixedLiteral = buildHuffman(lengths);
+                fixedDistance = buildHuffman(new Uint8Array(30).fill(5));
+            }
+            literalTable = fixedLiteral;
+            distanceTable = fixedDistance;
+        } else if (type === 2) {
+            const literalCount = bits(5) + 257;
+            const distanceCount = bits(5) + 1;
+            const codeLengthCount = bits(4) + 4;
+
+            const codeLengths = new Uint8Array(19);
+            for (let i = 0; i < codeLengthCount; i++) codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+            const codeLengthTable = buildHuffman(codeLengths);
+
+            const lengths = new Uint8Array(literalCount + distanceCount);
+            for (let i = 0; i < lengths.length;) {
+                const symbol = decodeSymbol(codeLengthTable);
+                if (symbol < 16) {
+                    lengths[i++] = symbol;
+                    continue;
+                }
+                let repeat, value = 0;
+                if (symbol === 16) {
+                    if (i === 0) throw new Error("Invalid deflate data: repeat with no previous length.");
+                    value = lengths[i - 1];
+                    repeat = 3 + bits(2);
+                } else if (symbol === 17) {
+                    repeat = 3 + bits(3);
+                } else {
+                    repeat = 11 + bits(7);
+                }
+                if (i + repeat > lengths.length) throw new Error("Invalid deflate data: too many code lengths.");
+                lengths.fill(value, i, i + repeat);
+                i += repeat;
+            }
+            literalTable = buildHuffman(lengths.subarray(0, literalCount));
+            distanceTable = buildHuffman(lengths.subarray(literalCount));
+        } else {
+            throw new Error("Invalid deflate data: reserved block type.");
+        }
+
+        for (;;) {
+            const symbol = decodeSymbol(literalTable);
+            if (symbol < 256) {
+                ensure(1);
+                out[outLength++] = symbol;
+            } else if (symbol === 256) {
+                break;
+            } else {
+                const lengthCode = symbol - 257;
+                if (lengthCode >= 29) throw new Error("Invalid deflate data: bad length code.");
+                const length = LENGTH_BASE[lengthCode] + bits(LENGTH_EXTRA[lengthCode]);
+                const distanceCode = decodeSymbol(distanceTable);
+                if (distanceCode >= 30) throw new Error("Invalid deflate data: bad distance code.");
+                const distance = DIST_BASE[distanceCode] + bits(DIST_EXTRA[distanceCode]);
+                if (distance > outLength) throw new Error("Invalid deflate data: distance too far back.");
+                ensure(length);
+                for (let k = 0; k < length; k++, outLength++) {
+                    out[outLength] = out[outLength - distance];
+                }
+            }
+        }
+    }
+
+    return out.slice(0, outLength);
+}
@@ -0,0 +1,381 @@
+/**
+ * Retro Palette Library
+ * Curated hardware and community palettes in the library's [[r, g, b], ...] format
+ */
+
+/**
+ * Parse a whitespace-separated list of 6-digit hex colors
+ */
+function hex(list) {
+    return list.trim().split(/\s+/).map(value => [
+        parseInt(value.slice(0, 2), 16),
+        parseInt(value.slice(2, 4), 16),
+        parseInt(value.slice(4, 6), 16)
+    ]);
+}
+
+/**
+ * Build the 64-color EGA palette: each channel has a 2/3 and a 1/3 intensity bit
+ * (index bits are ordered rgbRGB, high bits first)
+ */
+function egaFullPalette() {
+    const colors = [];
+    for (let i = 0; i < 64; i++) {
+        const channel = (high, low) => ((i >> high) & 1) * 0xAA + ((i >> low) & 1) * 0x55;
+        colors.push([channel(2, 5), channel(1, 4), channel(0, 3)]);
+    }
+    return colors;
+}
+
+const CGA_16 = '000000 0000aa 00aa00 00aaaa aa0000 aa00aa aa5500 aaaaaa '
+    + '555555 5555ff 55ff55 55ffff ff5555 ff55ff ffff55 ffffff';
+
+/**
+ * Built-in palettes. Colors are stored once; helpers always hand out copies.
+ */
+const PALETTES = [
+    // --- Hardware palettes ---
+    {
+        id: 'gameboy-dmg',
+        name: 'Game Boy (DMG-01)',
+        source: 'Nintendo Game Boy, original green LCD',
+        tags: ['nintendo', 'handheld', 'green', 'hardware'],
+        colors: hex('0f380f 306230 8bac0f 9bbc0f')
+    },
+    {
+        id: 'nes',
+        name: 'NES',
+        source: 'Nintendo Entertainment System (2C02 PPU), duplicate blacks removed',
+        tags: ['nintendo', 'console', 'famicom', 'hardware'],
+        colors: hex(
+            '7c7c7c 0000fc 0000bc 4428bc 940084 a80020 a81000 881400 503000 007800 006800 005800 004058 000000 '
+            + 'bcbcbc 0078f8 0058f8 6844fc d800cc e40058 f83800 e45c10 ac7c00 00b800 00a800 00a844 008888 '
+            + 'f8f8f8 3cbcfc 6888fc 9878f8 f878f8 f85898 f87858 fca044 f8b800 b8f818 58d854 58f898 00e8d8 787878 '
+            + 'fcfcfc a4e4fc b8b8f8 d8b8f8 f8b8f8 f8a4c0 f0d0b0 fce0a8 f8d878 d8f878 b8f8b8 b8f8d8 00fcfc f8d8f8'
+        )
+    },
+    {
+        id: 'pico-8',
+        name: 'PICO-8',
+        source: 'Lexaloffle PICO-8 fantasy console',
+        tags: ['fantasy-console', 'lexaloffle'],
+        colors: hex(
+            '000000 1d2b53 7e2553 008751 ab5236 5f574f c2c3c7 fff1e8 '
+            + 'ff004d ffa300 ffec27 00e436 29adff 83769c ff77a8 ffccaa'
+        )
+    },
+    {
+        id: 'c64',
+        name: 'Commodore 64',
+        source: 'Commodore 64 VIC-II, Pepto\'s measured colors',
+        tags: ['commodore', 'computer', 'hardware'],
+        colors: hex(
+            '000000 ffffff 68372b 70a4b2 6f3d86 588d43 352879 b8c76f '
+            + '6f4f25 433900 9a6759 444444 6c6c6c 9ad284 6c5eb5 959595'
+        )
+    },
+    {
+        id: 'cga',
+        name: 'CGA (16 colors)',
+        source: 'IBM Color Graphics Adapter, full RGBI palette',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: hex(CGA_16)
+    },
+    {
+        id: 'cga-mode4-palette0-low',
+        name: 'CGA Mode 4, Palette 0 (low intensity)',
+        source: 'IBM Color Graphics Adapter, 320×200 4-color mode',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: hex('000000 00aa00 aa0000 aa5500')
+    },
+    {
+        id: 'cga-mode4-palette0-high',
+        name: 'CGA Mode 4, Palette 0 (high intensity)',
+        source: 'IBM Color Graphics Adapter, 320×200 4-color mode',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: hex('000000 55ff55 ff5555 ffff55')
+    },
+    {
+        id: 'cga-mode4-palette1-low',
+        name: 'CGA Mode 4, Palette 1 (low intensity)',
+        source: 'IBM Color Graphics Adapter, 320×200 4-color mode',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: hex('000000 00aaaa aa00aa aaaaaa')
+    },
+    {
+        id: 'cga-mode4-palette1-high',
+        name: 'CGA Mode 4, Palette 1 (high intensity)',
+        source: 'IBM Color Graphics Adapter, 320×200 4-color mode',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: hex('000000 55ffff ff55ff ffffff')
+    },
+    {
+        id: 'cga-mode5-low',
+        name: 'CGA Mode 5 (low intensity)',
+        source: 'IBM Color Graphics Adapter, 320×200 4-color mode with color burst off',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: hex('000000 00aaaa aa0000 aaaaaa')
+    },
+    {
+        id: 'cga-mode5-high',
+        name: 'CGA Mode 5 (high intensity)',
+        source: 'IBM Color Graphics Adapter, 320×200 4-color mode with color burst off',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: hex('000000 55ffff ff5555 ffffff')
+    },
+    {
+        id: 'ega',
+        name: 'EGA (default 16 colors)',
+        source: 'IBM Enhanced Graphics Adapter, default palette',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: hex(CGA_16)
+    },
+    {
+        id: 'ega-64',
+        name: 'EGA (full 64 colors)',
+        source: 'IBM Enhanced Graphics Adapter, all selectable colors',
+        tags: ['ibm', 'pc', 'dos', 'hardware'],
+        colors: egaFullPalette()
+    },
+    {
+        id: 'zx-spectrum',
+        name: 'ZX Spectrum',
+        source: 'Sinclair ZX Spectrum, normal and bright colors',
+        tags: ['sinclair', 'computer', 'hardware'],
+        colors: hex(
+            '000000 0000d7 d70000 d700d7 00d700 00d7d7 d7d700 d7d7d7 '
+            + '0000ff ff0000 ff00ff 00ff00 00ffff ffff00 ffffff'
+        )
+    },
+    {
+        id: 'msx',
+        name: 'MSX',
+        source: 'TMS9918 video display processor (MSX, ColecoVision)',
+        tags: ['msx', 'computer', 'hardware'],
+        colors: hex(
+            '000000 3eb849 74d07d 5955e0 8076f1 b95e51 65dbef db6559 '
+            + 'ff897d ccc35e ded087 3aa241 b766b5 cccccc ffffff'
+        )
+    },
+    {
+        id: '1bit',
+        name: '1-bit Black & White',
+        source: 'Monochrome displays',
+        tags: ['monochrome', 'hardware'],
+        colors: hex('000000 ffffff')
+    },
+
+    // --- Community palettes (lospec.com) ---
+    {
+        id: 'endesga-16',
+        name: 'Endesga 16',
+        source: 'Endesga, lospec.com/palette-list/endesga-16',
+        tags: ['lospec', 'endesga'],
+        colors: hex(
+            'e4a672 b86f50 743f39 3f2832 9e2835 e53b44 fb922b ffe762 '
+            + '63c64d 327345 193d3f 4f6781 afbfd2 ffffff 2ce8f4 0484d1'
+        )
+    },
+    {
+        id: 'endesga-32',
+        name: 'Endesga 32',
+        source: 'Endesga, lospec.com/palette-list/endesga-32',
+        tags: ['lospec', 'endesga'],
+        colors: hex(
+            'be4a2f d77643 ead4aa e4a672 b86f50 733e39 3e2731 a22633 '
+            + 'e43b44 f77622 feae34 fee761 63c74d 3e8948 265c42 193c3e '
+            + '124e89 0099db 2ce8f5 ffffff c0cbdc 8b9bb4 5a6988 3a4466 '
+            + '262b44 181425 ff0044 68386c b55088 f6757a e8b796 c28569'
+        )
+    },
+    {
+        id: 'sweetie-16',
+        name: 'Sweetie 16',
+        source: 'GrafxKid, lospec.com/palette-list/sweetie-16',
+        tags: ['lospec', 'tic-80'],
+        colors: hex(
+            '1a1c2c 5d275d b13e53 ef7d57 ffcd75 a7f070 38b764 257179 '
+            + '29366f 3b5dc9 41a6f6 73eff7 f4f4f4 94b0c2 566c86 333c57'
+        )
+    },
+    {
+        id: 'dawnbringer-16',
+        name: 'DawnBringer 16',
+        source: 'DawnBringer, lospec.com/palette-list/dawnbringer-16',
+        tags: ['lospec', 'dawnbringer', 'db16'],
+        colors: hex(
+            '140c1c 442434 30346d 4e4a4e 854c30 346524 d04648 757161 '
+            + '597dce d27d2c 8595a1 6daa2c d2aa99 6dc2ca dad45e deeed6'
+        )
+    },
+    {
+        id: 'dawnbringer-32',
+        name: 'DawnBringer 32',
+        source: 'DawnBringer, lospec.com/palette-list/dawnbringer-32',
+        tags: ['lospec', 'dawnbringer', 'db32'],
+        colors: hex(
+            '000000 222034 45283c 663931 8f563b df7126 d9a066 eec39a '
+            + 'fbf236 99e550 6abe30 37946e 4b692f 524b24 323c39 3f3f74 '
+            + '306082 5b6ee1 639bff 5fcde4 cbdbfc ffffff 9badb7 847e87 '
+            + '696a6a 595652 76428a ac3232 d95763 d77bba 8f974a 8a6f30'
+        )
+    },
+    {
+        id: 'steam-lords',
+        name: 'Steam Lords',
+        source: 'Slynyrd, lospec.com/palette-list/steam-lords',
+        tags: ['lospec', 'muted'],
+        colors: hex(
+            '213b25 3a604a 4f7754 a19f7c 77744f 775c4f 603b3a 3b2137 '
+            + '170e19 2f213b 433a60 4f5277 65738c 7c94a1 a0b9ba c0d1cc'
+        )
+    },
+    {
+        id: 'slso8',
+        name: 'SLSO8',
+        source: 'Luis Miguel Maldonado, lospec.com/palette-list/slso8',
+        tags: ['lospec', 'sunset'],
+        colors: hex('0d2b45 203c56 544e68 8d697a d08159 ffaa5e ffd4a3 ffecd6')
+    },
+    {
+        id: 'oil-6',
+        name: 'Oil 6',
+        source: 'GrafxKid, lospec.com/palette-list/oil-6',
+        tags: ['lospec', 'muted'],
+        colors: hex('fbf5ef f2d3ab c69fa5 8b6d9c 494d7e 272744')
+    },
+    {
+        id: 'twilight-5',
+        name: 'Twilight 5',
+        source: 'Star, lospec.com/palette-list/twilight-5',
+        tags: ['lospec', 'sunset'],
+        colors: hex('fbbbad ee8695 4a7a96 333f58 292831')
+    },
+    {
+        id: 'hollow',
+        name: 'Hollow',
+        source: 'Poltergasm, lospec.com/palette-list/hollow',
+        tags: ['lospec', '4-color'],
+        colors: hex('0f0f1b 565a75 c6b7be fafbf6')
+    },
+    {
+        id: 'ice-cream-gb',
+        name: 'Ice Cream GB',
+        source: 'Kerrie Lake, lospec.com/palette-list/ice-cream-gb',
+        tags: ['lospec', 'gameboy', '4-color'],
+        colors: hex('7c3f58 eb6b6f f9a875 fff6d3')
+    },
+    {
+        id: 'kirokaze-gameboy',
+        name: 'Kirokaze Gameboy',
+        source: 'Kirokaze, lospec.com/palette-list/kirokaze-gameboy',
+        tags: ['lospec', 'gameboy', '4-color'],
+        colors: hex('332c50 46878f 94e344 e2f3e4')
+    },
+    {
+        id: '1bit-monitor-glow',
+        name: '1bit Monitor Glow',
+        source: 'Polyducks, lospec.com/palette-list/1bit-monitor-glow',
+        tags: ['lospec', 'monochrome'],
+        colors: hex('222323 f0f6f0')
+    }
+];
+
+const PALETTES_BY_ID = new Map(PALETTES.map(palette => [palette.id, palette]));
+
+/**
+ * Copy a palette entry, giving each call its own color arrays
+ */
+function describe(palette) {
+    return {
+        id: palette.id,
+        name: palette.name,
+        source: palette.source,
+        tags: [...palette.tags],
+        count: palette.colors.length,
+        colors: palette.colors.map(color => [...color])
+    };
+}
+
+/**
+ * List all built-in palettes
+ * @param {string} [tag] - Only return palettes with this tag (e.g. 'hardware', 'lospec')
+ * @returns {Array<{id: string, name: string, source: string, tags: Array<string>, count: number, colors: Array<Array<number>>}>} Palette descriptions
+ */
+export function listPalettes(tag) {
+    return PALETTES
+        .filter(palette => !tag || palette.tags.includes(tag))
+        .map(describe);
+}
+
+/**
+ * Get the colors of a built-in palette, ready to pass as a target palette
+ * @param {string} id - Palette id (e.g. 'gameboy-dmg', 'pico-8')
+ * @returns {Array<Array<number>>|null} Array of [r, g, b] colors, or null if the id is unknown
+ */
+export function getPalette(id) {
+    const palette = PALETTES_BY_ID.get(String(id).toLowerCase());
+    if (!palette) {
+        console.warn(`Unknown palette "${id}".`);
+        return null;
+    }
+    return palette.colors.map(color => [...color]);
+}
+
+/**
+ * Fuzzy-search the built-in palettes by id, name, source and tags
+ * @param {string} query - Search text, e.g. 'gameboy' or 'c64'
+ * @param {number} [limit=10] - Maximum number of results
+ * @returns {Array<{id: string, name: string, source: string, tags: Array<string>, count: number, colors: Array<Array<number>>}>} Best matches first
+ */
+export function searchPalettes(query, limit = 10) {
+    const needle = normalize(query);
+    if (!needle) return [];
+
+    return PALETTES
+        .map(palette => ({ palette, score: matchScore(needle, palette) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(result => describe(result.palette));
+}
+
+/**
+ * Lowercase and strip everything but letters and digits
+ */
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Score how well a query matches a palette: exact and prefix matches on the id
+ * rank first, then substring matches, then in-order (subsequence) matches
+ * on the id or name
+ */
+function matchScore(needle, palette) {
+    const fields = [
+        { text: normalize(palette.id), weight: 4 },
+        { text: normalize(palette.name), weight: 3 },
+        ...palette.tags.map(tag => ({ text: normalize(tag), weight: 2 })),
+        { text: normalize(palette.source), weight: 1 }
+    ];
+
+    let best = 0;
+    for (const { text, weight } of fields) {
+        let score = 0;
+        if (text === needle) score = 100;
+        else if (text.startsWith(needle)) score = 60;
+        else if (text.includes(needle)) score = 40;
+        else if (weight >= 3 && isSubsequence(needle, text)) score = 20 * needle.length / text.length;
+        best = Math.max(best, score * weight);
+    }
+    return best;
+}
+
+function isSubsequence(needle, text) {
+    let j = 0;
+    for (let i = 0; i < text.length && j < needle.length; i++) {
+        if (text[i] === needle[j]) j++;
+    }
+    return j === needle.length;
+}
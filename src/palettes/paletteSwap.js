@@ -0,0 +1,334 @@
+/**
+ * Palette Swapping and Color Cycling
+ * Remapping indexed images to other palettes, per-index recoloring and palette rotation animation
+ */
+
+import { rgbaToIndexed } from '../core/indexed.js';
+import { rgbToOklab } from '../utils/colorSpace.js';
+import { createPaletteIndex, findTransparentIndex } from '../utils/paletteIndex.js';
+import { isTransparent } from '../utils/helpers.js';
+
+/**
+ * Supported ways of pairing old and new palette entries
+ */
+const SWAP_MATCHES = ['index', 'perceptual', 'luminance'];
+
+/**
+ * Supported cycling directions
+ */
+const CYCLE_DIRECTIONS = ['forward', 'reverse', 'ping-pong'];
+
+/**
+ * Upper bound for the length of an automatically sized color-cycling loop
+ */
+const MAX_CYCLE_FRAMES = 600;
+
+/**
+ * Remap an indexed image to another palette. Pixels keep their indices; only the palette
+ * entries are replaced, so swapping is instant and never changes the dither pattern.
+ * - 'index': the opaque entries become the opaque colors of the new palette in order (wrapping
+ *   around a shorter one), so a reserved transparent slot does not shift the colors
+ * - 'perceptual': every entry becomes the closest new color under the metric
+ * - 'luminance': the colors the image uses are ranked dark to light by OKLab lightness and
+ *   spread over the new palette in the same order, so shading survives even between
+ *   unrelated palettes (e.g. any 4-color image onto the Game Boy greens). Unused entries
+ *   take the closest new color.
+ * Transparent entries stay transparent.
+ * @param {Object} image - Indexed image { indices, palette, width, height } or RGBA image { data, width, height } with at most 256 colors
+ * @param {Array<Array<number>>} newPalette - Palette to swap in
+ * @param {Object} [options] - Swap options
+ * @param {string} [options.match='index'] - 'index', 'perceptual' or 'luminance'
+ * @param {string} [options.metric='oklab'] - Color distance metric for perceptual matching
+ * @returns {{indices: Uint8Array, palette: Array<Array<number>>, width: number, height: number, transparentIndex: number}|null}
+ *     Indexed image with the swapped palette, or null if the input cannot be indexed
+ */
+export function swapPalette(image, newPalette, options = {}) {
+    let { match = 'index' } = options;
+    const { metric = 'oklab' } = options;
+
+    const indexed = toIndexed(image, 'swap');
+    if (!indexed) return null;
+    if (!Array.isArray(newPalette) || newPalette.length === 0) {
+        console.warn("Cannot swap to an empty palette.");
+        return null;
+    }
+    if (!SWAP_MATCHES.includes(match)) {
+        console.warn(`Unknown palette match "${match}". Using "index".`);
+        match = 'index';
+    }
+
+    const { palette } = indexed;
+    const opaque = newPalette.filter(color => !isTransparent(color));
+    if (opaque.length === 0) {
+        console.warn("New palette has no opaque colors to match against.");
+        return null;
+    }
+
+    let swapped;
+    if (match === 'index') {
+        const opaqueCount = palette.filter(color => !isTransparent(color)).length;
+        if (opaqueCount > opaque.length) {
+            console.warn(`New palette has fewer opaque colors than the image palette (${opaque.length} < ${opaqueCount}); colors wrap around.`);
+        }
+        let next = 0;
+        swapped = palette.map(color => (isTransparent(color) ? color : opaque[next++ % opaque.length]));
+    } else {
+        const closest = createPaletteIndex(opaque, metric);
+        swapped = palette.map(color => closest.findClosest(color[0], color[1], color[2]));
+
+        if (match === 'luminance') {
+            const used = new Set(indexed.indices);
+            const lightnessOf = color => rgbToOklab(color[0], color[1], color[2])[0];
+            // Identical colors share a rank, so duplicates keep looking alike
+            const ranked = [...new Set(palette
+                .filter((color, i) => used.has(i) && !isTransparent(color))
+                .map(colorKey))]
+                .map(key => ({ key, lightness: lightnessOf(key.split(',').map(Number)) }))
+                .sort((p, q) => p.lightness - q.lightness);
+            const targets = opaque
+                .map(color => ({ color, lightness: lightnessOf(color) }))
+                .sort((p, q) => p.lightness - q.lightness);
+
+            const rankOf = new Map();
+            ranked.forEach(({ key }, rank) => {
+                const position = ranked.length === 1
+                    ? Math.round((targets.length - 1) / 2)
+                    : Math.round(rank * (targets.length - 1) / (ranked.length - 1));
+                rankOf.set(key, targets[position].color);
+            });
+            swapped = palette.map((color, i) => (used.has(i) && rankOf.has(colorKey(color)) ? rankOf.get(colorKey(color)) : swapped[i]));
+        }
+    }
+
+    const output = palette.map((color, i) => (isTransparent(color) ? [...color] : [...swapped[i]]));
+    return {
+        indices: indexed.indices.slice(),
+        palette: output,
+        width: indexed.width,
+        height: indexed.height,
+        transparentIndex: findTransparentIndex(output)
+    };
+}
+
+/**
+ * Replace individual palette entries of an indexed image, e.g. to give a sprite a
+ * different shirt color while everything else stays the same
+ * @param {Object} image - Indexed image or RGBA image with at most 256 colors
+ * @param {Object|Map<number, Array<number>>} replacements - New [r, g, b] or [r, g, b, a] colors by palette index
+ * @returns {{indices: Uint8Array, palette: Array<Array<number>>, width: number, height: number, transparentIndex: number}|null}
+ *     Recolored indexed image, or null if the input cannot be indexed
+ */
+export function recolorPalette(image, replacements) {
+    const indexed = toIndexed(image, 'recolor');
+    if (!indexed) return null;
+
+    const palette = indexed.palette.map(color => [...color]);
+    const entries = replacements instanceof Map ? [...replacements] : Object.entries(replacements || {});
+    for (const [key, color] of entries) {
+        const index = Number(key);
+        if (!Number.isInteger(index) || index < 0 || index >= palette.length) {
+            console.warn(`Recolor index ${key} is outside the palette (0-${palette.length - 1}). Ignoring.`);
+            continue;
+        }
+        if (!Array.isArray(color) || color.length < 3) {
+            console.warn(`Invalid recolor color for index ${index}. Ignoring.`);
+            continue;
+        }
+        palette[index] = [...color];
+    }
+
+    return {
+        indices: indexed.indices.slice(),
+        palette,
+        width: indexed.width,
+        height: indexed.height,
+        transparentIndex: findTransparentIndex(palette)
+    };
+}
+
+/**
+ * Rotate ranges of palette entries over time, the color cycling of DeluxePaint and of
+ * Mark Ferrari's animated scenes: a static image comes alive as colors run along the
+ * entries of a range (water, waterfalls, fire, glowing signs).
+ * - 'forward': colors move towards higher indices
+ * - 'reverse': colors move towards lower indices
+ * - 'ping-pong': colors move forward until the first color reaches the end of the range
+ *   (length - 1 steps), then back, as in DeluxePaint
+ * With `blend`, entries fade between neighbouring colors instead of jumping, which
+ * gives smooth motion at low speeds. Later ranges win where ranges overlap.
+ * @param {Array<Array<number>>} palette - Palette colors
+ * @param {Array<Object>} ranges - Cycling ranges
+ * @param {number} ranges[].start - First palette index of the range
+ * @param {number} ranges[].end - Last palette index of the range (inclusive)
+ * @param {number} [ranges[].speed=1] - Steps per second
+ * @param {string} [ranges[].direction='forward'] - 'forward', 'reverse' or 'ping-pong'
+ * @param {boolean} [ranges[].blend=false] - Blend between steps
+ * @param {number} time - Time in seconds
+ * @returns {Array<Array<number>>} Palette at that time
+ */
+export function cyclePalette(palette, ranges, time) {
+    if (!palette || palette.length === 0) {
+        console.warn("Cannot cycle an empty palette.");
+        return [];
+    }
+
+    const output = palette.map(color => [...color]);
+    for (const range of validateRanges(ranges, palette.length)) {
+        const { start, end, speed, direction, blend } = range;
+        const length = end - start + 1;
+        const steps = speed * time;
+
+        let shift;
+        if (direction === 'ping-pong') {
+            const period = 2 * (length - 1);
+            const position = mod(steps, period);
+            shift = position < length - 1 ? position : period - position;
+        } else {
+            shift = direction === 'reverse' ? -steps : steps;
+        }
+        if (!blend) shift = Math.floor(shift);
+
+        for (let r = 0; r < length; r++) {
+            const position = r - shift;
+            const base = Math.floor(position);
+            const from = palette[start + mod(base, length)];
+            const t = position - base;
+            output[start + r] = t === 0 ? [...from] : mixColors(from, palette[start + mod(base + 1, length)], t);
+        }
+    }
+    return output;
+}
+
+/**
+ * Render the frames of a color-cycling animation. All frames share one copy of the
+ * indices and differ only in their palettes, so they are cheap to produce, and
+ * encodeAnimatedGif writes them with a local color table per frame.
+ * Without frameCount, the animation covers one full loop of all ranges (the least common
+ * multiple of their cycle lengths, in whole frames), up to 600 frames.
+ * GIF stores delays in 10 ms steps, so frame delays are rounded per frame in a way that
+ * keeps the running total on time (at 30 fps: 30, 40, 30 ms, ...) instead of drifting.
+ * @param {Object} image - Indexed image or RGBA image with at most 256 colors
+ * @param {Array<Object>} ranges - Cycling ranges, see cyclePalette
+ * @param {Object} [options] - Render options
+ * @param {number} [options.fps=30] - Frames per second
+ * @param {number} [options.frameCount] - Number of frames (default: one full loop)
+ * @returns {Array<{indices: Uint8Array, palette: Array<Array<number>>, width: number, height: number, transparentIndex: number, delay: number}>|null}
+ *     Indexed frames with their delay in milliseconds, or null if the input cannot be indexed
+ */
+export function renderColorCycle(image, ranges, options = {}) {
+    let { fps = 30, frameCount } = options;
+
+    const indexed = toIndexed(image, 'cycle');
+    if (!indexed) return null;
+    if (!(fps > 0)) {
+        console.warn(`Invalid frame rate ${fps}. Using 30.`);
+        fps = 30;
+    }
+
+    const valid = validateRanges(ranges, indexed.palette.length);
+    if (frameCount === undefined) {
+        frameCount = valid.reduce((total, { start, end, speed, direction }) => {
+            const length = end - start + 1;
+            const framesPerCycle = Math.max(1, Math.round((direction === 'ping-pong' ? 2 * (length - 1) : length) * fps / speed));
+            return Math.min(MAX_CYCLE_FRAMES, lcm(total, framesPerCycle));
+        }, 1);
+    } else if (!Number.isInteger(frameCount) || frameCount < 1) {
+        console.warn(`Invalid frame count ${frameCount}. Using 1.`);
+        frameCount = 1;
+    }
+
+    const indices = indexed.indices.slice();
+    const frames = [];
+    for (let k = 0; k < frameCount; k++) {
+        const palette = cyclePalette(indexed.palette, valid, k / fps);
+        frames.push({
+            indices,
+            palette,
+            width: indexed.width,
+            height: indexed.height,
+            transparentIndex: findTransparentIndex(palette),
+            delay: (Math.round((k + 1) * 100 / fps) - Math.round(k * 100 / fps)) * 10
+        });
+    }
+    return frames;
+}
+
+/**
+ * Accept an indexed image or RGBA data that can be indexed without matching
+ */
+function toIndexed(image, action) {
+    if (!image || !(image.width > 0) || !(image.height > 0)) {
+        console.warn(`Cannot ${action} palette: image needs a positive width and height.`);
+        return null;
+    }
+    if (image.indices && Array.isArray(image.palette)) return image;
+    const indexed = image.data ? rgbaToIndexed(image.data, image.width, image.height) : null;
+    if (!indexed) {
+        console.warn(`Cannot ${action} palette: image is not indexed and has more than 256 colors.`);
+    }
+    return indexed;
+}
+
+/**
+ * Fill in range defaults and drop ranges that do not fit the palette
+ */
+function validateRanges(ranges, paletteLength) {
+    if (!Array.isArray(ranges)) {
+        console.warn("Color cycling ranges must be an array.");
+        return [];
+    }
+    const valid = [];
+    for (const range of ranges) {
+        const { start, end, speed = 1, direction = 'forward', blend = false } = range || {};
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end >= paletteLength || start >= end) {
+            console.warn(`Invalid color cycling range ${start}-${end} for a palette of ${paletteLength} colors. Skipping.`);
+            continue;
+        }
+        if (!(speed > 0)) {
+            console.warn(`Invalid color cycling speed ${speed}. Skipping range ${start}-${end}.`);
+            continue;
+        }
+        if (!CYCLE_DIRECTIONS.includes(direction)) {
+            console.warn(`Unknown color cycling direction "${direction}". Skipping range ${start}-${end}.`);
+            continue;
+        }
+        valid.push({ start, end, speed, direction, blend });
+    }
+    return valid;
+}
+
+/**
+ * Linear mix of two colors; alpha is kept when either color has it
+ */
+function mixColors(from, to, t) {
+    const mixed = [0, 1, 2].map(c => Math.round(from[c] + (to[c] - from[c]) * t));
+    if (from.length > 3 || to.length > 3) {
+        const fromAlpha = from.length > 3 ? from[3] : 255;
+        const toAlpha = to.length > 3 ? to[3] : 255;
+        mixed.push(Math.round(fromAlpha + (toAlpha - fromAlpha) * t));
+    }
+    return mixed;
+}
+
+/**
+ * Lookup key of a color, ignoring alpha
+ */
+function colorKey(color) {
+    return `${color[0]},${color[1]},${color[2]}`;
+}
+
+/**
+ * Remainder that is never negative
+ */
+function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
+
+/**
+ * Least common multiple of two positive integers
+ */
+function lcm(p, q) {
+    let a = p, b = q;
+    while (b) [a, b] = [b, a % b];
+    return p / a * q;
+}
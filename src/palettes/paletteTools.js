@@ -0,0 +1,363 @@
+/**
+ * Palette Editing Tools
+ * Sorting, ramp grouping and generation, near-duplicate merging, locked regeneration and capping
+ */
+
+import { generatePalette } from '../core/palette.js';
+import { rgbToHsl, rgbToLab, rgbToOklab, oklabToRgb, rgbToOklch, oklchToRgb } from '../utils/colorSpace.js';
+import { deltaE76, deltaE2000, squaredDistance, isTransparent } from '../utils/helpers.js';
+
+/**
+ * Supported sort orders
+ */
+const SORT_ORDERS = ['hue', 'luminance', 'perceptual'];
+
+/**
+ * ΔE formulas for merging, on CIELAB colors
+ */
+const DELTA_E = {
+    'ciede2000': deltaE2000,
+    'cie76': deltaE76
+};
+
+/**
+ * OKLCh hues that shading ramps lean towards: shadows cool down, highlights warm up
+ */
+const SHADOW_HUE = 265;
+const HIGHLIGHT_HUE = 95;
+
+/**
+ * Colors with less OKLCh chroma than this count as grays
+ */
+const GRAY_CHROMA = 0.03;
+
+/**
+ * Sort a palette.
+ * - 'hue': grays first (dark to light), then colors by HSL hue, ties broken by lightness
+ * - 'luminance': dark to light by OKLab lightness
+ * - 'perceptual': starts at the darkest color and always steps to the nearest remaining
+ *   color in OKLab, so neighbours in the result look alike
+ * Transparent slots ([r, g, b, 0]) stay at the front.
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Object} [options] - Sort options
+ * @param {string} [options.by='hue'] - 'hue', 'luminance' or 'perceptual'
+ * @param {boolean} [options.reverse=false] - Reverse the order of the colors
+ * @returns {Array<Array<number>>} Sorted copy of the palette
+ */
+export function sortPalette(palette, options = {}) {
+    let { by = 'hue' } = options;
+    const { reverse = false } = options;
+
+    if (!palette || palette.length === 0) {
+        console.warn("Cannot sort an empty palette.");
+        return [];
+    }
+    if (!SORT_ORDERS.includes(by)) {
+        console.warn(`Unknown palette sort order "${by}". Using "hue".`);
+        by = 'hue';
+    }
+
+    const transparent = palette.filter(isTransparent).map(color => [...color]);
+    const entries = palette.filter(color => !isTransparent(color)).map(color => ({
+        color: [...color],
+        oklab: rgbToOklab(color[0], color[1], color[2]),
+        chroma: rgbToOklch(color[0], color[1], color[2])[1],
+        hsl: rgbToHsl(color[0], color[1], color[2])
+    }));
+
+    let sorted;
+    if (by === 'luminance') {
+        sorted = entries.sort((p, q) => p.oklab[0] - q.oklab[0]);
+    } else if (by === 'hue') {
+        sorted = entries.sort((p, q) => {
+            const pGray = p.chroma < GRAY_CHROMA, qGray = q.chroma < GRAY_CHROMA;
+            if (pGray !== qGray) return pGray ? -1 : 1;
+            if (!pGray && p.hsl[0] !== q.hsl[0]) return p.hsl[0] - q.hsl[0];
+            return p.oklab[0] - q.oklab[0];
+        });
+    } else {
+        sorted = nearestNeighbourPath(entries);
+    }
+
+    const colors = sorted.map(entry => entry.color);
+    if (reverse) colors.reverse();
+    return [...transparent, ...colors];
+}
+
+/**
+ * Group a palette into ramps of related hues.
+ * Colors are grouped by OKLCh hue: walking around the hue circle, a new ramp starts wherever
+ * the gap to the previous hue is larger than hueTolerance. Grays form a ramp of their own.
+ * Each ramp runs from dark to light; ramps are ordered by hue, grays first.
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Object} [options] - Grouping options
+ * @param {number} [options.hueTolerance=30] - Largest hue gap in degrees within one ramp
+ * @param {number} [options.grayChroma=0.03] - OKLCh chroma below which a color counts as gray
+ * @returns {Array<Array<Array<number>>>} Array of ramps, each an array of [r, g, b] colors
+ */
+export function groupPaletteRamps(palette, options = {}) {
+    const { hueTolerance = 30, grayChroma = GRAY_CHROMA } = options;
+
+    if (!palette || palette.length === 0) {
+        console.warn("Cannot group an empty palette into ramps.");
+        return [];
+    }
+
+    const entries = palette.filter(color => !isTransparent(color)).map(color => {
+        const [l, c, h] = rgbToOklch(color[0], color[1], color[2]);
+        return { color: [...color], l, c, h };
+    });
+    const byLightness = (p, q) => p.l - q.l;
+    const grays = entries.filter(entry => entry.c < grayChroma).sort(byLightness);
+    const colors = entries.filter(entry => entry.c >= grayChroma).sort((p, q) => p.h - q.h);
+
+    const groups = [];
+    if (colors.length > 0) {
+        // Start the walk after the largest gap, so no group wraps around 360°
+        let start = 0, largestGap = -1;
+        colors.forEach((entry, k) => {
+            const previous = colors[(k + colors.length - 1) % colors.length];
+            const gap = (entry.h - previous.h + 360) % 360;
+            if (gap > largestGap) {
+                largestGap = gap;
+                start = k;
+            }
+        });
+        let group = [colors[start]];
+        for (let k = 1; k < colors.length; k++) {
+            const entry = colors[(start + k) % colors.length];
+            const gap = (entry.h - group[group.length - 1].h + 360) % 360;
+            if (gap > hueTolerance) {
+                groups.push(group);
+                group = [];
+            }
+            group.push(entry);
+        }
+        groups.push(group);
+        groups.sort((p, q) => p[0].h - q[0].h);
+    }
+    if (grays.length > 0) groups.unshift(grays);
+
+    return groups.map(group => group.sort(byLightness).map(entry => entry.color));
+}
+
+/**
+ * Build a shading ramp from a base color, the way pixel artists shade by hand:
+ * darker steps shift their hue towards blue, lighter steps towards yellow, and both ends
+ * lose some chroma. With hueShift set to 0 this is a plain luminance ramp.
+ * Works in OKLCh, so equal steps look equally far apart.
+ * @param {Array<number>} baseColor - Base color as [r, g, b]; it appears unchanged in the ramp
+ * @param {Object} [options] - Ramp options
+ * @param {number} [options.steps=5] - Number of colors in the ramp
+ * @param {number} [options.baseIndex] - Position of the base color (default: the middle)
+ * @param {number} [options.hueShift=20] - Hue rotation in degrees at the ends of the ramp
+ * @param {number} [options.darkest=0.2] - OKLab lightness of the darkest step (0-1)
+ * @param {number} [options.lightest=0.95] - OKLab lightness of the lightest step (0-1)
+ * @param {number} [options.chromaFalloff=0.3] - Share of the chroma lost at the ends of the ramp (0-1)
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors from dark to light
+ */
+export function createHueShiftedRamp(baseColor, options = {}) {
+    const {
+        steps = 5,
+        hueShift = 20,
+        darkest = 0.2,
+        lightest = 0.95,
+        chromaFalloff = 0.3
+    } = options;
+
+    if (!baseColor || baseColor.length < 3) {
+        console.warn("Ramp generation needs a base color as [r, g, b].");
+        return [];
+    }
+    const count = Math.max(1, Math.floor(steps));
+    const requestedBase = options.baseIndex !== undefined ? options.baseIndex : (count - 1) / 2;
+    const baseIndex = Math.max(0, Math.min(count - 1, Math.floor(requestedBase)));
+    const [l, c, h] = rgbToOklch(baseColor[0], baseColor[1], baseColor[2]);
+    // Bases beyond either end still get distinct steps, halfway to black or white
+    const shadowEnd = darkest < l ? darkest : l / 2;
+    const highlightEnd = lightest > l ? lightest : (l + 1) / 2;
+
+    const ramp = [];
+    for (let k = 0; k < count; k++) {
+        if (k === baseIndex) {
+            ramp.push([baseColor[0], baseColor[1], baseColor[2]]);
+            continue;
+        }
+        // t runs from -1 (darkest) over 0 (base) to 1 (lightest)
+        const t = k < baseIndex ? (k - baseIndex) / baseIndex : (k - baseIndex) / (count - 1 - baseIndex);
+        const lightness = l + t * (t < 0 ? l - shadowEnd : highlightEnd - l);
+        const hue = rotateHueTowards(h, t < 0 ? SHADOW_HUE : HIGHLIGHT_HUE, Math.abs(t) * hueShift);
+        const chroma = c * (1 - Math.max(0, Math.min(1, chromaFalloff)) * t * t);
+        ramp.push(oklchToRgb(lightness, chroma, hue));
+    }
+    return ramp;
+}
+
+/**
+ * Merge colors that are nearly indistinguishable.
+ * Colors are visited in palette order; a color closer than threshold to one already kept is
+ * dropped. Transparent slots are always kept.
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Object} [options] - Merge options
+ * @param {number} [options.threshold=2.3] - ΔE below which two colors are merged (2.3 is about one just noticeable difference)
+ * @param {string} [options.metric='ciede2000'] - 'ciede2000' or 'cie76'
+ * @returns {Array<Array<number>>} Palette without near-duplicates
+ */
+export function mergeSimilarColors(palette, options = {}) {
+    let { metric = 'ciede2000' } = options;
+    const { threshold = 2.3 } = options;
+
+    if (!palette || palette.length === 0) {
+        console.warn("Cannot merge colors of an empty palette.");
+        return [];
+    }
+    if (!DELTA_E[metric]) {
+        console.warn(`Unknown ΔE metric "${metric}". Using "ciede2000".`);
+        metric = 'ciede2000';
+    }
+
+    const deltaE = DELTA_E[metric];
+    const kept = [];
+    const keptLab = [];
+    for (const color of palette) {
+        if (isTransparent(color)) {
+            kept.push([...color]);
+            continue;
+        }
+        const lab = rgbToLab(color[0], color[1], color[2]);
+        if (keptLab.some(other => deltaE(lab, other) < threshold)) continue;
+        kept.push([...color]);
+        keptLab.push(lab);
+    }
+    return kept;
+}
+
+/**
+ * Regenerate a palette from an image while keeping some of its colors.
+ * Locked colors and transparent slots keep their index; the other slots are filled with
+ * colors generated around the locked ones. If the image has too few distinct colors to
+ * fill every slot, the unfilled slots are dropped (shifting later locked colors down).
+ * @param {Uint8ClampedArray} pixelDataArray - Flat RGBA pixel data
+ * @param {Array<Array<number>>} palette - Current palette
+ * @param {Object} [options] - Options, plus any generatePalette option
+ * @param {Array<number>} [options.locked=[]] - Indices of the colors to keep
+ * @param {number} [options.numColors] - Size of the new palette (default: the current size)
+ * @returns {Array<Array<number>>} New palette
+ */
+export function regeneratePalette(pixelDataArray, palette, options = {}) {
+    const { locked = [], numColors = palette ? palette.length : 0 } = options;
+
+    if (!palette || palette.length === 0 || numColors <= 0) {
+        console.warn("Palette regeneration needs a palette and a positive color count.");
+        return palette ? palette.map(color => [...color]) : [];
+    }
+
+    const size = Math.min(256, Math.floor(numColors));
+    const slots = new Array(size).fill(null);
+    palette.forEach((color, index) => {
+        if (index < size && (isTransparent(color) || locked.includes(index))) slots[index] = [...color];
+    });
+    const lockedColors = slots.filter(color => color && !isTransparent(color));
+    const filled = slots.filter(Boolean).length;
+
+    const generated = generatePalette(pixelDataArray, size - filled + lockedColors.length, {
+        ...options,
+        reserveTransparent: false,
+        lockedColors
+    }).slice(lockedColors.length);
+
+    let next = 0;
+    return slots
+        .map(color => color || generated[next++] || null)
+        .filter(Boolean);
+}
+
+/**
+ * Reduce a palette to at most maxColors colors.
+ * The two closest colors in OKLab are merged until the palette fits. Merging two free colors
+ * replaces them with their (weighted) average; a preserved color absorbs a free one unchanged.
+ * Remaining colors keep their relative order. Transparent slots are always preserved.
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {number} maxColors - Maximum number of colors to keep
+ * @param {Object} [options] - Capping options
+ * @param {Array<number>} [options.preserve=[]] - Indices of colors that must stay unchanged
+ * @param {Array<number>} [options.weights] - Weight per color (e.g. pixel counts) for averaging merged colors
+ * @returns {Array<Array<number>>} Capped palette
+ */
+export function capPalette(palette, maxColors, options = {}) {
+    const { preserve = [], weights } = options;
+
+    if (!palette || palette.length === 0) {
+        console.warn("Cannot cap an empty palette.");
+        return [];
+    }
+
+    const entries = palette.map((color, index) => ({
+        color: [...color],
+        oklab: rgbToOklab(color[0], color[1], color[2]),
+        weight: weights && weights[index] > 0 ? weights[index] : 1,
+        fixed: isTransparent(color) || preserve.includes(index),
+        transparent: isTransparent(color)
+    }));
+    const fixedCount = entries.filter(entry => entry.fixed).length;
+    if (fixedCount > maxColors) {
+        console.warn(`${fixedCount} preserved colors do not fit into ${maxColors}. Keeping only the preserved colors.`);
+    }
+
+    while (entries.length > Math.max(maxColors, fixedCount)) {
+        // Closest pair that has at least one free color
+        let best = null, bestDistance = Infinity;
+        for (let i = 0; i < entries.length; i++) {
+            if (entries[i].transparent) continue;
+            for (let j = i + 1; j < entries.length; j++) {
+                if (entries[j].transparent || (entries[i].fixed && entries[j].fixed)) continue;
+                const distance = squaredDistance(entries[i].oklab, entries[j].oklab);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = [i, j];
+                }
+            }
+        }
+        if (!best) break;
+
+        const [i, j] = best;
+        const p = entries[i], q = entries[j];
+        if (p.fixed || q.fixed) {
+            const keep = p.fixed ? p : q;
+            keep.weight += p.fixed ? q.weight : p.weight;
+        } else {
+            const weight = p.weight + q.weight;
+            p.oklab = p.oklab.map((v, k) => (v * p.weight + q.oklab[k] * q.weight) / weight);
+            p.color = oklabToRgb(p.oklab[0], p.oklab[1], p.oklab[2]);
+            p.weight = weight;
+        }
+        entries.splice(p.fixed ? j : q.fixed ? i : j, 1);
+    }
+    return entries.map(entry => entry.color);
+}
+
+/**
+ * Order colors by repeatedly stepping to the nearest unvisited one, starting at the darkest
+ */
+function nearestNeighbourPath(entries) {
+    const remaining = [...entries].sort((p, q) => p.oklab[0] - q.oklab[0]);
+    const path = remaining.length > 0 ? [remaining.shift()] : [];
+    while (remaining.length > 0) {
+        const last = path[path.length - 1].oklab;
+        let nearest = 0;
+        for (let k = 1; k < remaining.length; k++) {
+            if (squaredDistance(remaining[k].oklab, last) < squaredDistance(remaining[nearest].oklab, last)) nearest = k;
+        }
+        path.push(remaining.splice(nearest, 1)[0]);
+    }
+    return path;
+}
+
+/**
+ * Rotate a hue towards a target hue by at most amount degrees, along the shorter way
+ */
+function rotateHueTowards(hue, target, amount) {
+    const difference = ((target - hue + 540) % 360) - 180;
+    const step = Math.sign(difference) * Math.min(Math.abs(difference), amount);
+    return (hue + step + 360) % 360;
+}
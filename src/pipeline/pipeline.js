@@ -0,0 +1,210 @@
+/**
+ * Processing Pipeline
+ * Chains library functions over uniform { data, width, height } images using JSON step configs
+ */
+
+import { generatePalette, applyPalette } from '../core/palette.js';
+import { pixelate, upscaleNearest } from '../core/pixelate.js';
+import { applyAlphaMode } from '../core/alpha.js';
+import { indexedToRgba } from '../core/indexed.js';
+import { quantizeForHardware } from '../core/hardware.js';
+import { upscalePixelArt } from '../scaling/upscale.js';
+import { applyOutline } from '../effects/outline.js';
+import { removeOrphanPixels, smoothJaggies } from '../effects/cleanup.js';
+import { applyEdgeEmphasis } from '../effects/edges.js';
+import { adjustImage } from '../effects/adjustments.js';
+import { applyOrderedDithering } from '../dithering/ordered.js';
+import { applyErrorDiffusionDithering } from '../dithering/errorDiffusion.js';
+import { applyHueShift } from '../utils/colorSpace.js';
+import { convertToGrayscale, gaussianBlur, isTransparent } from '../utils/helpers.js';
+import { createPaletteIndex } from '../utils/paletteIndex.js';
+import { getPalette } from '../palettes/library.js';
+import { getPipelinePreset } from './presets.js';
+
+/**
+ * Step implementations by type.
+ * Each takes (image, config, context) and returns a new image; none mutates its input.
+ * The context carries the working palette from a 'palette' step to the steps after it.
+ */
+const PIPELINE_STEPS = {
+    'pixelate': (image, config) => pixelate(image.data, image.width, image.height, config),
+
+    'upscale': (image, config) => (config.algorithm
+        ? upscalePixelArt(image.data, image.width, image.height, config)
+        : upscaleNearest(image.data, image.width, image.height, config.scale)),
+
+    'hue-shift': (image, config) => {
+        const data = new Uint8ClampedArray(image.data);
+        applyHueShift(data, config.angle || 0);
+        return { data, width: image.width, height: image.height };
+    },
+
+    'grayscale': image => ({ data: convertToGrayscale(image.data), width: image.width, height: image.height }),
+
+    'blur': (image, config) => gaussianBlur(image.data, image.width, image.height, config.radius || 1),
+
+    'adjust': (image, config) => withData(image, adjustImage(image.data, image.width, image.height, { ...config, inPlace: false })),
+
+    'alpha': (image, config) => ({
+        data: applyAlphaMode(image.data, image.width, image.height, config),
+        width: image.width,
+        height: image.height
+    }),
+
+    'outline': (image, config) => withData(image, applyOutline(image.data, image.width, image.height, config)),
+
+    'remove-orphans': (image, config) => withData(image, removeOrphanPixels(image.data, image.width, image.height, config)),
+
+    'smooth-jaggies': image => withData(image, smoothJaggies(image.data, image.width, image.height)),
+
+    'edge-emphasis': (image, config) => withData(image, applyEdgeEmphasis(image.data, image.width, image.height, config)),
+
+    'palette': (image, config, context) => {
+        context.palette = resolvePalette(image, config);
+        return image;
+    },
+
+    'map': (image, config, context) => ({
+        data: applyPalette(image.data, requirePalette(context, image, config), { ...config, width: image.width, indexed: false }),
+        width: image.width,
+        height: image.height
+    }),
+
+    'dither': (image, config, context) => {
+        const { method = 'error-diffusion' } = config;
+        const palette = requirePalette(context, image, config);
+        const options = { ...config, indexed: false };
+        let data;
+        if (method === 'ordered' || method === 'bayer') {
+            data = applyOrderedDithering(image.data, image.width, image.height, palette, options);
+        } else {
+            if (method !== 'error-diffusion' && method !== 'floyd-steinberg') {
+                console.warn(`Unknown dither method "${method}". Using "error-diffusion".`);
+            }
+            data = applyErrorDiffusionDithering(image.data, image.width, image.height, palette, options);
+        }
+        return { data, width: image.width, height: image.height };
+    },
+
+    'hardware': (image, config, context) => {
+        const result = quantizeForHardware(image.data, image.width, image.height, config.target, config);
+        if (!result) throw new Error(`Unknown or invalid hardware target ${JSON.stringify(config.target)} in pipeline.`);
+        context.palette = result.palette.filter(color => !isTransparent(color));
+        return withData(image, indexedToRgba(result));
+    }
+};
+
+/**
+ * Create a reusable processing pipeline.
+ * Steps are plain objects like { type: 'pixelate', pixelSize: 4 }, so a pipeline can be
+ * stored and shared as JSON and rebuilt with createPipeline(JSON.parse(json)).
+ * @param {Array<Object>|{steps: Array<Object>}|string} steps - Step configs, a saved config, or a preset id
+ * @returns {{steps: Array<Object>, run: Function, toJSON: Function}} Pipeline
+ * @throws {Error} If a step is malformed or its type is unknown
+ */
+export function createPipeline(steps) {
+    if (typeof steps === 'string') {
+        const preset = getPipelinePreset(steps);
+        if (!preset) throw new Error(`Unknown pipeline preset "${steps}".`);
+        steps = preset.steps;
+    } else if (steps && !Array.isArray(steps)) {
+        steps = steps.steps;
+    }
+    if (!Array.isArray(steps)) throw new Error("Pipeline steps must be an array.");
+
+    // Deep copy, so later changes to the caller's configs do not leak in
+    const configs = JSON.parse(JSON.stringify(steps));
+    configs.forEach((config, index) => {
+        if (!config || typeof config.type !== 'string') {
+            throw new Error(`Pipeline step ${index} needs a "type".`);
+        }
+        if (!PIPELINE_STEPS[config.type]) {
+            throw new Error(`Unknown pipeline step "${config.type}" at index ${index}.`);
+        }
+    });
+
+    return {
+        steps: configs,
+
+        /**
+         * Run the pipeline on an image. The input is never modified.
+         * @param {{data: Uint8ClampedArray, width: number, height: number}} image - Source image (an ImageData works too)
+         * @returns {{data: Uint8ClampedArray, width: number, height: number, palette: Array<Array<number>>|null}} Result image
+         */
+        run(image) {
+            if (!image || !image.data || !(image.width > 0) || !(image.height > 0)) {
+                throw new Error("Pipeline input must be an image with data, width and height.");
+            }
+            const context = { palette: null };
+            let current = { data: image.data, width: image.width, height: image.height };
+            for (const config of configs) {
+                current = PIPELINE_STEPS[config.type](current, config, context);
+            }
+            return { data: current.data, width: current.width, height: current.height, palette: context.palette };
+        },
+
+        /**
+         * Serializable form, used by JSON.stringify
+         * @returns {{steps: Array<Object>}} Pipeline config
+         */
+        toJSON() {
+            return { steps: JSON.parse(JSON.stringify(configs)) };
+        }
+    };
+}
+
+/**
+ * List the available step types
+ * @returns {Array<string>} Step type names
+ */
+export function listPipelineSteps() {
+    return Object.keys(PIPELINE_STEPS);
+}
+
+/**
+ * Resolve the palette of a 'palette' step.
+ * `palette` may be a built-in id or an array of colors; `colors` generates one from the image
+ * or, together with `palette`, keeps only the entries the image uses most.
+ */
+function resolvePalette(image, config) {
+    const { palette, colors } = config;
+    let fixed = null;
+    if (typeof palette === 'string') {
+        fixed = getPalette(palette);
+        if (!fixed) throw new Error(`Unknown palette "${palette}" in pipeline.`);
+    } else if (Array.isArray(palette)) {
+        fixed = palette.map(color => color.slice());
+    }
+
+    if (!fixed) return generatePalette(image.data, colors || 16, { ...config, width: image.width, withCounts: false });
+    if (!colors || colors >= fixed.length) return fixed;
+
+    // Keep the entries that most pixels map to, in palette order
+    const paletteIndex = createPaletteIndex(fixed, config.metric);
+    const counts = new Uint32Array(fixed.length);
+    for (let i = 0; i < image.data.length; i += 4) {
+        if (image.data[i + 3] === 0) continue;
+        const index = paletteIndex.findClosestIndex(image.data[i], image.data[i + 1], image.data[i + 2]);
+        if (index >= 0) counts[index]++;
+    }
+    const keep = new Set(fixed.map((_, index) => index)
+        .sort((a, b) => counts[b] - counts[a] || a - b)
+        .slice(0, colors));
+    return fixed.filter((_, index) => keep.has(index));
+}
+
+/**
+ * Same-sized image with new pixel data
+ */
+function withData(image, data) {
+    return { data, width: image.width, height: image.height };
+}
+
+/**
+ * Palette for a mapping step: its own `palette` option, else the working palette
+ */
+function requirePalette(context, image, config) {
+    if (config.palette !== undefined) return resolvePalette(image, { palette: config.palette, metric: config.metric });
+    if (!context.palette) throw new Error(`Pipeline step "${config.type}" needs a preceding "palette" step.`);
+    return context.palette;
+}
@@ -0,0 +1,79 @@
+/**
+ * Pipeline Presets
+ * Named looks stored as plain pipeline configs
+ */
+
+/**
+ * Built-in presets. Steps are stored once; helpers always hand out copies.
+ */
+const PIPELINE_PRESETS = [
+    {
+        id: 'game-boy',
+        name: 'Game Boy',
+        description: '160 pixels wide, four greens, 4×4 Bayer dithering',
+        steps: [
+            { type: 'pixelate', targetWidth: 160 },
+            { type: 'alpha', alphaMode: 'matte', matte: [15, 56, 15] },
+            { type: 'palette', palette: 'gameboy-dmg' },
+            { type: 'dither', method: 'ordered', pattern: 'bayer', matrixSize: 4, strengthPercent: 75 }
+        ]
+    },
+    {
+        id: 'nes',
+        name: 'NES',
+        description: '256 pixels wide, the 25 NES colors the image uses most, light Bayer dithering',
+        steps: [
+            { type: 'pixelate', targetWidth: 256 },
+            { type: 'alpha', alphaMode: 'matte', matte: [0, 0, 0] },
+            { type: 'palette', palette: 'nes', colors: 25 },
+            { type: 'dither', method: 'ordered', pattern: 'bayer', matrixSize: 4, strengthPercent: 50 }
+        ]
+    },
+    {
+        id: 'pico-8-soft',
+        name: 'PICO-8 soft',
+        description: 'Softened 128 pixel wide image in the PICO-8 palette with gentle error diffusion',
+        steps: [
+            { type: 'blur', radius: 1 },
+            { type: 'pixelate', targetWidth: 128 },
+            { type: 'alpha', alphaMode: 'threshold' },
+            { type: 'palette', palette: 'pico-8' },
+            { type: 'dither', method: 'error-diffusion', kernel: 'floyd-steinberg', strengthPercent: 50, serpentine: true, metric: 'oklab' }
+        ]
+    }
+];
+
+/**
+ * Copy a preset, giving each call its own step objects
+ */
+function describe(preset) {
+    return {
+        id: preset.id,
+        name: preset.name,
+        description: preset.description,
+        steps: JSON.parse(JSON.stringify(preset.steps))
+    };
+}
+
+/**
+ * List all built-in pipeline presets
+ * @returns {Array<{id: string, name: string, description: string, steps: Array<Object>}>} Preset descriptions
+ */
+export function listPipelinePresets() {
+    return PIPELINE_PRESETS.map(describe);
+}
+
+/**
+ * Get a built-in pipeline preset, ready to pass to createPipeline
+ * @param {string} id - Preset id (e.g. 'game-boy', 'nes', 'pico-8-soft')
+ * @returns {{id: string, name: string, description: string, steps: Array<Object>}|null} Preset, or null if the id is unknown
+ */
+export function getPipelinePreset(id) {
+    const key = String(id).toLowerCase();
+    const preset = PIPELINE_PRESETS.find(entry => entry.id === key);
+    if (!preset) {
+        console.warn(`Unknown pipeline preset "${id}".`);
+        return null;
+    }
+    return describe(preset);
+}
@@ -0,0 +1,74 @@
+/**
+ * K-Means Palette Refinement
+ * Lloyd iterations that move an initial palette towards its cluster centroids
+ */
+
+import { createPaletteIndex } from '../utils/paletteIndex.js';
+import { srgbToLinear, linearToSrgb } from '../utils/colorSpace.js';
+
+/**
+ * Refine a palette with k-means clustering
+ * @param {Array<Array<number>>} pixels - Array of [r, g, b] colors
+ * @param {Array<Array<number>>} seedPalette - Initial palette, e.g. from median cut
+ * @param {number} [maxIterations=10] - Maximum number of refinement passes
+ * @param {Object} [options] - Refinement options
+ * @param {number} [options.fixedCount=0] - Number of leading seed colors that never move and are never dropped
+ * @param {boolean} [options.linear=false] - Average cluster colors in linear light instead of sRGB
+ * @returns {Array<Array<number>>} Refined array of [r, g, b] colors
+ */
+export function refineKMeans(pixels, seedPalette, maxIterations = 10, options = {}) {
+    const { fixedCount = 0, linear = false } = options;
+    if (seedPalette.length === 0 || pixels.length === 0 || maxIterations <= 0) return seedPalette;
+
+    // Cluster unique colors weighted by their pixel count
+    const counts = new Map();
+    for (const [r, g, b] of pixels) {
+        const key = (r << 16) | (g << 8) | b;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const colors = [];
+    const weights = [];
+    counts.forEach((count, key) => {
+        colors.push([(key >> 16) & 255, (key >> 8) & 255, key & 255]);
+        weights.push(count);
+    });
+
+    let centroids = seedPalette.map(color => [...color]);
+    const sums = new Float64Array(centroids.length * 4);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const paletteIndex = createPaletteIndex(centroids);
+        sums.fill(0);
+        for (let i = 0; i < colors.length; i++) {
+            const [r, g, b] = colors[i];
+            const k = paletteIndex.findClosestIndex(r, g, b) * 4;
+            const w = weights[i];
+            sums[k] += (linear ? srgbToLinear(r) : r) * w;
+            sums[k + 1] += (linear ? srgbToLinear(g) : g) * w;
+            sums[k + 2] += (linear ? srgbToLinear(b) : b) * w;
+            sums[k + 3] += w;
+        }
+
+        // Move each centroid; empty clusters stay put until they are dropped
+        let maxShift = 0;
+        centroids = centroids.map((centroid, c) => {
+            const w = sums[c * 4 + 3];
+            if (w === 0 || c < fixedCount) return centroid;
+            const next = linear
+                ? [linearToSrgb(sums[c * 4] / w), linearToSrgb(sums[c * 4 + 1] / w), linearToSrgb(sums[c * 4 + 2] / w)]
+                : [sums[c * 4] / w, sums[c * 4 + 1] / w, sums[c * 4 + 2] / w];
+            maxShift = Math.max(maxShift,
+                Math.abs(next[0] - centroid[0]),
+                Math.abs(next[1] - centroid[1]),
+                Math.abs(next[2] - centroid[2]));
+            return next;
+        });
+
+        if (maxShift < 0.5) break;
+    }
+
+    // Drop centroids that ended up without any pixels
+    return centroids
+        .filter((_, c) => c < fixedCount || sums[c * 4 + 3] > 0)
+        .map(c => [Math.round(c[0]), Math.round(c[1]), Math.round(c[2])]);
+}
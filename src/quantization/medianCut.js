@@ -0,0 +1,73 @@
+/**
+ * Median Cut Color Quantization
+ * Recursively splits the color space along its widest dimension
+ */
+
+/**
+ * Quantize colors with the median cut algorithm
+ * @param {Array<Array<number>>} pixels - Array of [r, g, b] colors (reordered in place)
+ * @param {number} numColors - Maximum number of colors to generate
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ */
+export function quantizeMedianCut(pixels, numColors) {
+    let buckets = [pixels];
+
+    // Split buckets until we have numColors or no more useful splits
+    while (buckets.length < numColors && buckets.some(b => b && b.length > 1)) {
+        let bestBucketIndex = -1;
+        let maxRange = -1;
+        let splitDimension = -1; // 0=R, 1=G, 2=B
+
+        // Find the bucket with the largest range in one color dimension
+        for (let i = 0; i < buckets.length; i++) {
+            if (!buckets[i] || buckets[i].length <= 1) continue;
+
+            let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
+            buckets[i].forEach(p => {
+                minR = Math.min(minR, p[0]); maxR = Math.max(maxR, p[0]);
+                minG = Math.min(minG, p[1]); maxG = Math.max(maxG, p[1]);
+                minB = Math.min(minB, p[2]); maxB = Math.max(maxB, p[2]);
+            });
+            const dR = maxR - minR;
+            const dG = maxG - minG;
+            const dB = maxB - minB;
+
+            if (dR > maxRange) { maxRange = dR; bestBucketIndex = i; splitDimension = 0; }
+            if (dG > maxRange) { maxRange = dG; bestBucketIndex = i; splitDimension = 1; }
+            if (dB > maxRange) { maxRange = dB; bestBucketIndex = i; splitDimension = 2; }
+        }
+
+        // If no bucket can be split further
+        if (bestBucketIndex === -1 || maxRange === 0) {
+            break;
+        }
+
+        // Sort the chosen bucket along the widest dimension
+        const bucketToSplit = buckets[bestBucketIndex];
+        bucketToSplit.sort((a, b) => a[splitDimension] - b[splitDimension]);
+
+        // Find the median index and split the bucket
+        const medianIndex = Math.floor(bucketToSplit.length / 2);
+        const newBucket1 = bucketToSplit.slice(0, medianIndex);
+        const newBucket2 = bucketToSplit.slice(medianIndex);
+
+        // Replace the original bucket with the two new buckets
+        buckets.splice(bestBucketIndex, 1, newBucket1, newBucket2);
+        buckets = buckets.filter(bucket => bucket && bucket.length > 0);
+    }
+
+    // Create the palette by averaging colors in each final bucket
+    return buckets.map(bucket => {
+        let r = 0, g = 0, b = 0;
+        bucket.forEach(pixel => {
+            r += pixel[0];
+            g += pixel[1];
+            b += pixel[2];
+        });
+        return [
+            Math.round(r / bucket.length),
+            Math.round(g / bucket.length),
+            Math.round(b / bucket.length)
+        ];
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * NeuQuant Neural-Net Color Quantization
+ * Anthony Dekker's self-organizing map (1994), adapted to variable palette sizes
+ */
+
+import { squaredDistance } from '../utils/helpers.js';
+
+const CYCLES = 100;              // learning cycles
+const NET_BIAS_SHIFT = 4;        // color values are held with 4 extra bits of precision
+const INT_BIAS_SHIFT = 16;       // bias for fractions
+const INT_BIAS = 1 << INT_BIAS_SHIFT;
+const GAMMA_SHIFT = 10;
+const BETA_SHIFT = 10;
+const BETA = INT_BIAS >> BETA_SHIFT;
+const BETA_GAMMA = INT_BIAS << (GAMMA_SHIFT - BETA_SHIFT);
+const RADIUS_BIAS_SHIFT = 6;
+const RADIUS_BIAS = 1 << RADIUS_BIAS_SHIFT;
+const RADIUS_DEC = 30;
+const ALPHA_BIAS_SHIFT = 10;
+const INIT_ALPHA = 1 << ALPHA_BIAS_SHIFT;
+const RAD_BIAS_SHIFT = 8;
+const RAD_BIAS = 1 << RAD_BIAS_SHIFT;
+const ALPHA_RAD_BIAS = 1 << (ALPHA_BIAS_SHIFT + RAD_BIAS_SHIFT);
+
+// Primes near 500 used to step through the image without aliasing
+const PRIMES = [499, 491, 487, 503];
+
+/**
+ * Quantize colors with the NeuQuant neural network
+ * @param {Array<Array<number>>} pixels - Array of [r, g, b] colors
+ * @param {number} numColors - Maximum number of colors to generate
+ * @param {number} [sampleFactor=10] - Learning sample factor (1 = best quality, 30 = fastest)
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ */
+export function quantizeNeuQuant(pixels, numColors, sampleFactor = 10) {
+    const netSize = numColors;
+    sampleFactor = Math.max(1, Math.min(30, Math.floor(sampleFactor)));
+
+    // Neurons start on the gray diagonal
+    const network = [];
+    const freq = new Float64Array(netSize).fill(INT_BIAS / netSize);
+    const bias = new Float64Array(netSize);
+    for (let i = 0; i < netSize; i++) {
+        const v = (i << (NET_BIAS_SHIFT + 8)) / netSize;
+        network.push([v, v, v]);
+    }
+
+    const pixelCount = pixels.length;
+    if (pixelCount < PRIMES[3]) sampleFactor = 1;
+    const samplePixels = Math.floor(pixelCount / sampleFactor);
+    const alphaDec = 30 + (sampleFactor - 1) / 3;
+    const delta = Math.max(1, Math.floor(samplePixels / CYCLES));
+
+    let step = 1;
+    if (pixelCount >= PRIMES[3]) {
+        step = PRIMES.find(prime => pixelCount % prime !== 0) || PRIMES[3];
+    }
+
+    let alpha = INIT_ALPHA;
+    let radius = (netSize >> 3) * RADIUS_BIAS;
+    let rad = radius >> RADIUS_BIAS_SHIFT;
+    if (rad <= 1) rad = 0;
+    const radPower = new Float64Array(Math.max(1, rad));
+    const updateRadPower = () => {
+        for (let i = 0; i < rad; i++) {
+            radPower[i] = alpha * (((rad * rad - i * i) * RAD_BIAS) / (rad * rad));
+        }
+    };
+    updateRadPower();
+
+    // Find the winning neuron, updating frequencies and biases along the way
+    const contest = (r, g, b) => {
+        let bestDistance = Infinity;
+        let bestBiasDistance = Infinity;
+        let bestPosition = 0;
+        let bestBiasPosition = 0;
+        for (let i = 0; i < netSize; i++) {
+            const n = network[i];
+            const distance = Math.abs(n[0] - r) + Math.abs(n[1] - g) + Math.abs(n[2] - b);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestPosition = i;
+            }
+            const biasDistance = distance - bias[i] / (1 << (INT_BIAS_SHIFT - NET_BIAS_SHIFT));
+            if (biasDistance < bestBiasDistance) {
+                bestBiasDistance = biasDistance;
+                bestBiasPosition = i;
+            }
+            const betaFreq = freq[i] / (1 << BETA_SHIFT);
+            freq[i] -= betaFreq;
+            bias[i] += betaFreq * (1 << GAMMA_SHIFT);
+        }
+        freq[bestPosition] += BETA;
+        bias[bestPosition] -= BETA_GAMMA;
+        return bestBiasPosition;
+    };
+
+    // Move neighbouring neurons towards the sample, weighted by distance in the net
+    const alterNeighbours = (center, r, g, b) => {
+        const lo = Math.max(center - rad, -1);
+        const hi = Math.min(center + rad, netSize);
+        let j = center + 1;
+        let k = center - 1;
+        let m = 1;
+        while (j < hi || k > lo) {
+            const a = radPower[m++];
+            if (j < hi) {
+                const n = network[j++];
+                n[0] -= (a * (n[0] - r)) / ALPHA_RAD_BIAS;
+                n[1] -= (a * (n[1] - g)) / ALPHA_RAD_BIAS;
+                n[2] -= (a * (n[2] - b)) / ALPHA_RAD_BIAS;
+            }
+            if (k > lo) {
+                const n = network[k--];
+                n[0] -= (a * (n[0] - r)) / ALPHA_RAD_BIAS;
+                n[1] -= (a * (n[1] - g)) / ALPHA_RAD_BIAS;
+                n[2] -= (a * (n[2] - b)) / ALPHA_RAD_BIAS;
+            }
+        }
+    };
+
+    let position = 0;
+    for (let i = 0; i < samplePixels;) {
+        const pixel = pixels[position];
+        const r = pixel[0] << NET_BIAS_SHIFT;
+        const g = pixel[1] << NET_BIAS_SHIFT;
+        const b = pixel[2] << NET_BIAS_SHIFT;
+
+        const winner = contest(r, g, b);
+        const n = network[winner];
+        n[0] -= (alpha * (n[0] - r)) / INIT_ALPHA;
+        n[1] -= (alpha * (n[1] - g)) / INIT_ALPHA;
+        n[2] -= (alpha * (n[2] - b)) / INIT_ALPHA;
+        if (rad !== 0) alterNeighbours(winner, r, g, b);
+
+        position = (position + step) % pixelCount;
+
+        i++;
+        if (i % delta === 0) {
+            alpha -= alpha / alphaDec;
+            radius -= radius / RADIUS_DEC;
+            rad = radius >> RADIUS_BIAS_SHIFT;
+            if (rad <= 1) rad = 0;
+            updateRadPower();
+        }
+    }
+
+    // Keep only neurons that actually represent some input pixels
+    const colors = network.map(n => n.map(v => Math.max(0, Math.min(255, Math.round(v / (1 << NET_BIAS_SHIFT))))));
+    const used = new Uint8Array(netSize);
+    const nearest = new Float64Array(pixelCount);
+    pixels.forEach((pixel, p) => {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < netSize; i++) {
+            const distance = squaredDistance(colors[i], pixel);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        used[best] = 1;
+        nearest[p] = bestDistance;
+    });
+    const palette = colors.filter((_, i) => used[i]);
+
+    // Small inputs leave neurons that never won a pixel. Replace them with the worst-served
+    // pixels (farthest-point filling), so the palette only comes out short when the input
+    // has fewer distinct colors than requested.
+    while (palette.length < netSize) {
+        let worst = -1;
+        for (let p = 0; p < pixelCount; p++) {
+            if (nearest[p] > 0 && (worst === -1 || nearest[p] > nearest[worst])) worst = p;
+        }
+        if (worst === -1) break;
+        const color = pixels[worst].slice(0, 3);
+        palette.push(color);
+        pixels.forEach((pixel, p) => {
+            nearest[p] = Math.min(nearest[p], squaredDistance(color, pixel));
+        });
+    }
+    return palette;
+}
@@ -0,0 +1,147 @@
+/**
+ * Octree Color Quantization
+ * Builds an 8-level color octree and folds the least used branches together
+ */
+
+import { squaredDistance } from '../utils/helpers.js';
+
+const MAX_DEPTH = 8;
+
+/**
+ * Create an empty octree node
+ */
+function createNode() {
+    return { r: 0, g: 0, b: 0, count: 0, children: null, isLeaf: false };
+}
+
+/**
+ * Quantize colors with an octree
+ * @param {Array<Array<number>>} pixels - Array of [r, g, b] colors
+ * @param {number} numColors - Maximum number of colors to generate
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ */
+export function quantizeOctree(pixels, numColors) {
+    const root = createNode();
+    // Reducible (non-leaf) nodes per depth, so the deepest ones fold first
+    const levels = Array.from({ length: MAX_DEPTH }, () => []);
+    let leafCount = 0;
+
+    for (const [r, g, b] of pixels) {
+        let node = root;
+        for (let depth = 0; depth < MAX_DEPTH && !node.isLeaf; depth++) {
+            if (!node.children) {
+                node.children = new Array(8).fill(null);
+                levels[depth].push(node);
+            }
+            const shift = 7 - depth;
+            const childIndex = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+            let child = node.children[childIndex];
+            if (!child) {
+                child = createNode();
+                if (depth === MAX_DEPTH - 1) {
+                    child.isLeaf = true;
+                    leafCount++;
+                }
+                node.children[childIndex] = child;
+            }
+            node = child;
+        }
+        node.r += r;
+        node.g += g;
+        node.b += b;
+        node.count++;
+    }
+
+    // Fold the least populated deepest nodes into their parents until the palette fits
+    for (let depth = MAX_DEPTH - 1; depth >= 0 && leafCount > numColors; depth--) {
+        const reducible = levels[depth];
+        reducible.forEach(node => {
+            node.count = subtreeCount(node);
+        });
+        reducible.sort((a, b) => a.count - b.count);
+
+        for (const node of reducible) {
+            if (leafCount <= numColors) break;
+            const children = node.children.filter(Boolean);
+            if (leafCount - (children.length - 1) < numColors) {
+                // Folding the whole branch would overshoot: merge its leaves pairwise instead
+                leafCount -= mergeChildren(node, leafCount - numColors);
+                break;
+            }
+            let merged = 0;
+            node.count = 0;
+            for (const child of node.children) {
+                if (!child) continue;
+                node.r += child.r;
+                node.g += child.g;
+                node.b += child.b;
+                node.count += child.count;
+                merged++;
+            }
+            node.children = null;
+            node.isLeaf = true;
+            leafCount -= merged - 1;
+        }
+    }
+
+    const palette = [];
+    const collect = node => {
+        if (node.isLeaf) {
+            if (node.count > 0) {
+                palette.push([
+                    Math.round(node.r / node.count),
+                    Math.round(node.g / node.count),
+                    Math.round(node.b / node.count)
+                ]);
+            }
+            return;
+        }
+        if (node.children) node.children.forEach(child => child && collect(child));
+    };
+    collect(root);
+    return palette;
+}
+
+/**
+ * Merge the least populated leaves of a node into their closest siblings
+ * @returns {number} Number of leaves removed
+ */
+function mergeChildren(node, count) {
+    const { children } = node;
+    const mean = child => [child.r / child.count, child.g / child.count, child.b / child.count];
+    for (let k = 0; k < count; k++) {
+        let smallest = -1;
+        children.forEach((child, i) => {
+            if (child && (smallest === -1 || child.count < children[smallest].count)) smallest = i;
+        });
+        const source = children[smallest];
+        let target = null;
+        let targetDistance = Infinity;
+        for (const child of children) {
+            if (!child || child === source) continue;
+            const distance = squaredDistance(mean(child), mean(source));
+            if (distance < targetDistance) {
+                targetDistance = distance;
+                target = child;
+            }
+        }
+        target.r += source.r;
+        target.g += source.g;
+        target.b += source.b;
+        target.count += source.count;
+        children[smallest] = null;
+    }
+    return count;
+}
+
+/**
+ * Number of pixels below a node (children of reducible nodes are always leaves
+ * once the deeper levels have been folded)
+ */
+function subtreeCount(node) {
+    let count = 0;
+    for (const child of node.children) {
+        if (child) count += child.count;
+    }
+    return count;
+}
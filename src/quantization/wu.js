@@ -0,0 +1,267 @@
+/**
+ * Xiaolin Wu Color Quantization
+ * Variance-minimizing box splits over a 33×33×33 cumulative moment histogram
+ */
+
+const SIDE = 33; // 32 bins per channel plus a zero border
+const AREA = SIDE * SIDE;
+
+const RED = 0;
+const GREEN = 1;
+const BLUE = 2;
+
+const index = (r, g, b) => r * AREA + g * SIDE + b;
+
+/**
+ * Quantize colors with Wu's algorithm
+ * @param {Array<Array<number>>} pixels - Array of [r, g, b] colors
+ * @param {number} numColors - Maximum number of colors to generate
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ */
+export function quantizeWu(pixels, numColors) {
+    const size = SIDE * AREA;
+    const moments = {
+        w: new Float64Array(size),
+        r: new Float64Array(size),
+        g: new Float64Array(size),
+        b: new Float64Array(size),
+        m2: new Float64Array(size)
+    };
+
+    // Histogram of 5-bit colors with first and second order moments
+    for (const [r, g, b] of pixels) {
+        const i = index((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+        moments.w[i]++;
+        moments.r[i] += r;
+        moments.g[i] += g;
+        moments.b[i] += b;
+        moments.m2[i] += r * r + g * g + b * b;
+    }
+    accumulateMoments(moments);
+
+    const cubes = [{ r0: 0, r1: 32, g0: 0, g1: 32, b0: 0, b1: 32 }];
+    const variances = [0];
+
+    let next = 0;
+    for (let i = 1; i < numColors; i++) {
+        const cube = { r0: 0, r1: 0, g0: 0, g1: 0, b0: 0, b1: 0 };
+        if (cutBox(cubes[next], cube, moments)) {
+            cubes.push(cube);
+            variances[next] = boxVolume(cubes[next]) > 1 ? boxVariance(cubes[next], moments) : 0;
+            variances.push(boxVolume(cube) > 1 ? boxVariance(cube, moments) : 0);
+        } else {
+            variances[next] = 0;
+            i--;
+        }
+
+        // Split the box with the largest variance next
+        next = 0;
+        let maxVariance = variances[0];
+        for (let k = 1; k < cubes.length; k++) {
+            if (variances[k] > maxVariance) {
+                maxVariance = variances[k];
+                next = k;
+            }
+        }
+        if (maxVariance <= 0) break;
+    }
+
+    const palette = [];
+    for (const cube of cubes) {
+        const weight = volume(cube, moments.w);
+        if (weight > 0) {
+            palette.push([
+                Math.round(volume(cube, moments.r) / weight),
+                Math.round(volume(cube, moments.g) / weight),
+                Math.round(volume(cube, moments.b) / weight)
+            ]);
+        }
+    }
+    return palette;
+}
+
+/**
+ * Turn the histogram into cumulative moments so any box sum takes 8 lookups
+ */
+function accumulateMoments({ w, r: mr, g: mg, b: mb, m2 }) {
+    const area = new Float64Array(SIDE);
+    const areaR = new Float64Array(SIDE);
+    const areaG = new Float64Array(SIDE);
+    const areaB = new Float64Array(SIDE);
+    const area2 = new Float64Array(SIDE);
+
+    for (let r = 1; r < SIDE; r++) {
+        area.fill(0); areaR.fill(0); areaG.fill(0); areaB.fill(0); area2.fill(0);
+        for (let g = 1; g < SIDE; g++) {
+            let line = 0, lineR = 0, lineG = 0, lineB = 0, line2 = 0;
+            for (let b = 1; b < SIDE; b++) {
+                const i = index(r, g, b);
+                line += w[i];
+                lineR += mr[i];
+                lineG += mg[i];
+                lineB += mb[i];
+                line2 += m2[i];
+
+                area[b] += line;
+                areaR[b] += lineR;
+                areaG[b] += lineG;
+                areaB[b] += lineB;
+                area2[b] += line2;
+
+                const prev = i - AREA;
+                w[i] = w[prev] + area[b];
+                mr[i] = mr[prev] + areaR[b];
+                mg[i] = mg[prev] + areaG[b];
+                mb[i] = mb[prev] + areaB[b];
+                m2[i] = m2[prev] + area2[b];
+            }
+        }
+    }
+}
+
+/**
+ * Sum of a moment over a box
+ */
+function volume(c, m) {
+    return m[index(c.r1, c.g1, c.b1)]
+        - m[index(c.r1, c.g1, c.b0)]
+        - m[index(c.r1, c.g0, c.b1)]
+        + m[index(c.r1, c.g0, c.b0)]
+        - m[index(c.r0, c.g1, c.b1)]
+        + m[index(c.r0, c.g1, c.b0)]
+        + m[index(c.r0, c.g0, c.b1)]
+        - m[index(c.r0, c.g0, c.b0)];
+}
+
+/**
+ * Part of a box sum that does not depend on the cut position
+ */
+function bottom(c, direction, m) {
+    switch (direction) {
+        case RED:
+            return -m[index(c.r0, c.g1, c.b1)] + m[index(c.r0, c.g1, c.b0)]
+                + m[index(c.r0, c.g0, c.b1)] - m[index(c.r0, c.g0, c.b0)];
+        case GREEN:
+            return -m[index(c.r1, c.g0, c.b1)] + m[index(c.r1, c.g0, c.b0)]
+                + m[index(c.r0, c.g0, c.b1)] - m[index(c.r0, c.g0, c.b0)];
+        default:
+            return -m[index(c.r1, c.g1, c.b0)] + m[index(c.r1, c.g0, c.b0)]
+                + m[index(c.r0, c.g1, c.b0)] - m[index(c.r0, c.g0, c.b0)];
+    }
+}
+
+/**
+ * Part of a box sum that depends on the cut position
+ */
+function top(c, direction, position, m) {
+    switch (direction) {
+        case RED:
+            return m[index(position, c.g1, c.b1)] - m[index(position, c.g1, c.b0)]
+                - m[index(position, c.g0, c.b1)] + m[index(position, c.g0, c.b0)];
+        case GREEN:
+            return m[index(c.r1, position, c.b1)] - m[index(c.r1, position, c.b0)]
+                - m[index(c.r0, position, c.b1)] + m[index(c.r0, position, c.b0)];
+        default:
+            return m[index(c.r1, c.g1, position)] - m[index(c.r1, c.g0, position)]
+                - m[index(c.r0, c.g1, position)] + m[index(c.r0, c.g0, position)];
+    }
+}
+
+/**
+ * Weighted color variance inside a box
+ */
+function boxVariance(c, moments) {
+    const dr = volume(c, moments.r);
+    const dg = volume(c, moments.g);
+    const db = volume(c, moments.b);
+    return volume(c, moments.m2) - (dr * dr + dg * dg + db * db) / volume(c, moments.w);
+}
+
+function boxVolume(c) {
+    return (c.r1 - c.r0) * (c.g1 - c.g0) * (c.b1 - c.b0);
+}
+
+/**
+ * Find the cut position along one axis that maximizes the between-box variance
+ */
+function maximize(c, direction, first, last, whole, moments) {
+    const baseR = bottom(c, direction, moments.r);
+    const baseG = bottom(c, direction, moments.g);
+    const baseB = bottom(c, direction, moments.b);
+    const baseW = bottom(c, direction, moments.w);
+
+    let max = 0;
+    let cut = -1;
+    for (let i = first; i < last; i++) {
+        let halfR = baseR + top(c, direction, i, moments.r);
+        let halfG = baseG + top(c, direction, i, moments.g);
+        let halfB = baseB + top(c, direction, i, moments.b);
+        let halfW = baseW + top(c, direction, i, moments.w);
+        if (halfW === 0) continue;
+
+        let temp = (halfR * halfR + halfG * halfG + halfB * halfB) / halfW;
+
+        halfR = whole.r - halfR;
+        halfG = whole.g - halfG;
+        halfB = whole.b - halfB;
+        halfW = whole.w - halfW;
+        if (halfW === 0) continue;
+
+        temp += (halfR * halfR + halfG * halfG + halfB * halfB) / halfW;
+        if (temp > max) {
+            max = temp;
+            cut = i;
+        }
+    }
+    return { max, cut };
+}
+
+/**
+ * Split box1 in place, writing the other half into box2
+ * @returns {boolean} false when box1 cannot be split
+ */
+function cutBox(box1, box2, moments) {
+    const whole = {
+        r: volume(box1, moments.r),
+        g: volume(box1, moments.g),
+        b: volume(box1, moments.b),
+        w: volume(box1, moments.w)
+    };
+
+    const red = maximize(box1, RED, box1.r0 + 1, box1.r1, whole, moments);
+    const green = maximize(box1, GREEN, box1.g0 + 1, box1.g1, whole, moments);
+    const blue = maximize(box1, BLUE, box1.b0 + 1, box1.b1, whole, moments);
+
+    let direction;
+    if (red.max >= green.max && red.max >= blue.max) {
+        direction = RED;
+        if (red.cut < 0) return false;
+    } else if (green.max >= red.max && green.max >= blue.max) {
+        direction = GREEN;
+    } else {
+        direction = BLUE;
+    }
+
+    box2.r1 = box1.r1;
+    box2.g1 = box1.g1;
+    box2.b1 = box1.b1;
+
+    switch (direction) {
+        case RED:
+            box2.r0 = box1.r1 = red.cut;
+            box2.g0 = box1.g0;
+            box2.b0 = box1.b0;
+            break;
+        case GREEN:
+            box2.g0 = box1.g1 = green.cut;
+            box2.r0 = box1.r0;
+            box2.b0 = box1.b0;
+            break;
+        default:
+            box2.b0 = box1.b1 = blue.cut;
+            box2.r0 = box1.r0;
+            box2.g0 = box1.g0;
+            break;
+    }
+    return true;
+}
@@ -0,0 +1,187 @@
+/**
+ * Pixel-Art Scaling Helpers
+ * Packed pixels, YUV similarity tests and alpha-aware blending shared by the scaling filters
+ */
+
+/**
+ * Largest YUV differences still treated as the same color (the hqx thresholds)
+ */
+const SIMILAR_Y = 48;
+const SIMILAR_U = 7;
+const SIMILAR_V = 6;
+
+/**
+ * Pack RGBA data into one 32-bit value per pixel.
+ * All fully transparent pixels become 0, so they compare equal whatever their color channels hold.
+ * @param {Uint8ClampedArray} pixelDataArray - Flat RGBA pixel data
+ * @returns {Uint32Array} Packed pixels (0xRRGGBBAA)
+ */
+export function packPixels(pixelDataArray) {
+    const pixels = new Uint32Array(pixelDataArray.length / 4);
+    for (let p = 0, i = 0; p < pixels.length; p++, i += 4) {
+        const a = pixelDataArray[i + 3];
+        pixels[p] = a === 0 ? 0 : ((pixelDataArray[i] << 24) | (pixelDataArray[i + 1] << 16) | (pixelDataArray[i + 2] << 8) | a) >>> 0;
+    }
+    return pixels;
+}
+
+/**
+ * Unpack 32-bit pixels into an RGBA image
+ * @param {Uint32Array} pixels - Packed pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} RGBA image
+ */
+export function unpackPixels(pixels, width, height) {
+    const data = new Uint8ClampedArray(pixels.length * 4);
+    for (let p = 0, i = 0; p < pixels.length; p++, i += 4) {
+        const color = pixels[p];
+        data[i] = color >>> 24;
+        data[i + 1] = (color >>> 16) & 0xFF;
+        data[i + 2] = (color >>> 8) & 0xFF;
+        data[i + 3] = color & 0xFF;
+    }
+    return { data, width, height };
+}
+
+/**
+ * Read pixels with edge clamping, so filters see the border pixels repeated outwards
+ * @param {Uint32Array} pixels - Packed pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Function} (x, y) => packed pixel
+ */
+export function createPixelReader(pixels, width, height) {
+    return (x, y) => {
+        const cx = x < 0 ? 0 : x >= width ? width - 1 : x;
+        const cy = y < 0 ? 0 : y >= height ? height - 1 : y;
+        return pixels[cy * width + cx];
+    };
+}
+
+/**
+ * Weighted YUV distance between two packed pixels, including alpha
+ * @param {number} c1 - First packed pixel
+ * @param {number} c2 - Second packed pixel
+ * @returns {number} Distance (0 for equal pixels)
+ */
+export function yuvDistance(c1, c2) {
+    if (c1 === c2) return 0;
+    const [dy, du, dv, da] = yuvDifference(c1, c2);
+    return 48 * dy + 7 * du + 6 * dv + 48 * da;
+}
+
+/**
+ * Whether two packed pixels are close enough to count as one color
+ * @param {number} c1 - First packed pixel
+ * @param {number} c2 - Second packed pixel
+ * @returns {boolean} True if Y, U, V and alpha are all within the hqx thresholds
+ */
+export function isSimilarColor(c1, c2) {
+    if (c1 === c2) return true;
+    const [dy, du, dv, da] = yuvDifference(c1, c2);
+    return dy <= SIMILAR_Y && du <= SIMILAR_U && dv <= SIMILAR_V && da <= SIMILAR_Y;
+}
+
+/**
+ * Create the blend function of a filter.
+ * Colors are mixed with premultiplied alpha, so transparent pixels do not darken edges.
+ * With keepPalette, the pixel with the larger share wins instead, which keeps the output
+ * inside the source colors at the cost of smoothness.
+ * @param {boolean} keepPalette - Pick instead of mix
+ * @returns {Function} (base, color, share) => packed pixel, where share is color's weight (0-1)
+ */
+function createBlender(keepPalette) {
+    if (keepPalette) return (base, color, share) => (share >= 0.5 ? color : base);
+    return (base, color, share) => {
+        if (share <= 0 || base === color) return base;
+        if (share >= 1) return color;
+        const a1 = (base & 0xFF) * (1 - share);
+        const a2 = (color & 0xFF) * share;
+        const a = a1 + a2;
+        if (a === 0) return 0;
+        const r = ((base >>> 24) * a1 + (color >>> 24) * a2) / a;
+        const g = (((base >>> 16) & 0xFF) * a1 + ((color >>> 16) & 0xFF) * a2) / a;
+        const b = (((base >>> 8) & 0xFF) * a1 + ((color >>> 8) & 0xFF) * a2) / a;
+        const alpha = Math.round(a);
+        if (alpha === 0) return 0;
+        return ((Math.round(r) << 24) | (Math.round(g) << 16) | (Math.round(b) << 8) | alpha) >>> 0;
+    };
+}
+
+/**
+ * Run a corner-based scaling filter.
+ * The filter is written for the bottom-right corner of each source pixel; it is run four
+ * times with the neighbourhood and the output block turned by 0°, 90°, 180° and 270°.
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Source image width
+ * @param {number} height - Source image height
+ * @param {number} scale - Output block size
+ * @param {Array<Array<number>>} offsets - Neighbour offsets [dx, dy] the corner rule reads, for the bottom-right corner
+ * @param {Function} cornerRule - (center, neighbours, put) => void; put(x, y, color, share) blends
+ *     color into the block's sub-pixel (x, y), with (scale - 1, scale - 1) the outer corner
+ * @param {boolean} keepPalette - Pick colors instead of mixing them, see createBlender
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Upscaled image
+ */
+export function applyCornerRule(pixelDataArray, width, height, scale, offsets, cornerRule, keepPalette) {
+    const at = createPixelReader(packPixels(pixelDataArray), width, height);
+    const blend = createBlender(keepPalette);
+
+    const frames = [0, 1, 2, 3].map(turns => {
+        const rotate = (x, y, size) => {
+            for (let t = 0; t < turns; t++) [x, y] = size === undefined ? [y, -x] : [y, size - 1 - x];
+            return [x, y];
+        };
+        const subpixels = new Uint16Array(scale * scale);
+        for (let sy = 0; sy < scale; sy++) {
+            for (let sx = 0; sx < scale; sx++) {
+                const [rx, ry] = rotate(sx, sy, scale);
+                subpixels[sy * scale + sx] = ry * scale + rx;
+            }
+        }
+        return { offsets: offsets.map(([dx, dy]) => rotate(dx, dy)), subpixels };
+    });
+
+    const outWidth = width * scale;
+    const output = new Uint32Array(outWidth * height * scale);
+    const block = new Uint32Array(scale * scale);
+    const neighbours = new Uint32Array(offsets.length);
+    let frame = frames[0];
+    const put = (sx, sy, color, share) => {
+        const k = frame.subpixels[sy * scale + sx];
+        block[k] = blend(block[k], color, share);
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const center = at(x, y);
+            block.fill(center);
+            for (frame of frames) {
+                for (let k = 0; k < neighbours.length; k++) {
+                    neighbours[k] = at(x + frame.offsets[k][0], y + frame.offsets[k][1]);
+                }
+                cornerRule(center, neighbours, put);
+            }
+            const o = y * scale * outWidth + x * scale;
+            for (let sy = 0; sy < scale; sy++) {
+                output.set(block.subarray(sy * scale, (sy + 1) * scale), o + sy * outWidth);
+            }
+        }
+    }
+    return unpackPixels(output, outWidth, height * scale);
+}
+
+/**
+ * Absolute Y, U, V and alpha differences of two packed pixels
+ */
+function yuvDifference(c1, c2) {
+    const r1 = c1 >>> 24, g1 = (c1 >>> 16) & 0xFF, b1 = (c1 >>> 8) & 0xFF;
+    const r2 = c2 >>> 24, g2 = (c2 >>> 16) & 0xFF, b2 = (c2 >>> 8) & 0xFF;
+    const dr = r1 - r2, dg = g1 - g2, db = b1 - b2;
+    return [
+        Math.abs(0.299 * dr + 0.587 * dg + 0.114 * db),
+        Math.abs(-0.169 * dr - 0.331 * dg + 0.5 * db),
+        Math.abs(0.5 * dr - 0.419 * dg - 0.081 * db),
+        Math.abs((c1 & 0xFF) - (c2 & 0xFF))
+    ];
+}
@@ -0,0 +1,52 @@
+/**
+ * Pixel-Art Upscaling
+ * One entry point for the nearest-neighbor, EPX, Eagle and xBR upscalers
+ */
+
+import { upscaleNearest } from '../core/pixelate.js';
+import { upscaleEpx, upscaleEagle } from './epx.js';
+import { upscaleXbr } from './xbr.js';
+
+/**
+ * Upscalers by name
+ */
+const UPSCALERS = {
+    'nearest': (data, width, height, options) => upscaleNearest(data, width, height, options.scale || 2),
+    'scale2x': (data, width, height) => upscaleEpx(data, width, height, 2),
+    'scale3x': (data, width, height) => upscaleEpx(data, width, height, 3),
+    'scale4x': (data, width, height) => upscaleEpx(data, width, height, 4),
+    'eagle': (data, width, height) => upscaleEagle(data, width, height),
+    '2xbr': (data, width, height, options) => upscaleXbr(data, width, height, 2, options),
+    '3xbr': (data, width, height, options) => upscaleXbr(data, width, height, 3, options),
+    '4xbr': (data, width, height, options) => upscaleXbr(data, width, height, 4, options)
+};
+
+/**
+ * Upscale pixel art with a named filter
+ * @param {Uint8ClampedArray} pixelDataArray - Source RGBA pixel data
+ * @param {number} width - Source image width
+ * @param {number} height - Source image height
+ * @param {Object} [options] - Upscaling options
+ * @param {string} [options.algorithm='scale2x'] - 'nearest', 'scale2x', 'scale3x', 'scale4x', 'eagle',
+ *     '2xbr', '3xbr' or '4xbr'
+ * @param {number} [options.scale=2] - Scale factor for 'nearest'; the other filters have a fixed factor
+ * @param {boolean} [options.keepPalette=false] - For xBR: pick source colors instead of blending
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Upscaled image
+ */
+export function upscalePixelArt(pixelDataArray, width, height, options = {}) {
+    const { algorithm = 'scale2x' } = options;
+    let upscale = UPSCALERS[algorithm];
+    if (!upscale) {
+        console.warn(`Unknown upscale algorithm "${algorithm}". Falling back to "scale2x".`);
+        upscale = UPSCALERS['scale2x'];
+    }
+    return upscale(pixelDataArray, width, height, options);
+}
+
+/**
+ * List the available upscale algorithms
+ * @returns {Array<string>} Algorithm names
+ */
+export function listUpscaleAlgorithms() {
+    return Object.keys(UPSCALERS);
+}
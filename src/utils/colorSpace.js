@@ -1,6 +1,6 @@
 /**
  * Color Space Conversion Utilities
- * Provides RGB ↔ HSL conversion functions
+ * Provides RGB ↔ HSL, CIELAB, OKLab and OKLCh conversion functions and sRGB ↔ linear lookup tables
  */
 
 /**
@@ -83,3 +83,207 @@ export function applyHueShift(data, angle) {
     }
     return data;
 }
+
+/**
+ * D65 reference white used for CIELAB conversion
+ */
+const D65_WHITE = [0.95047, 1.0, 1.08883];
+
+/**
+ * Decode an sRGB channel (0-255) to linear light (0-1)
+ */
+function srgbChannelToLinear(c) {
+    if (c >= 0 && c <= 255 && c === (c | 0)) return SRGB_TO_LINEAR[c];
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Encode a linear-light channel (0-1) to sRGB (0-255)
+ */
+function linearChannelToSrgb(c) {
+    c = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(c * 255)));
+}
+
+/**
+ * Linear-light value (0-1) of every 8-bit sRGB level
+ */
+export const SRGB_TO_LINEAR = new Float64Array(256);
+for (let v = 0; v < 256; v++) {
+    const c = v / 255;
+    SRGB_TO_LINEAR[v] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Entries in the linear-to-sRGB table; fine enough that every 8-bit level survives a round trip
+ */
+const LINEAR_LUT_SIZE = 16384;
+
+/**
+ * 8-bit sRGB level for linear-light values sampled at LINEAR_LUT_SIZE steps
+ */
+const LINEAR_TO_SRGB = new Uint8Array(LINEAR_LUT_SIZE + 1);
+for (let k = 0; k <= LINEAR_LUT_SIZE; k++) LINEAR_TO_SRGB[k] = linearChannelToSrgb(k / LINEAR_LUT_SIZE);
+
+/**
+ * Decode an sRGB channel to linear light, using the shared lookup table for 8-bit values
+ * @param {number} value - sRGB channel (0-255)
+ * @returns {number} Linear-light value (0-1)
+ */
+export function srgbToLinear(value) {
+    return srgbChannelToLinear(value);
+}
+
+/**
+ * Encode a linear-light value to an 8-bit sRGB channel with the shared lookup table
+ * @param {number} value - Linear-light value (0-1, clamped)
+ * @returns {number} sRGB channel (0-255)
+ */
+export function linearToSrgb(value) {
+    if (!(value > 0)) return 0;
+    if (value >= 1) return 255;
+    return LINEAR_TO_SRGB[Math.round(value * LINEAR_LUT_SIZE)];
+}
+
+/**
+ * Convert RGB color to CIELAB color space (D65 white point)
+ * @param {number} r - Red channel (0-255)
+ * @param {number} g - Green channel (0-255)
+ * @param {number} b - Blue channel (0-255)
+ * @returns {Array<number>} [L, a, b] where L is 0-100 and a, b are roughly -128 to 127
+ */
+export function rgbToLab(r, g, b) {
+    const lr = srgbChannelToLinear(r);
+    const lg = srgbChannelToLinear(g);
+    const lb = srgbChannelToLinear(b);
+
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / D65_WHITE[0];
+    const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / D65_WHITE[1];
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / D65_WHITE[2];
+
+    const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Convert CIELAB color to RGB color space (D65 white point)
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - Green-red axis
+ * @param {number} bLab - Blue-yellow axis
+ * @returns {Array<number>} [r, g, b] where r, g, b are in range [0, 255]
+ */
+export function labToRgb(l, a, bLab) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - bLab / 200;
+
+    const fInv = t => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) * 27 / 24389);
+    const x = fInv(fx) * D65_WHITE[0];
+    const y = fInv(fy) * D65_WHITE[1];
+    const z = fInv(fz) * D65_WHITE[2];
+
+    return [
+        linearChannelToSrgb( 3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        linearChannelToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        linearChannelToSrgb( 0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    ];
+}
+
+/**
+ * Convert RGB color to OKLab color space
+ * @param {number} r - Red channel (0-255)
+ * @param {number} g - Green channel (0-255)
+ * @param {number} b - Blue channel (0-255)
+ * @returns {Array<number>} [L, a, b] where L is 0-1 and a, b are roughly -0.4 to 0.4
+ */
+export function rgbToOklab(r, g, b) {
+    const lr = srgbChannelToLinear(r);
+    const lg = srgbChannelToLinear(g);
+    const lb = srgbChannelToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+/**
+ * Convert OKLab color to RGB color space
+ * @param {number} l - Lightness (0-1)
+ * @param {number} a - Green-red axis
+ * @param {number} bLab - Blue-yellow axis
+ * @returns {Array<number>} [r, g, b] where r, g, b are in range [0, 255]
+ */
+export function oklabToRgb(l, a, bLab) {
+    return oklabToLinear(l, a, bLab).map(linearChannelToSrgb);
+}
+
+/**
+ * Convert OKLab to linear-light RGB, without clipping to the sRGB gamut
+ */
+function oklabToLinear(l, a, bLab) {
+    const l_ = l + 0.3963377774 * a + 0.2158037573 * bLab;
+    const m_ = l - 0.1055613458 * a - 0.0638541728 * bLab;
+    const s_ = l - 0.0894841775 * a - 1.2914855480 * bLab;
+
+    const lc = l_ * l_ * l_;
+    const mc = m_ * m_ * m_;
+    const sc = s_ * s_ * s_;
+
+    return [
+        4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc,
+        -1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc,
+        -0.0041960863 * lc - 0.7034186147 * mc + 1.7076147010 * sc
+    ];
+}
+
+/**
+ * Convert RGB color to OKLCh (the polar form of OKLab)
+ * @param {number} r - Red channel (0-255)
+ * @param {number} g - Green channel (0-255)
+ * @param {number} b - Blue channel (0-255)
+ * @returns {Array<number>} [L, C, h] where L is 0-1, C is chroma (roughly 0-0.37) and h is hue in degrees (0-360)
+ */
+export function rgbToOklch(r, g, b) {
+    const [l, a, bLab] = rgbToOklab(r, g, b);
+    const h = Math.atan2(bLab, a) * 180 / Math.PI;
+    return [l, Math.hypot(a, bLab), h < 0 ? h + 360 : h];
+}
+
+/**
+ * Convert OKLCh color to RGB color space.
+ * Colors outside the sRGB gamut keep their lightness and hue and lose chroma until they fit.
+ * @param {number} l - Lightness (0-1)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue in degrees
+ * @returns {Array<number>} [r, g, b] where r, g, b are in range [0, 255]
+ */
+export function oklchToRgb(l, c, h) {
+    l = Math.max(0, Math.min(1, l));
+    const cos = Math.cos(h * Math.PI / 180);
+    const sin = Math.sin(h * Math.PI / 180);
+    const inGamut = chroma => oklabToLinear(l, chroma * cos, chroma * sin).every(v => v >= -1e-4 && v <= 1 + 1e-4);
+
+    let chroma = Math.max(0, c);
+    if (!inGamut(chroma)) {
+        // Binary search for the largest chroma that still fits
+        let low = 0, high = chroma;
+        for (let i = 0; i < 16; i++) {
+            const mid = (low + high) / 2;
+            if (inGamut(mid)) low = mid;
+            else high = mid;
+        }
+        chroma = low;
+    }
+    return oklabToRgb(l, chroma * cos, chroma * sin);
+}
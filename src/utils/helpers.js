@@ -2,6 +2,8 @@
  * Helper utility functions for image processing
  */
 
+import { rgbToLab, rgbToOklab, srgbToLinear } from './colorSpace.js';
+
 /**
  * Calculate squared Euclidean distance between two RGB colors
  * @param {number} r1 - Red channel of first color
@@ -20,37 +22,196 @@ export function colorDistanceSquared(r1, g1, b1, r2, g2, b2) {
 }
 
 /**
- * Find the closest color in a palette to a given RGB color
+ * Calculate the "redmean" weighted RGB distance between two colors
+ * Cheap approximation of perceived difference that weights channels by the mean red level
+ * @param {number} r1 - Red channel of first color
+ * @param {number} g1 - Green channel of first color
+ * @param {number} b1 - Blue channel of first color
+ * @param {number} r2 - Red channel of second color
+ * @param {number} g2 - Green channel of second color
+ * @param {number} b2 - Blue channel of second color
+ * @returns {number} Squared weighted distance
+ */
+export function colorDistanceRedmean(r1, g1, b1, r2, g2, b2) {
+    const rMean = (r1 + r2) / 2;
+    const dr = r1 - r2;
+    const dg = g1 - g2;
+    const db = b1 - b2;
+    return (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db;
+}
+
+/**
+ * Calculate the CIE76 color difference (Euclidean distance in CIELAB)
+ * @param {Array<number>} lab1 - First color as [L, a, b]
+ * @param {Array<number>} lab2 - Second color as [L, a, b]
+ * @returns {number} ΔE*ab
+ */
+export function deltaE76(lab1, lab2) {
+    return Math.sqrt(squaredDistance(lab1, lab2));
+}
+
+/**
+ * Calculate the CIEDE2000 color difference
+ * @param {Array<number>} lab1 - First color as [L, a, b]
+ * @param {Array<number>} lab2 - Second color as [L, a, b]
+ * @returns {number} ΔE00
+ */
+export function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const RAD = Math.PI / 180;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const cMean7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + 6103515625))); // 25^7
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+
+    const hueAngle = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / RAD;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * RAD / 2);
+
+    const Lpm = (L1 + L2) / 2;
+    const Cpm = (C1p + C2p) / 2;
+    let hpm = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) hpm += h1p + h2p < 360 ? 360 : -360;
+        hpm /= 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos((hpm - 30) * RAD)
+        + 0.24 * Math.cos(2 * hpm * RAD)
+        + 0.32 * Math.cos((3 * hpm + 6) * RAD)
+        - 0.20 * Math.cos((4 * hpm - 63) * RAD);
+    const dTheta = 30 * Math.exp(-Math.pow((hpm - 275) / 25, 2));
+    const Cpm7 = Math.pow(Cpm, 7);
+    const Rc = 2 * Math.sqrt(Cpm7 / (Cpm7 + 6103515625));
+    const Lpm50 = (Lpm - 50) * (Lpm - 50);
+    const Sl = 1 + 0.015 * Lpm50 / Math.sqrt(20 + Lpm50);
+    const Sc = 1 + 0.045 * Cpm;
+    const Sh = 1 + 0.015 * Cpm * T;
+    const Rt = -Math.sin(2 * dTheta * RAD) * Rc;
+
+    const lTerm = dLp / Sl;
+    const cTerm = dCp / Sc;
+    const hTerm = dHp / Sh;
+    return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + Rt * cTerm * hTerm);
+}
+
+/**
+ * Squared Euclidean distance between two 3-component vectors
+ * @param {Array<number>} p - First vector, e.g. [r, g, b]
+ * @param {Array<number>} q - Second vector
+ * @returns {number} Squared distance
+ */
+export function squaredDistance(p, q) {
+    const d0 = p[0] - q[0];
+    const d1 = p[1] - q[1];
+    const d2 = p[2] - q[2];
+    return d0 * d0 + d1 * d1 + d2 * d2;
+}
+
+/**
+ * Whether a palette entry is a reserved transparent slot ([r, g, b, 0])
+ * @param {Array<number>} color - Palette color
+ * @returns {boolean} True for fully transparent entries
+ */
+export function isTransparent(color) {
+    return Array.isArray(color) && color.length > 3 && color[3] === 0;
+}
+
+const toRgbVector = (r, g, b) => [r, g, b];
+const toLinearVector = (r, g, b) => [srgbToLinear(r) * 255, srgbToLinear(g) * 255, srgbToLinear(b) * 255];
+
+/**
+ * Color distance metrics available for palette matching.
+ * Each metric converts RGB into its working space once and compares there;
+ * distances are only meant for ranking, so squared forms are used where possible.
+ */
+const COLOR_METRICS = {
+    rgb: { convert: toRgbVector, distance: squaredDistance },
+    redmean: {
+        convert: toRgbVector,
+        distance: (p, q) => colorDistanceRedmean(p[0], p[1], p[2], q[0], q[1], q[2])
+    },
+    cie76: { convert: rgbToLab, distance: squaredDistance },
+    ciede2000: { convert: rgbToLab, distance: deltaE2000 },
+    oklab: { convert: rgbToOklab, distance: squaredDistance },
+    'linear-rgb': { convert: toLinearVector, distance: squaredDistance }
+};
+
+/**
+ * Look up a color distance metric by name
+ * @param {string} [metric='rgb'] - 'rgb', 'redmean', 'cie76', 'ciede2000', 'oklab' or 'linear-rgb'
+ * @returns {{convert: Function, distance: Function}} Conversion from RGB and distance function
+ */
+export function getColorMetric(metric = 'rgb') {
+    const colorMetric = COLOR_METRICS[metric];
+    if (!colorMetric) {
+        console.warn(`Unknown color metric "${metric}". Falling back to "rgb".`);
+        return COLOR_METRICS.rgb;
+    }
+    return colorMetric;
+}
+
+/**
+ * Find the closest color in a palette to a given RGB color.
+ * Reserved transparent slots ([r, g, b, 0]) are skipped, as in createPaletteIndex.
  * @param {number} r - Red channel (0-255)
  * @param {number} g - Green channel (0-255)
  * @param {number} b - Blue channel (0-255)
  * @param {Array<Array<number>>} palette - Array of [r, g, b] color arrays
+ * @param {string} [metric='rgb'] - Color distance metric ('rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb')
  * @returns {Array<number>} Closest color [r, g, b] from palette
  */
-export function findClosestPaletteColor(r, g, b, palette) {
+export function findClosestPaletteColor(r, g, b, palette, metric = 'rgb') {
     if (!palette || palette.length === 0) {
         console.error("Invalid or empty palette provided to findClosestPaletteColor.");
         return [r, g, b];
     }
 
-    let closestColor = palette[0];
-    if (!Array.isArray(closestColor) || closestColor.length < 3) {
-        console.warn("First palette entry is invalid. Using [0,0,0]");
-        closestColor = [0, 0, 0];
-    }
+    const { convert, distance } = getColorMetric(metric);
+    const target = convert(r, g, b);
 
-    let minDistance = colorDistanceSquared(r, g, b, closestColor[0], closestColor[1], closestColor[2]);
+    // Without an opaque entry there is nothing to match, as in createPaletteIndex
+    let closestColor = [r, g, b];
+    let minDistance = Infinity;
 
-    for (let i = 1; i < palette.length; i++) {
-        const color = palette[i];
-        if (Array.isArray(color) && color.length >= 3) {
-            const distance = colorDistanceSquared(r, g, b, color[0], color[1], color[2]);
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestColor = color;
+    for (let i = 0; i < palette.length; i++) {
+        let color = palette[i];
+        if (!Array.isArray(color) || color.length < 3) {
+            if (i > 0) {
+                console.warn(`Invalid palette entry at index ${i} skipped.`);
+                continue;
             }
-        } else {
-            console.warn(`Invalid palette entry at index ${i} skipped.`);
+            console.warn("First palette entry is invalid. Using [0,0,0]");
+            color = [0, 0, 0];
+        }
+        // A reserved transparent slot ([r, g, b, 0]) is never matched by color
+        if (isTransparent(color)) continue;
+        const colorDistance = distance(target, convert(color[0], color[1], color[2]));
+        if (colorDistance < minDistance) {
+            minDistance = colorDistance;
+            closestColor = color;
         }
     }
     return closestColor;
@@ -80,14 +241,15 @@ export function convertToGrayscale(data) {
 
 /**
  * Apply a simple Gaussian blur (box blur approximation)
- * @param {ImageData} imageData - Image data to blur
+ * @param {ImageData|{data: Uint8ClampedArray}|Uint8ClampedArray} imageData - Image data to blur
  * @param {number} width - Image width
  * @param {number} height - Image height
  * @param {number} radius - Blur radius
- * @returns {ImageData} Blurred image data
+ * @returns {ImageData|{data: Uint8ClampedArray, width: number, height: number}} Blurred image data: an ImageData
+ *     where the global exists (as before), otherwise a plain { data, width, height } object
  */
 export function gaussianBlur(imageData, width, height, radius) {
-    const data = imageData.data;
+    const data = imageData.data || imageData;
     const tempOutput = new Uint8ClampedArray(data.length);
     const outputData = new Uint8ClampedArray(data.length);
     radius = Math.max(1, Math.floor(radius));
@@ -151,5 +313,7 @@ export function gaussianBlur(imageData, width, height, radius) {
             }
         }
     }
+    // Callers pass the result to ctx.putImageData, so keep returning ImageData where it exists
+    if (typeof ImageData === 'undefined') return { data: outputData, width, height };
     return new ImageData(outputData, width, height);
 }
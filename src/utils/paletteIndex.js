@@ -0,0 +1,246 @@
+/**
+ * Palette Index
+ * Prebuilt nearest-color lookup used by palette mapping and dithering
+ */
+
+import { getColorMetric, isTransparent } from './helpers.js';
+
+/**
+ * Metrics whose distance is a squared Euclidean distance in their working
+ * space, which lets the k-d tree prune branches exactly
+ */
+const EUCLIDEAN_METRICS = ['rgb', 'cie76', 'oklab', 'linear-rgb'];
+
+/**
+ * Palettes up to this size are scanned linearly; beyond it a k-d tree pays off
+ */
+const KD_TREE_MIN_COLORS = 16;
+
+/**
+ * Maximum number of cached lookups before the cache is reset
+ */
+const MAX_CACHE_ENTRIES = 65536;
+
+/**
+ * Build a nearest-color index for a palette.
+ * Lookups return exactly what findClosestPaletteColor would return for the
+ * same palette and metric (including tie-breaking towards the lowest index),
+ * but convert the palette once, search a k-d tree instead of scanning every
+ * entry, and cache results of the costlier metrics for integer RGB inputs.
+ * Entries with a zero fourth (alpha) component are reserved transparent slots:
+ * they are skipped for matching and reported as transparentIndex.
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] color arrays
+ * @param {string} [metric='rgb'] - Color distance metric ('rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb')
+ * @returns {{palette: Array<Array<number>>, metric: string, transparentIndex: number, findClosest: Function, findClosestIndex: Function, colorAt: Function}} Palette index
+ */
+export function createPaletteIndex(palette, metric = 'rgb') {
+    const { convert, distance } = getColorMetric(metric);
+    const euclidean = EUCLIDEAN_METRICS.includes(metric);
+
+    // Collect valid entries, mirroring the fallbacks of findClosestPaletteColor
+    const colors = [];
+    const indices = [];
+    const points = [];
+    for (let i = 0; i < palette.length; i++) {
+        let color = palette[i];
+        if (!Array.isArray(color) || color.length < 3) {
+            if (i > 0) {
+                console.warn(`Invalid palette entry at index ${i} skipped.`);
+                continue;
+            }
+            console.warn("First palette entry is invalid. Using [0,0,0]");
+            color = [0, 0, 0];
+        }
+        // A reserved transparent slot ([r, g, b, 0]) is never matched by color
+        if (isTransparent(color)) continue;
+        colors.push(color);
+        indices.push(i);
+        points.push(convert(color[0], color[1], color[2]));
+    }
+
+    // Colors by original palette position, with the same fallbacks applied
+    const colorByIndex = new Array(palette.length);
+    colors.forEach((color, k) => { colorByIndex[indices[k]] = color; });
+
+    const coords = new Float64Array(points.length * 3);
+    points.forEach((point, k) => coords.set(point, k * 3));
+
+    const tree = euclidean && points.length > KD_TREE_MIN_COLORS
+        ? buildKdTree(points)
+        : null;
+
+    // A short linear RGB scan is cheaper than a cache hit
+    const cache = metric === 'rgb' && !tree ? null : new Map();
+
+    function findClosestEntry(r, g, b) {
+        let key = -1;
+        if (cache && (r | 0) === r && (g | 0) === g && (b | 0) === b
+            && r >= 0 && r <= 255 && g >= 0 && g <= 255 && b >= 0 && b <= 255) {
+            key = (r << 16) | (g << 8) | b;
+            const cached = cache.get(key);
+            if (cached !== undefined) return cached;
+        }
+
+        let entry = 0;
+        if (euclidean) {
+            let t0 = r, t1 = g, t2 = b;
+            if (metric !== 'rgb') [t0, t1, t2] = convert(r, g, b);
+            if (tree) {
+                entry = searchKdTree(tree, coords, t0, t1, t2);
+            } else {
+                let minDistance = Infinity;
+                for (let k = 0, c = 0; k < points.length; k++, c += 3) {
+                    const d0 = t0 - coords[c];
+                    const d1 = t1 - coords[c + 1];
+                    const d2 = t2 - coords[c + 2];
+                    const d = d0 * d0 + d1 * d1 + d2 * d2;
+                    if (d < minDistance) {
+                        minDistance = d;
+                        entry = k;
+                    }
+                }
+            }
+        } else {
+            const target = convert(r, g, b);
+            let minDistance = distance(target, points[0]);
+            for (let k = 1; k < points.length; k++) {
+                const d = distance(target, points[k]);
+                if (d < minDistance) {
+                    minDistance = d;
+                    entry = k;
+                }
+            }
+        }
+
+        if (key !== -1) {
+            if (cache.size >= MAX_CACHE_ENTRIES) cache.clear();
+            cache.set(key, entry);
+        }
+        return entry;
+    }
+
+    return {
+        palette,
+        metric,
+        transparentIndex: findTransparentIndex(palette),
+
+        /**
+         * Find the closest palette color
+         * @param {number} r - Red channel (0-255)
+         * @param {number} g - Green channel (0-255)
+         * @param {number} b - Blue channel (0-255)
+         * @returns {Array<number>} Closest color [r, g, b] from palette
+         */
+        findClosest(r, g, b) {
+            if (colors.length === 0) return [r, g, b];
+            return colors[findClosestEntry(r, g, b)];
+        },
+
+        /**
+         * Find the index of the closest palette color
+         * @param {number} r - Red channel (0-255)
+         * @param {number} g - Green channel (0-255)
+         * @param {number} b - Blue channel (0-255)
+         * @returns {number} Index into the palette, or -1 for an empty palette
+         */
+        findClosestIndex(r, g, b) {
+            if (colors.length === 0) return -1;
+            return indices[findClosestEntry(r, g, b)];
+        },
+
+        /**
+         * Get the color matched for a palette index
+         * @param {number} index - Index returned by findClosestIndex
+         * @returns {Array<number>|undefined} Color [r, g, b], or undefined for skipped entries
+         */
+        colorAt(index) {
+            return colorByIndex[index];
+        }
+    };
+}
+
+/**
+ * Find the first reserved transparent entry ([r, g, b, 0]) of a palette
+ * @param {Array<Array<number>>} palette - Palette colors
+ * @returns {number} Index of the transparent slot, or -1 if there is none
+ */
+export function findTransparentIndex(palette) {
+    if (!palette) return -1;
+    return palette.findIndex(isTransparent);
+}
+
+/**
+ * Build a balanced k-d tree over 3-component points.
+ * Nodes are stored in typed arrays: entry, split axis, left and right child.
+ */
+function buildKdTree(points) {
+    const count = points.length;
+    const tree = {
+        entry: new Int32Array(count),
+        axis: new Uint8Array(count),
+        left: new Int32Array(count),
+        right: new Int32Array(count),
+        root: -1,
+        stack: new Int32Array(count + 1),
+        planeDistances: new Float64Array(count + 1)
+    };
+    let nodeCount = 0;
+
+    const build = (entries, depth) => {
+        if (entries.length === 0) return -1;
+        const axis = depth % 3;
+        entries.sort((a, b) => points[a][axis] - points[b][axis] || a - b);
+        const mid = entries.length >> 1;
+        const node = nodeCount++;
+        tree.entry[node] = entries[mid];
+        tree.axis[node] = axis;
+        tree.left[node] = build(entries.slice(0, mid), depth + 1);
+        tree.right[node] = build(entries.slice(mid + 1), depth + 1);
+        return node;
+    };
+
+    tree.root = build(points.map((_, k) => k), 0);
+    return tree;
+}
+
+/**
+ * Exact nearest-neighbor search. Equal distances resolve to the lowest entry,
+ * and branches are only pruned when strictly farther than the current best.
+ * Returns the entry of the closest point.
+ */
+function searchKdTree(tree, coords, t0, t1, t2) {
+    const { entry: entries, axis: axes, left, right, stack, planeDistances } = tree;
+    let bestEntry = -1;
+    let bestDistance = Infinity;
+    let top = 0;
+    stack[0] = tree.root;
+    planeDistances[0] = 0;
+
+    while (top >= 0) {
+        const node = stack[top];
+        const planeDistance = planeDistances[top--];
+        if (node === -1 || planeDistance > bestDistance) continue;
+
+        const entry = entries[node];
+        const c = entry * 3;
+        const d0 = t0 - coords[c];
+        const d1 = t1 - coords[c + 1];
+        const d2 = t2 - coords[c + 2];
+        const d = d0 * d0 + d1 * d1 + d2 * d2;
+        if (d < bestDistance || (d === bestDistance && entry < bestEntry)) {
+            bestDistance = d;
+            bestEntry = entry;
+        }
+
+        const axis = axes[node];
+        const delta = axis === 0 ? d0 : axis === 1 ? d1 : d2;
+
+        // Far side is pushed first so the near side is searched first
+        stack[++top] = delta < 0 ? right[node] : left[node];
+        planeDistances[top] = delta * delta;
+        stack[++top] = delta < 0 ? left[node] : right[node];
+        planeDistances[top] = 0;
+    }
+
+    return bestEntry;
+}
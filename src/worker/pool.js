@@ -0,0 +1,326 @@
+/**
+ * Worker Pool
+ * Runs library functions off the main thread and splits row-independent work across workers
+ */
+
+import { WORKER_TASKS, getTileRowPeriod } from './tasks.js';
+
+/**
+ * Smallest band of rows worth sending to a worker of its own
+ */
+const MIN_TILE_ROWS = 32;
+
+// Shared pool behind runInWorker, created on first use
+let defaultPool = null;
+
+/**
+ * Create a pool of workers (Web Workers in the browser, worker_threads in Node.js).
+ * Workers are started on demand. In Node.js, idle workers do not keep the process alive.
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.size] - Maximum number of workers (default: available cores - 1, at least 1)
+ * @param {string|URL} [options.workerUrl] - Location of the worker script (default: worker.js next to this module)
+ * @param {number} [options.minTileRows=32] - Smallest band height when splitting an image across workers
+ * @returns {{run: Function, terminate: Function}} Worker pool
+ */
+export function createWorkerPool(options = {}) {
+    const { minTileRows = MIN_TILE_ROWS } = options;
+    const workerUrl = options.workerUrl || new URL('./worker.js', import.meta.url);
+    const ready = loadWorkerEnvironment().then(environment => ({
+        ...environment,
+        size: Math.max(1, Math.floor(options.size || environment.threads - 1))
+    }));
+
+    const slots = [];
+    const queue = [];
+    let nextId = 1;
+    let terminated = false;
+    let environment = null;
+
+    function startSlot() {
+        const slot = { job: null, worker: environment.spawn(workerUrl) };
+        slot.worker.onMessage(message => handleMessage(slot, message));
+        slot.worker.onError(error => {
+            const { job } = slot;
+            removeSlot(slot);
+            if (job) job.reject(error);
+            dispatch();
+        });
+        slots.push(slot);
+        return slot;
+    }
+
+    function removeSlot(slot) {
+        slot.worker.terminate();
+        slots.splice(slots.indexOf(slot), 1);
+    }
+
+    function handleMessage(slot, message) {
+        const { job } = slot;
+        if (!job || message.id !== job.id) return;
+        if (message.type === 'progress') {
+            job.onProgress(message.value);
+            return;
+        }
+        slot.job = null;
+        slot.worker.unref();
+        if (message.type === 'result') {
+            job.resolve(message.result);
+        } else {
+            job.reject(new Error(message.message));
+        }
+        dispatch();
+    }
+
+    function dispatch() {
+        while (queue.length > 0) {
+            const slot = slots.find(entry => !entry.job) || (slots.length < environment.size ? startSlot() : null);
+            if (!slot) return;
+            const job = queue.shift();
+            slot.job = job;
+            slot.worker.ref();
+            slot.worker.post(job.message, job.transfer);
+        }
+    }
+
+    function submit(task, image, taskOptions, transfer, onProgress) {
+        const job = { id: nextId++, onProgress };
+        job.message = { id: job.id, task, image, options: taskOptions };
+        job.transfer = transfer;
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        queue.push(job);
+        dispatch();
+        return job;
+    }
+
+    function cancel(job, error) {
+        const queued = queue.indexOf(job);
+        if (queued >= 0) {
+            queue.splice(queued, 1);
+        } else {
+            // A running task cannot be interrupted, so its worker is replaced
+            const slot = slots.find(entry => entry.job === job);
+            if (!slot) return;
+            removeSlot(slot);
+        }
+        job.reject(error);
+    }
+
+    return {
+        /**
+         * Run a library function in a worker.
+         * Images are { data, width, height }; row-independent tasks are split into bands
+         * across the pool, everything else runs in one worker.
+         * @param {string} task - Function name, e.g. 'applyPalette' or 'applyFloydSteinbergDithering'
+         * @param {{data: Uint8ClampedArray, width: number, height: number}} image - Source image
+         * @param {Object} [runOptions] - The function's options (including `palette` where it takes one), plus:
+         * @param {AbortSignal} [runOptions.signal] - Cancels the task; running workers are terminated
+         * @param {Function} [runOptions.onProgress] - Called with the finished share (0-1)
+         * @param {boolean} [runOptions.transfer=false] - Hand the input buffer to the worker instead of copying it;
+         *     the caller's array becomes unusable. Not possible when the image is split into bands,
+         *     which always copy (with a warning)
+         * @returns {Promise<Object>} The function's result as an image, indexed image or palette
+         */
+        async run(task, image, runOptions = {}) {
+            const { signal, onProgress, transfer = false, ...taskOptions } = runOptions;
+            if (terminated) throw new Error("Worker pool has been terminated.");
+            if (!WORKER_TASKS[task]) throw new Error(`Unknown worker task "${task}".`);
+            if (!image || !image.data || !(image.width > 0) || !(image.height > 0)) {
+                throw new Error("Worker task input must be an image with data, width and height.");
+            }
+            if (signal && signal.aborted) throw createAbortError(signal);
+
+            environment = environment || await ready;
+            if (terminated) throw new Error("Worker pool has been terminated.");
+            if (signal && signal.aborted) throw createAbortError(signal);
+
+            const { width, height } = image;
+            const rowLength = width * 4;
+            const period = getTileRowPeriod(task, taskOptions);
+            const bandCount = period > 0 ? Math.min(environment.size, Math.floor(height / minTileRows)) : 1;
+            const bandRows = bandCount > 1 ? Math.ceil(height / bandCount / period) * period : height;
+            if (transfer && bandRows < height) {
+                console.warn(`Worker task "${task}" is split into bands, so the input buffer is copied instead of transferred.`);
+            }
+
+            const jobs = [];
+            const bandProgress = [];
+            const reportProgress = () => {
+                if (!onProgress) return;
+                const done = bandProgress.reduce((sum, band) => sum + band.value * band.rows, 0);
+                onProgress(done / height);
+            };
+            for (let top = 0; top < height; top += bandRows) {
+                const rows = Math.min(bandRows, height - top);
+                const band = { value: 0, rows };
+                bandProgress.push(band);
+                // A single band may take over the caller's buffer; split bands are always fresh copies,
+                // since part of a buffer cannot be transferred
+                const data = rows === height
+                    ? (transfer ? ownBuffer(image.data) : new Uint8ClampedArray(image.data))
+                    : new Uint8ClampedArray(image.data.subarray(top * rowLength, (top + rows) * rowLength));
+                const job = submit(task, { data, width, height: rows }, taskOptions, [data.buffer], value => {
+                    band.value = value;
+                    reportProgress();
+                });
+                job.promise.then(() => {
+                    band.value = 1;
+                    reportProgress();
+                }, () => {});
+                jobs.push(job);
+            }
+
+            const onAbort = () => {
+                const error = createAbortError(signal);
+                jobs.forEach(job => cancel(job, error));
+                dispatch();
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            try {
+                const results = await Promise.all(jobs.map(job => job.promise));
+                return results.length === 1 ? results[0] : mergeBands(results, width, height);
+            } finally {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        },
+
+        /**
+         * Stop all workers. Pending and running tasks are rejected.
+         */
+        terminate() {
+            terminated = true;
+            const error = new Error("Worker pool has been terminated.");
+            queue.splice(0).forEach(job => job.reject(error));
+            slots.splice(0).forEach(slot => {
+                slot.worker.terminate();
+                if (slot.job) slot.job.reject(error);
+            });
+        }
+    };
+}
+
+/**
+ * Run a library function in a shared worker pool.
+ * Same as createWorkerPool().run(task, image, options), without managing a pool yourself.
+ * @param {string} task - Function name, e.g. 'applyPalette' or 'applyFloydSteinbergDithering'
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - Source image
+ * @param {Object} [options] - Task options, see createWorkerPool
+ * @returns {Promise<Object>} The function's result
+ */
+export function runInWorker(task, image, options) {
+    defaultPool = defaultPool || createWorkerPool();
+    return defaultPool.run(task, image, options);
+}
+
+/**
+ * List the function names a worker can run
+ * @returns {Array<string>} Task names
+ */
+export function listWorkerTasks() {
+    return Object.keys(WORKER_TASKS);
+}
+
+/**
+ * Find the worker implementation of the current platform
+ * @returns {Promise<{spawn: Function, threads: number}>} Worker factory and number of hardware threads
+ */
+async function loadWorkerEnvironment() {
+    if (typeof Worker !== 'undefined') {
+        const threads = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+        return { spawn: url => wrapWebWorker(new Worker(url, { type: 'module' })), threads };
+    }
+    const [{ Worker: NodeWorker }, os] = await Promise.all([import('node:worker_threads'), import('node:os')]);
+    const threads = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+    return { spawn: url => wrapNodeWorker(new NodeWorker(url)), threads };
+}
+
+/**
+ * Common interface over a browser Web Worker
+ */
+function wrapWebWorker(worker) {
+    return {
+        post: (message, transfer) => worker.postMessage(message, transfer),
+        onMessage: handler => worker.addEventListener('message', event => handler(event.data)),
+        onError: handler => worker.addEventListener('error', event => {
+            event.preventDefault();
+            handler(new Error(event.message || "Worker failed to run."));
+        }),
+        ref: () => {},
+        unref: () => {},
+        terminate: () => worker.terminate()
+    };
+}
+
+/**
+ * Common interface over a Node.js worker thread
+ */
+function wrapNodeWorker(worker) {
+    worker.unref();
+    return {
+        post: (message, transfer) => worker.postMessage(message, transfer),
+        onMessage: handler => worker.on('message', handler),
+        onError: handler => worker.on('error', handler),
+        ref: () => worker.ref(),
+        unref: () => worker.unref(),
+        terminate: () => worker.terminate()
+    };
+}
+
+/**
+ * The array itself if it owns its whole buffer (so the buffer can be transferred), else a copy
+ */
+function ownBuffer(data) {
+    if (data.byteOffset === 0 && data.byteLength === data.buffer.byteLength && isArrayBuffer(data.buffer)) {
+        return data instanceof Uint8ClampedArray ? data : new Uint8ClampedArray(data.buffer);
+    }
+    return new Uint8ClampedArray(data);
+}
+
+/**
+ * Plain (transferable) ArrayBuffer check that also works for buffers from another realm
+ * @param {*} buffer - Value to check
+ * @returns {boolean} True for an ArrayBuffer, false for a SharedArrayBuffer or anything else
+ */
+export function isArrayBuffer(buffer) {
+    return Object.prototype.toString.call(buffer) === '[object ArrayBuffer]';
+}
+
+/**
+ * Stitch the results of horizontal bands back into one image
+ */
+function mergeBands(results, width, height) {
+    if (results.some(result => !result)) return null;
+
+    if (results[0].indices) {
+        const indices = new Uint8Array(width * height);
+        let offset = 0;
+        for (const result of results) {
+            indices.set(result.indices, offset);
+            offset += result.indices.length;
+        }
+        // Bands agree on the transparent slot; only those with transparent pixels append it
+        const palette = results.reduce((longest, result) => (result.palette.length > longest.length ? result.palette : longest), results[0].palette);
+        const transparentIndex = Math.max(...results.map(result => result.transparentIndex));
+        return { indices, palette, width, height, transparentIndex };
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    let offset = 0;
+    for (const result of results) {
+        data.set(result.data, offset);
+        offset += result.data.length;
+    }
+    return { data, width, height };
+}
+
+/**
+ * Error for a cancelled task: the signal's reason, or an Error named 'AbortError'
+ */
+function createAbortError(signal) {
+    if (signal && signal.reason instanceof Error) return signal.reason;
+    const error = new Error("The operation was aborted.");
+    error.name = 'AbortError';
+    return error;
+}
@@ -0,0 +1,133 @@
+/**
+ * Worker Tasks
+ * Library functions callable by name from a worker, all taking (image, options, onProgress)
+ */
+
+import { generatePalette, applyPalette } from '../core/palette.js';
+import { pixelate, upscaleNearest } from '../core/pixelate.js';
+import { applyAlphaMode } from '../core/alpha.js';
+import { upscalePixelArt } from '../scaling/upscale.js';
+import { applyBayerDithering } from '../dithering/bayer.js';
+import { applyOrderedDithering } from '../dithering/ordered.js';
+import { applyFloydSteinbergDithering } from '../dithering/floydSteinberg.js';
+import { applyErrorDiffusionDithering } from '../dithering/errorDiffusion.js';
+import { createThresholdMatrix, normalizeThresholdMatrix } from '../dithering/thresholdMaps.js';
+import { applyHueShift } from '../utils/colorSpace.js';
+import { convertToGrayscale, gaussianBlur } from '../utils/helpers.js';
+import { applyOutline } from '../effects/outline.js';
+import { removeOrphanPixels, smoothJaggies } from '../effects/cleanup.js';
+import { applyEdgeEmphasis } from '../effects/edges.js';
+import { adjustImage } from '../effects/adjustments.js';
+import { createPipeline } from '../pipeline/pipeline.js';
+
+/**
+ * Task implementations by name.
+ * Image results are { data, width, height } or an indexed image; generatePalette returns a palette.
+ */
+export const WORKER_TASKS = {
+    'generatePalette': (image, options) => generatePalette(image.data, options.numColors || 16, options),
+
+    'applyPalette': (image, options) =>
+        toImage(image, applyPalette(image.data, options.palette, { ...options, width: image.width })),
+
+    'applyBayerDithering': (image, options) =>
+        toImage(image, applyBayerDithering(image.data, image.width, image.height, options.palette, options.strengthPercent, options)),
+
+    'applyOrderedDithering': (image, options) =>
+        toImage(image, applyOrderedDithering(image.data, image.width, image.height, options.palette, options)),
+
+    'applyFloydSteinbergDithering': (image, options, onProgress) =>
+        toImage(image, applyFloydSteinbergDithering(image.data, image.width, image.height, options.palette, { ...options, onProgress })),
+
+    'applyErrorDiffusionDithering': (image, options, onProgress) =>
+        toImage(image, applyErrorDiffusionDithering(image.data, image.width, image.height, options.palette, { ...options, onProgress })),
+
+    'applyAlphaMode': (image, options) =>
+        toImage(image, applyAlphaMode(image.data, image.width, image.height, options)),
+
+    'pixelate': (image, options) => pixelate(image.data, image.width, image.height, options),
+
+    'upscaleNearest': (image, options) => upscaleNearest(image.data, image.width, image.height, options.scale),
+
+    'upscalePixelArt': (image, options) => upscalePixelArt(image.data, image.width, image.height, options),
+
+    // The worker owns its copy of the pixels, so the in-place shift is safe here
+    'applyHueShift': (image, options) => toImage(image, applyHueShift(image.data, options.angle || 0)),
+
+    'convertToGrayscale': image => toImage(image, convertToGrayscale(image.data)),
+
+    'gaussianBlur': (image, options) => gaussianBlur(image.data, image.width, image.height, options.radius || 1),
+
+    'adjustImage': (image, options) => toImage(image, adjustImage(image.data, image.width, image.height, { ...options, inPlace: true })),
+
+    'applyOutline': (image, options) => toImage(image, applyOutline(image.data, image.width, image.height, options)),
+
+    'removeOrphanPixels': (image, options) => toImage(image, removeOrphanPixels(image.data, image.width, image.height, options)),
+
+    'smoothJaggies': image => toImage(image, smoothJaggies(image.data, image.width, image.height)),
+
+    'applyEdgeEmphasis': (image, options) => toImage(image, applyEdgeEmphasis(image.data, image.width, image.height, options)),
+
+    'runPipeline': (image, options) => createPipeline(options.steps).run(image)
+};
+
+/**
+ * Row periods of the tasks whose output rows depend only on the matching input rows.
+ * A band of rows starting at a multiple of the period gives the same result as the whole image.
+ */
+const TILE_ROW_PERIODS = {
+    'applyPalette': options => alphaRowPeriod(options),
+    'applyAlphaMode': options => alphaRowPeriod(options),
+    'applyHueShift': () => 1,
+    'convertToGrayscale': () => 1,
+    // Sharpening reads neighbouring rows; every other adjustment works per pixel
+    'adjustImage': options => (options.sharpen ? 0 : 1),
+    'applyBayerDithering': options => leastCommonMultiple(thresholdMapHeight({ ...options, pattern: 'bayer' }), alphaRowPeriod(options)),
+    'applyOrderedDithering': options => leastCommonMultiple(thresholdMapHeight(options), alphaRowPeriod(options))
+};
+
+/**
+ * Row period for splitting a task into horizontal bands
+ * @param {string} task - Task name
+ * @param {Object} [options] - Task options
+ * @returns {number} Band heights must be a multiple of this, or 0 if the task cannot be split
+ */
+export function getTileRowPeriod(task, options = {}) {
+    const period = TILE_ROW_PERIODS[task];
+    return period ? period(options) : 0;
+}
+
+/**
+ * Wrap a function result as an image, unless it already is an indexed image (or null)
+ */
+function toImage(image, result) {
+    if (!result || result.indices) return result;
+    return { data: result, width: image.width, height: image.height };
+}
+
+/**
+ * Rows of the alpha pattern: diffused alpha crosses rows, ordered alpha uses an 8×8 map
+ */
+function alphaRowPeriod({ alphaMode = 'preserve' }) {
+    if (alphaMode === 'diffusion') return 0;
+    return alphaMode === 'ordered' ? 8 : 1;
+}
+
+/**
+ * Height of the threshold map applyOrderedDithering would use for these options
+ */
+function thresholdMapHeight({ pattern = 'bayer', matrixSize, matrix }) {
+    const custom = matrix !== undefined ? normalizeThresholdMatrix(matrix) : null;
+    if (custom) return custom.height;
+    return (createThresholdMatrix(pattern, matrixSize) || createThresholdMatrix('bayer', matrixSize)).length;
+}
+
+/**
+ * Smallest row count that is a multiple of both periods, 0 if either cannot be split
+ */
+function leastCommonMultiple(a, b) {
+    if (a === 0 || b === 0) return 0;
+    let x = a, y = b;
+    while (y) [x, y] = [y, x % y];
+    return a / x * b;
+}
@@ -0,0 +1,36 @@
+/**
+ * Worker Entry Point
+ * Runs tasks for createWorkerPool in a browser Web Worker or a Node.js worker thread
+ */
+
+import { WORKER_TASKS } from './tasks.js';
+import { isArrayBuffer } from './pool.js';
+
+// Web Workers receive messages on `self`; Node.js worker threads use parentPort
+const isWebWorker = typeof self !== 'undefined' && typeof self.postMessage === 'function';
+const port = isWebWorker ? self : (await import('node:worker_threads')).parentPort;
+
+const handleMessage = ({ id, task, image, options }) => {
+    const reportProgress = value => port.postMessage({ id, type: 'progress', value });
+    try {
+        const result = WORKER_TASKS[task](image, options, reportProgress);
+        port.postMessage({ id, type: 'result', result }, collectBuffers(result));
+    } catch (error) {
+        port.postMessage({ id, type: 'error', message: error && error.message ? error.message : String(error) });
+    }
+};
+
+if (isWebWorker) {
+    self.onmessage = event => handleMessage(event.data);
+} else {
+    port.on('message', handleMessage);
+}
+
+/**
+ * Pixel buffers of a result, handed back to the caller without copying
+ */
+function collectBuffers(result) {
+    if (!result) return [];
+    const array = result.indices || result.data;
+    return array && isArrayBuffer(array.buffer) ? [array.buffer] : [];
+}
@@ -0,0 +1,100 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    adjustBrightness, adjustContrast, adjustGamma, adjustSaturation, adjustVibrance, adjustLevels,
+    applyCurves, posterize, sharpen, adjustTemperature, adjustImage
+} from '../src/effects/adjustments.js';
+
+const pixel = (r, g, b, a = 255) => new Uint8ClampedArray([r, g, b, a]);
+
+describe('tonal adjustments', () => {
+    test('brightness shifts every channel and never alpha', () => {
+        expect(Array.from(adjustBrightness(pixel(100, 100, 100, 77), 50))).toEqual([228, 228, 228, 77]);
+        expect(Array.from(adjustBrightness(pixel(100, 150, 200), -100))).toEqual([0, 0, 0, 255]);
+    });
+
+    test('contrast flattens to mid-gray or pushes to the extremes', () => {
+        expect(Array.from(adjustContrast(pixel(10, 100, 240), -100))).toEqual([128, 128, 128, 255]);
+        expect(Array.from(adjustContrast(pixel(100, 200, 128), 100))).toEqual([0, 255, 128, 255]);
+    });
+
+    test('gamma above 1 brightens mid-tones and keeps the ends', () => {
+        expect(Array.from(adjustGamma(pixel(0, 64, 255), 2))).toEqual([0, 128, 255, 255]);
+    });
+
+    test('levels remap the input range, optionally on one channel', () => {
+        expect(Array.from(adjustLevels(pixel(40, 100, 160), { inputBlack: 50, inputWhite: 150 }))).toEqual([0, 128, 255, 255]);
+        expect(Array.from(adjustLevels(pixel(100, 100, 100), { outputBlack: 100, channel: 'r' }))).toEqual([161, 100, 100, 255]);
+    });
+
+    test('curves interpolate through the control points', () => {
+        expect(Array.from(applyCurves(pixel(0, 100, 255), [[0, 255], [255, 0]]))).toEqual([255, 155, 0, 255]);
+
+        // A steep S-curve never overshoots or turns back
+        const ramp = new Uint8ClampedArray(256 * 4);
+        for (let v = 0; v < 256; v++) ramp.set([v, v, v, 255], v * 4);
+        const curved = applyCurves(ramp, [[0, 0], [100, 20], [128, 220], [255, 255]]);
+        for (let v = 1; v < 256; v++) expect(curved[v * 4]).toBeGreaterThanOrEqual(curved[(v - 1) * 4]);
+        expect(curved[128 * 4]).toBe(220);
+    });
+
+    test('curves per channel run before the shared curve', () => {
+        const output = applyCurves(pixel(100, 100, 100), { r: [[0, 0], [255, 128]], rgb: [[0, 255], [255, 0]] });
+        expect(Array.from(output)).toEqual([205, 155, 155, 255]);
+    });
+
+    test('posterize snaps to evenly spaced levels', () => {
+        expect(Array.from(posterize(pixel(100, 200, 40), 2))).toEqual([0, 255, 0, 255]);
+        expect(Array.from(posterize(pixel(100, 200, 40), [3, 256, 2]))).toEqual([128, 200, 0, 255]);
+    });
+});
+
+describe('color adjustments', () => {
+    test('saturation -100 gives the luma gray', () => {
+        expect(Array.from(adjustSaturation(pixel(255, 0, 0), -100))).toEqual([76, 76, 76, 255]);
+    });
+
+    test('vibrance spares saturated colors', () => {
+        expect(Array.from(adjustVibrance(pixel(255, 0, 0), 100))).toEqual([255, 0, 0, 255]);
+        const muted = adjustVibrance(pixel(140, 120, 120), 100);
+        expect(muted[0] - muted[1]).toBeGreaterThan(20);
+    });
+
+    test('temperature trades red against blue', () => {
+        expect(Array.from(adjustTemperature(pixel(100, 100, 100), 100))).toEqual([120, 100, 80, 255]);
+        expect(Array.from(adjustTemperature(pixel(100, 100, 100), 0, { tint: 100 }))).toEqual([100, 80, 100, 255]);
+    });
+});
+
+describe('sharpen', () => {
+    // One column of dark gray next to light gray
+    const width = 6, height = 3;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) data.set(p % width < 3 ? [80, 80, 80, 255] : [160, 160, 160, 255], p * 4);
+
+    test('differences across an edge grow, flat areas stay', () => {
+        const output = sharpen(data, width, height, { amount: 100 });
+        expect(output[2 * 4]).toBeLessThan(80);
+        expect(output[3 * 4]).toBeGreaterThan(160);
+        expect(output[0]).toBe(80);
+    });
+
+    test('a threshold above the difference leaves the image alone', () => {
+        expect(Array.from(sharpen(data, width, height, { amount: 100, threshold: 200 }))).toEqual(Array.from(data));
+    });
+});
+
+describe('adjustImage', () => {
+    test('settings run in the documented order', () => {
+        // Brightness runs before posterize: 100 + 77 posterizes up, not down
+        expect(Array.from(adjustImage(pixel(100, 100, 100), 1, 1, { posterize: 2, brightness: 30 }))).toEqual([255, 255, 255, 255]);
+    });
+
+    test('the input is copied unless inPlace is set', () => {
+        const input = pixel(100, 100, 100);
+        const output = adjustImage(input, 1, 1, { brightness: 10, gamma: 1.5 });
+        expect(output).not.toBe(input);
+        expect(Array.from(input)).toEqual([100, 100, 100, 255]);
+        expect(adjustImage(input, 1, 1, { brightness: 10, inPlace: true })).toBe(input);
+        expect(input[0]).toBe(126);
+    });
+});
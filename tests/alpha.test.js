@@ -0,0 +1,99 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { applyAlphaMode } from '../src/core/alpha.js';
+import { generatePalette, applyPalette } from '../src/core/palette.js';
+import { applyFloydSteinbergDithering } from '../src/dithering/floydSteinberg.js';
+
+/**
+ * Image of one color with the same alpha everywhere
+ */
+function uniform(width, height, rgba) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+    return data;
+}
+
+/**
+ * Share of opaque pixels; fails if any alpha is neither 0 nor 255
+ */
+function opaqueShare(data) {
+    let opaque = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 0 && data[i] !== 255) throw new Error(`soft alpha ${data[i]} left at pixel ${(i - 3) / 4}`);
+        if (data[i] === 255) opaque++;
+    }
+    return opaque / (data.length / 4);
+}
+
+describe('applyAlphaMode', () => {
+    test('preserve returns the input as is', () => {
+        const data = uniform(2, 2, [10, 20, 30, 100]);
+        expect(applyAlphaMode(data, 2, 2)).toBe(data);
+    });
+
+    test('threshold keeps alpha at or above the threshold and clears the rest', () => {
+        const data = Uint8ClampedArray.from([10, 20, 30, 127, 10, 20, 30, 128, 10, 20, 30, 200]);
+        const result = applyAlphaMode(data, 3, 1, { alphaMode: 'threshold' });
+        expect(Array.from(result)).toEqual([0, 0, 0, 0, 10, 20, 30, 255, 10, 20, 30, 255]);
+        expect(data[3]).toBe(127);
+    });
+
+    test.each(['ordered', 'diffusion'])('%s alpha gives binary alpha in proportion to the source', alphaMode => {
+        const result = applyAlphaMode(uniform(32, 32, [200, 100, 50, 64]), 32, 32, { alphaMode });
+        expect(Math.abs(opaqueShare(result) - 64 / 255)).toBeLessThan(0.05);
+    });
+
+    test('matte blends onto the background and makes every pixel opaque', () => {
+        const data = Uint8ClampedArray.from([255, 255, 255, 0, 255, 0, 0, 255, 200, 200, 200, 51]);
+        const result = applyAlphaMode(data, 3, 1, { alphaMode: 'matte', matte: [0, 0, 100] });
+        expect(Array.from(result)).toEqual([0, 0, 100, 255, 255, 0, 0, 255, 40, 40, 120, 255]);
+    });
+
+    test('linear matte blending is brighter than sRGB blending', () => {
+        const data = Uint8ClampedArray.from([255, 255, 255, 128]);
+        const srgb = applyAlphaMode(data, 1, 1, { alphaMode: 'matte' });
+        const linear = applyAlphaMode(data, 1, 1, { alphaMode: 'matte', linear: true });
+        expect(linear[0]).toBeGreaterThan(srgb[0] + 40);
+    });
+
+    test('unknown modes warn and leave alpha alone', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const data = uniform(1, 1, [1, 2, 3, 4]);
+            expect(applyAlphaMode(data, 1, 1, { alphaMode: 'sparkle' })).toBe(data);
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Unknown alpha mode "sparkle"/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
+
+describe('transparent palette slot', () => {
+    // Left half transparent, right half opaque red and blue
+    const data = new Uint8ClampedArray(4 * 2 * 4);
+    for (let p = 0; p < 8; p++) {
+        const x = p % 4;
+        data.set(x < 2 ? [0, 0, 0, 0] : x === 2 ? [220, 20, 20, 255] : [20, 20, 220, 255], p * 4);
+    }
+
+    test('reserveTransparent puts the slot at index 0 and counts it', () => {
+        const palette = generatePalette(data, 3, { reserveTransparent: true });
+        expect(palette).toHaveLength(3);
+        expect(palette[0]).toEqual([0, 0, 0, 0]);
+    });
+
+    test('transparent pixels map to the reserved slot', () => {
+        const palette = generatePalette(data, 3, { reserveTransparent: true });
+        const result = applyPalette(data, palette, { indexed: true, width: 4 });
+        expect(result.transparentIndex).toBe(0);
+        expect(Array.from(result.indices.subarray(0, 4))).toEqual([0, 0, palette.findIndex(c => c[0] > 200), palette.findIndex(c => c[2] > 200)]);
+    });
+
+    test('dithering never spreads color into transparent pixels', () => {
+        const palette = [[0, 0, 0, 0], [220, 20, 20], [20, 20, 220]];
+        const result = applyFloydSteinbergDithering(data, 4, 2, palette);
+        for (let p = 0; p < 8; p++) {
+            if (p % 4 < 2) expect(Array.from(result.subarray(p * 4, p * 4 + 4))).toEqual([0, 0, 0, 0]);
+            else expect(result[p * 4 + 3]).toBe(255);
+        }
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, test, expect } from '@jest/globals';
+import { generateAnimationPalette, ditherAnimation, convertAnimation } from '../src/core/animation.js';
+import { createSpriteSheet } from '../src/core/spriteSheet.js';
+
+const SIZE = 16;
+
+/**
+ * Gradient frame with a small square that moves one pixel per frame
+ */
+function makeFrame(k, square = [250, 220, 40]) {
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const inSquare = x >= k && x < k + 3 && y >= 10 && y < 13;
+            data.set(inSquare ? [...square, 255] : [x * 12, 40 + y * 8, 120, 255], (y * SIZE + x) * 4);
+        }
+    }
+    return { data, width: SIZE, height: SIZE, name: `walk_${k}`, delay: 80 };
+}
+
+const frames = [0, 1, 2, 3].map(k => makeFrame(k));
+
+describe('animation', () => {
+    test('the shared palette covers colors that appear in only one frame', () => {
+        const withRed = [makeFrame(0), makeFrame(1, [255, 0, 0])];
+        const palette = generateAnimationPalette(withRed, 8);
+        expect(palette.length).toBeLessThanOrEqual(8);
+        expect(palette.some(([r, g, b]) => r > 200 && g < 60 && b < 60)).toBe(true);
+    });
+
+    test.each(['none', 'ordered', 'error-diffusion'])('%s frames share one palette and keep name and delay', dither => {
+        const palette = generateAnimationPalette(frames, 8);
+        const result = ditherAnimation(frames, palette, { dither });
+        expect(result).toHaveLength(frames.length);
+        result.forEach((frame, k) => {
+            expect(frame.palette).toEqual(result[0].palette);
+            expect(frame.indices).toHaveLength(SIZE * SIZE);
+            expect(frame.name).toBe(`walk_${k}`);
+            expect(frame.delay).toBe(80);
+        });
+    });
+
+    test('error diffusion leaves unchanged rows alone between frames', () => {
+        const palette = generateAnimationPalette(frames, 6);
+        const [first, second] = ditherAnimation(frames, palette);
+        // The square moves within rows 10-12; everything above is identical in the source
+        expect(Array.from(second.indices.subarray(0, 10 * SIZE))).toEqual(Array.from(first.indices.subarray(0, 10 * SIZE)));
+    });
+
+    test('frames with transparency get a shared transparent slot', () => {
+        const transparent = frames.map(frame => {
+            const data = frame.data.slice();
+            data[3] = 0;
+            return { ...frame, data };
+        });
+        const result = ditherAnimation(transparent, [[0, 0, 0], [255, 255, 255]], { dither: 'none' });
+        expect(result[0].palette).toEqual([[0, 0, 0], [255, 255, 255], [0, 0, 0, 0]]);
+        expect(result[0].indices[0]).toBe(2);
+        expect(result[1].transparentIndex).toBe(2);
+    });
+
+    test('convertAnimation writes an animated GIF', () => {
+        const { gif, palette, frames: out } = convertAnimation(frames, { colors: 8, output: 'gif' });
+        expect(new TextDecoder().decode(gif.subarray(0, 6))).toBe('GIF89a');
+        expect(palette.length).toBeLessThanOrEqual(8);
+        expect(out).toHaveLength(4);
+    });
+
+    test('convertAnimation packs a sprite sheet with an atlas', () => {
+        const { image, atlas } = convertAnimation(frames, { palette: [[0, 0, 0], [255, 255, 255], [250, 220, 40]], output: 'sprite-sheet' });
+        expect([image.width, image.height]).toEqual([SIZE * 2, SIZE * 2]);
+        expect(atlas.frames.walk_3.frame).toEqual({ x: SIZE, y: SIZE, w: SIZE, h: SIZE });
+        expect(atlas.frames.walk_0.duration).toBe(80);
+        expect(atlas.meta.format).toBe('I8');
+    });
+});
+
+describe('createSpriteSheet', () => {
+    test('padding and uneven frame counts leave transparent gaps', () => {
+        const palette = [[10, 10, 10], [200, 200, 200]];
+        const cell = fill => ({ indices: new Uint8Array(4).fill(fill), palette, width: 2, height: 2 });
+        const { image, atlas } = createSpriteSheet([cell(0), cell(1), cell(1)], { columns: 2, padding: 1 });
+        expect([image.width, image.height]).toEqual([5, 5]);
+        expect(image.palette).toEqual([...palette, [0, 0, 0, 0]]);
+        expect(image.transparentIndex).toBe(2);
+        expect(Array.from(image.indices.subarray(0, 5))).toEqual([0, 0, 2, 1, 1]);
+        expect(image.indices[5 * 5 - 1]).toBe(2);
+        expect(atlas.frames.frame_2.frame).toEqual({ x: 0, y: 3, w: 2, h: 2 });
+        expect(atlas.frames.frame_0.duration).toBe(100);
+    });
+
+    test('RGBA frames give an RGBA sheet', () => {
+        const data = new Uint8ClampedArray(4 * 4).fill(255);
+        const { image, atlas } = createSpriteSheet([{ data, width: 2, height: 2 }, { data, width: 2, height: 2 }]);
+        expect([image.width, image.height]).toEqual([4, 2]);
+        expect(image.data).toHaveLength(4 * 2 * 4);
+        expect(atlas.meta.format).toBe('RGBA8888');
+    });
+});
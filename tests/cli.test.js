@@ -0,0 +1,145 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { runCli, EXIT_OK, EXIT_FAILED, EXIT_USAGE } from '../src/cli/cli.js';
+import { encodePng, decodePng, isPng } from '../src/io/png.js';
+import { serializeHex } from '../src/io/paletteFiles.js';
+
+const BIN = fileURLToPath(new URL('../bin/pixel-art.js', import.meta.url));
+
+/**
+ * Small colorful PNG
+ */
+function samplePng(width = 16, height = 12) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) data.set([p * 13 & 0xFF, p * 7 & 0xFF, p * 3 & 0xFF, 255], p * 4);
+    return encodePng({ data, width, height });
+}
+
+/**
+ * Run the CLI in a directory and collect what it prints
+ */
+async function run(args, cwd) {
+    const out = [];
+    const err = [];
+    const code = await runCli(args, { cwd, log: line => out.push(line), error: line => err.push(line) });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+describe('pixel-art CLI', () => {
+    let dir;
+
+    beforeAll(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'pixel-art-cli-'));
+        await mkdir(join(dir, 'assets', 'sprites'), { recursive: true });
+        await writeFile(join(dir, 'a.png'), samplePng());
+        await writeFile(join(dir, 'assets', 'b.png'), samplePng(8, 8));
+        await writeFile(join(dir, 'assets', 'sprites', 'c.png'), samplePng(10, 6));
+        await writeFile(join(dir, 'broken.png'), new TextEncoder().encode('not an image'));
+        await writeFile(join(dir, 'palette.hex'), serializeHex([[0, 0, 0], [255, 255, 255], [255, 0, 0]]));
+        await writeFile(join(dir, 'config.json'), JSON.stringify({ colors: 4, scale: 2, inputs: ['a.png'] }));
+        await writeFile(join(dir, 'bad-config.json'), JSON.stringify({ colours: 4 }));
+    });
+
+    afterAll(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('help and version exit with 0', async () => {
+        const help = await run(['--help'], dir);
+        expect(help.code).toBe(EXIT_OK);
+        expect(help.out).toMatch(/Usage: pixel-art/);
+        const version = await run(['-v'], dir);
+        expect(version.code).toBe(EXIT_OK);
+        expect(version.out).toMatch(/^\d+\.\d+\.\d+/);
+    });
+
+    test('converts a file next to the input by default', async () => {
+        const result = await run(['a.png', '-c', '4', '-d', 'floyd-steinberg'], dir);
+        expect(result.code).toBe(EXIT_OK);
+        const output = await readFile(join(dir, 'a.pixel.png'));
+        expect(isPng(output)).toBe(true);
+        const { width, height, data } = decodePng(output);
+        expect([width, height]).toEqual([16, 12]);
+        const colors = new Set();
+        for (let i = 0; i < data.length; i += 4) colors.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+        expect(colors.size).toBeLessThanOrEqual(4);
+    });
+
+    test('mirrors directories and globs below the output directory', async () => {
+        const result = await run(['assets/**/*.png', '-o', 'out', '-f', 'gif', '--palette', 'pico-8'], dir);
+        expect(result.code).toBe(EXIT_OK);
+        await expect(stat(join(dir, 'out', 'b.gif'))).resolves.toBeTruthy();
+        await expect(stat(join(dir, 'out', 'sprites', 'c.gif'))).resolves.toBeTruthy();
+        expect(result.out).toMatch(/Converted 2 of 2 images/);
+    });
+
+    test('reads settings from a config file and a palette from a file', async () => {
+        const result = await run(['--config', 'config.json', '--palette', 'palette.hex', '-o', 'configured.png', '-q'], dir);
+        expect(result.code).toBe(EXIT_OK);
+        expect(result.out).toBe('');
+        const { width, height } = decodePng(await readFile(join(dir, 'configured.png')));
+        expect([width, height]).toEqual([32, 24]);
+    });
+
+    test('writes SVG output', async () => {
+        const result = await run(['a.png', '-o', 'a.svg', '-c', '3'], dir);
+        expect(result.code).toBe(EXIT_OK);
+        expect(await readFile(join(dir, 'a.svg'), 'utf8')).toMatch(/^<svg/);
+    });
+
+    test('invalid usage exits with 2', async () => {
+        const cases = [
+            [],
+            ['a.png', '--colors', '0'],
+            ['a.png', '--dither', 'sparkle'],
+            ['a.png', '--no-such-flag'],
+            ['a.png', '--palette', 'no-such-palette'],
+            ['--config', 'bad-config.json', 'a.png'],
+            ['missing-*.png'],
+            ['a.png', 'assets/b.png', '-o', 'single.png']
+        ];
+        for (const args of cases) {
+            const result = await run(args, dir);
+            expect({ args, code: result.code }).toEqual({ args, code: EXIT_USAGE });
+            expect(result.err).toMatch(/^pixel-art: /);
+        }
+    });
+
+    test('unknown palette ids neither warn nor replace console.warn', async () => {
+        const descriptor = Object.getOwnPropertyDescriptor(console, 'warn');
+        const warnings = [];
+        let reassigned = false;
+        Object.defineProperty(console, 'warn', {
+            configurable: true,
+            get: () => (...args) => warnings.push(args),
+            set: () => { reassigned = true; }
+        });
+        try {
+            const result = await run(['a.png', '--palette', 'no-such-palette'], dir);
+            expect(result.code).toBe(EXIT_USAGE);
+            expect(warnings).toEqual([]);
+            expect(reassigned).toBe(false);
+        } finally {
+            Object.defineProperty(console, 'warn', descriptor);
+        }
+    });
+
+    test('failed images exit with 1 while the others are converted', async () => {
+        const result = await run(['a.png', 'broken.png', '-o', 'mixed'], dir);
+        expect(result.code).toBe(EXIT_FAILED);
+        expect(result.err).toMatch(/broken\.png: not a PNG file/);
+        await expect(stat(join(dir, 'mixed', 'a.png'))).resolves.toBeTruthy();
+    });
+
+    test('the executable sets the process exit code', () => {
+        const ok = spawnSync(process.execPath, [BIN, 'a.png', '-q', '-o', 'bin.png'], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+        expect(ok.status).toBe(EXIT_OK);
+        const usage = spawnSync(process.execPath, [BIN, '--colors'], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+        expect(usage.status).toBe(EXIT_USAGE);
+        expect(usage.stderr).toMatch(/pixel-art: /);
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { deltaE76, deltaE2000, colorDistanceRedmean, getColorMetric, findClosestPaletteColor } from '../src/utils/helpers.js';
+import { rgbToLab, rgbToOklab } from '../src/utils/colorSpace.js';
+import { applyPalette } from '../src/core/palette.js';
+
+const METRICS = ['rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb'];
+
+describe('color distance metrics', () => {
+    test('CIEDE2000 matches published reference pairs', () => {
+        // Sharma, Wu and Dalal (2005), pairs 1, 7 and 19
+        expect(deltaE2000([50, 2.6772, -79.7751], [50, 0, -82.7485])).toBeCloseTo(2.0425, 4);
+        expect(deltaE2000([50, 0, 0], [50, -1, 2])).toBeCloseTo(2.3669, 4);
+        expect(deltaE2000([50, 2.5, 0], [73, 25, -18])).toBeCloseTo(27.1492, 4);
+    });
+
+    test('ΔE76 is the Euclidean distance in CIELAB', () => {
+        expect(deltaE76([50, 0, 0], [53, 4, 0])).toBe(5);
+    });
+
+    test('color space conversions hit the white and black points', () => {
+        const white = rgbToLab(255, 255, 255);
+        expect(white[0]).toBeCloseTo(100, 3);
+        expect(white[1]).toBeCloseTo(0, 3);
+        expect(white[2]).toBeCloseTo(0, 3);
+        expect(rgbToOklab(255, 255, 255)[0]).toBeCloseTo(1, 3);
+        expect(rgbToOklab(0, 0, 0)[0]).toBeCloseTo(0, 5);
+    });
+
+    test('redmean weighs red differences less in dark colors', () => {
+        expect(colorDistanceRedmean(0, 0, 0, 10, 0, 0)).toBeLessThan(colorDistanceRedmean(0, 0, 0, 0, 10, 0));
+    });
+
+    test.each(METRICS)('%s is zero for identical colors and symmetric', metric => {
+        const { convert, distance } = getColorMetric(metric);
+        const p = convert(200, 40, 90);
+        const q = convert(30, 160, 220);
+        expect(distance(p, p)).toBeCloseTo(0, 10);
+        expect(distance(p, q)).toBeGreaterThan(0);
+        expect(distance(q, p)).toBeCloseTo(distance(p, q), 6);
+    });
+
+    test('unknown metrics warn and fall back to rgb', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(getColorMetric('sparkle')).toBe(getColorMetric('rgb'));
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Unknown color metric "sparkle"/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('the metric changes which palette color is closest', () => {
+        const palette = [[0, 128, 0], [128, 128, 128]];
+        expect(findClosestPaletteColor(60, 100, 60, palette, 'rgb')).toEqual([0, 128, 0]);
+        expect(findClosestPaletteColor(60, 100, 60, palette, 'cie76')).toEqual([128, 128, 128]);
+        const pixel = new Uint8ClampedArray([60, 100, 60, 255]);
+        expect(Array.from(applyPalette(pixel, palette, { metric: 'cie76' }))).toEqual([128, 128, 128, 255]);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, test, expect } from '@jest/globals';
+import { applyOutline } from '../src/effects/outline.js';
+import { removeOrphanPixels, smoothJaggies } from '../src/effects/cleanup.js';
+import { detectEdges, applyEdgeEmphasis } from '../src/effects/edges.js';
+
+const COLORS = {
+    '.': [0, 0, 0, 0],
+    'r': [200, 40, 40, 255],
+    'b': [40, 40, 200, 255],
+    'w': [200, 200, 200, 255],
+    'k': [0, 0, 0, 255]
+};
+
+/**
+ * Build RGBA data from rows of color keys
+ */
+function fromRows(rows) {
+    const data = new Uint8ClampedArray(rows.length * rows[0].length * 4);
+    rows.join('').split('').forEach((key, p) => data.set(COLORS[key], p * 4));
+    return { data, width: rows[0].length, height: rows.length };
+}
+
+/**
+ * Turn RGBA data back into rows of color keys
+ */
+function toRows(data, width) {
+    const keys = Object.keys(COLORS);
+    const rows = [];
+    for (let p = 0; p < data.length / 4; p++) {
+        const pixel = Array.from(data.subarray(p * 4, p * 4 + 4));
+        const key = keys.find(k => COLORS[k].every((v, c) => v === pixel[c])) || '?';
+        if (p % width === 0) rows.push('');
+        rows[rows.length - 1] += key;
+    }
+    return rows;
+}
+
+describe('applyOutline', () => {
+    const dot = fromRows(['...', '.w.', '...']);
+
+    test('4- and 8-connected outer outlines', () => {
+        expect(toRows(applyOutline(dot.data, 3, 3), 3)).toEqual(['.k.', 'kwk', '.k.']);
+        expect(toRows(applyOutline(dot.data, 3, 3, { connectivity: 8 }), 3)).toEqual(['kkk', 'kwk', 'kkk']);
+    });
+
+    test('inner outlines recolor the border of the sprite', () => {
+        const { data, width } = fromRows(['.....', '.www.', '.www.', '.www.', '.....']);
+        expect(toRows(applyOutline(data, width, 5, { mode: 'inner', color: [200, 40, 40] }), width))
+            .toEqual(['.....', '.rrr.', '.rwr.', '.rrr.', '.....']);
+    });
+
+    test('sel-out lightens the outline on the side facing the light', () => {
+        const output = applyOutline(dot.data, 3, 3, { selOut: true, litMix: 0.5 });
+        expect(Array.from(output.subarray(1 * 4, 1 * 4 + 4))).toEqual([100, 100, 100, 255]);
+        expect(Array.from(output.subarray(7 * 4, 7 * 4 + 4))).toEqual([0, 0, 0, 255]);
+
+        const snapped = applyOutline(dot.data, 3, 3, { selOut: true, litMix: 0.5, palette: [[0, 0, 0], [90, 90, 90]] });
+        expect(Array.from(snapped.subarray(1 * 4, 1 * 4 + 3))).toEqual([90, 90, 90]);
+    });
+
+    test('the input is not modified', () => {
+        const before = dot.data.slice();
+        applyOutline(dot.data, 3, 3, { connectivity: 8 });
+        expect(Array.from(dot.data)).toEqual(Array.from(before));
+    });
+});
+
+describe('removeOrphanPixels', () => {
+    test('single specks take the surrounding color, larger regions stay', () => {
+        const { data, width, height } = fromRows(['rrrrr', 'rbrrr', 'rrrrr', 'rrrbb', 'rrrbb']);
+        expect(toRows(removeOrphanPixels(data, width, height), width)).toEqual(['rrrrr', 'rrrrr', 'rrrrr', 'rrrbb', 'rrrbb']);
+        expect(toRows(removeOrphanPixels(data, width, height, { maxSize: 4 }), width)).toEqual(['rrrrr', 'rrrrr', 'rrrrr', 'rrrrr', 'rrrrr']);
+    });
+
+    test('diagonal neighbours join a region only with 8-connectivity', () => {
+        const { data, width, height } = fromRows(['brrr', 'rbrr', 'rrrr']);
+        expect(toRows(removeOrphanPixels(data, width, height), width)).toEqual(['brrr', 'rbrr', 'rrrr']);
+        expect(toRows(removeOrphanPixels(data, width, height, { connectivity: 4 }), width)).toEqual(['rrrr', 'rrrr', 'rrrr']);
+    });
+});
+
+describe('smoothJaggies', () => {
+    test('staircase corners are removed', () => {
+        const { data, width, height } = fromRows(['k....', 'kk...', '.kk..', '..kk.', '...k.']);
+        expect(toRows(smoothJaggies(data, width, height), width)).toEqual(['k....', 'k....', '.kk..', '...k.', '...k.']);
+    });
+
+    test('right angles are kept', () => {
+        const rows = ['k....', 'k....', 'kkk..'];
+        const { data, width, height } = fromRows(rows);
+        expect(toRows(smoothJaggies(data, width, height), width)).toEqual(rows);
+    });
+});
+
+describe('edges', () => {
+    // Left half black, right half white
+    const split = fromRows(Array(6).fill('kkkwww'));
+    const edgeColumns = edges => new Set(Array.from(edges).flatMap((v, p) => (v ? [p % 6] : [])));
+
+    test('sobel marks both sides of a border and nothing on flat areas', () => {
+        expect(edgeColumns(detectEdges(split.data, 6, 6))).toEqual(new Set([2, 3]));
+        expect(edgeColumns(detectEdges(fromRows(Array(6).fill('wwwwww')).data, 6, 6)).size).toBe(0);
+    });
+
+    test('canny thins the border to one pixel per row', () => {
+        const edges = detectEdges(split.data, 6, 6, { method: 'canny' });
+        for (let y = 0; y < 6; y++) {
+            expect(edges.subarray(y * 6, y * 6 + 6).filter(v => v === 255)).toHaveLength(1);
+        }
+    });
+
+    test('edge emphasis moves edge pixels towards the line color', () => {
+        const output = applyEdgeEmphasis(split.data, 6, 6, { color: [200, 40, 40] });
+        expect(toRows(output, 6)[0]).toBe('kkrrww');
+        const half = applyEdgeEmphasis(split.data, 6, 6, { color: [0, 0, 0], strengthPercent: 50 });
+        expect(Array.from(half.subarray(3 * 4, 3 * 4 + 4))).toEqual([100, 100, 100, 255]);
+    });
+});
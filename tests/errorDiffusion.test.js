@@ -0,0 +1,81 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { applyErrorDiffusionDithering, ERROR_DIFFUSION_KERNELS } from '../src/dithering/errorDiffusion.js';
+import { applyFloydSteinbergDithering } from '../src/dithering/floydSteinberg.js';
+import { applyPalette } from '../src/core/palette.js';
+
+const BLACK_WHITE = [[0, 0, 0], [255, 255, 255]];
+
+/**
+ * Flat gray image
+ */
+function gray(width, height, value) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) data.set([value, value, value, 255], i);
+    return data;
+}
+
+/**
+ * Share of white pixels in a black-and-white result
+ */
+const whiteShare = data => {
+    let white = 0;
+    for (let i = 0; i < data.length; i += 4) if (data[i] === 255) white++;
+    return white / (data.length / 4);
+};
+
+const KERNELS = Object.keys(ERROR_DIFFUSION_KERNELS);
+
+describe('error diffusion', () => {
+    test.each(KERNELS)('%s only writes palette colors', kernel => {
+        const result = applyErrorDiffusionDithering(gray(32, 32, 100), 32, 32, BLACK_WHITE, { kernel });
+        const colors = new Set();
+        for (let i = 0; i < result.length; i += 4) colors.add(`${result[i]},${result[i + 1]},${result[i + 2]},${result[i + 3]}`);
+        expect([...colors].sort()).toEqual(['0,0,0,255', '255,255,255,255']);
+    });
+
+    test.each(KERNELS.filter(kernel => kernel !== 'atkinson'))('%s keeps the mean brightness of mid gray', kernel => {
+        const result = applyErrorDiffusionDithering(gray(32, 32, 128), 32, 32, BLACK_WHITE, { kernel, serpentine: true });
+        expect(Math.abs(whiteShare(result) - 128 / 255)).toBeLessThan(0.03);
+    });
+
+    test('kernel weights never pass on more than the whole error', () => {
+        for (const { divisor, offsets } of Object.values(ERROR_DIFFUSION_KERNELS)) {
+            const total = offsets.reduce((sum, [, , weight]) => sum + weight, 0);
+            expect(total).toBeLessThanOrEqual(divisor);
+            offsets.forEach(([dx, dy]) => expect(dy > 0 || dx > 0).toBe(true));
+        }
+    });
+
+    test('the floyd-steinberg kernel matches applyFloydSteinbergDithering', () => {
+        const data = gray(16, 16, 90);
+        expect(Array.from(applyErrorDiffusionDithering(data, 16, 16, BLACK_WHITE)))
+            .toEqual(Array.from(applyFloydSteinbergDithering(data, 16, 16, BLACK_WHITE)));
+    });
+
+    test('zero strength is plain palette mapping', () => {
+        const data = gray(8, 8, 100);
+        expect(Array.from(applyErrorDiffusionDithering(data, 8, 8, BLACK_WHITE, { strengthPercent: 0 })))
+            .toEqual(Array.from(applyPalette(data, BLACK_WHITE)));
+    });
+
+    test('custom kernels are accepted and unknown ones fall back with a warning', () => {
+        const data = gray(16, 16, 64);
+        const custom = applyErrorDiffusionDithering(data, 16, 16, BLACK_WHITE, { kernel: { divisor: 1, offsets: [[1, 0, 1]] } });
+        expect(whiteShare(custom)).toBeGreaterThan(0);
+
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const fallback = applyErrorDiffusionDithering(data, 16, 16, BLACK_WHITE, { kernel: 'sparkle' });
+            expect(Array.from(fallback)).toEqual(Array.from(applyFloydSteinbergDithering(data, 16, 16, BLACK_WHITE)));
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Unknown or invalid error diffusion kernel "sparkle"/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('the input is not modified', () => {
+        const data = gray(8, 8, 100);
+        applyErrorDiffusionDithering(data, 8, 8, BLACK_WHITE, { kernel: 'stucki' });
+        expect(Array.from(data)).toEqual(Array.from(gray(8, 8, 100)));
+    });
+});
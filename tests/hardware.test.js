@@ -0,0 +1,68 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { listHardwareTargets, getHardwareTarget, quantizeForHardware, validateHardwareConstraints } from '../src/core/hardware.js';
+import { indexedToRgba } from '../src/core/indexed.js';
+
+const SIZE = 32;
+
+/**
+ * Colorful image that breaks every target's per-cell limits, with a transparent corner
+ */
+function makeColorful() {
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let p = 0; p < SIZE * SIZE; p++) {
+        const x = p % SIZE;
+        const y = Math.floor(p / SIZE);
+        data.set([x * 8, y * 8, (x * y * 3) & 0xFF, x < 4 && y < 4 ? 0 : 255], p * 4);
+    }
+    return data;
+}
+
+const source = makeColorful();
+const targetIds = listHardwareTargets().map(target => target.id);
+
+describe('hardware targets', () => {
+    test('the raw image breaks the rules of every target', () => {
+        for (const id of targetIds) {
+            const report = validateHardwareConstraints(source, SIZE, SIZE, id);
+            expect(report.valid).toBe(false);
+            expect(report.violations.length).toBeGreaterThan(0);
+        }
+    });
+
+    test.each(targetIds)('%s accepts its own quantized output', id => {
+        for (const dither of ['none', 'ordered', 'error-diffusion']) {
+            const result = quantizeForHardware(source, SIZE, SIZE, id, { dither });
+            const report = validateHardwareConstraints(indexedToRgba(result), SIZE, SIZE, id);
+            expect({ dither, violations: report.violations, offPalettePixels: report.offPalettePixels })
+                .toEqual({ dither, violations: [], offPalettePixels: 0 });
+            expect(report.valid).toBe(true);
+        }
+    });
+
+    test('sub-palette usage is reported against the allowance', () => {
+        const result = quantizeForHardware(source, SIZE, SIZE, 'nes');
+        expect(result.subPalettes.length).toBeLessThanOrEqual(4);
+        const report = validateHardwareConstraints(indexedToRgba(result), SIZE, SIZE, 'nes');
+        expect(report.subPalettes.allowed).toBe(4);
+        expect(report.subPalettes.used).toBeLessThanOrEqual(4);
+    });
+
+    test('cells never use more colors than the target allows', () => {
+        for (const id of targetIds) {
+            const { colorsPerCell } = getHardwareTarget(id);
+            quantizeForHardware(source, SIZE, SIZE, id).cells
+                .forEach(cell => expect(cell.colors.length).toBeLessThanOrEqual(colorsPerCell));
+        }
+    });
+
+    test('unknown targets give null and a warning', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(quantizeForHardware(source, SIZE, SIZE, 'amiga-ham')).toBeNull();
+            expect(validateHardwareConstraints(source, SIZE, SIZE, 'amiga-ham')).toBeNull();
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Unknown hardware target "amiga-ham"/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { gaussianBlur } from '../src/utils/helpers.js';
+
+/**
+ * Minimal stand-in for the browser's ImageData
+ */
+class FakeImageData {
+    constructor(data, width, height) {
+        this.data = data;
+        this.width = width;
+        this.height = height;
+    }
+}
+
+describe('gaussianBlur', () => {
+    const data = new Uint8ClampedArray([0, 0, 0, 255, 90, 90, 90, 255, 0, 0, 0, 255]);
+
+    afterEach(() => {
+        delete globalThis.ImageData;
+    });
+
+    test('returns a plain image without an ImageData global', () => {
+        const result = gaussianBlur(data, 3, 1, 1);
+        expect(result).not.toBeInstanceOf(FakeImageData);
+        expect([result.width, result.height]).toEqual([3, 1]);
+        expect(Array.from(result.data.subarray(0, 4))).toEqual([30, 30, 30, 255]);
+    });
+
+    test('returns ImageData where the global exists', () => {
+        globalThis.ImageData = FakeImageData;
+        const result = gaussianBlur({ data }, 3, 1, 1);
+        expect(result).toBeInstanceOf(FakeImageData);
+        expect(Array.from(result.data.subarray(4, 8))).toEqual([30, 30, 30, 255]);
+    });
+});
@@ -0,0 +1,341 @@
+import { describe, test, expect } from '@jest/globals';
+import { deflateSync } from 'node:zlib';
+import { encodePng, encodeIndexedPng, decodePng, crc32 } from '../src/io/png.js';
+import { encodeGif, encodeAnimatedGif } from '../src/io/gif.js';
+import { encodeBmp } from '../src/io/bmp.js';
+import { indexedToRgba } from '../src/core/indexed.js';
+
+/**
+ * Indexed test image using every entry of a palette of the given size
+ */
+function makeIndexed(width, height, colorCount, transparent = false) {
+    const palette = Array.from({ length: colorCount }, (v, i) => [i * 37 & 0xFF, i * 91 & 0xFF, i * 13 & 0xFF]);
+    if (transparent) palette[colorCount - 1] = [0, 0, 0, 0];
+    const indices = new Uint8Array(width * height);
+    for (let p = 0; p < indices.length; p++) indices[p] = (p * 7 + (p >> 3)) % colorCount;
+    return { indices, palette, width, height, transparentIndex: transparent ? colorCount - 1 : -1 };
+}
+
+/**
+ * RGBA test image with many distinct colors and varying alpha
+ */
+function makeRgba(width, height, withAlpha) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        data.set([p * 5 & 0xFF, p * 11 & 0xFF, p * 17 & 0xFF, withAlpha ? p * 3 & 0xFF : 255], p * 4);
+    }
+    return { data, width, height };
+}
+
+/**
+ * Assemble a PNG from raw chunks, for decoder inputs our encoder never writes
+ */
+function buildPng(chunks) {
+    const parts = [new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10])];
+    for (const [type, data] of chunks) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, crc32(chunk, 4, 8 + data.length));
+        parts.push(chunk);
+    }
+    return Uint8Array.from(parts.flatMap(part => [...part]));
+}
+
+/**
+ * IHDR chunk data
+ */
+function pngHeader(width, height, bitDepth, colorType, interlace = 0) {
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header.set([bitDepth, colorType, 0, 0, interlace], 8);
+    return header;
+}
+
+/**
+ * Minimal GIF reader: global/local color tables, transparency and LZW image data
+ */
+function readGif(bytes) {
+    let pos = 6;
+    const width = bytes[pos] | bytes[pos + 1] << 8;
+    const height = bytes[pos + 2] | bytes[pos + 3] << 8;
+    const flags = bytes[pos + 4];
+    pos += 7;
+    const readTable = bits => {
+        const table = [];
+        for (let i = 0; i < 1 << bits; i++, pos += 3) table.push([bytes[pos], bytes[pos + 1], bytes[pos + 2]]);
+        return table;
+    };
+    const globalTable = flags & 0x80 ? readTable((flags & 7) + 1) : null;
+    const frames = [];
+    let control = null;
+    let loops = false;
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+        if (block === 0x3B) break;
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            if (label === 0xF9) {
+                control = { transparent: bytes[pos + 1] & 1 ? bytes[pos + 4] : -1, delay: bytes[pos + 2] | bytes[pos + 3] << 8 };
+            } else if (label === 0xFF) {
+                loops = true;
+            }
+            while (bytes[pos]) pos += bytes[pos] + 1;
+            pos++;
+        } else if (block === 0x2C) {
+            const frameWidth = bytes[pos + 4] | bytes[pos + 5] << 8;
+            const frameHeight = bytes[pos + 6] | bytes[pos + 7] << 8;
+            const frameFlags = bytes[pos + 8];
+            pos += 9;
+            const localTable = frameFlags & 0x80 ? readTable((frameFlags & 7) + 1) : null;
+            const minCodeSize = bytes[pos++];
+            const data = [];
+            while (bytes[pos]) {
+                data.push(...bytes.subarray(pos + 1, pos + 1 + bytes[pos]));
+                pos += bytes[pos] + 1;
+            }
+            pos++;
+            frames.push({
+                width: frameWidth,
+                height: frameHeight,
+                table: localTable || globalTable,
+                local: !!localTable,
+                indices: lzwDecode(minCodeSize, data),
+                transparent: control ? control.transparent : -1,
+                delay: control ? control.delay : 0
+            });
+            control = null;
+        } else {
+            throw new Error(`Unexpected GIF block 0x${block.toString(16)}`);
+        }
+    }
+    return { width, height, frames, loops };
+}
+
+/**
+ * GIF-flavoured variable-width LZW decoder
+ */
+function lzwDecode(minCodeSize, data) {
+    const clear = 1 << minCodeSize;
+    const output = [];
+    let dictionary, codeSize, previous;
+    const reset = () => {
+        dictionary = Array.from({ length: clear + 2 }, (v, i) => [i]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+    for (let bit = 0; ;) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+        if (code === clear) {
+            reset();
+            continue;
+        }
+        if (code === clear + 1) break;
+        const entry = code < dictionary.length ? dictionary[code] : [...previous, previous[0]];
+        output.push(...entry);
+        if (previous) {
+            dictionary.push([...previous, entry[0]]);
+            if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        previous = entry;
+    }
+    return Uint8Array.from(output);
+}
+
+/**
+ * Read the pixels of a palette BMP as indices into its color table
+ */
+function readBmp(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const dataOffset = view.getUint32(10, true);
+    const width = view.getInt32(18, true);
+    const height = view.getInt32(22, true);
+    const bitsPerPixel = view.getUint16(28, true);
+    const colorCount = view.getUint32(46, true) || 1 << bitsPerPixel;
+    const table = [];
+    for (let i = 0; i < colorCount; i++) {
+        const o = 54 + i * 4;
+        table.push([bytes[o + 2], bytes[o + 1], bytes[o]]);
+    }
+    const stride = Math.ceil(width * bitsPerPixel / 32) * 4;
+    const indices = new Uint8Array(width * Math.abs(height));
+    for (let y = 0; y < Math.abs(height); y++) {
+        const row = height > 0 ? Math.abs(height) - 1 - y : y;
+        for (let x = 0; x < width; x++) {
+            const bit = x * bitsPerPixel;
+            const byte = bytes[dataOffset + row * stride + (bit >> 3)];
+            indices[y * width + x] = (byte >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+        }
+    }
+    return { width, height: Math.abs(height), bitsPerPixel, table, indices };
+}
+
+describe('PNG', () => {
+    test.each([[false], [true]])('truecolor round trip (alpha: %s)', withAlpha => {
+        const image = makeRgba(13, 7, withAlpha);
+        const decoded = decodePng(encodePng(image));
+        expect(decoded.width).toBe(13);
+        expect(decoded.height).toBe(7);
+        expect(Array.from(decoded.data)).toEqual(Array.from(image.data));
+    });
+
+    test('encodePng also takes indexed images', () => {
+        const image = makeIndexed(6, 5, 9, true);
+        expect(Array.from(decodePng(encodePng(image)).data)).toEqual(Array.from(indexedToRgba(image)));
+    });
+
+    test('encodePng rejects a missing size or mismatched data', () => {
+        const { data } = makeRgba(4, 4, false);
+        expect(() => encodePng(data, 4, 4)).toThrow(/positive width and height/);
+        expect(() => encodePng({ data, width: 0, height: 4 })).toThrow(/positive width and height/);
+        expect(() => encodePng({ data, width: 5, height: 4 })).toThrow(/RGBA data/);
+    });
+
+    test.each([2, 4, 16, 256])('indexed round trip with %i colors', colorCount => {
+        const image = makeIndexed(17, 9, colorCount, true);
+        const decoded = decodePng(encodeIndexedPng(image));
+        expect(Array.from(decoded.data)).toEqual(Array.from(indexedToRgba(image)));
+    });
+
+    test('decodes filtered, interlaced and 16-bit PNGs', () => {
+        const width = 5, height = 4;
+        const image = makeRgba(width, height, true);
+
+        // Every filter type once per row, with filter bytes computed on the fly
+        const stride = width * 4;
+        const raw = [];
+        let previous = new Uint8Array(stride);
+        for (let y = 0; y < height; y++) {
+            const filter = y % 5;
+            const line = image.data.subarray(y * stride, (y + 1) * stride);
+            raw.push(filter);
+            for (let i = 0; i < stride; i++) {
+                const a = i >= 4 ? line[i - 4] : 0, b = previous[i], c = i >= 4 ? previous[i - 4] : 0;
+                const paeth = () => {
+                    const p = a + b - c;
+                    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+                    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+                };
+                const predictor = [0, a, b, (a + b) >> 1, paeth()][filter];
+                raw.push((line[i] - predictor) & 0xFF);
+            }
+            previous = line;
+        }
+        const filtered = buildPng([
+            ['IHDR', pngHeader(width, height, 8, 6)],
+            ['IDAT', deflateSync(Uint8Array.from(raw))],
+            ['IEND', new Uint8Array(0)]
+        ]);
+        expect(Array.from(decodePng(filtered).data)).toEqual(Array.from(image.data));
+
+        // Adam7 interlaced 8-bit gray: pass rows are stored one after another
+        const gray = Array.from({ length: 8 * 8 }, (v, p) => p * 4);
+        const passes = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+        const interlaced = [];
+        for (const [x0, y0, dx, dy] of passes) {
+            for (let y = y0; y < 8; y += dy) {
+                interlaced.push(0);
+                for (let x = x0; x < 8; x += dx) interlaced.push(gray[y * 8 + x]);
+            }
+        }
+        const adam7 = decodePng(buildPng([
+            ['IHDR', pngHeader(8, 8, 8, 0, 1)],
+            ['IDAT', deflateSync(Uint8Array.from(interlaced))],
+            ['IEND', new Uint8Array(0)]
+        ]));
+        expect(Array.from(adam7.data).filter((v, i) => i % 4 === 0)).toEqual(gray);
+
+        // 16-bit RGB keeps the high byte of each sample
+        const deep = decodePng(buildPng([
+            ['IHDR', pngHeader(1, 1, 16, 2)],
+            ['IDAT', deflateSync(Uint8Array.from([0, 0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC]))],
+            ['IEND', new Uint8Array(0)]
+        ]));
+        expect(Array.from(deep.data)).toEqual([0x12, 0x56, 0x9A, 255]);
+    });
+
+    test('truncated or corrupt PNGs throw', () => {
+        const file = encodeIndexedPng(makeIndexed(8, 8, 4));
+        expect(() => decodePng(file.slice(0, 4))).toThrow(/signature/);
+        expect(() => decodePng(file.slice(0, file.length - 20))).toThrow(/Invalid PNG/);
+        const corrupt = file.slice();
+        corrupt[20] ^= 0xFF; // inside IHDR
+        expect(() => decodePng(corrupt)).toThrow(/CRC mismatch/);
+        expect(() => decodePng(buildPng([['IEND', new Uint8Array(0)]]))).toThrow(/IHDR/);
+        expect(() => decodePng(buildPng([['IHDR', pngHeader(1, 1, 8, 3)], ['IDAT', deflateSync(Uint8Array.from([0, 0]))]])))
+            .toThrow(/PLTE/);
+        expect(() => decodePng(buildPng([['IHDR', pngHeader(4, 4, 8, 0)], ['IDAT', deflateSync(Uint8Array.from([0, 1, 2]))]])))
+            .toThrow(/truncated/);
+    });
+});
+
+describe('GIF', () => {
+    test('still image round trip with transparency', () => {
+        const image = makeIndexed(11, 6, 5, true);
+        const gif = readGif(encodeGif(image));
+        expect(gif.width).toBe(11);
+        expect(gif.height).toBe(6);
+        expect(gif.frames).toHaveLength(1);
+        const [frame] = gif.frames;
+        expect(Array.from(frame.indices)).toEqual(Array.from(image.indices));
+        expect(frame.transparent).toBe(4);
+        image.palette.slice(0, 4).forEach((color, i) => expect(frame.table[i]).toEqual(color));
+    });
+
+    test('large images exercise LZW code growth and table resets', () => {
+        const image = makeIndexed(200, 150, 256);
+        const [frame] = readGif(encodeGif(image)).frames;
+        expect(Buffer.compare(Buffer.from(frame.indices), Buffer.from(image.indices))).toBe(0);
+    });
+
+    test('RGBA input with few colors is indexed', () => {
+        const image = makeIndexed(7, 7, 6);
+        const rgba = { data: indexedToRgba(image), width: 7, height: 7 };
+        const [frame] = readGif(encodeGif(rgba)).frames;
+        const colors = Array.from(frame.indices, index => frame.table[index]);
+        expect(colors).toEqual(Array.from(image.indices, index => image.palette[index]));
+    });
+
+    test('animated GIFs keep delays, loop and per-frame palettes', () => {
+        const first = makeIndexed(4, 4, 4);
+        const second = { ...first, palette: [...first.palette].reverse(), delay: 250 };
+        const gif = readGif(encodeAnimatedGif([first, first, second], { delay: 80 }));
+        expect(gif.loops).toBe(true);
+        expect(gif.frames.map(frame => frame.delay)).toEqual([8, 8, 25]);
+        expect(gif.frames.map(frame => frame.local)).toEqual([false, false, true]);
+        expect(gif.frames[2].table.slice(0, 4)).toEqual(second.palette);
+        expect(readGif(encodeAnimatedGif([first], { loop: -1 })).loops).toBe(false);
+    });
+
+    test('invalid images throw', () => {
+        expect(() => encodeGif({ data: new Uint8ClampedArray(0), width: 0, height: 1 })).toThrow(/positive width/);
+        const manyColors = new Uint8ClampedArray(300 * 4);
+        for (let p = 0; p < 300; p++) manyColors.set([p & 0xFF, p >> 8, 0, 255], p * 4);
+        expect(() => encodeGif({ data: manyColors, width: 300, height: 1 })).toThrow(/more than 256 colors/);
+        expect(() => encodeGif({ ...makeIndexed(2, 2, 2), palette: [[0, 0, 0]] })).toThrow(/outside the palette/);
+        expect(() => encodeAnimatedGif([])).toThrow(/no frames/);
+    });
+});
+
+describe('BMP', () => {
+    test.each([[2, 1], [16, 4], [256, 8]])('round trip with %i colors at %i bits per pixel', (colorCount, bits) => {
+        const image = makeIndexed(13, 5, colorCount);
+        const bmp = readBmp(encodeBmp(image));
+        expect(bmp.width).toBe(13);
+        expect(bmp.height).toBe(5);
+        expect(bmp.bitsPerPixel).toBe(bits);
+        expect(Array.from(bmp.indices, index => bmp.table[index]))
+            .toEqual(Array.from(image.indices, index => image.palette[index].slice(0, 3)));
+    });
+
+    test('invalid images throw', () => {
+        expect(() => encodeBmp(null)).toThrow(/positive width/);
+        expect(() => encodeBmp({ ...makeIndexed(2, 2, 2), indices: new Uint8Array(3) })).toThrow(/expected 4 indices/);
+    });
+});
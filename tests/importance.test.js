@@ -0,0 +1,90 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { generatePalette } from '../src/core/palette.js';
+import { computeImportanceMap } from '../src/analysis/importance.js';
+import { squaredDistance } from '../src/utils/helpers.js';
+
+const W = 16;
+const RED = [200, 40, 40];
+
+/**
+ * Two-tone background with a small red subject; returns the data and a mask of the subject
+ */
+function makeScene(left, right, subjectSize) {
+    const data = new Uint8ClampedArray(W * W * 4);
+    const subject = new Uint8Array(W * W);
+    for (let p = 0; p < W * W; p++) {
+        const x = p % W, y = Math.floor(p / W);
+        subject[p] = x >= 6 && x < 6 + subjectSize && y >= 6 && y < 6 + subjectSize ? 1 : 0;
+        data.set([...(subject[p] ? RED : x < 8 ? left : right), 255], p * 4);
+    }
+    return { data, subject };
+}
+
+const reddest = palette => Math.min(...palette.map(color => squaredDistance(color, RED)));
+
+describe('palette weighting', () => {
+    const { data, subject } = makeScene([30, 60, 120], [40, 140, 60], 4);
+
+    test.each(['median-cut', 'octree', 'wu', 'kmeans'])('%s gives heavily weighted pixels their own color', method => {
+        expect(generatePalette(data, 2, { method })).not.toContainEqual(RED);
+        const weights = Array.from(subject, inSubject => (inSubject ? 50 : 1));
+        expect(generatePalette(data, 2, { method, weights })).toContainEqual(RED);
+    });
+
+    test('excluded pixels are neither sampled nor counted', () => {
+        const palette = generatePalette(data, 3, { exclude: subject, withCounts: true });
+        expect(palette.map(entry => entry.color)).not.toContainEqual(RED);
+        expect(palette.reduce((sum, entry) => sum + entry.count, 0)).toBe(W * W - 16);
+        expect(palette.reduce((sum, entry) => sum + entry.share, 0)).toBeCloseTo(1, 6);
+    });
+
+    test('locked colors come first and the rest cover the other pixels', () => {
+        const palette = generatePalette(data, 3, { lockedColors: [[255, 255, 255], RED] });
+        expect(palette.slice(0, 2)).toEqual([[255, 255, 255], RED]);
+        expect(palette).toHaveLength(3);
+        expect(reddest(palette.slice(2))).toBeGreaterThan(0);
+    });
+
+    test('counts add up to all counted pixels', () => {
+        const counts = generatePalette(data, 3, { withCounts: true });
+        expect(counts.map(entry => entry.count).sort((a, b) => a - b)).toEqual([16, 120, 120]);
+    });
+
+    test('saliency weighting pulls the palette towards a subject on a plain background', () => {
+        const scene = makeScene([110, 110, 110], [150, 150, 150], 3);
+        const plain = generatePalette(scene.data, 2);
+        const weighted = generatePalette(scene.data, 2, { importance: 'saliency', width: W });
+        expect(reddest(weighted)).toBeLessThan(reddest(plain));
+    });
+
+    test('weighting options with the wrong size are ignored with a warning', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(generatePalette(data, 2, { weights: [1, 2, 3] })).toEqual(generatePalette(data, 2));
+            expect(generatePalette(data, 2, { importance: 'edges' })).toEqual(generatePalette(data, 2));
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/one value per pixel/));
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/needs options\.width/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
+
+describe('computeImportanceMap', () => {
+    const { data, subject } = makeScene([110, 110, 110], [110, 110, 110], 3);
+    const center = 7 * W + 7;
+
+    test.each(['saliency', 'edges'])('%s scores the subject above the background and peaks at 1', method => {
+        const map = computeImportanceMap(data, W, W, { method });
+        expect(map).toHaveLength(W * W);
+        expect(Math.max(...map)).toBeCloseTo(1, 6);
+        expect(map[center]).toBeGreaterThan(map[0]);
+        expect(subject[center]).toBe(1);
+    });
+
+    test('transparent pixels score 0', () => {
+        const holed = data.slice();
+        holed[center * 4 + 3] = 0;
+        expect(computeImportanceMap(holed, W, W)[center]).toBe(0);
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { applyOrderedDithering } from '../src/dithering/ordered.js';
+import { applyBayerDithering } from '../src/dithering/bayer.js';
+import {
+    createBayerMatrix,
+    createBlueNoiseMatrix,
+    createThresholdMatrix,
+    normalizeThresholdMatrix
+} from '../src/dithering/thresholdMaps.js';
+
+const PALETTE = [[0, 0, 0], [255, 255, 255], [200, 40, 40], [40, 160, 60]];
+const PATTERNS = ['bayer', 'blue-noise', 'clustered-dot', 'halftone', 'lines-horizontal', 'lines-vertical', 'lines-diagonal'];
+
+/**
+ * Horizontal gradient from dark red to light green
+ */
+function gradient(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        const t = (p % width) / (width - 1);
+        data.set([200 - 150 * t, 40 + 180 * t, 60 * t, 255], p * 4);
+    }
+    return data;
+}
+
+/**
+ * Distinct colors of an RGBA buffer as "r,g,b" keys
+ */
+function colorsOf(data) {
+    const colors = new Set();
+    for (let i = 0; i < data.length; i += 4) colors.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+    return colors;
+}
+
+const paletteKeys = new Set(PALETTE.map(color => color.join(',')));
+
+describe('threshold maps', () => {
+    test('Bayer matrices hold every rank once', () => {
+        expect(createBayerMatrix(2)).toEqual([[0, 2], [3, 1]]);
+        const matrix = createBayerMatrix(8);
+        expect(matrix).toHaveLength(8);
+        expect([...matrix.flat()].sort((a, b) => a - b)).toEqual(Array.from({ length: 64 }, (v, i) => i));
+    });
+
+    test('blue noise is a permutation of all ranks', () => {
+        const matrix = createBlueNoiseMatrix(16);
+        expect(matrix).toHaveLength(16);
+        expect(new Set(matrix.flat()).size).toBe(256);
+    });
+
+    test('every pattern yields a normalized map', () => {
+        for (const pattern of PATTERNS) {
+            const { thresholds, width, height } = normalizeThresholdMatrix(createThresholdMatrix(pattern));
+            expect(thresholds).toHaveLength(width * height);
+            thresholds.forEach(value => expect(value >= 0 && value < 1).toBe(true));
+        }
+    });
+
+    test('invalid sizes and patterns warn', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(createBayerMatrix(6)).toHaveLength(8);
+            expect(createThresholdMatrix('sparkle')).toBeNull();
+            expect(normalizeThresholdMatrix([])).toBeNull();
+            expect(warn).toHaveBeenCalledTimes(2);
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
+
+describe('ordered dithering', () => {
+    const data = gradient(32, 16);
+
+    test.each(PATTERNS)('%s output uses only palette colors', pattern => {
+        const result = applyOrderedDithering(data, 32, 16, PALETTE, { pattern });
+        expect(result).toHaveLength(data.length);
+        for (const color of colorsOf(result)) expect(paletteKeys.has(color)).toBe(true);
+        // A gradient between palette colors is actually dithered
+        expect(colorsOf(result).size).toBeGreaterThan(1);
+    });
+
+    test('custom matrices are used as given', () => {
+        // A 2×1 matrix on mid gray gives vertical stripes
+        const flat = new Uint8ClampedArray(8 * 4 * 4);
+        for (let i = 0; i < flat.length; i += 4) flat.set([128, 128, 128, 255], i);
+        const result = applyOrderedDithering(flat, 8, 4, [[0, 0, 0], [255, 255, 255]], { matrix: [[0, 1]] });
+        const rows = Array.from({ length: 4 }, (v, y) => Array.from({ length: 8 }, (w, x) => result[(y * 8 + x) * 4]));
+        expect(rows[0]).toEqual([0, 255, 0, 255, 0, 255, 0, 255]);
+        rows.forEach(row => expect(row).toEqual(rows[0]));
+    });
+
+    test('the pattern repeats with the matrix size', () => {
+        const flat = new Uint8ClampedArray(16 * 16 * 4);
+        for (let i = 0; i < flat.length; i += 4) flat.set([128, 128, 128, 255], i);
+        const result = applyOrderedDithering(flat, 16, 16, [[0, 0, 0], [255, 255, 255]], { matrixSize: 4 });
+        for (let y = 0; y < 16; y++) {
+            for (let x = 0; x < 16; x++) {
+                expect(result[(y * 16 + x) * 4]).toBe(result[((y % 4) * 16 + (x % 4)) * 4]);
+            }
+        }
+        expect(colorsOf(result).size).toBe(2);
+    });
+
+    test('zero strength is plain palette mapping', () => {
+        const result = applyOrderedDithering(data, 32, 16, PALETTE, { strengthPercent: 0 });
+        const bayer = applyBayerDithering(data, 32, 16, PALETTE, 0);
+        expect(Array.from(result)).toEqual(Array.from(bayer));
+    });
+
+    test('indexed output refers to the palette', () => {
+        const result = applyOrderedDithering(data, 32, 16, PALETTE, { pattern: 'blue-noise', indexed: true });
+        expect(result.indices).toHaveLength(32 * 16);
+        result.indices.forEach(index => expect(index).toBeLessThan(PALETTE.length));
+        expect(result.palette).toEqual(PALETTE);
+    });
+});
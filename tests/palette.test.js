@@ -0,0 +1,54 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { applyPalette, generatePalette } from '../src/core/palette.js';
+
+const PALETTE = [[0, 0, 0], [255, 255, 255], [255, 0, 0]];
+const DATA = new Uint8ClampedArray([
+    10, 10, 10, 255, 250, 250, 250, 255,
+    240, 20, 20, 255, 0, 0, 0, 0
+]);
+
+describe('generatePalette', () => {
+    // One red pixel at alpha 128 and one blue pixel at alpha 129
+    const halfAlpha = new Uint8ClampedArray([255, 0, 0, 128, 0, 0, 255, 129]);
+
+    test('by default only pixels with alpha above 128 are sampled and counted', () => {
+        expect(generatePalette(halfAlpha, 4)).toEqual([[0, 0, 255]]);
+        const counts = generatePalette(halfAlpha, 4, { withCounts: true });
+        expect(counts).toEqual([{ color: [0, 0, 255], count: 1, share: 1 }]);
+    });
+
+    test('an explicit alphaThreshold is inclusive', () => {
+        const palette = generatePalette(halfAlpha, 4, { alphaThreshold: 128 });
+        expect(palette).toHaveLength(2);
+        expect(palette).toEqual(expect.arrayContaining([[255, 0, 0], [0, 0, 255]]));
+    });
+});
+
+describe('applyPalette', () => {
+    test('indexed output uses the given width', () => {
+        const result = applyPalette(DATA, PALETTE, { indexed: true, width: 2 });
+        expect(Array.from(result.indices.subarray(0, 3))).toEqual([0, 1, 2]);
+        expect(result.indices[3]).toBe(result.transparentIndex);
+        expect([result.width, result.height]).toEqual([2, 2]);
+    });
+
+    test('indexed output without a width warns and returns one row', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const result = applyPalette(DATA, PALETTE, { indexed: true });
+            expect([result.width, result.height]).toEqual([4, 1]);
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/needs options\.width/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('linear matching compares linear light', () => {
+        // sRGB 150 is closer to white, but in linear light (about 0.3) it is closer to black
+        const gray = new Uint8ClampedArray([150, 150, 150, 255]);
+        const palette = [[0, 0, 0], [255, 255, 255]];
+        expect(Array.from(applyPalette(gray, palette))).toEqual([255, 255, 255, 255]);
+        expect(Array.from(applyPalette(gray, palette, { linear: true }))).toEqual([0, 0, 0, 255]);
+        expect(Array.from(applyPalette(gray, palette, { linear: true, metric: 'redmean' }))).toEqual([255, 255, 255, 255]);
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    parsePaletteFile,
+    serializePaletteFile,
+    detectPaletteFormat,
+    parseGpl,
+    parseAct,
+    parseAse,
+    parseJascPal,
+    parseRiffPal,
+    parseHex,
+    parsePngSwatches,
+    serializeAct,
+    serializeAse,
+    serializeRiffPal,
+    serializePngSwatches
+} from '../src/io/paletteFiles.js';
+
+const PALETTE = [
+    [0, 0, 0],
+    [255, 255, 255],
+    [29, 43, 83],
+    [126, 37, 83],
+    [0, 135, 81],
+    [171, 82, 54],
+    [255, 0, 77],
+    [1, 2, 3]
+];
+
+const FORMATS = ['gpl', 'act', 'ase', 'jasc-pal', 'riff-pal', 'hex', 'png'];
+
+describe('palette file round trips', () => {
+    test.each(FORMATS)('%s writes and re-reads the same colors', format => {
+        const file = serializePaletteFile(PALETTE, format);
+        expect(parsePaletteFile(file, format)).toEqual(PALETTE);
+    });
+
+    test.each(FORMATS)('%s is detected from its contents', format => {
+        const file = serializePaletteFile(PALETTE, format);
+        expect(detectPaletteFormat(file)).toBe(format);
+        expect(parsePaletteFile(file)).toEqual(PALETTE);
+    });
+
+    test('text formats also parse from bytes', () => {
+        for (const format of ['gpl', 'jasc-pal', 'hex']) {
+            const bytes = new TextEncoder().encode(serializePaletteFile(PALETTE, format));
+            expect(parsePaletteFile(bytes, format)).toEqual(PALETTE);
+        }
+    });
+
+    test('a full 256-color palette survives ACT', () => {
+        const palette = Array.from({ length: 256 }, (v, i) => [i, 255 - i, (i * 7) & 0xFF]);
+        expect(parseAct(serializeAct(palette))).toEqual(palette);
+    });
+
+    test('ASE keeps colors when swatches are named', () => {
+        const names = PALETTE.map((color, i) => `Swatch ${i}`);
+        expect(parseAse(serializeAse(PALETTE, { names }))).toEqual(PALETTE);
+    });
+
+    test('PNG swatches of any size read back in order', () => {
+        expect(parsePngSwatches(serializePngSwatches(PALETTE, { swatchSize: 4 }))).toEqual(PALETTE);
+    });
+});
+
+describe('malformed palette files', () => {
+    const truncate = (bytes, length) => bytes.slice(0, length);
+
+    test('GPL without header or with a bad color line throws', () => {
+        expect(() => parseGpl('0 0 0\n')).toThrow(/GIMP Palette/);
+        expect(() => parseGpl('GIMP Palette\nName: x\n#\n12 red 4\n')).toThrow(/line 4/);
+        expect(() => parseGpl('GIMP Palette\n300 0 0\n')).toThrow(/above 255/);
+    });
+
+    test('ACT with the wrong size or color count throws', () => {
+        const file = serializeAct(PALETTE);
+        expect(() => parseAct(truncate(file, 700))).toThrow(/768 or 772 bytes/);
+        const corrupt = file.slice();
+        corrupt[768] = 0x10;
+        expect(() => parseAct(corrupt)).toThrow(/out of range/);
+    });
+
+    test('truncated or corrupt ASE throws', () => {
+        const file = serializeAse(PALETTE);
+        expect(() => parseAse(truncate(file, file.length - 10))).toThrow(/truncated/);
+        expect(() => parseAse(truncate(file, 8))).toThrow(/ASEF/);
+        const corrupt = file.slice();
+        corrupt.set([0x58, 0x58, 0x58, 0x58], 12 + 6 + 2 + 8 * 2);
+        expect(() => parseAse(corrupt)).toThrow(/unknown color model/);
+    });
+
+    test('JASC with a bad header, count or color line throws', () => {
+        expect(() => parseJascPal('JASC\r\n0100\r\n1\r\n0 0 0\r\n')).toThrow(/JASC-PAL/);
+        expect(() => parseJascPal('JASC-PAL\r\n0200\r\n1\r\n0 0 0\r\n')).toThrow(/version/);
+        expect(() => parseJascPal('JASC-PAL\r\n0100\r\nmany\r\n')).toThrow(/color count/);
+        expect(() => parseJascPal('JASC-PAL\r\n0100\r\n2\r\n0 0 0\r\n')).toThrow(/line 5/);
+    });
+
+    test('truncated or corrupt RIFF throws', () => {
+        const file = serializeRiffPal(PALETTE);
+        expect(() => parseRiffPal(truncate(file, file.length - 4))).toThrow(/truncated/);
+        expect(() => parseRiffPal(truncate(file, 10))).toThrow(/header/);
+        const corrupt = file.slice();
+        corrupt.set([0x6A, 0x75, 0x6E, 0x6B], 12); // "junk" instead of "data"
+        expect(() => parseRiffPal(corrupt)).toThrow(/data/);
+    });
+
+    test('HEX with invalid lines or no colors throws', () => {
+        expect(() => parseHex('ff0000\nnot-a-color\n')).toThrow(/line 2/);
+        expect(() => parseHex('; only a comment\n')).toThrow(/no colors/);
+    });
+
+    test('truncated or corrupt PNG swatches throw', () => {
+        const file = serializePngSwatches(PALETTE);
+        expect(() => parsePngSwatches(truncate(file, file.length - 20))).toThrow();
+        expect(() => parsePngSwatches(truncate(file, 30))).toThrow();
+        const corrupt = file.slice();
+        corrupt[0] = 0;
+        expect(() => parsePngSwatches(corrupt)).toThrow();
+    });
+
+    test('unknown formats and unsupported sources throw', () => {
+        expect(() => parsePaletteFile('whatever')).toThrow(/Unknown palette format/);
+        expect(() => serializePaletteFile(PALETTE, 'bmp')).toThrow(/Unknown palette format/);
+        expect(() => parseAct('text')).toThrow(/Uint8Array/);
+    });
+
+    test('palettes too large for a format throw when written', () => {
+        const palette = Array.from({ length: 257 }, () => [0, 0, 0]);
+        expect(() => serializeAct(palette)).toThrow(/format limit/);
+        expect(() => serializeAct([])).toThrow(/empty/);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, test, expect } from '@jest/globals';
+import { createPaletteIndex, findTransparentIndex } from '../src/utils/paletteIndex.js';
+import { findClosestPaletteColor } from '../src/utils/helpers.js';
+
+const METRICS = ['rgb', 'redmean', 'cie76', 'ciede2000', 'oklab', 'linear-rgb'];
+
+/**
+ * Deterministic pseudo-random colors
+ */
+function sampleColors(count, seed = 7) {
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        const color = [];
+        for (let c = 0; c < 3; c++) {
+            seed = (seed * 1103515245 + 12345) >>> 0;
+            color.push((seed >>> 16) & 0xFF);
+        }
+        colors.push(color);
+    }
+    return colors;
+}
+
+describe('palette index', () => {
+    // Small palettes take the linear scan, large ones the k-d tree
+    const palettes = {
+        'small': [[0, 0, 0, 0], ...sampleColors(8)],
+        'large': [...sampleColors(40, 3), [10, 10, 10, 0], ...sampleColors(20, 11)]
+    };
+    const queries = [[0, 0, 0], [255, 255, 255], [10, 10, 10], ...sampleColors(150, 99)];
+
+    test.each(Object.keys(palettes))('%s palette matches findClosestPaletteColor for every metric', name => {
+        const palette = palettes[name];
+        for (const metric of METRICS) {
+            const index = createPaletteIndex(palette, metric);
+            for (const [r, g, b] of queries) {
+                const expected = findClosestPaletteColor(r, g, b, palette, metric);
+                expect({ metric, query: [r, g, b], color: index.findClosest(r, g, b) })
+                    .toEqual({ metric, query: [r, g, b], color: expected });
+                expect(palette[index.findClosestIndex(r, g, b)]).toBe(expected);
+            }
+        }
+    });
+
+    test('transparent slots are reported but never matched', () => {
+        const palette = [[0, 0, 0, 0], [255, 255, 255], [200, 0, 0]];
+        const index = createPaletteIndex(palette);
+        expect(findClosestPaletteColor(0, 0, 0, palette)).toEqual([200, 0, 0]);
+        expect(index.findClosest(0, 0, 0)).toEqual([200, 0, 0]);
+        expect(index.findClosestIndex(0, 0, 0)).toBe(2);
+        expect(index.transparentIndex).toBe(0);
+        expect(findTransparentIndex(palette)).toBe(0);
+    });
+
+    test('a palette without opaque entries returns the query color', () => {
+        const palette = [[0, 0, 0, 0]];
+        expect(findClosestPaletteColor(12, 34, 56, palette)).toEqual([12, 34, 56]);
+        expect(createPaletteIndex(palette).findClosest(12, 34, 56)).toEqual([12, 34, 56]);
+        expect(createPaletteIndex(palette).findClosestIndex(12, 34, 56)).toBe(-1);
+    });
+
+    test('ties go to the lowest index', () => {
+        const palette = [[0, 0, 0], [20, 0, 0], [0, 0, 0]];
+        expect(createPaletteIndex(palette).findClosestIndex(10, 0, 0)).toBe(0);
+        expect(findClosestPaletteColor(10, 0, 0, palette)).toBe(palette[0]);
+    });
+});
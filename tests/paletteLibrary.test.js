@@ -0,0 +1,60 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { listPalettes, getPalette, searchPalettes } from '../src/palettes/library.js';
+
+describe('palette library', () => {
+    test('every palette has a unique lowercase id and valid colors', () => {
+        const palettes = listPalettes();
+        expect(palettes.length).toBeGreaterThan(20);
+        expect(new Set(palettes.map(palette => palette.id)).size).toBe(palettes.length);
+        for (const { id, count, colors, tags } of palettes) {
+            expect(id).toBe(id.toLowerCase());
+            expect(Array.isArray(tags)).toBe(true);
+            expect(colors).toHaveLength(count);
+            for (const color of colors) {
+                expect(color).toHaveLength(3);
+                color.forEach(value => expect(Number.isInteger(value) && value >= 0 && value <= 255).toBe(true));
+            }
+        }
+    });
+
+    test('well-known palettes have their hardware sizes and colors', () => {
+        expect(getPalette('gameboy-dmg')).toHaveLength(4);
+        expect(getPalette('pico-8')).toHaveLength(16);
+        expect(getPalette('pico-8')[0]).toEqual([0, 0, 0]);
+        expect(getPalette('c64')).toHaveLength(16);
+        expect(getPalette('zx-spectrum')).toHaveLength(15);
+        expect(getPalette('1bit')).toEqual([[0, 0, 0], [255, 255, 255]]);
+    });
+
+    test('ids are case-insensitive and results are fresh copies', () => {
+        const palette = getPalette('PICO-8');
+        expect(palette).toEqual(getPalette('pico-8'));
+        palette[0][0] = 99;
+        expect(getPalette('pico-8')[0][0]).toBe(0);
+    });
+
+    test('unknown ids warn and return null', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(getPalette('no-such-palette')).toBeNull();
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Unknown palette/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('tags filter the list', () => {
+        const hardware = listPalettes('hardware');
+        expect(hardware.length).toBeGreaterThan(0);
+        expect(hardware.every(palette => palette.tags.includes('hardware'))).toBe(true);
+        expect(hardware.map(palette => palette.id)).toContain('nes');
+    });
+
+    test('search ranks id matches first and honors the limit', () => {
+        expect(searchPalettes('commodore')[0].id).toBe('c64');
+        expect(searchPalettes('pico8')[0].id).toBe('pico-8');
+        expect(searchPalettes('endesga', 1)).toHaveLength(1);
+        expect(searchPalettes('')).toEqual([]);
+        expect(searchPalettes('zzzzqqq')).toEqual([]);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { swapPalette, cyclePalette, renderColorCycle } from '../src/palettes/paletteSwap.js';
+import { encodeAnimatedGif } from '../src/io/gif.js';
+
+const PALETTE = [[0, 0, 0], [10, 0, 0], [20, 0, 0], [30, 0, 0], [255, 255, 255]];
+const RANGE = { start: 0, end: 3 };
+
+const firstChannels = palette => palette.map(color => color[0]);
+
+describe('swapPalette', () => {
+    const GREENS = [[15, 56, 15], [48, 98, 48], [139, 172, 15], [155, 188, 15]];
+
+    test('index matching keeps a reserved transparent slot in place', () => {
+        const image = { indices: new Uint8Array([0, 1, 2, 3]), palette: [[0, 0, 0, 0], [10, 10, 10], [90, 90, 90], [200, 200, 200]], width: 4, height: 1 };
+        const result = swapPalette(image, GREENS);
+        expect(result.palette).toEqual([[0, 0, 0, 0], GREENS[0], GREENS[1], GREENS[2]]);
+        expect(result.transparentIndex).toBe(0);
+        expect(Array.from(result.indices)).toEqual([0, 1, 2, 3]);
+    });
+
+    test('index matching skips transparent slots of the new palette and wraps', () => {
+        const image = { indices: new Uint8Array([0, 1, 2]), palette: [[1, 1, 1], [2, 2, 2], [3, 3, 3]], width: 3, height: 1 };
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const result = swapPalette(image, [[0, 0, 0, 0], GREENS[0], GREENS[3]]);
+            expect(result.palette).toEqual([GREENS[0], GREENS[3], GREENS[0]]);
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/wrap around/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('luminance matching keeps the order from dark to light', () => {
+        const image = { indices: new Uint8Array([0, 1, 2, 3]), palette: [[250, 250, 250], [0, 0, 0], [120, 120, 120], [60, 60, 60]], width: 4, height: 1 };
+        const result = swapPalette(image, GREENS, { match: 'luminance' });
+        expect(result.palette).toEqual([GREENS[3], GREENS[0], GREENS[2], GREENS[1]]);
+    });
+});
+
+describe('color cycling', () => {
+    test('forward and reverse rotate the range only', () => {
+        expect(firstChannels(cyclePalette(PALETTE, [RANGE], 1))).toEqual([30, 0, 10, 20, 255]);
+        expect(firstChannels(cyclePalette(PALETTE, [{ ...RANGE, direction: 'reverse' }], 1))).toEqual([10, 20, 30, 0, 255]);
+        expect(firstChannels(cyclePalette(PALETTE, [RANGE], 4))).toEqual([0, 10, 20, 30, 255]);
+    });
+
+    test('ping-pong turns around after length - 1 steps', () => {
+        const shifts = [0, 1, 2, 3, 4, 5, 6].map(time => cyclePalette(PALETTE, [{ ...RANGE, direction: 'ping-pong' }], time)[3][0]);
+        // The last entry shows the color that moved onto it: 30, 20, 10, 0, then back
+        expect(shifts).toEqual([30, 20, 10, 0, 10, 20, 30]);
+    });
+
+    test('a ping-pong loop renders 2 * (length - 1) steps', () => {
+        const image = { indices: new Uint8Array([0, 1, 2, 3]), palette: PALETTE, width: 4, height: 1 };
+        const frames = renderColorCycle(image, [{ ...RANGE, direction: 'ping-pong', speed: 10 }], { fps: 10 });
+        expect(frames).toHaveLength(6);
+    });
+
+    test('frame delays are whole GIF steps that add up to real time', () => {
+        const image = { indices: new Uint8Array([0, 1, 2, 3]), palette: PALETTE, width: 4, height: 1 };
+        const frames = renderColorCycle(image, [RANGE], { fps: 30, frameCount: 30 });
+        const delays = frames.map(frame => frame.delay);
+        expect(delays.slice(0, 3)).toEqual([30, 40, 30]);
+        delays.forEach(delay => expect(delay % 10).toBe(0));
+        expect(delays.reduce((sum, delay) => sum + delay, 0)).toBe(1000);
+        expect(encodeAnimatedGif(frames)).toBeInstanceOf(Uint8Array);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, test, expect } from '@jest/globals';
+import { sortPalette, groupPaletteRamps, createHueShiftedRamp, mergeSimilarColors, regeneratePalette, capPalette } from '../src/palettes/paletteTools.js';
+import { rgbToOklab, rgbToOklch } from '../src/utils/colorSpace.js';
+
+const BLACK = [0, 0, 0], GRAY = [128, 128, 128], WHITE = [255, 255, 255];
+const RED = [220, 30, 30], DARK_RED = [120, 10, 10], BLUE = [30, 60, 220], GREEN = [40, 180, 40];
+const CLEAR = [0, 0, 0, 0];
+
+const lightness = color => rgbToOklab(color[0], color[1], color[2])[0];
+
+describe('sortPalette', () => {
+    const palette = [BLUE, WHITE, RED, CLEAR, BLACK, GREEN];
+
+    test('hue order puts grays first and transparent slots in front', () => {
+        expect(sortPalette(palette)).toEqual([CLEAR, BLACK, WHITE, RED, GREEN, BLUE]);
+        expect(sortPalette(palette, { reverse: true })).toEqual([CLEAR, BLUE, GREEN, RED, WHITE, BLACK]);
+    });
+
+    test('luminance order runs dark to light', () => {
+        const sorted = sortPalette(palette, { by: 'luminance' }).slice(1);
+        for (let k = 1; k < sorted.length; k++) expect(lightness(sorted[k])).toBeGreaterThanOrEqual(lightness(sorted[k - 1]));
+    });
+
+    test('perceptual order starts at the darkest color and keeps similar colors together', () => {
+        const sorted = sortPalette([WHITE, RED, BLACK, DARK_RED], { by: 'perceptual' });
+        expect(sorted[0]).toEqual(BLACK);
+        expect(sorted.slice(1, 3)).toEqual([DARK_RED, RED]);
+    });
+
+    test('the input is copied', () => {
+        const input = [WHITE.slice(), BLACK.slice()];
+        const sorted = sortPalette(input);
+        sorted[0][0] = 99;
+        expect(input).toEqual([WHITE, BLACK]);
+    });
+});
+
+describe('groupPaletteRamps', () => {
+    test('grays and hue families form dark-to-light ramps', () => {
+        const ramps = groupPaletteRamps([RED, WHITE, BLUE, DARK_RED, CLEAR, BLACK, [60, 90, 240]]);
+        expect(ramps[0]).toEqual([BLACK, WHITE]);
+        expect(ramps).toContainEqual([DARK_RED, RED]);
+        expect(ramps).toContainEqual([BLUE, [60, 90, 240]]);
+        expect(ramps).toHaveLength(3);
+    });
+});
+
+describe('createHueShiftedRamp', () => {
+    test('the base stays in the middle and lightness rises', () => {
+        const ramp = createHueShiftedRamp(RED, { steps: 5 });
+        expect(ramp).toHaveLength(5);
+        expect(ramp[2]).toEqual(RED);
+        for (let k = 1; k < ramp.length; k++) expect(lightness(ramp[k])).toBeGreaterThan(lightness(ramp[k - 1]));
+    });
+
+    test('shadows lean towards blue, highlights towards yellow', () => {
+        const hue = color => rgbToOklch(color[0], color[1], color[2])[2];
+        const shifted = createHueShiftedRamp(GREEN, { steps: 3 });
+        const plain = createHueShiftedRamp(GREEN, { steps: 3, hueShift: 0 });
+        expect(hue(shifted[0])).toBeGreaterThan(hue(plain[0]));
+        expect(hue(shifted[2])).toBeLessThan(hue(plain[2]));
+    });
+
+    test('baseIndex moves the base color', () => {
+        expect(createHueShiftedRamp(GRAY, { steps: 4, baseIndex: 0 })[0]).toEqual(GRAY);
+    });
+});
+
+describe('mergeSimilarColors', () => {
+    test('near-duplicates are dropped in palette order', () => {
+        expect(mergeSimilarColors([RED, [221, 31, 30], CLEAR, BLUE, [220, 30, 31]])).toEqual([RED, CLEAR, BLUE]);
+    });
+
+    test('a larger threshold merges more', () => {
+        expect(mergeSimilarColors([RED, [200, 40, 40]], { threshold: 10 })).toEqual([RED]);
+        expect(mergeSimilarColors([RED, [200, 40, 40]], { threshold: 1 })).toHaveLength(2);
+    });
+});
+
+describe('regeneratePalette', () => {
+    // Half pure blue, half pure green pixels
+    const data = new Uint8ClampedArray(64 * 4);
+    for (let p = 0; p < 64; p++) data.set(p < 32 ? [0, 0, 255, 255] : [0, 255, 0, 255], p * 4);
+
+    test('locked colors and transparent slots keep their index', () => {
+        const result = regeneratePalette(data, [CLEAR, RED, BLACK, WHITE], { locked: [1] });
+        expect(result).toHaveLength(4);
+        expect(result[0]).toEqual(CLEAR);
+        expect(result[1]).toEqual(RED);
+        expect(result.slice(2)).toEqual(expect.arrayContaining([[0, 0, 255], [0, 255, 0]]));
+    });
+});
+
+describe('capPalette', () => {
+    test('the closest colors merge until the palette fits', () => {
+        const capped = capPalette([RED, [200, 30, 30], BLUE, WHITE], 3);
+        expect(capped).toHaveLength(3);
+        expect(capped.slice(1)).toEqual([BLUE, WHITE]);
+        expect(capped[0][0]).toBeGreaterThan(200);
+        expect(capped[0][0]).toBeLessThan(220);
+    });
+
+    test('preserved colors absorb their neighbours unchanged', () => {
+        expect(capPalette([RED, [200, 30, 30], BLUE], 2, { preserve: [1] })).toEqual([[200, 30, 30], BLUE]);
+    });
+
+    test('weights pull the merged color towards the heavier one', () => {
+        const [merged] = capPalette([[200, 0, 0], [220, 0, 0]], 1, { weights: [1, 9] });
+        expect(merged[0]).toBeGreaterThan(215);
+    });
+
+    test('transparent slots are never merged', () => {
+        expect(capPalette([CLEAR, BLACK, [5, 5, 5]], 2)).toEqual([CLEAR, expect.any(Array)]);
+    });
+});
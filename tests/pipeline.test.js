@@ -0,0 +1,82 @@
+import { describe, test, expect } from '@jest/globals';
+import { createPipeline, listPipelineSteps } from '../src/pipeline/pipeline.js';
+import { listPipelinePresets } from '../src/pipeline/presets.js';
+import { getPalette } from '../src/palettes/library.js';
+
+/**
+ * Opaque gradient image
+ */
+function makeImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        const x = p % width;
+        const y = Math.floor(p / width);
+        data.set([x * 255 / (width - 1), y * 255 / (height - 1), 128, 255], p * 4);
+    }
+    return { data, width, height };
+}
+
+const colorsOf = data => new Set(Array.from({ length: data.length / 4 }, (v, p) => data.subarray(p * 4, p * 4 + 3).join(',')));
+
+describe('createPipeline', () => {
+    test('steps run in the order given', () => {
+        const image = makeImage(8, 8);
+        const shrinkFirst = createPipeline([{ type: 'pixelate', targetWidth: 4 }, { type: 'upscale', scale: 3 }]).run(image);
+        const growFirst = createPipeline([{ type: 'upscale', scale: 3 }, { type: 'pixelate', targetWidth: 4 }]).run(image);
+        expect([shrinkFirst.width, shrinkFirst.height]).toEqual([12, 12]);
+        expect([growFirst.width, growFirst.height]).toEqual([4, 4]);
+    });
+
+    test('a palette step feeds the steps after it', () => {
+        const { data, palette } = createPipeline([
+            { type: 'palette', palette: 'gameboy-dmg' },
+            { type: 'dither', method: 'ordered' }
+        ]).run(makeImage(8, 8));
+        expect(palette).toEqual(getPalette('gameboy-dmg'));
+        const allowed = new Set(palette.map(color => color.join(',')));
+        colorsOf(data).forEach(color => expect(allowed.has(color)).toBe(true));
+    });
+
+    test('a mapping step before any palette step throws', () => {
+        const pipeline = createPipeline([{ type: 'map' }, { type: 'palette', colors: 4 }]);
+        expect(() => pipeline.run(makeImage(4, 4))).toThrow(/needs a preceding "palette" step/);
+    });
+
+    test('malformed configs throw when the pipeline is created', () => {
+        expect(() => createPipeline([{ type: 'sparkle' }])).toThrow(/Unknown pipeline step "sparkle" at index 0/);
+        expect(() => createPipeline([{ pixelSize: 2 }])).toThrow(/needs a "type"/);
+        expect(() => createPipeline('no-such-preset')).toThrow(/Unknown pipeline preset/);
+        expect(() => createPipeline(null)).toThrow(/must be an array/);
+    });
+
+    test('the input image is left untouched', () => {
+        const image = makeImage(8, 8);
+        const before = image.data.slice();
+        createPipeline([{ type: 'hue-shift', angle: 90 }, { type: 'palette', colors: 4 }, { type: 'map' }]).run(image);
+        expect(Buffer.compare(Buffer.from(image.data), Buffer.from(before))).toBe(0);
+    });
+
+    test('configs round-trip through JSON and are copied', () => {
+        const steps = [{ type: 'pixelate', pixelSize: 2 }, { type: 'palette', colors: 4 }, { type: 'map' }];
+        const pipeline = createPipeline(steps);
+        steps[0].pixelSize = 8;
+        const rebuilt = createPipeline(JSON.parse(JSON.stringify(pipeline)));
+        expect(rebuilt.steps).toEqual(pipeline.steps);
+        expect(rebuilt.steps[0].pixelSize).toBe(2);
+
+        const image = makeImage(8, 8);
+        const a = pipeline.run(image);
+        const b = rebuilt.run(image);
+        expect(Buffer.compare(Buffer.from(a.data), Buffer.from(b.data))).toBe(0);
+    });
+
+    test('every preset builds from known step types and limits the colors', () => {
+        const types = new Set(listPipelineSteps());
+        for (const preset of listPipelinePresets()) {
+            preset.steps.forEach(step => expect(types.has(step.type)).toBe(true));
+            const { data, palette } = createPipeline(preset.id).run(makeImage(32, 24));
+            const allowed = new Set(palette.map(color => color.join(',')));
+            colorsOf(data).forEach(color => expect(allowed.has(color)).toBe(true));
+        }
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { pixelate, upscaleNearest } from '../src/core/pixelate.js';
+
+/**
+ * Solid opaque image
+ */
+function solid(width, height, color = [40, 80, 120]) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) data.set([...color, 255], i);
+    return data;
+}
+
+/**
+ * 2×2 block as RGBA data
+ */
+const block = (...pixels) => Uint8ClampedArray.from(pixels.flat());
+
+const pixelOf = result => Array.from(result.data.subarray(0, 4));
+
+describe('pixelate', () => {
+    test('pixelSize sets the grid and rounds partial blocks up', () => {
+        const result = pixelate(solid(10, 7), 10, 7, { pixelSize: 4 });
+        expect([result.width, result.height]).toEqual([3, 2]);
+        expect(result.data).toHaveLength(3 * 2 * 4);
+    });
+
+    test('average weights colors by alpha and ignores transparent pixels', () => {
+        const data = block([200, 0, 0, 255], [0, 0, 200, 0], [200, 0, 0, 255], [0, 0, 200, 0]);
+        expect(pixelOf(pixelate(data, 2, 2, { pixelSize: 2 }))).toEqual([200, 0, 0, 128]);
+    });
+
+    test('median ignores a stray pixel', () => {
+        const data = block([10, 10, 10, 255], [12, 12, 12, 255], [11, 11, 11, 255], [255, 0, 255, 255]);
+        expect(pixelOf(pixelate(data, 2, 2, { pixelSize: 2, method: 'median' }))).toEqual([12, 11, 12, 255]);
+    });
+
+    test('mode picks the dominant color', () => {
+        const data = block([0, 0, 0, 255], [250, 250, 250, 255], [250, 250, 250, 255], [248, 250, 250, 255]);
+        expect(pixelOf(pixelate(data, 2, 2, { pixelSize: 2, method: 'mode' }))).toEqual([249, 250, 250, 255]);
+    });
+
+    test('edge keeps the dark side of an evenly split block', () => {
+        const data = block([0, 0, 0, 255], [255, 255, 255, 255], [0, 0, 0, 255], [255, 255, 255, 255]);
+        expect(pixelOf(pixelate(data, 2, 2, { pixelSize: 2, method: 'edge' }))).toEqual([0, 0, 0, 255]);
+        expect(pixelOf(pixelate(data, 2, 2, { pixelSize: 2 }))).toEqual([128, 128, 128, 255]);
+    });
+
+    test('invalid input is returned unchanged with a warning', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const empty = new Uint8ClampedArray(0);
+            expect(pixelate(empty, 0, 0).data).toBe(empty);
+            expect(warn).toHaveBeenCalled();
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('targetHeight alone keeps the aspect ratio', () => {
+        const result = pixelate(solid(40, 20), 40, 20, { targetHeight: 5 });
+        expect([result.width, result.height]).toEqual([10, 5]);
+        expect(result.data).toHaveLength(10 * 5 * 4);
+        expect(Array.from(result.data.subarray(0, 4))).toEqual([40, 80, 120, 255]);
+    });
+
+    test('targetWidth alone keeps the aspect ratio and both together set the size', () => {
+        const width = pixelate(solid(40, 20), 40, 20, { targetWidth: 8 });
+        expect([width.width, width.height]).toEqual([8, 4]);
+        const both = pixelate(solid(40, 20), 40, 20, { targetWidth: 8, targetHeight: 8 });
+        expect([both.width, both.height]).toEqual([8, 8]);
+    });
+});
+
+describe('upscaleNearest', () => {
+    test('repeats every pixel scale × scale times', () => {
+        const data = block([1, 2, 3, 255], [4, 5, 6, 0]);
+        const result = upscaleNearest(data, 2, 1, 2);
+        expect([result.width, result.height]).toEqual([4, 2]);
+        const row = [1, 2, 3, 255, 1, 2, 3, 255, 4, 5, 6, 0, 4, 5, 6, 0];
+        expect(Array.from(result.data)).toEqual([...row, ...row]);
+    });
+
+    test('pixelate then upscale restores the original size', () => {
+        const small = pixelate(solid(16, 8), 16, 8, { pixelSize: 4 });
+        const large = upscaleNearest(small.data, small.width, small.height, 4);
+        expect([large.width, large.height]).toEqual([16, 8]);
+        expect(Buffer.compare(Buffer.from(large.data), Buffer.from(solid(16, 8)))).toBe(0);
+    });
+});
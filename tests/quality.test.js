@@ -0,0 +1,103 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { computePsnr, computeSsim, computeDeltaE, createErrorHeatmap, compareImages, findOptimalColorCount } from '../src/analysis/quality.js';
+import { computeColorHistogram, countPaletteUsage } from '../src/analysis/histogram.js';
+
+const QUADRANTS = [[20, 20, 20], [220, 40, 40], [40, 200, 60], [240, 240, 240]];
+
+/**
+ * 8×8 image of four solid quadrants
+ */
+function makeQuadrants() {
+    const data = new Uint8ClampedArray(8 * 8 * 4);
+    for (let p = 0; p < 64; p++) {
+        const quadrant = (Math.floor(p / 8) < 4 ? 0 : 2) + (p % 8 < 4 ? 0 : 1);
+        data.set([...QUADRANTS[quadrant], 255], p * 4);
+    }
+    return data;
+}
+
+describe('quality metrics', () => {
+    const source = makeQuadrants();
+
+    test('identical images score perfectly', () => {
+        expect(compareImages(source, source.slice(), 8, 8)).toEqual({ psnr: Infinity, ssim: 1, deltaE: { mean: 0, max: 0 } });
+    });
+
+    test('PSNR follows the mean squared error and skips shared transparency', () => {
+        const black = new Uint8ClampedArray([0, 0, 0, 255, 9, 9, 9, 0]);
+        const red = new Uint8ClampedArray([255, 0, 0, 255, 99, 99, 99, 0]);
+        expect(computePsnr(black, red)).toBeCloseTo(10 * Math.log10(3), 6);
+    });
+
+    test('SSIM drops with structural changes', () => {
+        const inverted = source.map((v, i) => (i % 4 === 3 ? v : 255 - v));
+        const brighter = source.map((v, i) => (i % 4 === 3 ? v : v + 10));
+        const ssimBrighter = computeSsim(source, brighter, 8, 8);
+        expect(ssimBrighter).toBeLessThan(1);
+        expect(computeSsim(source, inverted, 8, 8)).toBeLessThan(ssimBrighter);
+    });
+
+    test('ΔE of black against white is 100', () => {
+        const black = new Uint8ClampedArray([0, 0, 0, 255]);
+        const white = new Uint8ClampedArray([255, 255, 255, 255]);
+        expect(computeDeltaE(black, white).mean).toBeCloseTo(100, 1);
+        expect(computeDeltaE(black, white, { metric: 'cie76' }).max).toBeCloseTo(100, 1);
+    });
+
+    test('the heatmap runs from black to white and keeps shared transparency', () => {
+        const a = new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 255, 5, 5, 5, 0]);
+        const b = new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 255, 255, 9, 9, 9, 0]);
+        expect(Array.from(createErrorHeatmap(a, b))).toEqual([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 0]);
+    });
+
+    test('buffers of different sizes give NaN and a warning', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(computePsnr(source, source.subarray(4))).toBeNaN();
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/same size/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
+
+describe('findOptimalColorCount', () => {
+    const source = makeQuadrants();
+
+    test('finds the smallest palette that reaches the target', () => {
+        const result = findOptimalColorCount(source, 8, 8, { target: { deltaE: 0.5 } });
+        expect(result.met).toBe(true);
+        expect(result.numColors).toBe(4);
+        expect(result.palette).toHaveLength(4);
+    });
+
+    test('reports a missed target at maxColors', () => {
+        const result = findOptimalColorCount(source, 8, 8, { target: { psnr: 60 }, maxColors: 2 });
+        expect(result.met).toBe(false);
+        expect(result.numColors).toBe(2);
+        expect(result.metrics.psnr).toBeLessThan(60);
+    });
+});
+
+describe('histograms', () => {
+    test('colors are counted by descending count, ties by color', () => {
+        const data = new Uint8ClampedArray([
+            9, 9, 9, 255, 1, 2, 3, 255, 1, 2, 3, 255,
+            5, 5, 5, 255, 7, 7, 7, 0
+        ]);
+        expect(computeColorHistogram(data)).toEqual([
+            { color: [1, 2, 3], count: 2, share: 0.5 },
+            { color: [5, 5, 5], count: 1, share: 0.25 },
+            { color: [9, 9, 9], count: 1, share: 0.25 }
+        ]);
+        expect(computeColorHistogram(data, { limit: 1 })).toHaveLength(1);
+        expect(computeColorHistogram(data, { alphaThreshold: 0 })).toHaveLength(4);
+    });
+
+    test('palette usage of indexed and RGBA images', () => {
+        const palette = [[0, 0, 0, 0], [0, 0, 0], [255, 255, 255]];
+        expect(countPaletteUsage({ indices: new Uint8Array([1, 1, 2, 0]), palette })).toEqual([1, 2, 1]);
+        const rgba = new Uint8ClampedArray([10, 10, 10, 255, 250, 250, 250, 255, 240, 240, 240, 255, 0, 0, 0, 0]);
+        expect(countPaletteUsage(rgba, palette)).toEqual([1, 1, 2]);
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, test, expect } from '@jest/globals';
+import { generatePalette } from '../src/core/palette.js';
+import { quantizeOctree } from '../src/quantization/octree.js';
+import { quantizeNeuQuant } from '../src/quantization/neuQuant.js';
+
+/**
+ * Image with far more distinct colors than any palette size under test
+ */
+function makeColorful(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        const x = p % width;
+        const y = Math.floor(p / width);
+        data.set([x * 4, y * 4, (x * y) & 0xFF, 255], p * 4);
+    }
+    return data;
+}
+
+const toPixels = data => Array.from({ length: data.length / 4 }, (v, p) => Array.from(data.subarray(p * 4, p * 4 + 3)));
+
+describe('palette size', () => {
+    const data = makeColorful(64, 64);
+
+    test.each(['median-cut', 'octree', 'wu', 'neuquant', 'kmeans'])('%s delivers the requested number of colors', method => {
+        for (const numColors of [2, 16, 256]) {
+            expect(generatePalette(data, numColors, { method })).toHaveLength(numColors);
+        }
+    });
+
+    test('octree stops folding at the requested count', () => {
+        const pixels = toPixels(data);
+        for (const numColors of [1, 2, 15, 16, 253, 256]) {
+            expect(quantizeOctree(pixels, numColors)).toHaveLength(numColors);
+        }
+    });
+
+    test('neuquant fills unused neurons on small inputs', () => {
+        expect(quantizeNeuQuant(toPixels(makeColorful(16, 16)), 32)).toHaveLength(32);
+
+        const exclude = new Uint8Array(64 * 64).fill(1);
+        exclude.fill(0, 0, 256);
+        expect(generatePalette(data, 8, { method: 'neuquant', exclude, width: 64 })).toHaveLength(8);
+    });
+
+    test('inputs with fewer distinct colors give shorter palettes', () => {
+        const pixels = [[10, 20, 30], [200, 100, 0], [10, 20, 30]];
+        expect(quantizeOctree(pixels, 8)).toHaveLength(2);
+        expect(quantizeNeuQuant(pixels, 8).length).toBeLessThan(8);
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { encodeSvg, encodeBoxShadow, createCanvasCommands, drawCanvasCommands, encodeCanvasScript } from '../src/io/vector.js';
+
+// r r b .
+// r r b b
+// . g g g   (g is half transparent)
+const IMAGE = {
+    indices: new Uint8Array([1, 1, 2, 0, 1, 1, 2, 2, 0, 3, 3, 3]),
+    palette: [[0, 0, 0, 0], [255, 0, 0], [0, 0, 255], [0, 255, 0, 128]],
+    width: 4,
+    height: 3
+};
+const EXPECTED = [
+    ['#ff0000', '#ff0000', '#0000ff', null],
+    ['#ff0000', '#ff0000', '#0000ff', '#0000ff'],
+    [null, 'rgba(0, 255, 0, 0.502)', 'rgba(0, 255, 0, 0.502)', 'rgba(0, 255, 0, 0.502)']
+];
+
+/**
+ * Minimal 2D context that records which fill style covers each pixel, and how often pixels are painted
+ */
+function createRecordingContext(width, height) {
+    const pixels = Array.from({ length: height }, () => new Array(width).fill(null));
+    const context = {
+        fillStyle: null,
+        overdraw: 0,
+        fillRect(x, y, w, h) {
+            for (let py = y; py < y + h; py++) {
+                for (let px = x; px < x + w; px++) {
+                    if (pixels[py][px] !== null) context.overdraw++;
+                    pixels[py][px] = context.fillStyle;
+                }
+            }
+        },
+        pixels
+    };
+    return context;
+}
+
+/**
+ * RGBA version of IMAGE
+ */
+function toRgba({ indices, palette, width, height }) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    indices.forEach((index, p) => {
+        const [r, g, b, a = 255] = palette[index];
+        data.set([r, g, b, a], p * 4);
+    });
+    return { data, width, height };
+}
+
+describe('encodeSvg', () => {
+    test('rects mode stacks runs that line up', () => {
+        const svg = encodeSvg(IMAGE, { merge: 'rects' });
+        expect(svg).toContain('<path fill="#ff0000" d="M0 0h2v2h-2z"/>');
+        expect(svg).toContain('<path fill="#0000ff" d="M2 0h1v1h-1zM2 1h2v1h-2z"/>');
+        expect(svg).toContain('<path fill="#00ff00" fill-opacity="0.502" d="M1 2h3v1h-3z"/>');
+    });
+
+    test('runs mode keeps one shape per row', () => {
+        expect(encodeSvg(IMAGE, { merge: 'runs' })).toContain('d="M0 0h2v1h-2zM0 1h2v1h-2z"');
+    });
+
+    test('paths mode traces one outline per region', () => {
+        const svg = encodeSvg(IMAGE);
+        expect(svg).toContain('<path fill="#ff0000" d="M0 0H2V2H0z"/>');
+        expect(svg).toContain('<path fill="#0000ff" d="M2 0H3V1H4V2H2z"/>');
+    });
+
+    test('holes are traced counter-clockwise', () => {
+        const ring = { indices: new Uint8Array([1, 1, 1, 1, 0, 1, 1, 1, 1]), palette: IMAGE.palette, width: 3, height: 3 };
+        expect(encodeSvg(ring)).toContain('d="M0 0H3V3H0zM2 1H1V2H2z"');
+    });
+
+    test('size, background and RGBA input', () => {
+        const svg = encodeSvg(toRgba(IMAGE), { pixelSize: 8, background: [16, 32, 48] });
+        expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="32" height="24" viewBox="0 0 4 3"')).toBe(true);
+        expect(svg).toContain('<rect width="4" height="3" fill="#102030"/>');
+        expect(svg.match(/<path /g)).toHaveLength(3);
+    });
+
+    test('malformed images throw', () => {
+        expect(() => encodeSvg({ indices: new Uint8Array(2), palette: [[0, 0, 0]], width: 2, height: 2 })).toThrow(/expected 4 indices/);
+        expect(() => encodeSvg({ data: new Uint8ClampedArray(4), width: 0, height: 1 })).toThrow(/positive width and height/);
+    });
+});
+
+describe('encodeBoxShadow', () => {
+    test('one shadow per visible pixel, shifted by one pixel', () => {
+        const css = encodeBoxShadow(IMAGE, { pixelSize: 2 });
+        expect(css.startsWith('.pixel-art {\n    width: 2px;\n    height: 2px;\n    margin: -2px 8px 6px -2px;\n')).toBe(true);
+        expect(css.match(/\d+px \d+px (#|rgba)/g)).toHaveLength(10);
+        expect(css).toContain('2px 2px #ff0000');
+        expect(css).toContain('8px 6px rgba(0, 255, 0, 0.502)');
+    });
+
+    test('a null selector returns only the value', () => {
+        const transparent = { indices: new Uint8Array(1), palette: [[0, 0, 0, 0]], width: 1, height: 1 };
+        expect(encodeBoxShadow(transparent, { selector: null })).toBe('none');
+    });
+});
+
+describe('canvas output', () => {
+    test.each(['runs', 'rects'])('%s commands paint every visible pixel exactly once', merge => {
+        const commands = createCanvasCommands(IMAGE, { merge });
+        const context = createRecordingContext(4, 3);
+        drawCanvasCommands(context, commands);
+        expect(context.pixels).toEqual(EXPECTED);
+        expect(context.overdraw).toBe(0);
+    });
+
+    test('drawing honours pixelSize and offset', () => {
+        const context = createRecordingContext(10, 8);
+        drawCanvasCommands(context, createCanvasCommands(IMAGE), { pixelSize: 2, x: 1, y: 2 });
+        expect(context.pixels[2][1]).toBe('#ff0000');
+        expect(context.pixels[3][4]).toBe('#ff0000');
+        expect(context.pixels[2][0]).toBeNull();
+        expect(context.pixels[7][8]).toBe('rgba(0, 255, 0, 0.502)');
+    });
+
+    test('the generated script draws the same picture', () => {
+        const script = encodeCanvasScript(toRgba(IMAGE), { functionName: 'drawSprite' });
+        const draw = new Function(`${script}\nreturn drawSprite;`)();
+        const context = createRecordingContext(4, 3);
+        draw(context);
+        expect(context.pixels).toEqual(EXPECTED);
+    });
+
+    test('unknown merge modes fall back with a warning', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(createCanvasCommands(IMAGE, { merge: 'paths' })).toEqual(createCanvasCommands(IMAGE));
+            expect(warn).toHaveBeenCalledWith('Unknown merge mode "paths". Using "rects".');
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
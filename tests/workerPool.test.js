@@ -0,0 +1,120 @@
+import { describe, test, expect, afterAll, jest } from '@jest/globals';
+import { createWorkerPool, listWorkerTasks } from '../src/worker/pool.js';
+import { getTileRowPeriod } from '../src/worker/tasks.js';
+import { applyPalette } from '../src/core/palette.js';
+import { applyOrderedDithering } from '../src/dithering/ordered.js';
+import { applyFloydSteinbergDithering } from '../src/dithering/floydSteinberg.js';
+
+const PALETTE = [[0, 0, 0], [255, 255, 255], [200, 40, 40], [40, 160, 60], [30, 60, 200]];
+
+/**
+ * Gradient test image with a transparent corner
+ */
+function makeImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data.set([x * 255 / width, y * 255 / height, (x + y) & 0xFF, x < 4 && y < 4 ? 0 : 255], i);
+        }
+    }
+    return { data, width, height };
+}
+
+describe('worker pool', () => {
+    // Two workers and small bands, so tiling happens even on small images
+    const pool = createWorkerPool({ size: 2, minTileRows: 8 });
+    afterAll(() => pool.terminate());
+
+    test('lists the available tasks', () => {
+        expect(listWorkerTasks()).toEqual(expect.arrayContaining(['applyPalette', 'applyFloydSteinbergDithering', 'runPipeline']));
+    });
+
+    test('a single-worker task matches the direct call', async () => {
+        const image = makeImage(24, 20);
+        const result = await pool.run('applyFloydSteinbergDithering', image, { palette: PALETTE });
+        const expected = applyFloydSteinbergDithering(image.data, 24, 20, PALETTE);
+        expect(Array.from(result.data)).toEqual(Array.from(expected));
+        expect(result.width).toBe(24);
+        expect(result.height).toBe(20);
+    });
+
+    test('tiled tasks give the same result as one pass', async () => {
+        const image = makeImage(16, 40);
+        expect(getTileRowPeriod('applyOrderedDithering', { matrixSize: 8 })).toBe(8);
+
+        const mapped = await pool.run('applyPalette', image, { palette: PALETTE });
+        expect(Array.from(mapped.data)).toEqual(Array.from(applyPalette(image.data, PALETTE, { width: 16 })));
+
+        const ordered = await pool.run('applyOrderedDithering', image, { palette: PALETTE, matrixSize: 8 });
+        const expected = applyOrderedDithering(image.data, 16, 40, PALETTE, { matrixSize: 8 });
+        expect(Array.from(ordered.data)).toEqual(Array.from(expected));
+    });
+
+    test('tiled indexed results are stitched into one indexed image', async () => {
+        const image = makeImage(16, 40);
+        const result = await pool.run('applyPalette', image, { palette: PALETTE, indexed: true });
+        const expected = applyPalette(image.data, PALETTE, { width: 16, indexed: true });
+        expect(Array.from(result.indices)).toEqual(Array.from(expected.indices));
+        expect(result.palette).toEqual(expected.palette);
+        expect(result.transparentIndex).toBe(expected.transparentIndex);
+        expect(result.height).toBe(40);
+    });
+
+    test('reports progress up to 1', async () => {
+        const values = [];
+        await pool.run('applyPalette', makeImage(16, 40), { palette: PALETTE, onProgress: value => values.push(value) });
+        expect(values.length).toBeGreaterThan(0);
+        expect(values[values.length - 1]).toBe(1);
+        values.forEach((value, i) => expect(value).toBeGreaterThanOrEqual(i > 0 ? values[i - 1] : 0));
+    });
+
+    test('transfer hands the buffer to the worker for a single band', async () => {
+        const image = makeImage(24, 6);
+        const result = await pool.run('applyFloydSteinbergDithering', image, { palette: PALETTE, transfer: true });
+        expect(image.data.length).toBe(0);
+        expect(result.data.length).toBe(24 * 6 * 4);
+    });
+
+    test('transfer warns and copies when the image is split', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const image = makeImage(16, 40);
+            await pool.run('applyPalette', image, { palette: PALETTE, transfer: true });
+            expect(image.data.length).toBe(16 * 40 * 4);
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/copied instead of transferred/));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('invalid tasks and inputs reject', async () => {
+        await expect(pool.run('noSuchTask', makeImage(4, 4))).rejects.toThrow(/Unknown worker task/);
+        await expect(pool.run('applyPalette', { data: null, width: 4, height: 4 })).rejects.toThrow(/image with data/);
+        await expect(pool.run('runPipeline', makeImage(4, 4), { steps: [{ step: 'no-such-step' }] })).rejects.toThrow();
+    });
+
+    test('an aborted signal cancels the task', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await expect(pool.run('applyPalette', makeImage(4, 4), { palette: PALETTE, signal: controller.signal }))
+            .rejects.toThrow(/aborted/);
+
+        const running = new AbortController();
+        const promise = pool.run('applyFloydSteinbergDithering', makeImage(256, 256), { palette: PALETTE, signal: running.signal });
+        running.abort();
+        await expect(promise).rejects.toThrow(/aborted/);
+
+        // The pool keeps working after a cancellation
+        const result = await pool.run('applyPalette', makeImage(8, 8), { palette: PALETTE });
+        expect(result.data.length).toBe(8 * 8 * 4);
+    });
+
+    test('a terminated pool rejects new and pending tasks', async () => {
+        const other = createWorkerPool({ size: 1 });
+        const pending = other.run('applyFloydSteinbergDithering', makeImage(64, 64), { palette: PALETTE });
+        other.terminate();
+        await expect(pending).rejects.toThrow(/terminated/);
+        await expect(other.run('applyPalette', makeImage(4, 4), { palette: PALETTE })).rejects.toThrow(/terminated/);
+    });
+});
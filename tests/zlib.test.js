@@ -0,0 +1,71 @@
+import { describe, test, expect } from '@jest/globals';
+import { deflateSync, inflateSync } from 'node:zlib';
+import { adler32, zlibStore, zlibDeflate, zlibInflate } from '../src/io/zlib.js';
+
+/**
+ * Deterministic pseudo-random bytes with a tunable amount of repetition
+ */
+function sampleBytes(length, alphabet = 256) {
+    const bytes = new Uint8Array(length);
+    let seed = 12345;
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        bytes[i] = (seed >>> 16) % alphabet;
+    }
+    return bytes;
+}
+
+/**
+ * Byte-wise equality; much faster than toEqual on large arrays
+ */
+function expectSameBytes(actual, expected) {
+    expect(actual.length).toBe(expected.length);
+    expect(Buffer.compare(Buffer.from(actual), Buffer.from(expected))).toBe(0);
+}
+
+const INPUTS = {
+    'empty': new Uint8Array(0),
+    'single byte': new Uint8Array([42]),
+    'long runs': new Uint8Array(100000).fill(7),
+    'few symbols': sampleBytes(70000, 4),
+    'random': sampleBytes(20000)
+};
+
+describe('zlib', () => {
+    test('adler32 matches known values', () => {
+        expect(adler32(new Uint8Array(0))).toBe(1);
+        expect(adler32(new TextEncoder().encode('Wikipedia'))).toBe(0x11E60398);
+    });
+
+    test.each(Object.keys(INPUTS))('deflate output of %s inflates with node:zlib', name => {
+        const input = INPUTS[name];
+        expectSameBytes(inflateSync(zlibDeflate(input)), input);
+        expectSameBytes(inflateSync(zlibStore(input)), input);
+    });
+
+    test.each(Object.keys(INPUTS))('node:zlib output of %s inflates', name => {
+        const input = INPUTS[name];
+        for (const level of [0, 1, 9]) {
+            expectSameBytes(zlibInflate(new Uint8Array(deflateSync(input, { level }))), input);
+        }
+        expectSameBytes(zlibInflate(zlibDeflate(input)), input);
+    });
+
+    test('repetitive data compresses', () => {
+        expect(zlibDeflate(INPUTS['long runs']).length).toBeLessThan(1000);
+    });
+
+    test('bad headers and corrupt streams throw', () => {
+        const stream = zlibDeflate(INPUTS['few symbols']);
+        expect(() => zlibInflate(new Uint8Array([1, 2, 3]))).toThrow(/bad header/);
+        expect(() => zlibInflate(new Uint8Array([0x78, 0x20, 0, 0, 0, 0]))).toThrow(/header|dictionar/);
+        expect(() => zlibInflate(stream.slice(0, stream.length >> 1))).toThrow(/Invalid deflate data/);
+
+        // Block type 3 is reserved
+        expect(() => zlibInflate(new Uint8Array([0x78, 0x01, 0x07, 0, 0, 0, 0, 0]))).toThrow(/reserved block type/);
+
+        const stored = zlibStore(new Uint8Array(10));
+        stored[5] ^= 0xFF; // break the stored length check
+        expect(() => zlibInflate(stored)).toThrow(/length mismatch/);
+    });
+});